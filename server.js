@@ -15,6 +15,8 @@ const encryptionService = require('./src/server/services/encryptionService');
 
 // Import database
 const { initializeDatabase, shutdown: shutdownDatabase } = require('./src/server/database');
+const recertificationService = require('./src/server/services/recertificationService');
+const assignmentReminderService = require('./src/server/services/assignmentReminderService');
 
 // Import API routes
 const authRoutes = require('./src/server/routes/auth');
@@ -130,6 +132,8 @@ app.use('/api/*', (req, res) => {
 // Graceful shutdown handler
 function gracefulShutdown(signal) {
     console.log(`\n${signal} received. Shutting down gracefully...`);
+    recertificationService.stop();
+    assignmentReminderService.stop();
     shutdownDatabase();
     process.exit(0);
 }
@@ -152,6 +156,12 @@ async function startServer() {
         // Initialize database
         await initializeDatabase();
 
+        // Scheduled recertification runs
+        recertificationService.start();
+
+        // Overdue assignments and due date reminders
+        assignmentReminderService.start();
+
         // Start the server
         const server = app.listen(PORT, () => {
             console.log('');
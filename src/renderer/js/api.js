@@ -140,6 +140,35 @@ const API = {
         }
     },
 
+    /**
+     * Fetches a file with automatic token refresh
+     * @returns {Blob|null} File content, null if the request failed
+     */
+    async getBlob(endpoint, retryCount = 0) {
+        const token = this.getAccessToken();
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+            });
+
+            if (response.status === 401 && retryCount === 0) {
+                try {
+                    await this.refreshAccessToken();
+                    return this.getBlob(endpoint, 1);
+                } catch (refreshError) {
+                    console.error('[API] Token refresh failed:', refreshError);
+                    this.handleAuthError();
+                    return null;
+                }
+            }
+
+            return response.ok ? await response.blob() : null;
+        } catch (error) {
+            console.error('[API] File request failed:', error);
+            return null;
+        }
+    },
+
     /**
      * Handles authentication errors
      */
@@ -284,6 +313,21 @@ window.api = {
         updateQuestion: (id, data) => API.put(`/knowledge-check/questions/${id}`, data),
         deleteQuestion: (id) => API.delete(`/knowledge-check/questions/${id}`),
         moveQuestion: (id, categoryId) => API.put(`/knowledge-check/questions/${id}/move`, { categoryId }),
+        submitQuestionForReview: (id, comment) => API.post(`/knowledge-check/questions/${id}/submit`, { comment }),
+        reviewQuestion: (id, decision, comment) => API.post(`/knowledge-check/questions/${id}/review`, { decision, comment }),
+        regradeQuestion: (id, options = {}) => API.post(`/knowledge-check/questions/${id}/regrade`, options),
+        getQuestionReviewHistory: (id) => API.get(`/knowledge-check/questions/${id}/review-history`),
+        uploadMedia: (data) => API.post('/knowledge-check/media', data),
+        getMediaBlob: (id) => API.getBlob(`/knowledge-check/media/${id}`),
+        getQuestionAnalytics: (filters = {}) => {
+            const params = new URLSearchParams(filters).toString();
+            return API.get(`/knowledge-check/questions/analytics${params ? '?' + params : ''}`);
+        },
+        importQuestions: (data) => API.post('/knowledge-check/questions/import', data),
+        exportQuestions: (params = {}) => {
+            const query = new URLSearchParams(params).toString();
+            return API.get(`/knowledge-check/questions/export${query ? '?' + query : ''}`);
+        },
 
         // Tests
         getTests: (filters = {}) => {
@@ -298,6 +342,12 @@ window.api = {
         createTest: (data) => API.post('/knowledge-check/tests', data),
         updateTest: (id, data) => API.put(`/knowledge-check/tests/${id}`, data),
         deleteTest: (id) => API.delete(`/knowledge-check/tests/${id}`),
+        submitTestForReview: (id, comment) => API.post(`/knowledge-check/tests/${id}/submit`, { comment }),
+        reviewTest: (id, decision, comment) => API.post(`/knowledge-check/tests/${id}/review`, { decision, comment }),
+        regradeTest: (id, options = {}) => API.post(`/knowledge-check/tests/${id}/regrade`, options),
+        previewTest: (id) => API.get(`/knowledge-check/tests/${id}/preview`),
+        submitTestPreview: (id, data) => API.post(`/knowledge-check/tests/${id}/preview/submit`, data),
+        getTestReviewHistory: (id) => API.get(`/knowledge-check/tests/${id}/review-history`),
 
         // Test Runs
         getTestRuns: (filters = {}) => {
@@ -318,6 +368,20 @@ window.api = {
         createResult: (data) => API.post('/knowledge-check/results', data),
         updateResult: (id, data) => API.put(`/knowledge-check/results/${id}`, data),
         deleteResult: (id) => API.delete(`/knowledge-check/results/${id}`),
+        getReviewQueue: (filters = {}) => {
+            const params = new URLSearchParams(filters).toString();
+            return API.get(`/knowledge-check/results/review-queue${params ? '?' + params : ''}`);
+        },
+        reviewResult: (id, data) => API.put(`/knowledge-check/results/${id}/review`, data),
+        getCertificate: (resultId) => API.get(`/knowledge-check/results/${resultId}/certificate`),
+        getCertificateTemplate: () => API.get('/knowledge-check/certificates/template'),
+        getCertifications: (filters = {}) => {
+            const params = new URLSearchParams(filters).toString();
+            return API.get(`/knowledge-check/certifications${params ? '?' + params : ''}`);
+        },
+        createRecertificationRuns: () => API.post('/knowledge-check/certifications/recertify'),
+        updateCertificateTemplate: (data) => API.put('/knowledge-check/certificates/template', data),
+        previewCertificateTemplate: (data) => API.post('/knowledge-check/certificates/template/preview', data),
 
         // Assignments
         getAssignments: (filters = {}) => {
@@ -331,12 +395,52 @@ window.api = {
         updateAssignment: (id, data) => API.put(`/knowledge-check/assignments/${id}`, data),
         deleteAssignment: (id) => API.delete(`/knowledge-check/assignments/${id}`),
         getTakeTestData: (assignmentId) => API.get(`/knowledge-check/assignments/${assignmentId}/take-test`),
+        getAssignmentDraft: (assignmentId) => API.get(`/knowledge-check/assignments/${assignmentId}/draft`),
+        saveAssignmentDraft: (assignmentId, data) => API.put(`/knowledge-check/assignments/${assignmentId}/draft`, data),
+        submitAssignment: (assignmentId, data) => API.post(`/knowledge-check/assignments/${assignmentId}/submit`, data),
+
+        // Practice mode
+        getPracticeTests: () => API.get('/knowledge-check/practice/tests'),
+        startPractice: (testId) => API.post(`/knowledge-check/practice/tests/${testId}/start`),
+        checkPracticeAnswer: (attemptId, answer) => API.post(`/knowledge-check/practice/attempts/${attemptId}/check`, answer),
+        finishPractice: (attemptId) => API.post(`/knowledge-check/practice/attempts/${attemptId}/finish`),
+
+        // Learning paths
+        getLearningPaths: () => API.get('/knowledge-check/learning-paths'),
+        getLearningPathById: (id) => API.get(`/knowledge-check/learning-paths/${id}`),
+        getMyLearningPaths: () => API.get('/knowledge-check/learning-paths/my'),
+        createLearningPath: (data) => API.post('/knowledge-check/learning-paths', data),
+        updateLearningPath: (id, data) => API.put(`/knowledge-check/learning-paths/${id}`, data),
+        deleteLearningPath: (id) => API.delete(`/knowledge-check/learning-paths/${id}`),
+        enrollInLearningPath: (id, userIds) => API.post(`/knowledge-check/learning-paths/${id}/enroll`, { userIds }),
+        withdrawLearningPathEnrollment: (id, enrollmentId) => API.delete(`/knowledge-check/learning-paths/${id}/enrollments/${enrollmentId}`),
+
+        // Notifications
+        getNotifications: (filters = {}) => {
+            const params = new URLSearchParams(filters).toString();
+            return API.get(`/knowledge-check/notifications${params ? '?' + params : ''}`);
+        },
+        markNotificationRead: (id) => API.put(`/knowledge-check/notifications/${id}/read`),
+        markAllNotificationsRead: () => API.put('/knowledge-check/notifications/read-all'),
 
         // Statistics & Export
         getStatistics: () => API.get('/knowledge-check/stats'),
-        exportResults: (filters = {}) => {
+        // Returns the file as Blob (null if the export failed)
+        exportResults: (params = {}) => {
+            const query = new URLSearchParams(params).toString();
+            return API.getBlob(`/knowledge-check/export/results${query ? '?' + query : ''}`);
+        },
+        getCompetencyMatrix: (filters = {}) => {
+            const params = new URLSearchParams(filters).toString();
+            return API.get(`/knowledge-check/reports/competency-matrix${params ? '?' + params : ''}`);
+        },
+        getCompetencyAnswers: (filters = {}) => {
+            const params = new URLSearchParams(filters).toString();
+            return API.get(`/knowledge-check/reports/competency-matrix/answers${params ? '?' + params : ''}`);
+        },
+        exportCompetencyMatrix: (filters = {}) => {
             const params = new URLSearchParams(filters).toString();
-            return API.get(`/knowledge-check/export/results${params ? '?' + params : ''}`);
+            return API.get(`/knowledge-check/reports/competency-matrix/export${params ? '?' + params : ''}`);
         },
         checkAnswer: (answer, exactAnswer, triggerWords) => 
             API.post('/knowledge-check/check-answer', { answer, exactAnswer, triggerWords }),
@@ -7,6 +7,7 @@ const App = {
     currentView: 'dashboard',
     isAuthenticated: false,
     loadedViews: new Set(),
+    notificationTimer: null,
 
     /**
      * Initializes the application
@@ -103,6 +104,11 @@ const App = {
             this.refreshCurrentView();
         });
 
+        // Notifications
+        document.getElementById('notifications-btn')?.addEventListener('click', () => {
+            this.showNotifications();
+        });
+
         // Global search
         const searchInput = document.getElementById('global-search');
         if (searchInput) {
@@ -216,6 +222,8 @@ const App = {
         // Initialize the default view
         await this.navigateTo('dashboard');
 
+        this.startNotifications();
+
         Toast.info(`Welcome back, ${user.firstName}!`);
     },
 
@@ -247,6 +255,7 @@ const App = {
             try {
                 await window.api.auth.logout();
                 this.isAuthenticated = false;
+                this.stopNotifications();
                 Permissions.clearUser();
                 
                 // Clear loaded views cache on logout
@@ -268,6 +277,123 @@ const App = {
         }
     },
 
+    /**
+     * Shows the notification bell and polls the unread count (knowledge check reminders)
+     */
+    startNotifications() {
+        this.stopNotifications();
+        const allowed = Permissions.has('kc_assigned_view');
+        document.getElementById('notifications-btn')?.classList.toggle('hidden', !allowed);
+        if (!allowed) return;
+
+        this.loadNotificationCount();
+        this.notificationTimer = setInterval(() => this.loadNotificationCount(), 60000);
+    },
+
+    stopNotifications() {
+        if (this.notificationTimer) {
+            clearInterval(this.notificationTimer);
+            this.notificationTimer = null;
+        }
+    },
+
+    async loadNotificationCount() {
+        try {
+            const result = await window.api.knowledgeCheck.getNotifications({ unreadOnly: 'true', limit: 1 });
+            if (result.success) {
+                this.updateNotificationCount(result.unreadCount);
+            }
+        } catch (error) {
+            console.warn('Notification check failed:', error);
+        }
+    },
+
+    updateNotificationCount(count) {
+        const badge = document.getElementById('notifications-count');
+        if (!badge) return;
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.classList.toggle('hidden', !count);
+    },
+
+    /**
+     * Shows the latest notifications, clicking one marks it as read and opens its view
+     */
+    async showNotifications() {
+        let result;
+        try {
+            result = await window.api.knowledgeCheck.getNotifications({ limit: 50 });
+        } catch (error) {
+            console.error('Load notifications error:', error);
+            Toast.error('Benachrichtigungen konnten nicht geladen werden');
+            return;
+        }
+        if (!result.success) {
+            Toast.error(result.error || 'Benachrichtigungen konnten nicht geladen werden');
+            return;
+        }
+        this.updateNotificationCount(result.unreadCount);
+
+        const content = document.createElement('div');
+        content.innerHTML = result.notifications.length === 0
+            ? '<div class="empty-state">Keine Benachrichtigungen</div>'
+            : `<div class="notification-list">
+                ${result.notifications.map(n => `
+                    <div class="notification-item ${n.isRead ? '' : 'unread'}" data-id="${n.id}" data-view="${Helpers.escapeHtml(n.linkView || '')}">
+                        <div class="notification-title">${Helpers.escapeHtml(n.title)}</div>
+                        <div class="notification-message">${Helpers.escapeHtml(n.message)}</div>
+                        <div class="notification-time">${new Date(n.createdAt).toLocaleString('de-DE')}</div>
+                    </div>
+                `).join('')}
+            </div>`;
+
+        content.querySelectorAll('.notification-item').forEach(item => {
+            item.addEventListener('click', async () => {
+                if (item.classList.contains('unread')) {
+                    await window.api.knowledgeCheck.markNotificationRead(item.dataset.id).catch(() => {});
+                    this.loadNotificationCount();
+                }
+                Modal.close();
+                if (item.dataset.view) {
+                    await this.navigateTo(item.dataset.view);
+                }
+            });
+        });
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        if (result.unreadCount > 0) {
+            const readAllBtn = document.createElement('button');
+            readAllBtn.className = 'btn btn-secondary';
+            readAllBtn.textContent = 'Alle als gelesen markieren';
+            readAllBtn.addEventListener('click', async () => {
+                try {
+                    await window.api.knowledgeCheck.markAllNotificationsRead();
+                    content.querySelectorAll('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+                    readAllBtn.remove();
+                    this.updateNotificationCount(0);
+                } catch (error) {
+                    Toast.error('Fehler beim Aktualisieren');
+                }
+            });
+            footer.appendChild(readAllBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-primary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+        footer.appendChild(closeBtn);
+
+        Modal.open({
+            title: 'Benachrichtigungen',
+            content,
+            footer
+        });
+    },
+
     /**
      * Loads a view template if not already loaded
      * @param {string} viewName - Name of the view to load
@@ -310,7 +436,7 @@ const App = {
     async navigateTo(viewName) {
         // Define which views belong to which submenu groups
         const submenuGroups = {
-            knowledgeCheck: ['knowledgeCheck', 'kcQuestions', 'kcTests', 'kcTestRuns', 'kcArchive', 'kcAssigned']
+            knowledgeCheck: ['knowledgeCheck', 'kcQuestions', 'kcTests', 'kcTestRuns', 'kcLearningPaths', 'kcArchive', 'kcAssigned']
         };
         
         // Update active nav item
@@ -375,6 +501,7 @@ const App = {
             kcQuestions: 'Fragen Katalog',
             kcTests: 'Test Katalog',
             kcTestRuns: 'Test Durchläufe',
+            kcLearningPaths: 'Lernpfade',
             kcResults: 'Test Ergebnisse',
             kcArchive: 'Archiv',
             kcAssigned: 'Zugewiesene Tests',
@@ -423,6 +550,9 @@ const App = {
                 case 'kcTestRuns':
                     await KCTestRunsView.init();
                     break;
+                case 'kcLearningPaths':
+                    await KCLearningPathsView.init();
+                    break;
                 case 'kcArchive':
                     await KCArchiveView.init();
                     break;
@@ -462,6 +592,7 @@ const App = {
             kcTests: KCTestsView,
             kcResults: KCResultsView,
             kcTestRuns: KCTestRunsView,
+            kcLearningPaths: KCLearningPathsView,
             kcArchive: KCArchiveView,
             kcAssigned: KCAssignedView,
             roles: RolesView,
@@ -0,0 +1,820 @@
+/**
+ * Knowledge Check Question Types
+ * Labels, test taking inputs and answer rendering shared by the Knowledge Check views
+ */
+
+const KCQuestionTypes = {
+    labels: {
+        'multiple_choice': 'Multiple Choice',
+        'single_choice': 'Einfachauswahl',
+        'true_false': 'Wahr/Falsch',
+        'ordering': 'Reihenfolge',
+        'matching': 'Zuordnung',
+        'numeric': 'Numerisch',
+        'cloze': 'Lückentext',
+        'open_question': 'Offene Frage'
+    },
+
+    /**
+     * Gets the display label of a question type
+     */
+    getLabel(type) {
+        return this.labels[type] || type;
+    },
+
+    /**
+     * Whether the type is answered by selecting options (stored as optionDetails)
+     */
+    isChoice(type) {
+        return ['multiple_choice', 'single_choice', 'true_false'].includes(type);
+    },
+
+    /**
+     * Whether the type supports partial points
+     */
+    supportsPartialAnswer(type) {
+        return ['multiple_choice', 'ordering', 'matching', 'cloze', 'open_question'].includes(type);
+    },
+
+    /**
+     * Labels of the keyword group modes of open questions
+     */
+    keywordGroupModes: {
+        'all': 'Alle Schlüsselwörter',
+        'any': 'Mindestens eines',
+        'min': 'Mindestens N'
+    },
+
+    /**
+     * Formats a keyword as an editor line: "Begriff | Synonym | Synonym = Punkte"
+     */
+    formatKeyword(keyword) {
+        const text = [keyword.term, ...(keyword.synonyms || [])].join(' | ');
+        return keyword.points && keyword.points !== 1 ? `${text} = ${keyword.points}` : text;
+    },
+
+    /**
+     * Reads editor lines ("Begriff | Synonym = Punkte") into keywords
+     */
+    parseKeywords(text) {
+        return String(text || '').split('\n').map(line => {
+            const match = line.match(/^(.*?)(?:=\s*(\d+(?:[.,]\d+)?)\s*)?$/);
+            const terms = match[1].split('|').map(t => t.trim()).filter(Boolean);
+            if (terms.length === 0) return null;
+            return {
+                term: terms[0],
+                synonyms: terms.slice(1),
+                points: match[2] ? parseFloat(match[2].replace(',', '.')) : 1
+            };
+        }).filter(Boolean);
+    },
+
+    /**
+     * Renders the keyword groups and forbidden words of an open question
+     */
+    renderAnswerRules(rules) {
+        if (!rules) return '';
+        const modeText = (group) => group.mode === 'min'
+            ? `Mindestens ${group.min} von ${group.keywords.length}`
+            : this.keywordGroupModes[group.mode];
+
+        return `
+            ${rules.groups.map((group, i) => `
+                <p><strong>Gruppe ${i + 1} (${modeText(group)}):</strong></p>
+                <div class="trigger-words-display">
+                    ${group.keywords.map(k => `<span class="badge badge-info" title="${k.points} Punkt(e)">${Helpers.escapeHtml(this.formatKeyword(k))}</span>`).join(' ')}
+                </div>
+            `).join('')}
+            ${rules.forbidden.length > 0 ? `
+                <p><strong>Verbotene Wörter:</strong></p>
+                <div class="trigger-words-display">
+                    ${rules.forbidden.map(w => `<span class="badge badge-danger">${Helpers.escapeHtml(w)}</span>`).join(' ')}
+                </div>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Renders the matched, missing and forbidden keywords of a graded open answer
+     * @param {Object} data - responseData of the answer
+     */
+    renderKeywordMatch(data) {
+        if (!data || !Array.isArray(data.matchedKeywords)) return '';
+        const matched = data.matchedKeywords.map(k => {
+            const via = k.matchedText && k.matchedText.toLowerCase() !== k.term.toLowerCase() ? ` (${k.matchedText})` : '';
+            return `<span class="badge badge-success" title="${k.fuzzy ? 'Ungenau erkannt (Tippfehler oder Teil eines zusammengesetzten Worts)' : ''}">${Helpers.escapeHtml(k.term + via)}${k.fuzzy ? ' ~' : ''}</span>`;
+        });
+        const missing = (data.missingKeywords || []).map(term => `<span class="badge badge-secondary">${Helpers.escapeHtml(term)}</span>`);
+        const forbidden = (data.forbiddenWords || []).map(word => `<span class="badge badge-danger">${Helpers.escapeHtml(word)}</span>`);
+
+        return `
+            <p class="result-scoring-info">
+                <small>
+                    ${matched.length > 0 ? `Gefunden: ${matched.join(' ')}` : 'Keine Schlüsselwörter gefunden'}
+                    ${missing.length > 0 ? ` · Fehlend: ${missing.join(' ')}` : ''}
+                    ${forbidden.length > 0 ? ` · Verboten: ${forbidden.join(' ')}` : ''}
+                    ${data.possiblePoints > 0 ? ` · ${data.earnedPoints}/${data.possiblePoints} Schlüsselwort-Punkte` : ''}
+                </small>
+            </p>
+        `;
+    },
+
+    /**
+     * Splits cloze text into escaped text and blank inputs
+     * @param {string} text - Question text with {{n}} placeholders
+     * @param {Function} renderBlank - Returns the HTML for blank n
+     */
+    renderClozeText(text, renderBlank) {
+        return Helpers.escapeHtml(text).replace(/\{\{(\d+)\}\}/g, (match, n) => renderBlank(parseInt(n)));
+    },
+
+    // ==========================================
+    // MEDIA
+    // ==========================================
+
+    // Object URLs of already loaded files by media ID
+    mediaUrls: {},
+
+    /**
+     * Renders placeholders for images and attachments - loadMedia fills them in
+     * @param {Array} list - Media as returned with a question ({ id, fileName, isImage })
+     * @param {boolean} compact - Small thumbnails (options)
+     */
+    renderMedia(list, compact = false) {
+        const media = (list || []).filter(Boolean);
+        if (media.length === 0) return '';
+        return `
+            <div class="kc-media${compact ? ' kc-media-compact' : ''}">
+                ${media.map(m => m.isImage
+                    ? `<img class="kc-media-image" data-media-id="${m.id}" alt="${Helpers.escapeHtml(m.fileName)}" title="${Helpers.escapeHtml(m.fileName)}">`
+                    : `<a class="kc-media-attachment" data-media-id="${m.id}" download="${Helpers.escapeHtml(m.fileName)}">📎 ${Helpers.escapeHtml(m.fileName)}</a>`
+                ).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Loads the files of all media placeholders in a container (the media route needs the auth header)
+     */
+    async loadMedia(container) {
+        const elements = container.querySelectorAll('[data-media-id]');
+        for (const element of elements) {
+            const id = element.dataset.mediaId;
+            if (!this.mediaUrls[id]) {
+                const blob = await window.api.knowledgeCheck.getMediaBlob(id);
+                if (!blob) {
+                    element.classList.add('kc-media-missing');
+                    element.title = 'Datei konnte nicht geladen werden';
+                    continue;
+                }
+                this.mediaUrls[id] = URL.createObjectURL(blob);
+            }
+            element.setAttribute(element.tagName === 'IMG' ? 'src' : 'href', this.mediaUrls[id]);
+        }
+    },
+
+    // ==========================================
+    // REVIEW WORKFLOW
+    // ==========================================
+
+    statusLabels: {
+        draft: 'Entwurf',
+        review: 'In Prüfung',
+        published: 'Veröffentlicht'
+    },
+
+    reviewActionLabels: {
+        submitted: 'Eingereicht',
+        approved: 'Freigegeben',
+        rejected: 'Zurückgewiesen',
+        comment: 'Kommentar',
+        reopened: 'Nach Änderung zurück in Entwurf'
+    },
+
+    renderStatusBadge(status) {
+        const badgeClass = { draft: 'badge-secondary', review: 'badge-warning', published: 'badge-success' }[status] || 'badge-secondary';
+        return `<span class="badge ${badgeClass}">${this.statusLabels[status] || Helpers.escapeHtml(status || '')}</span>`;
+    },
+
+    /**
+     * Renders the review comments of a question or test (newest first)
+     */
+    renderReviewHistory(history) {
+        if (!history || history.length === 0) return '';
+        return `
+            <div class="kc-review-history">
+                <h4>Prüfverlauf</h4>
+                ${history.map(entry => `
+                    <div class="kc-review-entry kc-review-${entry.action}">
+                        <div class="kc-review-entry-header">
+                            <strong>${this.reviewActionLabels[entry.action] || Helpers.escapeHtml(entry.action)}</strong>
+                            <span>${Helpers.escapeHtml(entry.userName || 'Unbekannt')} · ${Helpers.formatDateTime(entry.createdAt)}</span>
+                        </div>
+                        ${entry.comment ? `<p>${Helpers.escapeHtml(entry.comment)}</p>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Creates the workflow buttons for an item's current status
+     * @param {string} type - 'question' or 'test'
+     * @param {Object} item - Question or test ({ id, status })
+     * @param {Function} onDone - Called after a successful action
+     * @returns {HTMLElement[]} Buttons (empty if the user can do nothing in this status)
+     */
+    createReviewButtons(type, item, onDone) {
+        const canEdit = Permissions.canEdit(type === 'question' ? 'kcQuestion' : 'kcTest');
+        const canReview = Permissions.has('kc_content_review');
+        const buttons = [];
+        const addButton = (label, className, action) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${className}`;
+            btn.textContent = label;
+            btn.addEventListener('click', () => {
+                Modal.close();
+                setTimeout(() => this.runReviewAction(type, item.id, action, onDone), 250);
+            });
+            buttons.push(btn);
+        };
+
+        if (item.status === 'draft' && canEdit) {
+            addButton('Zur Prüfung einreichen', 'btn-secondary', 'submit');
+        }
+        if (item.status === 'review' && canReview) {
+            addButton('Freigeben', 'btn-success', 'approve');
+            addButton('Zurückweisen', 'btn-danger', 'reject');
+        }
+        if (item.status !== 'published' && canReview) {
+            addButton('Kommentieren', 'btn-ghost', 'comment');
+        }
+        return buttons;
+    },
+
+    /**
+     * Asks for the comment and performs a workflow action
+     * @param {string} action - 'submit', 'approve', 'reject' or 'comment'
+     */
+    async runReviewAction(type, id, action, onDone) {
+        const dialogs = {
+            submit: { title: 'Zur Prüfung einreichen', submitText: 'Einreichen', success: 'Zur Prüfung eingereicht' },
+            approve: { title: 'Freigeben', submitText: 'Freigeben', success: 'Freigegeben und veröffentlicht' },
+            reject: { title: 'Zurückweisen', submitText: 'Zurückweisen', success: 'Zurückgewiesen - wieder im Entwurf', required: true },
+            comment: { title: 'Kommentieren', submitText: 'Speichern', success: 'Kommentar gespeichert', required: true }
+        };
+        const dialog = dialogs[action];
+
+        const data = await Modal.form({
+            title: dialog.title,
+            fields: [{
+                name: 'comment',
+                label: dialog.required ? 'Kommentar' : 'Kommentar (optional)',
+                type: 'textarea',
+                rows: 4,
+                required: !!dialog.required
+            }],
+            submitText: dialog.submitText,
+            cancelText: 'Abbrechen',
+            validate: (formData) => dialog.required && !formData.comment?.trim() ? 'Bitte einen Kommentar eingeben' : null
+        });
+        if (!data) return;
+
+        try {
+            const kc = window.api.knowledgeCheck;
+            let result;
+            if (action === 'submit') {
+                result = type === 'question'
+                    ? await kc.submitQuestionForReview(id, data.comment)
+                    : await kc.submitTestForReview(id, data.comment);
+            } else {
+                result = type === 'question'
+                    ? await kc.reviewQuestion(id, action, data.comment)
+                    : await kc.reviewTest(id, action, data.comment);
+            }
+
+            if (result.success) {
+                Toast.success(dialog.success);
+                if (onDone) await onDone();
+            } else {
+                Toast.error(result.error || 'Aktion fehlgeschlagen');
+            }
+        } catch (error) {
+            console.error('Review action error:', error);
+            Toast.error('Aktion fehlgeschlagen');
+        }
+    },
+
+    // ==========================================
+    // RE-GRADING
+    // ==========================================
+
+    /**
+     * Creates the "Neu bewerten" button for a published question or test
+     * @returns {HTMLElement|null} Button, null without permission
+     */
+    createRegradeButton(type, item) {
+        if (!Permissions.has('kc_results_evaluate') || item.status !== 'published') return null;
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.textContent = 'Ergebnisse neu bewerten';
+        btn.addEventListener('click', () => {
+            Modal.close();
+            setTimeout(() => this.openRegrade(type, item.id), 250);
+        });
+        return btn;
+    },
+
+    /**
+     * Shows which stored results change with the current answer key and applies it on confirmation
+     * @param {string} type - 'question' or 'test'
+     */
+    async openRegrade(type, id) {
+        const kc = window.api.knowledgeCheck;
+        const regrade = (options) => type === 'question' ? kc.regradeQuestion(id, options) : kc.regradeTest(id, options);
+
+        let preview;
+        try {
+            preview = await regrade({ dryRun: true });
+        } catch (error) {
+            console.error('Regrade preview error:', error);
+            Toast.error('Vorschau konnte nicht geladen werden');
+            return;
+        }
+        if (!preview.success) {
+            Toast.error(preview.error || 'Vorschau konnte nicht geladen werden');
+            return;
+        }
+
+        const { summary, results } = preview;
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <p>Die gespeicherten Antworten werden mit dem aktuellen Lösungsschlüssel neu bewertet.
+               Manuell bewertete Antworten behalten ihre Punkte.</p>
+            <div class="kc-regrade-summary">
+                <span><strong>${summary.answersChecked}</strong> Antworten geprüft</span>
+                <span><strong>${summary.answersChanged}</strong> Antworten ändern sich</span>
+                <span><strong>${summary.resultsChanged}</strong> Ergebnisse betroffen</span>
+                <span><strong>${summary.passedChanged}</strong> mit geändertem Bestanden-Status</span>
+                ${summary.skippedReviewed ? `<span>${summary.skippedReviewed} manuell bewertet (übersprungen)</span>` : ''}
+                ${summary.skippedUnmatched ? `<span>${summary.skippedUnmatched} passen nicht mehr zur Frage (übersprungen)</span>` : ''}
+            </div>
+            ${results.length === 0 ? '<div class="empty-state">Keine Ergebnisse ändern sich</div>' : `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Ergebnis</th><th>Benutzer</th><th>Test</th><th>Antworten</th><th>Vorher</th><th>Nachher</th></tr>
+                    </thead>
+                    <tbody>
+                        ${results.map(r => `
+                            <tr>
+                                <td>${Helpers.escapeHtml(r.resultNumber)}</td>
+                                <td>${Helpers.escapeHtml(r.userName)}</td>
+                                <td>${Helpers.escapeHtml(r.testName)}</td>
+                                <td>${r.changedAnswers}</td>
+                                <td><span class="badge ${r.before.passed ? 'badge-success' : 'badge-danger'}">${r.before.percentage}%</span></td>
+                                <td><span class="badge ${r.after.passed ? 'badge-success' : 'badge-danger'}">${r.after.percentage}%</span></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="form-group" style="margin-top: var(--space-md);">
+                    <label for="regrade-reason">Grund (optional, wird im Änderungsprotokoll vermerkt)</label>
+                    <input type="text" id="regrade-reason" class="form-input" placeholder="z.B. Falsche Antwort als richtig markiert">
+                </div>
+                <label class="form-checkbox">
+                    <input type="checkbox" id="regrade-notify">
+                    <span>Betroffene Benutzer benachrichtigen</span>
+                </label>
+            `}
+        `;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = results.length === 0 ? 'Schließen' : 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+        footer.appendChild(cancelBtn);
+
+        if (results.length > 0) {
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn btn-primary';
+            applyBtn.textContent = `${results.length} Ergebnis${results.length === 1 ? '' : 'se'} neu bewerten`;
+            applyBtn.addEventListener('click', async () => {
+                applyBtn.disabled = true;
+                try {
+                    const result = await regrade({
+                        dryRun: false,
+                        notify: content.querySelector('#regrade-notify').checked,
+                        reason: content.querySelector('#regrade-reason').value
+                    });
+                    if (result.success) {
+                        Modal.close();
+                        Toast.success(`${result.summary.resultsChanged} Ergebnisse neu bewertet` +
+                            (result.summary.notified ? `, ${result.summary.notified} Benutzer benachrichtigt` : ''));
+                    } else {
+                        Toast.error(result.error || 'Neubewertung fehlgeschlagen');
+                        applyBtn.disabled = false;
+                    }
+                } catch (error) {
+                    console.error('Regrade error:', error);
+                    Toast.error('Neubewertung fehlgeschlagen');
+                    applyBtn.disabled = false;
+                }
+            });
+            footer.appendChild(applyBtn);
+        }
+
+        Modal.open({ title: 'Ergebnisse neu bewerten', content, footer, size: 'lg' });
+    },
+
+    // ==========================================
+    // TEST TAKING
+    // ==========================================
+
+    /**
+     * Renders the answer input of a question for test taking
+     * @param {Object} q - Question as returned for taking
+     */
+    renderInput(q) {
+        switch (q.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false': {
+                const inputType = q.questionType === 'multiple_choice' ? 'checkbox' : 'radio';
+                return `
+                    <div class="test-options">
+                        ${q.options.map(opt => `
+                            <label class="test-option">
+                                <input type="${inputType}" name="q_${q.id}" value="${opt.id}">
+                                <span>${Helpers.escapeHtml(opt.text)}</span>
+                                ${this.renderMedia([opt.media], true)}
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+            }
+            case 'ordering':
+                return `
+                    <ol class="test-order-list" data-question-id="${q.id}">
+                        ${q.options.map(opt => `
+                            <li class="test-order-item" data-option-id="${opt.id}">
+                                <span class="test-order-text">${Helpers.escapeHtml(opt.text)}</span>
+                                ${this.renderMedia([opt.media], true)}
+                                <span class="test-order-actions">
+                                    <button type="button" class="btn-icon test-order-up" title="Nach oben">▲</button>
+                                    <button type="button" class="btn-icon test-order-down" title="Nach unten">▼</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `;
+            case 'matching':
+                return `
+                    <div class="test-matching">
+                        ${q.options.map(opt => `
+                            <div class="test-matching-row">
+                                <span class="test-matching-text">${Helpers.escapeHtml(opt.text)}${this.renderMedia([opt.media], true)}</span>
+                                <select class="form-select" name="q_${q.id}" data-option-id="${opt.id}">
+                                    <option value="">Bitte wählen...</option>
+                                    ${q.matchOptions.map(m => `<option value="${m.id}">${Helpers.escapeHtml(m.text)}</option>`).join('')}
+                                </select>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            case 'numeric':
+                return `
+                    <div class="test-answer-input">
+                        <input type="text" name="q_${q.id}" class="form-input test-numeric-input" inputmode="decimal" placeholder="Zahl eingeben">
+                    </div>
+                `;
+            case 'cloze':
+                return `
+                    <p class="test-cloze-text">
+                        ${this.renderClozeText(q.questionText, n =>
+                            `<input type="text" class="form-input test-cloze-blank" name="q_${q.id}" data-blank="${n}" aria-label="Lücke ${n}">`)}
+                    </p>
+                `;
+            default:
+                return `
+                    <div class="test-answer-input">
+                        <textarea name="q_${q.id}" class="form-textarea" rows="3" placeholder="Ihre Antwort..."></textarea>
+                    </div>
+                `;
+        }
+    },
+
+    /**
+     * Binds interactive inputs (ordering buttons) inside the test form
+     */
+    bindInputs(container) {
+        container.querySelectorAll('.test-order-up, .test-order-down').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const item = btn.closest('.test-order-item');
+                const list = item.parentElement;
+                if (btn.classList.contains('test-order-up') && item.previousElementSibling) {
+                    list.insertBefore(item, item.previousElementSibling);
+                } else if (btn.classList.contains('test-order-down') && item.nextElementSibling) {
+                    list.insertBefore(item.nextElementSibling, item);
+                }
+                // Moving items does not fire input events - let the form know about the change
+                list.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        });
+    },
+
+    /**
+     * Collects the raw answer of a question - grading happens on the server
+     */
+    collectAnswer(q, container) {
+        const answer = { questionId: q.id };
+
+        switch (q.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false':
+                answer.selectedOptions = Array.from(container.querySelectorAll(`input[name="q_${q.id}"]:checked`)).map(i => i.value);
+                break;
+            case 'ordering':
+                answer.selectedOptions = Array.from(container.querySelectorAll(`.test-order-list[data-question-id="${q.id}"] .test-order-item`))
+                    .map(item => item.dataset.optionId);
+                break;
+            case 'matching':
+                answer.matches = {};
+                container.querySelectorAll(`select[name="q_${q.id}"]`).forEach(select => {
+                    if (select.value) answer.matches[select.dataset.optionId] = select.value;
+                });
+                break;
+            case 'cloze':
+                answer.blanks = [];
+                container.querySelectorAll(`input[name="q_${q.id}"]`).forEach(input => {
+                    answer.blanks[parseInt(input.dataset.blank) - 1] = input.value.trim();
+                });
+                answer.blanks = Array.from(answer.blanks, b => b || '');
+                break;
+            default: {
+                const input = container.querySelector(`[name="q_${q.id}"]`);
+                answer.answerText = input?.value?.trim() || '';
+            }
+        }
+
+        return answer;
+    },
+
+    /**
+     * Fills the inputs of a question with a saved answer
+     * @param {Object} q - Question as returned for taking
+     * @param {HTMLElement} container - Test form container
+     * @param {Object} answer - Saved answer ({ selectedOptions, answerText, matches, blanks })
+     */
+    restoreAnswer(q, container, answer) {
+        switch (q.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false': {
+                const selected = answer.selectedOptions || [];
+                container.querySelectorAll(`input[name="q_${q.id}"]`).forEach(input => {
+                    input.checked = selected.includes(input.value);
+                });
+                break;
+            }
+            case 'ordering': {
+                const list = container.querySelector(`.test-order-list[data-question-id="${q.id}"]`);
+                (answer.selectedOptions || []).forEach(id => {
+                    const item = list?.querySelector(`.test-order-item[data-option-id="${id}"]`);
+                    if (item) list.appendChild(item);
+                });
+                break;
+            }
+            case 'matching': {
+                const matches = answer.matches || {};
+                container.querySelectorAll(`select[name="q_${q.id}"]`).forEach(select => {
+                    select.value = matches[select.dataset.optionId] || '';
+                });
+                break;
+            }
+            case 'cloze': {
+                const blanks = answer.blanks || [];
+                container.querySelectorAll(`input[name="q_${q.id}"]`).forEach(input => {
+                    input.value = blanks[parseInt(input.dataset.blank) - 1] || '';
+                });
+                break;
+            }
+            default: {
+                const input = container.querySelector(`[name="q_${q.id}"]`);
+                if (input) input.value = answer.answerText || '';
+            }
+        }
+    },
+
+    // ==========================================
+    // RESULTS
+    // ==========================================
+
+    /**
+     * Renders the submitted answer of an ordering, matching, numeric or cloze question
+     * @param {Object} a - Result answer with responseData
+     * @param {boolean} canEvaluate - Whether correct answers may be shown
+     */
+    renderAnswerDetails(a, canEvaluate) {
+        const data = a.responseData || {};
+        const statusOf = (isCorrect) => canEvaluate
+            ? { optClass: isCorrect ? 'option-correct-selected' : 'option-incorrect-selected', icon: isCorrect ? '✓' : '✗' }
+            : { optClass: 'option-selected-only', icon: '●' };
+        const scoringInfo = canEvaluate && data.total
+            ? `<p class="result-scoring-info"><small>${data.correctCount || 0}/${data.total} richtig</small></p>`
+            : '';
+
+        switch (a.questionType) {
+            case 'ordering': {
+                const submitted = data.submittedOrder || [];
+                if (submitted.length === 0) {
+                    return '<p class="result-answer-text text-muted"><em>Keine Reihenfolge angegeben</em></p>';
+                }
+                const items = data.items || [];
+                return `
+                    <div class="result-options">
+                        ${submitted.map((s, index) => {
+                            const item = items.find(i => i.id === s.id) || {};
+                            const status = statusOf(item.correctPosition === index + 1);
+                            return `
+                                <div class="result-option ${status.optClass}">
+                                    <span class="option-status">${index + 1}.</span>
+                                    <span class="option-text">${Helpers.escapeHtml(s.text)}</span>
+                                    ${canEvaluate && item.correctPosition !== index + 1 ? `<span class="option-badge correct">Richtig: Position ${item.correctPosition}</span>` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                    ${scoringInfo}
+                `;
+            }
+            case 'matching': {
+                const pairs = data.pairs || [];
+                return `
+                    <div class="result-options">
+                        ${pairs.map(p => {
+                            const status = p.submittedMatch ? statusOf(p.isCorrect) : { optClass: 'option-not-selected', icon: '' };
+                            return `
+                                <div class="result-option ${status.optClass}">
+                                    <span class="option-status">${status.icon}</span>
+                                    <span class="option-text">${Helpers.escapeHtml(p.text)} → ${p.submittedMatch ? Helpers.escapeHtml(p.submittedMatch) : '<em>nicht zugeordnet</em>'}</span>
+                                    ${canEvaluate && !p.isCorrect ? `<span class="option-badge correct">Richtig: ${Helpers.escapeHtml(p.correctMatch)}</span>` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                    ${scoringInfo}
+                `;
+            }
+            case 'numeric':
+                if (!a.answerText) {
+                    return '<p class="result-answer-text text-muted"><em>Keine Antwort eingegeben</em></p>';
+                }
+                return `
+                    <p class="result-answer-text"><strong>Antwort:</strong> ${Helpers.escapeHtml(a.answerText)}</p>
+                    ${canEvaluate && data.expected !== undefined && data.expected !== null ? `
+                        <p class="result-scoring-info">
+                            <small>Erwartet: ${data.expected}${data.tolerance ? ` ± ${data.tolerance}` : ''}</small>
+                        </p>
+                    ` : ''}
+                `;
+            case 'cloze': {
+                const blanks = data.blanks || [];
+                return `
+                    <div class="result-options">
+                        ${blanks.map(b => {
+                            const status = b.answer ? statusOf(b.isCorrect) : { optClass: 'option-not-selected', icon: '' };
+                            return `
+                                <div class="result-option ${status.optClass}">
+                                    <span class="option-status">${status.icon}</span>
+                                    <span class="option-text">Lücke ${b.index}: ${b.answer ? Helpers.escapeHtml(b.answer) : '<em>leer</em>'}</span>
+                                    ${canEvaluate && !b.isCorrect ? `<span class="option-badge correct">Richtig: ${Helpers.escapeHtml((b.accepted || []).join(' / '))}</span>` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                    ${scoringInfo}
+                `;
+            }
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Renders the explanation of a question and, in results, the explanations of its options
+     * @param {string} explanation - Question explanation
+     * @param {Array} optionExplanations - [{ text, explanation }] (optional)
+     */
+    renderExplanation(explanation, optionExplanations = []) {
+        if (!explanation && optionExplanations.length === 0) return '';
+        return `
+            <div class="kc-explanation">
+                <h5>Erläuterung</h5>
+                ${explanation ? `<p>${Helpers.escapeHtml(explanation)}</p>` : ''}
+                ${optionExplanations.length > 0 ? `
+                    <ul>
+                        ${optionExplanations.map(o => `<li><strong>${Helpers.escapeHtml(o.text)}:</strong> ${Helpers.escapeHtml(o.explanation)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Renders the answer key of a question for the question detail views
+     * @param {Object} q - Question with options and correct answers
+     */
+    renderSolution(q) {
+        const options = q.options || [];
+
+        switch (q.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false':
+                if (options.length === 0) return '';
+                return `
+                    <div class="question-detail-section">
+                        <h5>Antwortmöglichkeiten</h5>
+                        <ul class="question-options-list">
+                            ${options.map(o => `
+                                <li class="${o.isCorrect ? 'correct' : ''}">
+                                    ${o.isCorrect ? '<span class="badge badge-success">✓</span>' : '<span class="badge badge-outline">○</span>'}
+                                    ${Helpers.escapeHtml(o.text)}
+                                    ${this.renderMedia([o.media], true)}
+                                    ${o.explanation ? `<div class="kc-option-explanation">${Helpers.escapeHtml(o.explanation)}</div>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                        ${q.questionType === 'multiple_choice' && q.allowPartialAnswer ? '<p class="text-muted"><small>Teilweise Antworten erlaubt</small></p>' : ''}
+                    </div>
+                `;
+            case 'ordering':
+                return `
+                    <div class="question-detail-section">
+                        <h5>Richtige Reihenfolge</h5>
+                        <ol class="question-options-list">
+                            ${options.map(o => `<li>${Helpers.escapeHtml(o.text)}${this.renderMedia([o.media], true)}</li>`).join('')}
+                        </ol>
+                        ${q.allowPartialAnswer ? '<p class="text-muted"><small>Teilweise Antworten erlaubt</small></p>' : ''}
+                    </div>
+                `;
+            case 'matching':
+                return `
+                    <div class="question-detail-section">
+                        <h5>Zuordnungen</h5>
+                        <ul class="question-options-list">
+                            ${options.map(o => `<li>${Helpers.escapeHtml(o.text)}${this.renderMedia([o.media], true)} → ${Helpers.escapeHtml(o.matchText || '')}</li>`).join('')}
+                        </ul>
+                        ${q.allowPartialAnswer ? '<p class="text-muted"><small>Teilweise Antworten erlaubt</small></p>' : ''}
+                    </div>
+                `;
+            case 'numeric':
+                return `
+                    <div class="question-detail-section">
+                        <h5>Erwartete Antwort</h5>
+                        <p><strong>Wert:</strong> ${Helpers.escapeHtml(q.exactAnswer || '')}${q.numericTolerance ? ` ± ${q.numericTolerance}` : ''}</p>
+                    </div>
+                `;
+            case 'cloze':
+                return `
+                    <div class="question-detail-section">
+                        <h5>Lücken</h5>
+                        <ul class="question-options-list">
+                            ${options.map((o, i) => `
+                                <li>
+                                    <strong>Lücke ${i + 1}:</strong>
+                                    ${o.text.split('|').map(a => `<span class="badge badge-info">${Helpers.escapeHtml(a.trim())}</span>`).join(' ')}
+                                </li>
+                            `).join('')}
+                        </ul>
+                        ${q.allowPartialAnswer ? '<p class="text-muted"><small>Teilweise Antworten erlaubt</small></p>' : ''}
+                    </div>
+                `;
+            case 'open_question':
+                return `
+                    <div class="question-detail-section">
+                        <h5>Erwartete Antwort</h5>
+                        ${q.exactAnswer ? `<p><strong>Exakte Antwort:</strong> ${Helpers.escapeHtml(q.exactAnswer)}</p>` : ''}
+                        ${q.answerRules ? this.renderAnswerRules(q.answerRules) : q.triggerWords && q.triggerWords.length > 0 ? `
+                            <p><strong>Schlüsselwörter:</strong></p>
+                            <div class="trigger-words-display">
+                                ${q.triggerWords.map(tw => `<span class="badge badge-info">${Helpers.escapeHtml(tw)}</span>`).join(' ')}
+                            </div>
+                        ` : ''}
+                        ${q.allowPartialAnswer ? '<p class="text-muted"><small>Teilweise Antworten erlaubt</small></p>' : ''}
+                    </div>
+                `;
+            default:
+                return '';
+        }
+    }
+};
+
+// Export for use in other modules
+window.KCQuestionTypes = KCQuestionTypes;
@@ -129,9 +129,15 @@ const Permissions = {
         
         // Knowledge Check buttons
         this.toggleElement('add-kc-question-btn', 'kc_questions_create');
+        this.toggleElement('import-kc-questions-btn', 'kc_questions_create');
+        this.toggleElement('export-kc-questions-btn', 'kc_questions_view');
+        this.toggleElement('kc-question-analytics-btn', 'kc_questions_view');
         this.toggleElement('add-kc-category-btn', 'kc_categories_create');
         this.toggleElement('add-kc-test-btn', 'kc_tests_create');
         this.toggleElement('export-kc-results-btn', 'kc_results_view');
+        this.toggleElement('kc-certifications-btn', 'kc_results_view');
+        this.toggleElement('kc-certificate-template-btn', 'kc_certificates_manage');
+        this.toggleElement('add-learning-path-btn', 'kc_learning_paths_manage');
     },
 
     /**
@@ -253,6 +259,10 @@ const Permissions = {
         return this.hasPermission('kc_results_view');
     },
 
+    canEvaluateKCResults() {
+        return this.hasPermission('kc_results_evaluate');
+    },
+
     canAccessKCArchive() {
         return this.hasPermission('kc_archive_access');
     },
@@ -391,13 +401,17 @@ const Permissions = {
             'kc_tests_create': 'Create Tests',
             'kc_tests_edit': 'Edit Tests',
             'kc_tests_view': 'View Test Catalog',
+            // Knowledge Check permissions - Review
+            'kc_content_review': 'Review Questions and Tests',
             // Knowledge Check permissions - Results
             'kc_results_delete': 'Delete Test Results',
             'kc_results_evaluate': 'Evaluate Test Results',
             'kc_results_view': 'View Test Results',
+            'kc_certificates_manage': 'Manage Certificate Template',
             // Knowledge Check permissions - Test Runs & Assignments
             'kc_assign_tests': 'Create Test Run',
             'kc_assigned_view': 'View Assigned Tests',
+            'kc_learning_paths_manage': 'Manage Learning Paths',
             // Knowledge Check permissions - Archive
             'kc_archive_access': 'Archive Access',
             // Knowledge Check permissions - Tab
@@ -441,10 +455,16 @@ const Permissions = {
             'kc_questions_delete', 'kc_questions_create', 'kc_questions_edit', 'kc_questions_view',
             // Tests (Delete > Create > Edit > View)
             'kc_tests_delete', 'kc_tests_create', 'kc_tests_edit', 'kc_tests_view',
+            // Review (publish questions and tests)
+            'kc_content_review',
             // Results (Delete > Evaluate > View)
             'kc_results_delete', 'kc_results_evaluate', 'kc_results_view',
+            // Certificates
+            'kc_certificates_manage',
             // Test Runs & Assignments
             'kc_assign_tests', 'kc_assigned_view',
+            // Learning Paths
+            'kc_learning_paths_manage',
             // Archive
             'kc_archive_access',
             // Tab Access
@@ -156,7 +156,7 @@ const KCArchiveView = {
                 <div class="archive-item-content">
                     <div class="archive-item-header">
                         ${q.title ? `<strong>${Helpers.escapeHtml(q.title)}</strong>` : ''}
-                        <span class="badge badge-secondary">${q.questionType === 'multiple_choice' ? 'Multiple Choice' : 'Offene Frage'}</span>
+                        <span class="badge badge-secondary">${KCQuestionTypes.getLabel(q.questionType)}</span>
                     </div>
                     <p class="archive-item-text">${Helpers.escapeHtml(Helpers.truncate(q.questionText, 150))}</p>
                     <div class="archive-item-meta">
@@ -431,7 +431,7 @@ const KCArchiveView = {
     async permanentDeleteQuestion(id) {
         const confirmed = await Modal.confirm({
             title: 'Frage endgültig löschen',
-            message: 'ACHTUNG: Diese Aktion kann nicht rückgängig gemacht werden! Die Frage und alle zugehörigen Antwortdaten werden unwiderruflich gelöscht. Historische Testergebnisse könnten dadurch unvollständig werden.',
+            message: 'ACHTUNG: Diese Aktion kann nicht rückgängig gemacht werden! Die Frage wird unwiderruflich gelöscht. Testergebnisse behalten die Fassung der Frage zum Zeitpunkt des Tests, nur Antworten aus älteren Ergebnissen ohne diese Kopie werden mitgelöscht.',
             confirmText: 'Endgültig löschen',
             confirmClass: 'btn-danger'
         });
@@ -5,7 +5,12 @@
 
 const KCAssignedView = {
     assignments: [],
+    learningPaths: [],
+    practiceTests: [],
     eventsBound: false,
+    timerInterval: null,
+    autosaveInterval: null,
+    AUTOSAVE_INTERVAL_MS: 15000,
 
     /**
      * Initializes the assigned tests view
@@ -27,14 +32,24 @@ const KCAssignedView = {
     },
 
     /**
-     * Loads user's assignments
+     * Loads user's assignments, learning paths and practice tests
      */
     async loadAssignments() {
         try {
-            const result = await window.api.knowledgeCheck.getMyAssignments();
+            const [result, pathsResult, practiceResult] = await Promise.all([
+                window.api.knowledgeCheck.getMyAssignments(),
+                window.api.knowledgeCheck.getMyLearningPaths(),
+                window.api.knowledgeCheck.getPracticeTests()
+            ]);
             if (result.success) {
                 this.assignments = result.assignments;
             }
+            if (pathsResult.success) {
+                this.learningPaths = pathsResult.paths;
+            }
+            if (practiceResult.success) {
+                this.practiceTests = practiceResult.tests;
+            }
         } catch (error) {
             console.error('Failed to load assignments:', error);
             Toast.error('Zugewiesene Tests konnten nicht geladen werden');
@@ -48,11 +63,12 @@ const KCAssignedView = {
         const container = document.getElementById('kc-assigned-list');
         if (!container) return;
 
-        // Separate pending and completed assignments
-        const pending = this.assignments.filter(a => a.status === 'pending');
+        // Separate upcoming (availability window not open yet), open (pending or started) and completed assignments
+        const upcoming = this.assignments.filter(a => a.status !== 'completed' && this.isUpcoming(a));
+        const pending = this.assignments.filter(a => ['pending', 'in_progress', 'overdue'].includes(a.status) && !this.isUpcoming(a));
         const completed = this.assignments.filter(a => a.status === 'completed');
 
-        if (this.assignments.length === 0) {
+        if (this.assignments.length === 0 && this.learningPaths.length === 0 && this.practiceTests.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 48px; height: 48px; margin-bottom: var(--space-md);">
@@ -68,6 +84,21 @@ const KCAssignedView = {
 
         let html = '';
 
+        // Learning paths with their step progress
+        if (this.learningPaths.length > 0) {
+            html += `
+                <div class="assignment-section">
+                    <h3 class="section-title">
+                        <span class="badge badge-info">${this.learningPaths.length}</span>
+                        Lernpfade
+                    </h3>
+                    <div class="assignment-cards">
+                        ${this.learningPaths.map(p => this.renderLearningPath(p)).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
         // Pending tests section
         if (pending.length > 0) {
             html += `
@@ -83,6 +114,21 @@ const KCAssignedView = {
             `;
         }
 
+        // Upcoming tests - shown locked with their start time
+        if (upcoming.length > 0) {
+            html += `
+                <div class="assignment-section">
+                    <h3 class="section-title">
+                        <span class="badge badge-secondary">${upcoming.length}</span>
+                        Demnächst verfügbar
+                    </h3>
+                    <div class="assignment-cards">
+                        ${upcoming.map(a => this.renderAssignmentCard(a, true)).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
         // Completed tests section
         if (completed.length > 0) {
             html += `
@@ -98,40 +144,128 @@ const KCAssignedView = {
             `;
         }
 
+        // Practice tests - not graded, can be repeated any time
+        if (this.practiceTests.length > 0) {
+            html += `
+                <div class="assignment-section">
+                    <h3 class="section-title">
+                        <span class="badge badge-secondary">${this.practiceTests.length}</span>
+                        Übungstests
+                    </h3>
+                    <div class="assignment-cards">
+                        ${this.practiceTests.map(t => this.renderPracticeCard(t)).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
         container.innerHTML = html;
         this.bindCardActions();
     },
 
+    /**
+     * Renders a learning path with its steps (passed, unlocked or locked)
+     */
+    renderLearningPath(path) {
+        const isCompleted = path.status === 'completed';
+        const stepText = (step) => {
+            if (step.state === 'passed') return `Bestanden (${step.percentage}%)`;
+            if (step.state === 'locked') return 'Gesperrt - wird nach Bestehen des vorherigen Tests freigeschaltet';
+            if (step.assignmentStatus === 'overdue') return `Überfällig${step.dueDate ? ` seit ${Helpers.formatDate(step.dueDate)}` : ''}`;
+            if (step.assignmentStatus === 'completed') return 'Nicht bestanden';
+            if (step.assignmentStatus === 'in_progress') return 'Begonnen';
+            return `Freigeschaltet${step.dueDate ? ` - fällig ${Helpers.formatDate(step.dueDate)}` : ''}`;
+        };
+
+        return `
+            <div class="assignment-card learning-path-card ${isCompleted ? 'completed' : 'pending'}">
+                <div class="assignment-card-header">
+                    <div class="assignment-test-info">
+                        <span class="assignment-test-number">Lernpfad</span>
+                        <h4>${Helpers.escapeHtml(path.pathName)}</h4>
+                    </div>
+                    <span class="badge ${isCompleted ? 'badge-success' : 'badge-info'}">
+                        ${isCompleted ? 'Abgeschlossen' : `${path.passedCount} von ${path.stepCount} bestanden`}
+                    </span>
+                </div>
+                ${path.pathDescription ? `<p class="text-muted">${Helpers.escapeHtml(path.pathDescription)}</p>` : ''}
+                <div class="progress-bar-container">
+                    <div class="progress-bar" style="width: ${path.progress}%"></div>
+                    <span class="progress-text">${path.progress}%</span>
+                </div>
+                <ol class="learning-path-steps">
+                    ${path.steps.map((step, index) => `
+                        <li class="learning-path-step ${step.state}">
+                            <span class="learning-path-step-marker">${step.state === 'passed' ? '&#10003;' : index + 1}</span>
+                            <div>
+                                <strong>${Helpers.escapeHtml(step.testName)}</strong>
+                                <small>${stepText(step)}</small>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    },
+
     /**
      * Renders a single assignment card
      */
     renderAssignmentCard(assignment, isPending) {
         const dueDate = assignment.dueDate ? new Date(assignment.dueDate) : null;
-        const isOverdue = dueDate && dueDate < new Date() && isPending;
+        const isOverdue = assignment.status === 'overdue';
+        const isStarted = assignment.status === 'in_progress' || (assignment.status === 'overdue' && assignment.attemptCount > 0);
+        const isLocked = this.isUpcoming(assignment);
+        const isClosed = this.isClosed(assignment);
         
         return `
-            <div class="assignment-card ${isPending ? 'pending' : 'completed'} ${isOverdue ? 'overdue' : ''}" data-assignment-id="${assignment.id}">
+            <div class="assignment-card ${isPending ? 'pending' : 'completed'} ${isOverdue ? 'overdue' : ''} ${isPending && (isLocked || isClosed) ? 'locked' : ''}" data-assignment-id="${assignment.id}">
                 <div class="assignment-card-header">
                     <div class="assignment-test-info">
                         <span class="assignment-test-number">${Helpers.escapeHtml(assignment.testNumber)}</span>
                         <h4>${Helpers.escapeHtml(assignment.testName)}</h4>
+                        ${isStarted ? '<span class="badge badge-info">Begonnen</span>' : ''}
                     </div>
                     <div class="assignment-card-actions">
-                        ${isPending ? `
+                        ${isPending ? (isLocked ? `
+                            <span class="assignment-locked">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                                    <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                                </svg>
+                                Ab ${Helpers.formatDateTime(assignment.availableFrom)}
+                            </span>
+                        ` : isClosed ? `
+                            <span class="assignment-locked">Nicht mehr verfügbar</span>
+                        ` : `
                             <button class="btn btn-primary btn-start-test" data-id="${assignment.id}" data-test-id="${assignment.testId}">
-                                Test starten
+                                ${isStarted ? 'Test fortsetzen' : 'Test starten'}
                             </button>
-                        ` : `
+                        `) : `
                             ${assignment.resultPercentage !== undefined ? `
                                 <span class="result-badge ${assignment.resultPassed ? 'passed' : 'failed'}">${assignment.resultPercentage}%</span>
                             ` : ''}
                             <button class="btn btn-secondary btn-view-result" data-id="${assignment.id}" data-result-id="${assignment.resultId}">
                                 Ergebnis anzeigen
                             </button>
+                            ${assignment.retake?.canRetake && !isClosed ? `
+                                <button class="btn btn-primary btn-retake-test" data-id="${assignment.id}" data-test-id="${assignment.testId}">
+                                    Test wiederholen
+                                </button>
+                            ` : ''}
                         `}
                     </div>
                 </div>
                 <div class="assignment-card-meta">
+                    ${assignment.pathName ? `
+                        <div class="meta-item">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="4 17 10 11 4 5"></polyline>
+                                <line x1="12" y1="19" x2="20" y2="19"></line>
+                            </svg>
+                            <span>Lernpfad: ${Helpers.escapeHtml(assignment.pathName)}</span>
+                        </div>
+                    ` : ''}
                     <div class="meta-item">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
@@ -148,6 +282,18 @@ const KCAssignedView = {
                         </svg>
                         <span>Zugewiesen: ${Helpers.formatDate(assignment.createdAt)}</span>
                     </div>
+                    ${assignment.availableFrom || assignment.availableUntil ? `
+                        <div class="meta-item">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                                <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                            </svg>
+                            <span>Verfügbar: ${[
+                                assignment.availableFrom ? `ab ${Helpers.formatDateTime(assignment.availableFrom)}` : '',
+                                assignment.availableUntil ? `bis ${Helpers.formatDateTime(assignment.availableUntil)}` : ''
+                            ].filter(Boolean).join(' ')}</span>
+                        </div>
+                    ` : ''}
                     ${dueDate ? `
                         <div class="meta-item ${isOverdue ? 'overdue-text' : ''}">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -173,6 +319,20 @@ const KCAssignedView = {
                             <span>Zeitlimit: ${assignment.timeLimitMinutes} Minuten</span>
                         </div>
                     ` : ''}
+                    ${assignment.attemptCount > 0 ? `
+                        <div class="meta-item">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="23 4 23 10 17 10"></polyline>
+                                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                            </svg>
+                            <span>Versuche: ${assignment.attemptCount}${assignment.maxAttempts > 0 ? ` von ${assignment.maxAttempts}` : ''}</span>
+                        </div>
+                    ` : ''}
+                    ${!isPending && assignment.retake && !assignment.retake.canRetake && assignment.retake.code !== 'MAX_ATTEMPTS' ? `
+                        <div class="meta-item">
+                            <span>${this.getRetakeBlockedText(assignment.retake)}</span>
+                        </div>
+                    ` : ''}
                 </div>
                 ${assignment.notes ? `
                     <div class="assignment-notes">
@@ -183,6 +343,64 @@ const KCAssignedView = {
         `;
     },
 
+    /**
+     * Renders a test that can be practiced
+     */
+    renderPracticeCard(test) {
+        return `
+            <div class="assignment-card practice" data-test-id="${test.id}">
+                <div class="assignment-card-header">
+                    <div class="assignment-test-info">
+                        <span class="assignment-test-number">${Helpers.escapeHtml(test.testNumber)}</span>
+                        <h4>${Helpers.escapeHtml(test.name)}</h4>
+                        <span class="badge badge-secondary">Übung</span>
+                    </div>
+                    <div class="assignment-card-actions">
+                        ${test.bestPercentage !== null && test.bestPercentage !== undefined ? `
+                            <span class="result-badge ${test.bestPercentage >= test.passingScore ? 'passed' : 'failed'}" title="Bestes Übungsergebnis">${test.bestPercentage}%</span>
+                        ` : ''}
+                        <button class="btn btn-secondary btn-start-practice" data-test-id="${test.id}">Üben</button>
+                    </div>
+                </div>
+                <div class="assignment-card-meta">
+                    <div class="meta-item">
+                        <span>${test.questionCount} Fragen · Bestehensgrenze: ${test.passingScore}%</span>
+                    </div>
+                    <div class="meta-item">
+                        <span>Geübt: ${test.practiceCount}×${test.lastPracticedAt ? `, zuletzt ${Helpers.formatDate(test.lastPracticedAt)}` : ''}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Whether the availability window of an assignment has not opened yet
+     */
+    isUpcoming(assignment) {
+        return assignment.status === 'scheduled' || (!!assignment.availableFrom && new Date(assignment.availableFrom) > new Date());
+    },
+
+    /**
+     * Whether the availability window of an assignment has closed
+     */
+    isClosed(assignment) {
+        return !!assignment.availableUntil && new Date(assignment.availableUntil) <= new Date();
+    },
+
+    /**
+     * Describes why a completed test cannot be retaken (yet)
+     */
+    getRetakeBlockedText(retake) {
+        if (retake.code === 'COOLDOWN') {
+            return `Wiederholung möglich ab: ${Helpers.formatDateTime(retake.availableAt)}`;
+        }
+        if (retake.code === 'ALREADY_PASSED') {
+            return 'Bestanden - keine Wiederholung nötig';
+        }
+        return 'Keine weiteren Versuche möglich';
+    },
+
     /**
      * Binds actions for assignment cards
      */
@@ -192,8 +410,11 @@ const KCAssignedView = {
             card.addEventListener('dblclick', () => {
                 const startBtn = card.querySelector('.btn-start-test');
                 const viewBtn = card.querySelector('.btn-view-result');
+                const practiceBtn = card.querySelector('.btn-start-practice');
                 if (startBtn) {
                     this.startAssignedTest(startBtn.dataset.id, startBtn.dataset.testId);
+                } else if (practiceBtn) {
+                    this.startPractice(practiceBtn.dataset.testId);
                 } else if (viewBtn) {
                     this.viewResult(viewBtn.dataset.resultId);
                 }
@@ -209,6 +430,22 @@ const KCAssignedView = {
             });
         });
 
+        // Retake buttons (completed tests within the retake policy)
+        document.querySelectorAll('.btn-retake-test').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const confirmed = await Modal.confirm({
+                    title: 'Test wiederholen',
+                    message: 'Möchten Sie einen neuen Versuch für diesen Test starten?',
+                    confirmText: 'Neuer Versuch',
+                    confirmClass: 'btn-primary'
+                });
+                if (confirmed) {
+                    this.startAssignedTest(btn.dataset.id, btn.dataset.testId);
+                }
+            });
+        });
+
         // View result buttons
         document.querySelectorAll('.btn-view-result').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -216,6 +453,14 @@ const KCAssignedView = {
                 this.viewResult(btn.dataset.resultId);
             });
         });
+
+        // Practice buttons
+        document.querySelectorAll('.btn-start-practice').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.startPractice(btn.dataset.testId);
+            });
+        });
     },
 
     /**
@@ -227,26 +472,40 @@ const KCAssignedView = {
             // This only requires kc_assigned_view permission
             const result = await window.api.knowledgeCheck.getTakeTestData(assignmentId);
             if (!result.success) {
+                if (result.code === 'ATTEMPT_EXPIRED') {
+                    // Time ran out while the test was closed - server submitted it automatically
+                    Toast.warning('Das Zeitlimit ist abgelaufen. Der Test wurde automatisch abgegeben.');
+                    await this.refresh();
+                    return;
+                }
+                if (result.code === 'NOT_YET_AVAILABLE' || result.code === 'NO_LONGER_AVAILABLE') {
+                    Toast.warning(result.code === 'NOT_YET_AVAILABLE'
+                        ? `Der Test ist erst ab ${Helpers.formatDateTime(result.availableFrom)} verfügbar`
+                        : 'Der Test ist nicht mehr verfügbar');
+                    await this.refresh();
+                    return;
+                }
                 Toast.error(result.error || 'Test konnte nicht geladen werden');
                 return;
             }
 
-            const { test, questions } = result;
+            const { test, questions, attempt } = result;
 
             if (!questions || questions.length === 0) {
                 Toast.error('Der Test enthält keine Fragen');
                 return;
             }
 
-            // Get current user
-            const userResult = await window.api.auth.getCurrentUser();
-            if (!userResult.success) {
-                Toast.error('Benutzer konnte nicht ermittelt werden');
-                return;
+            // Restore autosaved answers when an attempt is resumed
+            let draft = null;
+            if (attempt?.resumed) {
+                const draftResult = await window.api.knowledgeCheck.getAssignmentDraft(assignmentId);
+                draft = draftResult.success ? draftResult.draft : null;
+                Toast.info('Laufender Testversuch wird fortgesetzt');
             }
 
             // Show test taking modal
-            this.showTestTakingModal(test, questions, userResult.user.id, assignmentId);
+            this.showTestTakingModal(test, questions, assignmentId, attempt, draft);
         } catch (error) {
             console.error('Start assigned test error:', error);
             Toast.error('Fehler beim Starten des Tests');
@@ -255,10 +514,11 @@ const KCAssignedView = {
 
     /**
      * Shows the test taking modal
+     * @param {Object} draft - Autosaved answers to restore (optional)
+     * @param {Object} preview - { questionSet } for an author preview - nothing is saved and
+     *   the answers are only graded (optional)
      */
-    showTestTakingModal(test, questions, userId, assignmentId) {
-        const startTime = new Date().toISOString();
-        
+    showTestTakingModal(test, questions, assignmentId, attempt, draft = null, preview = null) {
         let questionsHtml = questions.map((q, index) => `
             <div class="test-question" data-question-id="${q.id}" data-question-index="${index}">
                 <div class="test-question-header">
@@ -266,22 +526,10 @@ const KCAssignedView = {
                     <span class="badge badge-info">Gewichtung: ${q.effectiveWeighting || 1}</span>
                 </div>
                 ${q.title ? `<h4>${Helpers.escapeHtml(q.title)}</h4>` : ''}
-                <p class="test-question-text">${Helpers.escapeHtml(q.questionText)}</p>
+                ${q.questionType !== 'cloze' ? `<p class="test-question-text">${Helpers.escapeHtml(q.questionText)}</p>` : ''}
+                ${KCQuestionTypes.renderMedia(q.media)}
                 
-                ${q.questionType === 'multiple_choice' ? `
-                    <div class="test-options">
-                        ${q.options.map((opt, oi) => `
-                            <label class="test-option">
-                                <input type="checkbox" name="q_${q.id}" value="${opt.id}" data-correct="${opt.isCorrect}">
-                                <span>${Helpers.escapeHtml(opt.text)}</span>
-                            </label>
-                        `).join('')}
-                    </div>
-                ` : `
-                    <div class="test-answer-input">
-                        <textarea name="q_${q.id}" class="form-textarea" rows="3" placeholder="Ihre Antwort..."></textarea>
-                    </div>
-                `}
+                ${KCQuestionTypes.renderInput(q)}
             </div>
         `).join('');
 
@@ -290,6 +538,19 @@ const KCAssignedView = {
                 <div class="test-info">
                     <h3>${Helpers.escapeHtml(test.name)}</h3>
                     <p>${questions.length} Fragen · Bestehensgrenze: ${test.passingScore}%</p>
+                    ${preview ? '<p class="kc-preview-hint">Vorschau - Antworten und Ergebnis werden nicht gespeichert</p>' : ''}
+                    ${attempt?.deadlineAt ? `
+                        <div class="test-timer" id="test-timer">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <polyline points="12 6 12 12 16 14"></polyline>
+                            </svg>
+                            <span class="test-timer-value">--:--</span>
+                        </div>
+                    ` : ''}
+                    <p class="test-autosave-status" id="test-autosave-status">
+                        ${draft?.savedAt ? `Zuletzt gespeichert: ${Helpers.formatDateTime(draft.savedAt)}` : ''}
+                    </p>
                 </div>
                 <form id="test-taking-form">
                     ${questionsHtml}
@@ -300,6 +561,7 @@ const KCAssignedView = {
         const template = document.createElement('template');
         template.innerHTML = formHtml.trim();
         const content = template.content.firstElementChild;
+        KCQuestionTypes.loadMedia(content);
 
         const footer = document.createElement('div');
         footer.style.display = 'flex';
@@ -318,142 +580,108 @@ const KCAssignedView = {
         footer.appendChild(cancelBtn);
         footer.appendChild(submitBtn);
 
+        // Time per question - counted for the question the user last worked on
+        const timeSpent = {};
+        (draft?.answers || []).forEach(a => {
+            if (a.timeSpentSeconds !== undefined) timeSpent[a.questionId] = a.timeSpentSeconds * 1000;
+        });
+        let activeQuestionId = null;
+        let activeSince = Date.now();
+        const trackTime = (questionId) => {
+            const now = Date.now();
+            if (activeQuestionId) {
+                timeSpent[activeQuestionId] = (timeSpent[activeQuestionId] || 0) + (now - activeSince);
+            }
+            activeQuestionId = questionId;
+            activeSince = now;
+        };
+
+        // Only raw answers are sent, grading happens on the server
+        const collectAnswers = () => {
+            trackTime(activeQuestionId);
+            return questions.map(q => ({
+                ...KCQuestionTypes.collectAnswer(q, content),
+                timeSpentSeconds: timeSpent[q.id] !== undefined ? Math.round(timeSpent[q.id] / 1000) : null
+            }));
+        };
+
+        // Autosave - answers are stored as a draft so a reload or closed window loses nothing
+        let isDirty = false;
+        const autosaveStatus = content.querySelector('#test-autosave-status');
+        const saveDraft = async () => {
+            if (!isDirty || preview) return;
+            isDirty = false;
+
+            try {
+                const saveResult = await window.api.knowledgeCheck.saveAssignmentDraft(assignmentId, { answers: collectAnswers() });
+                if (saveResult.success) {
+                    autosaveStatus.textContent = `Zuletzt gespeichert: ${Helpers.formatDateTime(saveResult.savedAt)}`;
+                } else if (saveResult.code !== 'ATTEMPT_EXPIRED') {
+                    isDirty = true;
+                }
+            } catch (error) {
+                console.error('Autosave test error:', error);
+                isDirty = true;
+            }
+        };
+
+        KCQuestionTypes.bindInputs(content);
+
+        if (draft?.answers) {
+            this.restoreDraft(content, questions, draft.answers);
+        }
+
+        const form = content.querySelector('#test-taking-form');
+        form.addEventListener('input', () => { isDirty = true; });
+        form.addEventListener('change', () => { isDirty = true; });
+        ['focusin', 'click', 'input'].forEach(type => form.addEventListener(type, (e) => {
+            const questionEl = e.target.closest('.test-question');
+            if (questionEl && questionEl.dataset.questionId !== activeQuestionId) {
+                trackTime(questionEl.dataset.questionId);
+            }
+        }));
+
         Modal.open({
-            title: `Test: ${test.testNumber}`,
+            title: `${preview ? 'Vorschau' : 'Test'}: ${test.testNumber}`,
             content,
             footer,
-            size: 'full'
+            size: 'full',
+            onClose: () => {
+                this.stopTimer();
+                this.stopAutosave();
+                // Keep the latest answers when the test is closed without submitting
+                saveDraft();
+            }
         });
 
-        // Submit handler
-        submitBtn.addEventListener('click', async () => {
-            const answers = [];
-            let totalScore = 0;
-            let maxScore = 0;
-
-            for (const q of questions) {
-                const weighting = q.effectiveWeighting || 1;
-                maxScore += weighting;
-
-                if (q.questionType === 'multiple_choice') {
-                    const checkboxes = document.querySelectorAll(`input[name="q_${q.id}"]`);
-                    const selectedOptions = [];
-                    const selectedOptionDetails = []; // Store detailed info about selections
-                    const allOptions = []; // Store all options with their status
-                    let correctSelected = 0;
-                    let incorrectSelected = 0;
-                    let totalCorrectOptions = 0;
-                    let allCorrect = true;
-
-                    checkboxes.forEach(cb => {
-                        const isCorrectOption = cb.dataset.correct === 'true';
-                        const optionText = cb.parentElement.querySelector('span')?.textContent || '';
-                        
-                        if (isCorrectOption) totalCorrectOptions++;
-                        
-                        // Track all options
-                        allOptions.push({
-                            id: cb.value,
-                            text: optionText,
-                            isCorrect: isCorrectOption,
-                            wasSelected: cb.checked
-                        });
-                        
-                        if (cb.checked) {
-                            selectedOptions.push(cb.value);
-                            selectedOptionDetails.push({
-                                id: cb.value,
-                                text: optionText,
-                                isCorrect: isCorrectOption
-                            });
-                            if (isCorrectOption) {
-                                correctSelected++;
-                            } else {
-                                incorrectSelected++;
-                                allCorrect = false;
-                            }
-                        } else if (isCorrectOption) {
-                            allCorrect = false;
-                        }
-                    });
-
-                    let score = 0;
-                    let isCorrect = allCorrect;
-
-                    if (q.allowPartialAnswer) {
-                        // Partial scoring: award points based on correct selections minus wrong selections
-                        // Formula: (correct - wrong) / totalCorrect * weighting, minimum 0
-                        const partialRatio = totalCorrectOptions > 0 
-                            ? Math.max(0, (correctSelected - incorrectSelected) / totalCorrectOptions)
-                            : 0;
-                        score = partialRatio * weighting;
-                        // Question is "correct" only if all correct options selected and no wrong ones
-                        isCorrect = correctSelected === totalCorrectOptions && incorrectSelected === 0;
-                    } else {
-                        // All-or-nothing scoring: must have all correct selected and no wrong selected
-                        score = allCorrect ? weighting : 0;
-                    }
+        if (!preview) {
+            this.startAutosave(saveDraft);
+        }
 
-                    totalScore += score;
-
-                    answers.push({
-                        questionId: q.id,
-                        selectedOptions,
-                        selectedOptionDetails, // Include detailed selection info
-                        allOptions, // Include all options for display
-                        correctSelected,
-                        incorrectSelected,
-                        totalCorrectOptions,
-                        allowPartialAnswer: q.allowPartialAnswer,
-                        isCorrect: isCorrect,
-                        score: score,
-                        maxScore: weighting
-                    });
-                } else {
-                    const textarea = document.querySelector(`textarea[name="q_${q.id}"]`);
-                    const answerText = textarea?.value?.trim() || '';
-                    
-                    // Check answer
-                    const checkResult = await window.api.knowledgeCheck.checkAnswer(
-                        answerText, 
-                        q.exactAnswer, 
-                        q.triggerWords
-                    );
-
-                    const isCorrect = checkResult.success && checkResult.isCorrect;
-                    const score = isCorrect ? weighting : 0;
-                    totalScore += score;
-
-                    answers.push({
-                        questionId: q.id,
-                        answerText,
-                        isCorrect,
-                        score,
-                        maxScore: weighting,
-                        evaluatorNotes: checkResult.success ? `Matched: ${checkResult.matchedTriggers?.join(', ') || 'none'}` : ''
-                    });
-                }
+        const submitTest = async () => {
+            const answers = collectAnswers();
+
+            // Nothing left to autosave once the test is submitted
+            this.stopAutosave();
+            isDirty = false;
+            submitBtn.disabled = true;
+
+            if (preview) {
+                await this.submitPreview(test, preview, answers, submitBtn);
+                return;
             }
 
-            // Create result
             try {
-                const createResult = await window.api.knowledgeCheck.createResult({
-                    testId: test.id,
-                    userId,
-                    startedAt: startTime,
-                    completedAt: new Date().toISOString(),
-                    totalScore,
-                    maxScore,
-                    answers
-                });
+                const submitResult = await window.api.knowledgeCheck.submitAssignment(assignmentId, { answers });
 
-                if (createResult.success) {
-                    // Update assignment status
-                    await window.api.knowledgeCheck.updateAssignment(assignmentId, {
-                        status: 'completed',
-                        resultId: createResult.result.id
-                    });
+                if (submitResult.code === 'ATTEMPT_EXPIRED') {
+                    Toast.warning('Das Zeitlimit ist abgelaufen. Antworten nach Ablauf wurden nicht gewertet.');
+                    Modal.close();
+                    await this.refresh();
+                    return;
+                }
 
+                if (submitResult.success) {
                     Toast.success('Test abgeschlossen!');
                     Modal.close();
                     await this.loadAssignments();
@@ -461,18 +689,132 @@ const KCAssignedView = {
 
                     // Show results
                     setTimeout(() => {
-                        this.viewResult(createResult.result.id);
+                        this.viewResult(submitResult.result.id);
                     }, 500);
                 } else {
-                    Toast.error(createResult.error || 'Fehler beim Speichern');
+                    submitBtn.disabled = false;
+                    this.startAutosave(saveDraft);
+                    Toast.error(submitResult.error || 'Fehler beim Speichern');
                 }
             } catch (error) {
                 console.error('Submit test error:', error);
+                submitBtn.disabled = false;
+                this.startAutosave(saveDraft);
                 Toast.error('Fehler beim Speichern des Tests');
             }
+        };
+
+        submitBtn.addEventListener('click', submitTest);
+
+        // Countdown based on the server clock - submits automatically when time is up
+        if (attempt?.deadlineAt) {
+            this.startTimer(attempt, () => {
+                Toast.warning('Zeit abgelaufen - Test wird abgegeben');
+                submitTest();
+            });
+        }
+    },
+
+    /**
+     * Grades the answers of an author preview and shows the outcome - no result is created
+     */
+    async submitPreview(test, preview, answers, submitBtn) {
+        try {
+            const result = await window.api.knowledgeCheck.submitTestPreview(test.id, { questionSet: preview.questionSet, answers });
+            if (!result.success) {
+                submitBtn.disabled = false;
+                Toast.error(result.error || 'Vorschau konnte nicht ausgewertet werden');
+                return;
+            }
+
+            Modal.close();
+            setTimeout(() => this.showResultModal(result.result, true, `Vorschau-Ergebnis: ${test.testNumber}`), 250);
+        } catch (error) {
+            console.error('Submit test preview error:', error);
+            submitBtn.disabled = false;
+            Toast.error('Fehler beim Auswerten der Vorschau');
+        }
+    },
+
+    /**
+     * Fills the test form with autosaved answers
+     * @param {HTMLElement} container - Test taking container
+     * @param {Array} questions - Questions of the attempt
+     * @param {Array} answers - Draft answers ({ questionId, selectedOptions, answerText, matches, blanks })
+     */
+    restoreDraft(container, questions, answers) {
+        answers.forEach(answer => {
+            const question = questions.find(q => q.id === answer.questionId);
+            if (question) {
+                KCQuestionTypes.restoreAnswer(question, container, answer);
+            }
         });
     },
 
+    /**
+     * Starts periodic autosaving of the open test
+     * @param {Function} saveFn - Saves the current answers if they changed
+     */
+    startAutosave(saveFn) {
+        this.stopAutosave();
+        this.autosaveInterval = setInterval(saveFn, this.AUTOSAVE_INTERVAL_MS);
+    },
+
+    /**
+     * Stops periodic autosaving
+     */
+    stopAutosave() {
+        if (this.autosaveInterval) {
+            clearInterval(this.autosaveInterval);
+            this.autosaveInterval = null;
+        }
+    },
+
+    /**
+     * Starts the countdown for a timed attempt
+     * @param {Object} attempt - Attempt with deadlineAt and serverTime from the server
+     * @param {Function} onExpire - Called once when the time is up
+     */
+    startTimer(attempt, onExpire) {
+        this.stopTimer();
+
+        // Offset between server and local clock, so a wrong local time cannot extend the limit
+        const clockOffset = new Date(attempt.serverTime).getTime() - Date.now();
+        const deadline = new Date(attempt.deadlineAt).getTime();
+
+        const tick = () => {
+            const remainingMs = Math.max(0, deadline - (Date.now() + clockOffset));
+            const totalSeconds = Math.ceil(remainingMs / 1000);
+            const minutes = Math.floor(totalSeconds / 60);
+            const seconds = totalSeconds % 60;
+
+            const timerEl = document.getElementById('test-timer');
+            if (timerEl) {
+                timerEl.querySelector('.test-timer-value').textContent =
+                    `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+                timerEl.classList.toggle('warning', totalSeconds <= 60);
+            }
+
+            if (remainingMs <= 0) {
+                this.stopTimer();
+                onExpire();
+            }
+        };
+
+        tick();
+        this.timerInterval = setInterval(tick, 1000);
+    },
+
+    /**
+     * Stops the countdown
+     */
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    },
+
     /**
      * Views a result
      */
@@ -484,135 +826,404 @@ const KCAssignedView = {
                 return;
             }
 
-            const data = result.result;
-            const canEvaluate = result.canEvaluate;
-            const scoreClass = data.passed ? 'score-pass' : 'score-fail';
+            this.showResultModal(result.result, result.canEvaluate, `Ergebnis: ${result.result.resultNumber}`);
+        } catch (error) {
+            console.error('View result error:', error);
+            Toast.error('Fehler beim Laden');
+        }
+    },
+
+    /**
+     * Shows a result with its answers
+     * @param {Object} data - Result as returned by getResultById (or a graded preview)
+     * @param {boolean} canEvaluate - Whether the full evaluation may be shown
+     * @param {string} title - Modal title
+     */
+    showResultModal(data, canEvaluate, title) {
+        // The server leaves out what the test's result visibility hides (no score for "none")
+        const scoreHidden = data.percentage === undefined;
+        const showSolution = canEvaluate || ['answers', 'explanations'].includes(data.resultVisibility);
+        const scoreClass = data.passed ? 'score-pass' : 'score-fail';
+        
+        const answersHtml = data.answers?.map((a, i) => {
+            let answerDetailsHtml = '';
             
-            const answersHtml = data.answers?.map((a, i) => {
-                let answerDetailsHtml = '';
+            if (KCQuestionTypes.isChoice(a.questionType)) {
+                const details = a.optionDetails || {};
+                const allOptions = details.allOptions || [];
                 
-                if (a.questionType === 'multiple_choice') {
-                    const details = a.optionDetails || {};
-                    const allOptions = details.allOptions || [];
-                    
-                    if (allOptions.length > 0) {
-                        // Show all options with their status
-                        answerDetailsHtml = `
-                            <div class="result-options">
-                                ${allOptions.map(opt => {
-                                    let optClass = '';
-                                    let statusIcon = '';
-                                    
-                                    if (canEvaluate) {
-                                        // Full evaluation view - show correct/incorrect status
-                                        if (opt.wasSelected && opt.isCorrect) {
-                                            optClass = 'option-correct-selected';
-                                            statusIcon = '✓';
-                                        } else if (opt.wasSelected && !opt.isCorrect) {
-                                            optClass = 'option-incorrect-selected';
-                                            statusIcon = '✗';
-                                        } else if (!opt.wasSelected && opt.isCorrect) {
-                                            optClass = 'option-correct-missed';
-                                            statusIcon = '○';
-                                        } else {
-                                            optClass = 'option-not-selected';
-                                            statusIcon = '';
-                                        }
+                if (allOptions.length > 0) {
+                    // Show all options with their status
+                    answerDetailsHtml = `
+                        <div class="result-options">
+                            ${allOptions.map(opt => {
+                                let optClass = '';
+                                let statusIcon = '';
+                                
+                                if (showSolution) {
+                                    // Full evaluation view - show correct/incorrect status
+                                    if (opt.wasSelected && opt.isCorrect) {
+                                        optClass = 'option-correct-selected';
+                                        statusIcon = '✓';
+                                    } else if (opt.wasSelected && !opt.isCorrect) {
+                                        optClass = 'option-incorrect-selected';
+                                        statusIcon = '✗';
+                                    } else if (!opt.wasSelected && opt.isCorrect) {
+                                        optClass = 'option-correct-missed';
+                                        statusIcon = '○';
                                     } else {
-                                        // View only - just show what was selected
-                                        if (opt.wasSelected) {
-                                            optClass = 'option-selected-only';
-                                            statusIcon = '●';
-                                        } else {
-                                            optClass = 'option-not-selected';
-                                            statusIcon = '';
-                                        }
+                                        optClass = 'option-not-selected';
+                                        statusIcon = '';
                                     }
-                                    
-                                    return `
-                                        <div class="result-option ${optClass}">
-                                            <span class="option-status">${statusIcon}</span>
-                                            <span class="option-text">${Helpers.escapeHtml(opt.text)}</span>
-                                            ${canEvaluate && opt.isCorrect ? '<span class="option-badge correct">Richtig</span>' : ''}
-                                        </div>
-                                    `;
-                                }).join('')}
-                            </div>
-                            ${canEvaluate && details.allowPartialAnswer ? `
-                                <p class="result-scoring-info">
-                                    <small>Teilweise Antworten erlaubt · ${details.correctSelected || 0}/${details.totalCorrectOptions || 0} richtige gewählt, ${details.incorrectSelected || 0} falsche gewählt</small>
-                                </p>
-                            ` : ''}
-                        `;
-                    } else {
-                        // Fallback for old data without option details
-                        answerDetailsHtml = `<p class="result-answer-text">Ausgewählt: ${a.selectedOptions?.length || 0} Option(en)</p>`;
-                    }
+                                } else {
+                                    // View only - just show what was selected
+                                    if (opt.wasSelected) {
+                                        optClass = 'option-selected-only';
+                                        statusIcon = '●';
+                                    } else {
+                                        optClass = 'option-not-selected';
+                                        statusIcon = '';
+                                    }
+                                }
+                                
+                                return `
+                                    <div class="result-option ${optClass}">
+                                        <span class="option-status">${statusIcon}</span>
+                                        <span class="option-text">${Helpers.escapeHtml(opt.text)}</span>
+                                        ${showSolution && opt.isCorrect ? '<span class="option-badge correct">Richtig</span>' : ''}
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                        ${showSolution && details.allowPartialAnswer ? `
+                            <p class="result-scoring-info">
+                                <small>Teilweise Antworten erlaubt · ${details.correctSelected || 0}/${details.totalCorrectOptions || 0} richtige gewählt, ${details.incorrectSelected || 0} falsche gewählt</small>
+                            </p>
+                        ` : ''}
+                    `;
                 } else {
-                    // Open question
-                    if (a.answerText) {
-                        answerDetailsHtml = `<p class="result-answer-text"><strong>Antwort:</strong> ${Helpers.escapeHtml(a.answerText)}</p>`;
-                    } else {
-                        answerDetailsHtml = `<p class="result-answer-text text-muted"><em>Keine Antwort eingegeben</em></p>`;
-                    }
+                    // Fallback for old data without option details
+                    answerDetailsHtml = `<p class="result-answer-text">Ausgewählt: ${a.selectedOptions?.length || 0} Option(en)</p>`;
                 }
-                
-                return `
-                    <div class="result-answer ${canEvaluate ? (a.isCorrect ? 'correct' : 'incorrect') : ''}">
-                        <div class="result-answer-header">
-                            <span>Frage ${i + 1}: ${Helpers.escapeHtml(a.questionTitle || Helpers.truncate(a.questionText, 40))}</span>
-                            ${canEvaluate ? `<span class="badge ${a.isCorrect ? 'badge-success' : 'badge-danger'}">${Math.round(a.score * 100) / 100}/${a.maxScore}</span>` : ''}
-                        </div>
-                        <p class="result-question-text">${Helpers.escapeHtml(a.questionText)}</p>
-                        ${answerDetailsHtml}
+            } else if (a.questionType !== 'open_question') {
+                answerDetailsHtml = KCQuestionTypes.renderAnswerDetails(a, showSolution);
+            } else {
+                // Open question
+                if (a.answerText) {
+                    answerDetailsHtml = `<p class="result-answer-text"><strong>Antwort:</strong> ${Helpers.escapeHtml(a.answerText)}</p>`;
+                } else {
+                    answerDetailsHtml = `<p class="result-answer-text text-muted"><em>Keine Antwort eingegeben</em></p>`;
+                }
+            }
+            
+            return `
+                <div class="result-answer ${showSolution ? (a.isCorrect ? 'correct' : 'incorrect') : ''}">
+                    <div class="result-answer-header">
+                        <span>Frage ${i + 1}: ${Helpers.escapeHtml(a.questionTitle || Helpers.truncate(a.questionText, 40))}</span>
+                        ${showSolution ? `<span class="badge ${a.isCorrect ? 'badge-success' : 'badge-danger'}">${Math.round(a.score * 100) / 100}/${a.maxScore}</span>` : ''}
                     </div>
-                `;
-            }).join('') || '<p>Keine Antwortdetails verfügbar</p>';
+                    <p class="result-question-text">${Helpers.escapeHtml(a.questionText)}</p>
+                    ${answerDetailsHtml}
+                    ${KCQuestionTypes.renderExplanation(a.explanation, a.optionExplanations || [])}
+                </div>
+            `;
+        }).join('') || (scoreHidden
+            ? '<p>Für diesen Test werden keine Ergebnisse angezeigt.</p>'
+            : '<p>Keine Antwortdetails verfügbar</p>');
 
-            const contentHtml = `
-                <div class="result-detail">
-                    <div class="result-summary">
+        const contentHtml = `
+            <div class="result-detail">
+                <div class="result-summary">
+                    ${scoreHidden ? `
+                        <div class="result-score">
+                            <span class="score-value">✓</span>
+                            <span class="score-label">Abgegeben</span>
+                        </div>
+                    ` : `
                         <div class="result-score ${scoreClass}">
                             <span class="score-value">${data.percentage}%</span>
                             <span class="score-label">${data.passed ? 'Bestanden' : 'Nicht bestanden'}</span>
                         </div>
-                        <div class="result-meta">
-                            <div><strong>Test:</strong> ${Helpers.escapeHtml(data.testName)}</div>
-                            <div><strong>Datum:</strong> ${Helpers.formatDateTime(data.completedAt)}</div>
-                            ${canEvaluate ? `<div><strong>Punkte:</strong> ${Math.round(data.totalScore * 100) / 100}/${data.maxScore}</div>` : ''}
-                        </div>
-                    </div>
-                    <div class="result-answers">
-                        <h4>Antworten</h4>
-                        ${answersHtml}
+                    `}
+                    <div class="result-meta">
+                        <div><strong>Test:</strong> ${Helpers.escapeHtml(data.testName)}</div>
+                        <div><strong>Datum:</strong> ${Helpers.formatDateTime(data.completedAt)}</div>
+                        ${showSolution ? `<div><strong>Punkte:</strong> ${Math.round(data.totalScore * 100) / 100}/${data.maxScore}</div>` : ''}
                     </div>
                 </div>
-            `;
+                <div class="result-answers">
+                    <h4>Antworten</h4>
+                    ${answersHtml}
+                </div>
+            </div>
+        `;
 
-            const template = document.createElement('template');
-            template.innerHTML = contentHtml.trim();
-            const content = template.content.firstElementChild;
-
-            const footer = document.createElement('div');
-            footer.style.display = 'flex';
-            footer.style.justifyContent = 'flex-end';
-
-            const closeBtn = document.createElement('button');
-            closeBtn.className = 'btn btn-secondary';
-            closeBtn.textContent = 'Schließen';
-            closeBtn.addEventListener('click', () => Modal.close());
-            footer.appendChild(closeBtn);
-
-            Modal.open({
-                title: `Ergebnis: ${data.resultNumber}`,
-                content,
-                footer,
-                size: 'xl'
-            });
+        const template = document.createElement('template');
+        template.innerHTML = contentHtml.trim();
+        const content = template.content.firstElementChild;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.justifyContent = 'flex-end';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+        footer.appendChild(closeBtn);
+
+        Modal.open({
+            title,
+            content,
+            footer,
+            size: 'xl'
+        });
+    },
+
+    // ==========================================
+    // PRACTICE MODE
+    // ==========================================
+
+    /**
+     * Starts a new practice attempt - it is never graded or stored as a result
+     */
+    async startPractice(testId) {
+        try {
+            const result = await window.api.knowledgeCheck.startPractice(testId);
+            if (!result.success) {
+                Toast.error(result.error || 'Übung konnte nicht gestartet werden');
+                return;
+            }
+
+            this.showPracticeModal(result.test, result.questions, result.attempt);
         } catch (error) {
-            console.error('View result error:', error);
-            Toast.error('Fehler beim Laden');
+            console.error('Start practice error:', error);
+            Toast.error('Fehler beim Starten der Übung');
+        }
+    },
+
+    /**
+     * Shows the practice modal - every question can be checked on its own
+     */
+    showPracticeModal(test, questions, attempt) {
+        const questionsHtml = questions.map((q, index) => `
+            <div class="test-question" data-question-id="${q.id}" data-question-index="${index}">
+                <div class="test-question-header">
+                    <span class="test-question-number">Frage ${index + 1} von ${questions.length}</span>
+                    <span class="badge badge-info">Gewichtung: ${q.effectiveWeighting || 1}</span>
+                </div>
+                ${q.title ? `<h4>${Helpers.escapeHtml(q.title)}</h4>` : ''}
+                ${q.questionType !== 'cloze' ? `<p class="test-question-text">${Helpers.escapeHtml(q.questionText)}</p>` : ''}
+                ${KCQuestionTypes.renderMedia(q.media)}
+                
+                ${KCQuestionTypes.renderInput(q)}
+                <div class="kc-practice-actions">
+                    <button type="button" class="btn btn-secondary btn-sm btn-check-practice" data-question-id="${q.id}">Prüfen</button>
+                </div>
+                <div class="kc-practice-feedback"></div>
+            </div>
+        `).join('');
+
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <div class="test-taking-container">
+                <div class="test-info">
+                    <h3>${Helpers.escapeHtml(test.name)}</h3>
+                    <p>Übungsmodus · ${questions.length} Fragen · Wird nicht gewertet</p>
+                    <p class="test-autosave-status" id="practice-progress">0 von ${questions.length} Fragen geprüft</p>
+                </div>
+                <form id="practice-form">
+                    ${questionsHtml}
+                </form>
+            </div>
+        `.trim();
+        const content = template.content.firstElementChild;
+        KCQuestionTypes.loadMedia(content);
+        KCQuestionTypes.bindInputs(content);
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+
+        const finishBtn = document.createElement('button');
+        finishBtn.className = 'btn btn-primary';
+        finishBtn.textContent = 'Übung beenden';
+
+        footer.appendChild(closeBtn);
+        footer.appendChild(finishBtn);
+
+        let checkedCount = 0;
+        const progress = content.querySelector('#practice-progress');
+
+        content.querySelectorAll('.btn-check-practice').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const question = questions.find(q => q.id === btn.dataset.questionId);
+                const questionEl = btn.closest('.test-question');
+                btn.disabled = true;
+
+                try {
+                    const result = await window.api.knowledgeCheck.checkPracticeAnswer(attempt.id, KCQuestionTypes.collectAnswer(question, questionEl));
+                    if (!result.success) {
+                        btn.disabled = false;
+                        Toast.error(result.error || 'Antwort konnte nicht geprüft werden');
+                        return;
+                    }
+
+                    // Checked answers cannot be changed anymore
+                    questionEl.querySelectorAll('input, select, textarea, button').forEach(el => { el.disabled = true; });
+                    btn.closest('.kc-practice-actions').remove();
+                    questionEl.querySelector('.kc-practice-feedback').innerHTML = this.renderPracticeFeedback(result.feedback);
+
+                    checkedCount++;
+                    progress.textContent = `${checkedCount} von ${questions.length} Fragen geprüft`;
+                } catch (error) {
+                    console.error('Check practice answer error:', error);
+                    btn.disabled = false;
+                    Toast.error('Fehler beim Prüfen der Antwort');
+                }
+            });
+        });
+
+        // Questions that were not checked count as unanswered in the summary
+        finishBtn.addEventListener('click', async () => {
+            finishBtn.disabled = true;
+            try {
+                const result = await window.api.knowledgeCheck.finishPractice(attempt.id);
+                if (!result.success) {
+                    finishBtn.disabled = false;
+                    Toast.error(result.error || 'Übung konnte nicht beendet werden');
+                    return;
+                }
+
+                Modal.close();
+                await this.refresh();
+                setTimeout(() => this.showPracticeSummary(test, result.summary), 250);
+            } catch (error) {
+                console.error('Finish practice error:', error);
+                finishBtn.disabled = false;
+                Toast.error('Fehler beim Beenden der Übung');
+            }
+        });
+
+        Modal.open({
+            title: `Übung: ${test.testNumber}`,
+            content,
+            footer,
+            size: 'full'
+        });
+    },
+
+    /**
+     * Renders the solution of a checked practice question
+     * @param {Object} feedback - { isCorrect, score, maxScore, allOptions, responseData, explanation, ... }
+     */
+    renderPracticeFeedback(feedback) {
+        let detailsHtml = '';
+
+        if (KCQuestionTypes.isChoice(feedback.questionType)) {
+            detailsHtml = `
+                <div class="result-options">
+                    ${feedback.allOptions.map(opt => {
+                        let optClass = 'option-not-selected';
+                        let statusIcon = '';
+                        if (opt.wasSelected && opt.isCorrect) {
+                            optClass = 'option-correct-selected';
+                            statusIcon = '✓';
+                        } else if (opt.wasSelected) {
+                            optClass = 'option-incorrect-selected';
+                            statusIcon = '✗';
+                        } else if (opt.isCorrect) {
+                            optClass = 'option-correct-missed';
+                            statusIcon = '○';
+                        }
+                        return `
+                            <div class="result-option ${optClass}">
+                                <span class="option-status">${statusIcon}</span>
+                                <span class="option-text">${Helpers.escapeHtml(opt.text)}</span>
+                                ${opt.isCorrect ? '<span class="option-badge correct">Richtig</span>' : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        } else if (feedback.questionType !== 'open_question') {
+            detailsHtml = KCQuestionTypes.renderAnswerDetails(feedback, true);
+        } else {
+            detailsHtml = `
+                ${KCQuestionTypes.renderKeywordMatch(feedback.responseData)}
+                ${feedback.modelAnswer ? `<p class="result-answer-text"><strong>Musterantwort:</strong> ${Helpers.escapeHtml(feedback.modelAnswer)}</p>` : ''}
+            `;
         }
+
+        return `
+            <div class="result-answer ${feedback.isCorrect ? 'correct' : 'incorrect'}">
+                <div class="result-answer-header">
+                    <span>${feedback.isCorrect ? 'Richtig' : 'Nicht richtig'}</span>
+                    <span class="badge ${feedback.isCorrect ? 'badge-success' : 'badge-danger'}">${feedback.score}/${feedback.maxScore}</span>
+                </div>
+                ${detailsHtml}
+                ${KCQuestionTypes.renderExplanation(feedback.explanation, feedback.optionExplanations || [])}
+            </div>
+        `;
+    },
+
+    /**
+     * Shows the summary of a finished practice attempt with the option to practice again
+     */
+    showPracticeSummary(test, summary) {
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <div class="result-detail">
+                <div class="result-summary">
+                    <div class="result-score ${summary.passed ? 'score-pass' : 'score-fail'}">
+                        <span class="score-value">${summary.percentage}%</span>
+                        <span class="score-label">${summary.passed ? 'Bestehensgrenze erreicht' : 'Bestehensgrenze nicht erreicht'}</span>
+                    </div>
+                    <div class="result-meta">
+                        <div><strong>Test:</strong> ${Helpers.escapeHtml(test.name)}</div>
+                        <div><strong>Richtig:</strong> ${summary.correctCount} von ${summary.questionCount} Fragen</div>
+                        <div><strong>Punkte:</strong> ${summary.totalScore}/${summary.maxScore}</div>
+                        ${summary.unansweredCount > 0 ? `<div><strong>Nicht geprüft:</strong> ${summary.unansweredCount}</div>` : ''}
+                    </div>
+                </div>
+                <p class="text-muted">Übungsergebnisse werden nicht gewertet und erscheinen nicht in Ihren Testergebnissen.</p>
+            </div>
+        `.trim();
+        const content = template.content.firstElementChild;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+
+        const againBtn = document.createElement('button');
+        againBtn.className = 'btn btn-primary';
+        againBtn.textContent = 'Erneut üben';
+        againBtn.addEventListener('click', () => {
+            Modal.close();
+            setTimeout(() => this.startPractice(test.id), 250);
+        });
+
+        footer.appendChild(closeBtn);
+        footer.appendChild(againBtn);
+
+        Modal.open({
+            title: `Übung beendet: ${test.testNumber}`,
+            content,
+            footer,
+            size: 'lg'
+        });
     },
 
     /**
@@ -0,0 +1,561 @@
+/**
+ * KC Learning Paths View (Lernpfade)
+ * Manages ordered test sequences; each test is assigned once the previous one is passed
+ */
+
+const KCLearningPathsView = {
+    paths: [],
+    tests: [],
+    users: [],
+    eventsBound: false,
+
+    /**
+     * Initializes the learning paths view
+     */
+    async init() {
+        if (!this.eventsBound) {
+            this.bindEvents();
+            this.eventsBound = true;
+        }
+        await this.loadTests();
+        await this.loadUsers();
+        await this.loadPaths();
+    },
+
+    /**
+     * Binds event handlers
+     */
+    bindEvents() {
+        document.getElementById('add-learning-path-btn')?.addEventListener('click', () => {
+            this.showPathForm();
+        });
+    },
+
+    /**
+     * Loads all tests for the step selection
+     */
+    async loadTests() {
+        try {
+            const result = await window.api.knowledgeCheck.getTests();
+            if (result.success) {
+                this.tests = result.tests.filter(t => t.isActive && !t.isArchived && t.status === 'published');
+            }
+        } catch (error) {
+            console.error('Failed to load tests:', error);
+        }
+    },
+
+    /**
+     * Loads all users for enrolling
+     */
+    async loadUsers() {
+        try {
+            const result = await window.api.users.getAll();
+            if (result.success) {
+                this.users = result.users.filter(u => u.isActive);
+            }
+        } catch (error) {
+            console.error('Failed to load users:', error);
+        }
+    },
+
+    /**
+     * Loads all learning paths
+     */
+    async loadPaths() {
+        try {
+            const result = await window.api.knowledgeCheck.getLearningPaths();
+            if (result.success) {
+                this.paths = result.paths;
+                this.renderTable();
+            }
+        } catch (error) {
+            console.error('Failed to load learning paths:', error);
+            Toast.error('Lernpfade konnten nicht geladen werden');
+        }
+    },
+
+    /**
+     * Renders the table
+     */
+    renderTable() {
+        const tbody = document.getElementById('learning-paths-tbody');
+        if (!tbody) return;
+
+        if (this.paths.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">Keine Lernpfade vorhanden</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.paths.map(path => this.renderPathRow(path)).join('');
+
+        tbody.querySelectorAll('tr[data-id]').forEach(row => {
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('.action-buttons')) return;
+                this.viewPath(row.dataset.id);
+            });
+        });
+
+        tbody.querySelectorAll('.btn-enroll').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showEnrollForm(btn.dataset.id);
+            });
+        });
+
+        tbody.querySelectorAll('.btn-edit').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showPathForm(this.paths.find(p => p.id === btn.dataset.id));
+            });
+        });
+
+        tbody.querySelectorAll('.btn-delete').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deletePath(btn.dataset.id);
+            });
+        });
+    },
+
+    /**
+     * Renders a single path row
+     */
+    renderPathRow(path) {
+        const canEnroll = Permissions.has('kc_assign_tests');
+
+        return `
+            <tr data-id="${path.id}" class="clickable-row">
+                <td>
+                    <strong>${Helpers.escapeHtml(path.name)}</strong>
+                    ${path.description ? `<br><small class="text-muted">${Helpers.escapeHtml(path.description)}</small>` : ''}
+                </td>
+                <td>${path.steps.map(s => Helpers.escapeHtml(s.testName)).join(' &rarr; ')}</td>
+                <td>${path.stepDueDays || '<span class="text-muted">-</span>'}</td>
+                <td>${path.completedCount}/${path.enrollmentCount} abgeschlossen</td>
+                <td>${Helpers.formatDate(path.createdAt)}</td>
+                <td>
+                    <div class="action-buttons">
+                        ${canEnroll ? `
+                            <button class="btn-icon btn-enroll" data-id="${path.id}" title="Teilnehmer einschreiben">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                                    <circle cx="8.5" cy="7" r="4"></circle>
+                                    <line x1="20" y1="8" x2="20" y2="14"></line>
+                                    <line x1="23" y1="11" x2="17" y2="11"></line>
+                                </svg>
+                            </button>
+                        ` : ''}
+                        <button class="btn-icon btn-edit" data-id="${path.id}" title="Bearbeiten">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button class="btn-icon btn-delete" data-id="${path.id}" title="Löschen">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Shows the form to create or edit a learning path
+     * @param {Object} [path] - Existing path to edit
+     */
+    showPathForm(path = null) {
+        if (!Permissions.has('kc_learning_paths_manage')) {
+            Toast.error('Keine Berechtigung zum Verwalten von Lernpfaden');
+            return;
+        }
+
+        // Ordered test ids of the steps
+        const stepIds = path ? path.steps.map(s => s.testId) : [];
+        const testName = (id) => {
+            const test = this.tests.find(t => t.id === id) || path?.steps.find(s => s.testId === id);
+            return test ? `${test.testNumber} - ${test.name || test.testName}` : id;
+        };
+
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <div class="learning-path-form">
+                <div class="form-group">
+                    <label for="path-name">Name *</label>
+                    <input type="text" id="path-name" class="form-input" value="${Helpers.escapeHtml(path?.name || '')}" placeholder="z.B. Einarbeitung Support">
+                </div>
+
+                <div class="form-group">
+                    <label for="path-description">Beschreibung (optional)</label>
+                    <textarea id="path-description" class="form-textarea" rows="2">${Helpers.escapeHtml(path?.description || '')}</textarea>
+                </div>
+
+                <div class="form-group">
+                    <label for="path-step-due-days">Tage pro Schritt (optional)</label>
+                    <input type="number" id="path-step-due-days" class="form-input" min="1" step="1" value="${path?.stepDueDays || ''}">
+                    <span class="form-hint">Fälligkeit jedes Tests ab seiner Freischaltung. Ohne Angabe haben die Tests kein Fälligkeitsdatum.</span>
+                </div>
+
+                <div class="form-group">
+                    <label>Tests in Reihenfolge *</label>
+                    <ol class="learning-path-steps" id="path-steps"></ol>
+                    <div class="form-row" style="margin-top: var(--space-sm);">
+                        <select id="path-add-test" class="form-select"></select>
+                        <button type="button" class="btn btn-secondary" id="path-add-test-btn">Hinzufügen</button>
+                    </div>
+                    <span class="form-hint">Jeder Test wird erst zugewiesen, wenn der vorherige bestanden ist.</span>
+                </div>
+            </div>
+        `.trim();
+        const content = template.content.firstElementChild;
+
+        const renderSteps = () => {
+            const list = content.querySelector('#path-steps');
+            list.innerHTML = stepIds.length > 0 ? stepIds.map((id, index) => `
+                <li class="learning-path-step open">
+                    <span class="learning-path-step-marker">${index + 1}</span>
+                    <div style="flex: 1;"><strong>${Helpers.escapeHtml(testName(id))}</strong></div>
+                    <div class="action-buttons">
+                        <button type="button" class="btn-icon" data-move="-1" data-index="${index}" title="Nach oben" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                        <button type="button" class="btn-icon" data-move="1" data-index="${index}" title="Nach unten" ${index === stepIds.length - 1 ? 'disabled' : ''}>&darr;</button>
+                        <button type="button" class="btn-icon" data-remove="${index}" title="Entfernen">&times;</button>
+                    </div>
+                </li>
+            `).join('') : '<li class="text-muted">Noch keine Tests ausgewählt</li>';
+
+            const select = content.querySelector('#path-add-test');
+            select.innerHTML = this.tests
+                .filter(t => !stepIds.includes(t.id))
+                .map(t => `<option value="${t.id}">${Helpers.escapeHtml(t.testNumber)} - ${Helpers.escapeHtml(t.name)}</option>`)
+                .join('');
+
+            list.querySelectorAll('[data-move]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const index = parseInt(btn.dataset.index, 10);
+                    const target = index + parseInt(btn.dataset.move, 10);
+                    [stepIds[index], stepIds[target]] = [stepIds[target], stepIds[index]];
+                    renderSteps();
+                });
+            });
+            list.querySelectorAll('[data-remove]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    stepIds.splice(parseInt(btn.dataset.remove, 10), 1);
+                    renderSteps();
+                });
+            });
+        };
+
+        content.querySelector('#path-add-test-btn').addEventListener('click', () => {
+            const testId = content.querySelector('#path-add-test').value;
+            if (testId) {
+                stepIds.push(testId);
+                renderSteps();
+            }
+        });
+        renderSteps();
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'btn btn-primary';
+        submitBtn.textContent = path ? 'Speichern' : 'Lernpfad erstellen';
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(submitBtn);
+
+        Modal.open({
+            title: path ? 'Lernpfad bearbeiten' : 'Neuer Lernpfad',
+            content,
+            footer,
+            size: 'lg'
+        });
+
+        submitBtn.addEventListener('click', async () => {
+            const data = {
+                name: content.querySelector('#path-name').value.trim(),
+                description: content.querySelector('#path-description').value.trim(),
+                stepDueDays: content.querySelector('#path-step-due-days').value || null,
+                testIds: stepIds
+            };
+
+            if (!data.name) {
+                Toast.error('Bitte geben Sie einen Namen ein');
+                return;
+            }
+            if (data.testIds.length === 0) {
+                Toast.error('Bitte wählen Sie mindestens einen Test');
+                return;
+            }
+
+            try {
+                const response = path
+                    ? await window.api.knowledgeCheck.updateLearningPath(path.id, data)
+                    : await window.api.knowledgeCheck.createLearningPath(data);
+
+                if (response && response.success) {
+                    Toast.success(path ? 'Lernpfad gespeichert' : `Lernpfad "${data.name}" wurde erstellt`);
+                    Modal.close();
+                    await this.loadPaths();
+                } else {
+                    Toast.error(response?.error || 'Fehler beim Speichern');
+                }
+            } catch (error) {
+                console.error('Save learning path error:', error);
+                Toast.error('Fehler beim Speichern: ' + (error.message || 'Unbekannter Fehler'));
+            }
+        });
+    },
+
+    /**
+     * Shows the form to enroll users in a learning path
+     */
+    showEnrollForm(pathId) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <div class="learning-path-enroll-form">
+                <p class="text-muted">Der erste Test wird sofort zugewiesen, die weiteren jeweils nach Bestehen des vorherigen. Bereits eingeschriebene Teilnehmer werden übersprungen.</p>
+                <div class="form-group">
+                    <label>Teilnehmer *</label>
+                    <div class="checkbox-list" style="max-height: 250px; overflow-y: auto; border: 1px solid var(--border-color); border-radius: var(--radius-sm); padding: var(--space-sm);">
+                        ${this.users.map(u => `
+                            <label class="form-checkbox" style="display: flex; padding: var(--space-xs) 0;">
+                                <input type="checkbox" name="enrollUserIds" value="${u.id}">
+                                <span>${Helpers.escapeHtml(u.firstName)} ${Helpers.escapeHtml(u.lastName)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `.trim();
+        const content = template.content.firstElementChild;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'btn btn-primary';
+        submitBtn.textContent = 'Einschreiben';
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(submitBtn);
+
+        Modal.open({
+            title: `Einschreiben: ${path.name}`,
+            content,
+            footer
+        });
+
+        submitBtn.addEventListener('click', async () => {
+            const userIds = Array.from(content.querySelectorAll('input[name="enrollUserIds"]:checked')).map(cb => cb.value);
+            if (userIds.length === 0) {
+                Toast.error('Bitte wählen Sie mindestens einen Teilnehmer');
+                return;
+            }
+
+            try {
+                const response = await window.api.knowledgeCheck.enrollInLearningPath(pathId, userIds);
+                if (response && response.success) {
+                    Toast.success(`${response.enrolled} Teilnehmer eingeschrieben${response.skipped ? `, ${response.skipped} bereits eingeschrieben` : ''}`);
+                    Modal.close();
+                    await this.loadPaths();
+                } else {
+                    Toast.error(response?.error || 'Fehler beim Einschreiben');
+                }
+            } catch (error) {
+                console.error('Enroll error:', error);
+                Toast.error('Fehler beim Einschreiben');
+            }
+        });
+    },
+
+    /**
+     * Shows a learning path with the progress of every enrolled user
+     */
+    async viewPath(pathId) {
+        try {
+            const result = await window.api.knowledgeCheck.getLearningPathById(pathId);
+            if (!result.success) {
+                Toast.error('Lernpfad konnte nicht geladen werden');
+                return;
+            }
+
+            const path = result.path;
+            const canWithdraw = Permissions.has('kc_assign_tests');
+            const stepBadge = (step) => {
+                if (step.state === 'passed') return `<span class="badge badge-success" title="${Helpers.escapeHtml(step.testName)}">${step.percentage}%</span>`;
+                if (step.state === 'locked') return `<span class="badge badge-secondary" title="${Helpers.escapeHtml(step.testName)}">Gesperrt</span>`;
+                if (step.assignmentStatus === 'overdue') return `<span class="badge badge-danger" title="${Helpers.escapeHtml(step.testName)}">Überfällig</span>`;
+                return `<span class="badge badge-warning" title="${Helpers.escapeHtml(step.testName)}">Offen</span>`;
+            };
+
+            const template = document.createElement('template');
+            template.innerHTML = `
+                <div class="run-detail-full">
+                    <div class="run-detail-header-info">
+                        <div class="run-title-section">
+                            <span class="run-name">${Helpers.escapeHtml(path.name)}</span>
+                            ${path.stepDueDays ? `<span class="run-due">${path.stepDueDays} Tage pro Schritt</span>` : ''}
+                        </div>
+                        ${path.description ? `<p class="run-description">${Helpers.escapeHtml(path.description)}</p>` : ''}
+                        <p class="run-description">${path.steps.map((s, i) => `${i + 1}. ${Helpers.escapeHtml(s.testName)}`).join(' &rarr; ')}</p>
+                    </div>
+
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Teilnehmer</th>
+                                    <th>Fortschritt</th>
+                                    ${path.steps.map((s, i) => `<th title="${Helpers.escapeHtml(s.testName)}">${i + 1}</th>`).join('')}
+                                    <th>Status</th>
+                                    <th>Aktionen</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${path.enrollments.length > 0 ? path.enrollments.map(e => `
+                                    <tr>
+                                        <td><strong>${Helpers.escapeHtml(e.userName)}</strong></td>
+                                        <td>
+                                            <div class="progress-bar-container">
+                                                <div class="progress-bar" style="width: ${e.progress}%"></div>
+                                                <span class="progress-text">${e.passedCount}/${e.stepCount}</span>
+                                            </div>
+                                        </td>
+                                        ${e.steps.map(step => `<td>${stepBadge(step)}</td>`).join('')}
+                                        <td>
+                                            ${e.status === 'completed'
+                                                ? `<span class="badge badge-success">Abgeschlossen</span><br><small class="text-muted">${Helpers.formatDate(e.completedAt)}</small>`
+                                                : '<span class="badge badge-info">In Bearbeitung</span>'}
+                                        </td>
+                                        <td>
+                                            ${canWithdraw ? `
+                                                <button class="btn-icon btn-withdraw" data-id="${e.id}" data-name="${Helpers.escapeHtml(e.userName)}" title="Einschreibung entfernen">
+                                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                                        <polyline points="3 6 5 6 21 6"></polyline>
+                                                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                                                    </svg>
+                                                </button>
+                                            ` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('') : `
+                                    <tr>
+                                        <td colspan="${path.steps.length + 4}" class="empty-state">Noch keine Teilnehmer eingeschrieben</td>
+                                    </tr>
+                                `}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            `.trim();
+            const content = template.content.firstElementChild;
+
+            content.querySelectorAll('.btn-withdraw').forEach(btn => {
+                btn.addEventListener('click', () => this.withdrawEnrollment(pathId, btn.dataset.id, btn.dataset.name));
+            });
+
+            Modal.open({
+                title: 'Lernpfad Details',
+                content,
+                size: 'xl'
+            });
+        } catch (error) {
+            console.error('View learning path error:', error);
+            Toast.error('Lernpfad konnte nicht geladen werden');
+        }
+    },
+
+    /**
+     * Removes a user from a learning path; tests not started yet are withdrawn
+     */
+    async withdrawEnrollment(pathId, enrollmentId, userName) {
+        const confirmed = await Modal.confirm({
+            title: 'Einschreibung entfernen',
+            message: `Möchten Sie ${userName} wirklich aus dem Lernpfad entfernen? Noch nicht begonnene Tests werden zurückgezogen, Ergebnisse bleiben erhalten.`,
+            confirmText: 'Entfernen',
+            confirmClass: 'btn-danger'
+        });
+
+        if (confirmed) {
+            try {
+                const response = await window.api.knowledgeCheck.withdrawLearningPathEnrollment(pathId, enrollmentId);
+                if (response && response.success) {
+                    Toast.success('Einschreibung entfernt');
+                    await this.loadPaths();
+                    await this.viewPath(pathId);
+                } else {
+                    Toast.error(response?.error || 'Fehler beim Entfernen');
+                }
+            } catch (error) {
+                console.error('Withdraw enrollment error:', error);
+                Toast.error('Fehler beim Entfernen');
+            }
+        }
+    },
+
+    /**
+     * Deletes a learning path
+     */
+    async deletePath(pathId) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
+
+        const confirmed = await Modal.confirm({
+            title: 'Lernpfad löschen',
+            message: `Möchten Sie den Lernpfad "${path.name}" wirklich löschen? Noch nicht begonnene Tests der Teilnehmer werden zurückgezogen, Ergebnisse bleiben erhalten.`,
+            confirmText: 'Löschen',
+            confirmClass: 'btn-danger'
+        });
+
+        if (confirmed) {
+            try {
+                const response = await window.api.knowledgeCheck.deleteLearningPath(pathId);
+                if (response && response.success) {
+                    Toast.success('Lernpfad gelöscht');
+                    await this.loadPaths();
+                } else {
+                    Toast.error(response?.error || 'Fehler beim Löschen');
+                }
+            } catch (error) {
+                console.error('Delete learning path error:', error);
+                Toast.error('Fehler beim Löschen');
+            }
+        }
+    },
+
+    /**
+     * Refreshes the view
+     */
+    async refresh() {
+        await this.loadPaths();
+    }
+};
+
+// Export for use in other modules
+window.KCLearningPathsView = KCLearningPathsView;
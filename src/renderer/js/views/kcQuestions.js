@@ -9,7 +9,17 @@ const KCQuestionsView = {
     filters: {
         categoryId: ''
     },
+    // Workflow status filter - applied client-side so a pending revision's status counts too
+    statusFilter: '',
     eventsBound: false,
+    analytics: [],
+    analyticsVisible: false,
+    analyticsFilters: {
+        includeArchived: false,
+        flaggedOnly: false
+    },
+    // File types accepted by the media upload (the server checks the content)
+    mediaAccept: 'image/png,image/jpeg,image/gif,image/webp,application/pdf',
 
     /**
      * Initializes the questions view
@@ -38,10 +48,30 @@ const KCQuestionsView = {
             this.showQuestionForm();
         });
 
+        // Import / export buttons
+        document.getElementById('import-kc-questions-btn')?.addEventListener('click', () => {
+            this.showImportDialog();
+        });
+        document.getElementById('export-kc-questions-btn')?.addEventListener('click', () => {
+            this.showExportDialog();
+        });
+
+        // Item analysis panel
+        document.getElementById('kc-question-analytics-btn')?.addEventListener('click', () => {
+            this.toggleAnalytics();
+        });
+
         // Category filter
         document.getElementById('filter-kc-category')?.addEventListener('change', (e) => {
             this.filters.categoryId = e.target.value;
             this.renderCatalog();
+            if (this.analyticsVisible) this.loadAnalytics();
+        });
+
+        // Status filter
+        document.getElementById('filter-kc-status')?.addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.renderCatalog();
         });
     },
 
@@ -144,8 +174,11 @@ const KCQuestionsView = {
      */
     groupQuestionsByCategory() {
         const groups = { uncategorized: [] };
+        const questions = this.statusFilter
+            ? this.questions.filter(q => q.status === this.statusFilter || q.pendingRevision?.status === this.statusFilter)
+            : this.questions;
         
-        this.questions.forEach(q => {
+        questions.forEach(q => {
             const catId = q.categoryId || 'uncategorized';
             if (!groups[catId]) groups[catId] = [];
             groups[catId].push(q);
@@ -211,11 +244,7 @@ const KCQuestionsView = {
      * Renders a single question item
      */
     renderQuestion(question) {
-        const typeLabels = {
-            'multiple_choice': 'Multiple Choice',
-            'open_question': 'Offene Frage'
-        };
-        const typeLabel = typeLabels[question.questionType] || question.questionType;
+        const typeLabel = KCQuestionTypes.getLabel(question.questionType);
         
         const canEdit = Permissions.canEdit('kcQuestion');
         const canDelete = Permissions.canDelete('kcQuestion');
@@ -238,6 +267,8 @@ const KCQuestionsView = {
                     ${question.title ? `<div class="kc-question-title">${Helpers.escapeHtml(question.title)}</div>` : ''}
                     <div class="kc-question-text">${Helpers.escapeHtml(Helpers.truncate(question.questionText, 100))}</div>
                     <div class="kc-question-meta">
+                        ${KCQuestionTypes.renderStatusBadge(question.status)}
+                        ${question.pendingRevision ? `<span class="badge badge-outline">Überarbeitung: ${KCQuestionTypes.statusLabels[question.pendingRevision.status]}</span>` : ''}
                         <span class="badge badge-secondary">${typeLabel}</span>
                         ${question.weighting ? `<span class="badge badge-info">Gewichtung: ${question.weighting}</span>` : ''}
                     </div>
@@ -499,6 +530,10 @@ const KCQuestionsView = {
             `<option value="${c.id}" ${(question?.categoryId || preselectedCategoryId) === c.id ? 'selected' : ''}>${Helpers.escapeHtml(c.name)}</option>`
         ).join('');
 
+        const type = question?.questionType || 'multiple_choice';
+        const options = question?.options || [];
+        const trueFalseCorrect = type === 'true_false' ? options.findIndex(o => o.isCorrect) : 0;
+
         const formHtml = `
             <form id="question-form" class="question-form">
                 <!-- Static Section - Always visible -->
@@ -514,8 +549,9 @@ const KCQuestionsView = {
                         <div class="form-group">
                             <label for="q-type">Fragetyp *</label>
                             <select id="q-type" name="questionType" class="form-select" required>
-                                <option value="multiple_choice" ${question?.questionType === 'multiple_choice' || !question ? 'selected' : ''}>Multiple Choice</option>
-                                <option value="open_question" ${question?.questionType === 'open_question' ? 'selected' : ''}>Offene Frage</option>
+                                ${Object.entries(KCQuestionTypes.labels).map(([value, label]) =>
+                                    `<option value="${value}" ${type === value ? 'selected' : ''}>${label}</option>`
+                                ).join('')}
                             </select>
                         </div>
                     </div>
@@ -537,14 +573,26 @@ const KCQuestionsView = {
                         <label for="q-text">Frage *</label>
                         <textarea id="q-text" name="questionText" class="form-textarea" rows="3" required placeholder="Die eigentliche Frage">${Helpers.escapeHtml(question?.questionText || '')}</textarea>
                     </div>
+
+                    <div class="form-group">
+                        <label>Bilder und Anhänge</label>
+                        <div id="q-media-list" class="kc-media-edit-list">
+                            ${(question?.media || []).map(m => this.renderMediaChip(m)).join('')}
+                        </div>
+                        <button type="button" id="add-question-media" class="btn btn-sm btn-secondary" style="margin-top: var(--space-sm);">+ Datei hinzufügen</button>
+                        <small class="form-hint" style="display: block; margin-top: var(--space-xs); color: var(--text-muted);">
+                            PNG, JPEG, GIF, WebP oder PDF - Bilder werden unter der Frage angezeigt, PDFs als Anhang verlinkt
+                        </small>
+                    </div>
+                    <input type="file" id="kc-media-file" class="hidden" accept="${this.mediaAccept}">
                 </div>
                 
                 <!-- Separator -->
                 <hr class="form-separator" style="margin: var(--space-md) 0; border: 0; border-top: 1px solid var(--border-color); opacity: 0.5;">
                 
                 <!-- Dynamic Section - Changes based on question type -->
-                <!-- Multiple Choice Options -->
-                <div id="mc-options-section" class="${question?.questionType === 'open_question' ? 'hidden' : ''}">
+                <!-- Partial answers (multiple choice, ordering, matching, cloze) -->
+                <div id="partial-answer-section" class="${KCQuestionTypes.supportsPartialAnswer(type) ? '' : 'hidden'}">
                     <div class="form-group">
                         <label class="form-checkbox" style="display: flex; align-items: center; gap: var(--space-sm); margin-bottom: var(--space-md);">
                             <input type="checkbox" id="q-partial-answer" name="allowPartialAnswer" ${question?.allowPartialAnswer ? 'checked' : ''}>
@@ -554,28 +602,115 @@ const KCQuestionsView = {
                             Wenn aktiviert, werden Punkte anteilig vergeben. Wenn deaktiviert, muss alles richtig sein.
                         </small>
                     </div>
+                </div>
+
+                <!-- Multiple Choice / Single Choice Options -->
+                <div id="mc-options-section" class="${['multiple_choice', 'single_choice'].includes(type) ? '' : 'hidden'}">
                     <div class="form-group">
                         <label>Antwortmöglichkeiten</label>
                         <div id="mc-options-list">
-                            ${(question?.options || [{ text: '', isCorrect: false }]).map((opt, i) => `
-                                <div class="mc-option-row">
+                            ${(['multiple_choice', 'single_choice'].includes(type) && options.length > 0 ? options : [{ text: '', isCorrect: false }]).map((opt, i) => `
+                                <div class="mc-option-row" data-option-id="${opt.id || ''}">
                                     <input type="checkbox" class="mc-correct" ${opt.isCorrect ? 'checked' : ''}>
                                     <input type="text" class="form-input mc-text" value="${Helpers.escapeHtml(opt.text)}" placeholder="Antwort ${i + 1}">
+                                    ${this.renderOptionMediaControl(opt.media)}
                                     <button type="button" class="btn-icon mc-remove" title="Entfernen">
                                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                                     </button>
+                                    <input type="text" class="form-input mc-explanation" value="${Helpers.escapeHtml(opt.explanation || '')}" placeholder="Erläuterung zu dieser Antwort (optional)">
                                 </div>
                             `).join('')}
                         </div>
                         <button type="button" id="add-mc-option" class="btn btn-sm btn-secondary" style="margin-top: var(--space-sm);">+ Antwort hinzufügen</button>
                     </div>
                 </div>
+
+                <!-- True/False -->
+                <div id="true-false-section" class="${type === 'true_false' ? '' : 'hidden'}">
+                    <div class="form-group">
+                        <label>Richtige Antwort</label>
+                        <div class="tf-answer-options">
+                            <label class="form-radio">
+                                <input type="radio" name="tfCorrect" value="0" ${trueFalseCorrect !== 1 ? 'checked' : ''}>
+                                <span>Wahr</span>
+                            </label>
+                            <label class="form-radio">
+                                <input type="radio" name="tfCorrect" value="1" ${trueFalseCorrect === 1 ? 'checked' : ''}>
+                                <span>Falsch</span>
+                            </label>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        ${['Wahr', 'Falsch'].map((label, i) => `
+                            <div class="form-group">
+                                <label for="q-tf-explanation-${i}">Erläuterung zu "${label}" (optional)</label>
+                                <input type="text" id="q-tf-explanation-${i}" class="form-input" value="${type === 'true_false' ? Helpers.escapeHtml(options[i]?.explanation || '') : ''}">
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <!-- Ordering Items -->
+                <div id="ordering-section" class="${type === 'ordering' ? '' : 'hidden'}">
+                    <div class="form-group">
+                        <label>Elemente in der richtigen Reihenfolge</label>
+                        <div id="ordering-items-list">
+                            ${(type === 'ordering' && options.length > 0 ? options : [{ text: '' }, { text: '' }]).map((opt, i) => this.renderOrderingRow(opt.text, i, opt.media, opt.id)).join('')}
+                        </div>
+                        <button type="button" id="add-ordering-item" class="btn btn-sm btn-secondary" style="margin-top: var(--space-sm);">+ Element hinzufügen</button>
+                        <small class="form-hint" style="display: block; margin-top: var(--space-xs); color: var(--text-muted);">
+                            Die Elemente werden im Test gemischt angezeigt
+                        </small>
+                    </div>
+                </div>
+
+                <!-- Matching Pairs -->
+                <div id="matching-section" class="${type === 'matching' ? '' : 'hidden'}">
+                    <div class="form-group">
+                        <label>Paare</label>
+                        <div id="matching-pairs-list">
+                            ${(type === 'matching' && options.length > 0 ? options : [{ text: '', matchText: '' }, { text: '', matchText: '' }]).map(opt => this.renderMatchingRow(opt)).join('')}
+                        </div>
+                        <button type="button" id="add-matching-pair" class="btn btn-sm btn-secondary" style="margin-top: var(--space-sm);">+ Paar hinzufügen</button>
+                        <small class="form-hint" style="display: block; margin-top: var(--space-xs); color: var(--text-muted);">
+                            Die Gegenstücke werden im Test gemischt zur Auswahl angeboten
+                        </small>
+                    </div>
+                </div>
+
+                <!-- Numeric Answer -->
+                <div id="numeric-section" class="${type === 'numeric' ? '' : 'hidden'}">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="q-numeric-answer">Richtiger Wert *</label>
+                            <input type="text" id="q-numeric-answer" class="form-input" inputmode="decimal" value="${type === 'numeric' ? Helpers.escapeHtml(question?.exactAnswer || '') : ''}" placeholder="z. B. 42 oder 3,5">
+                        </div>
+                        <div class="form-group">
+                            <label for="q-numeric-tolerance">Toleranz (±)</label>
+                            <input type="text" id="q-numeric-tolerance" class="form-input" inputmode="decimal" value="${question?.numericTolerance ?? ''}" placeholder="0">
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Cloze Blanks -->
+                <div id="cloze-section" class="${type === 'cloze' ? '' : 'hidden'}">
+                    <div class="form-group">
+                        <label>Lücken</label>
+                        <small class="form-hint" style="display: block; margin-bottom: var(--space-sm); color: var(--text-muted);">
+                            Markieren Sie die Lücken im Fragetext mit {{1}}, {{2}}, ... Mehrere akzeptierte Antworten mit "|" trennen.
+                        </small>
+                        <div id="cloze-blanks-list">
+                            ${(type === 'cloze' && options.length > 0 ? options : [{ text: '' }]).map((opt, i) => this.renderClozeRow(opt.text, i, opt.id)).join('')}
+                        </div>
+                        <button type="button" id="add-cloze-blank" class="btn btn-sm btn-secondary" style="margin-top: var(--space-sm);">+ Lücke hinzufügen</button>
+                    </div>
+                </div>
                 
                 <!-- Open Question Options -->
-                <div id="open-question-section" class="${question?.questionType !== 'open_question' ? 'hidden' : ''}">
+                <div id="open-question-section" class="${type !== 'open_question' ? 'hidden' : ''}">
                     <div class="form-group">
                         <label for="q-exact-answer">Exakte Antwort</label>
-                        <input type="text" id="q-exact-answer" name="exactAnswer" class="form-input" value="${Helpers.escapeHtml(question?.exactAnswer || '')}" placeholder="Die exakt richtige Antwort">
+                        <input type="text" id="q-exact-answer" name="exactAnswer" class="form-input" value="${type === 'open_question' ? Helpers.escapeHtml(question?.exactAnswer || '') : ''}" placeholder="Die exakt richtige Antwort">
                     </div>
                     <div class="form-group">
                         <label>Schlüsselwörter (Trigger Words)</label>
@@ -594,6 +729,41 @@ const KCQuestionsView = {
                             Wörter oder Phrasen, die in der Antwort enthalten sein sollten
                         </small>
                     </div>
+                    <div class="form-group">
+                        <label>Schlüsselwort-Gruppen</label>
+                        <small class="form-hint" style="display: block; margin-bottom: var(--space-sm); color: var(--text-muted);">
+                            Eine Zeile pro Schlüsselwort: "Begriff | Synonym | Synonym = Punkte". Gruppen ersetzen die einfachen Schlüsselwörter;
+                            Wortformen (kündigen, gekündigt, Kündigung) und einzelne Tippfehler werden erkannt.
+                        </small>
+                        <div id="keyword-groups-list">
+                            ${(question?.answerRules?.groups || []).map((group, i) => this.renderKeywordGroupRow(group, i)).join('')}
+                        </div>
+                        <button type="button" id="add-keyword-group" class="btn btn-sm btn-secondary" style="margin-top: var(--space-sm);">+ Gruppe hinzufügen</button>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="q-forbidden-words">Verbotene Wörter</label>
+                            <input type="text" id="q-forbidden-words" class="form-input" value="${Helpers.escapeHtml((question?.answerRules?.forbidden || []).join(', '))}" placeholder="z. B. nicht, kein">
+                            <small class="form-hint">Kommagetrennt. Enthält die Antwort eines davon, gibt es 0 Punkte.</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="q-answer-language">Sprache der Antworten</label>
+                            <select id="q-answer-language" class="form-select">
+                                <option value="de" ${question?.answerRules?.language !== 'en' ? 'selected' : ''}>Deutsch</option>
+                                <option value="en" ${question?.answerRules?.language === 'en' ? 'selected' : ''}>Englisch</option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+
+                <hr class="form-separator" style="margin: var(--space-md) 0; border: 0; border-top: 1px solid var(--border-color); opacity: 0.5;">
+
+                <div class="form-group">
+                    <label for="q-explanation">Erläuterung (optional)</label>
+                    <textarea id="q-explanation" class="form-textarea" rows="3" placeholder="Warum die richtige Antwort richtig ist">${Helpers.escapeHtml(question?.explanation || '')}</textarea>
+                    <small class="form-hint" style="display: block; margin-top: var(--space-xs); color: var(--text-muted);">
+                        Wird nach der Abgabe angezeigt, wenn der Test Antworten mit Erläuterungen freigibt
+                    </small>
                 </div>
             </form>
         `;
@@ -636,14 +806,31 @@ const KCQuestionsView = {
     bindQuestionFormEvents(submitBtn, isEdit, existingQuestion) {
         const form = document.getElementById('question-form');
         const typeSelect = document.getElementById('q-type');
-        const mcSection = document.getElementById('mc-options-section');
-        const openSection = document.getElementById('open-question-section');
 
-        // Question type change
+        // Question type change - each type has its own answer section
+        const sections = {
+            'mc-options-section': ['multiple_choice', 'single_choice'],
+            'true-false-section': ['true_false'],
+            'ordering-section': ['ordering'],
+            'matching-section': ['matching'],
+            'numeric-section': ['numeric'],
+            'cloze-section': ['cloze'],
+            'open-question-section': ['open_question']
+        };
         typeSelect?.addEventListener('change', (e) => {
-            const isOpen = e.target.value === 'open_question';
-            mcSection?.classList.toggle('hidden', isOpen);
-            openSection?.classList.toggle('hidden', !isOpen);
+            const type = e.target.value;
+            Object.entries(sections).forEach(([id, types]) => {
+                document.getElementById(id)?.classList.toggle('hidden', !types.includes(type));
+            });
+            document.getElementById('partial-answer-section')?.classList.toggle('hidden', !KCQuestionTypes.supportsPartialAnswer(type));
+        });
+
+        // Single choice allows only one correct option
+        document.getElementById('mc-options-list')?.addEventListener('change', (e) => {
+            if (typeSelect.value !== 'single_choice' || !e.target.classList.contains('mc-correct') || !e.target.checked) return;
+            document.querySelectorAll('.mc-correct').forEach(cb => {
+                if (cb !== e.target) cb.checked = false;
+            });
         });
 
         // Add MC option
@@ -655,9 +842,11 @@ const KCQuestionsView = {
             row.innerHTML = `
                 <input type="checkbox" class="mc-correct">
                 <input type="text" class="form-input mc-text" placeholder="Antwort ${index + 1}">
+                ${this.renderOptionMediaControl(null)}
                 <button type="button" class="btn-icon mc-remove" title="Entfernen">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                 </button>
+                <input type="text" class="form-input mc-explanation" placeholder="Erläuterung zu dieser Antwort (optional)">
             `;
             list.appendChild(row);
             this.bindMcRemove(row.querySelector('.mc-remove'));
@@ -684,6 +873,91 @@ const KCQuestionsView = {
         // Bind existing trigger remove buttons
         document.querySelectorAll('.trigger-remove').forEach(btn => this.bindTriggerRemove(btn));
 
+        // Add ordering item
+        document.getElementById('add-ordering-item')?.addEventListener('click', () => {
+            const list = document.getElementById('ordering-items-list');
+            list.insertAdjacentHTML('beforeend', this.renderOrderingRow('', list.children.length));
+            this.bindRowRemove(list.lastElementChild.querySelector('.row-remove'));
+        });
+
+        // Add matching pair
+        document.getElementById('add-matching-pair')?.addEventListener('click', () => {
+            const list = document.getElementById('matching-pairs-list');
+            list.insertAdjacentHTML('beforeend', this.renderMatchingRow({ text: '', matchText: '' }));
+            this.bindRowRemove(list.lastElementChild.querySelector('.row-remove'));
+        });
+
+        // Add keyword group
+        document.getElementById('add-keyword-group')?.addEventListener('click', () => {
+            const list = document.getElementById('keyword-groups-list');
+            list.insertAdjacentHTML('beforeend', this.renderKeywordGroupRow({ mode: 'all', keywords: [] }, list.children.length));
+            this.bindRowRemove(list.lastElementChild.querySelector('.row-remove'));
+        });
+
+        // "Mindestens N" needs the number of keywords
+        document.getElementById('keyword-groups-list')?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('keyword-group-mode')) {
+                e.target.closest('.keyword-group-row').querySelector('.keyword-group-min').classList.toggle('hidden', e.target.value !== 'min');
+            }
+        });
+
+        // Add cloze blank
+        document.getElementById('add-cloze-blank')?.addEventListener('click', () => {
+            const list = document.getElementById('cloze-blanks-list');
+            list.insertAdjacentHTML('beforeend', this.renderClozeRow('', list.children.length));
+            this.bindRowRemove(list.lastElementChild.querySelector('.row-remove'));
+        });
+
+        // Bind existing ordering, matching and cloze remove buttons
+        document.querySelectorAll('#question-form .row-remove').forEach(btn => this.bindRowRemove(btn));
+
+        // Images and attachments - one file input for the question and the answer rows
+        const mediaInput = document.getElementById('kc-media-file');
+        let mediaTarget = null;
+        const pickMedia = (target, accept) => {
+            mediaTarget = target;
+            mediaInput.accept = accept;
+            mediaInput.value = '';
+            mediaInput.click();
+        };
+        mediaInput?.addEventListener('change', async () => {
+            const file = mediaInput.files[0];
+            if (!file || !mediaTarget) return;
+            const media = await this.uploadMediaFile(file);
+            if (!media) return;
+
+            if (mediaTarget.id === 'q-media-list') {
+                mediaTarget.insertAdjacentHTML('beforeend', this.renderMediaChip(media));
+            } else {
+                mediaTarget.dataset.id = media.id;
+                const pick = mediaTarget.querySelector('.kc-option-media-pick');
+                pick.classList.add('active');
+                pick.title = media.fileName;
+                mediaTarget.querySelector('.kc-option-media-clear').classList.remove('hidden');
+            }
+        });
+        document.getElementById('add-question-media')?.addEventListener('click', () => {
+            pickMedia(document.getElementById('q-media-list'), this.mediaAccept);
+        });
+        form.addEventListener('click', (e) => {
+            const chipRemove = e.target.closest('.kc-media-chip-remove');
+            if (chipRemove) {
+                chipRemove.closest('.kc-media-chip').remove();
+                return;
+            }
+            const control = e.target.closest('.kc-option-media');
+            if (!control) return;
+            if (e.target.closest('.kc-option-media-pick')) {
+                pickMedia(control, this.mediaAccept.split(',').filter(type => type.startsWith('image/')).join(','));
+            } else if (e.target.closest('.kc-option-media-clear')) {
+                control.dataset.id = '';
+                const pick = control.querySelector('.kc-option-media-pick');
+                pick.classList.remove('active');
+                pick.title = 'Bild hinzufügen';
+                control.querySelector('.kc-option-media-clear').classList.add('hidden');
+            }
+        });
+
         // Submit
         submitBtn.addEventListener('click', async () => {
             const questionText = document.getElementById('q-text').value.trim();
@@ -697,28 +971,105 @@ const KCQuestionsView = {
                 questionType: document.getElementById('q-type').value,
                 title: document.getElementById('q-title').value.trim(),
                 questionText: questionText,
-                weighting: parseInt(document.getElementById('q-weighting').value) || null
+                weighting: parseInt(document.getElementById('q-weighting').value) || null,
+                media: Array.from(document.querySelectorAll('#q-media-list .kc-media-chip')).map(chip => chip.dataset.id),
+                explanation: document.getElementById('q-explanation').value.trim()
             };
+            const rowMedia = (row) => row.querySelector('.kc-option-media')?.dataset.id || null;
+            // Existing options keep their ID, so running tests still find them after the change
+            const rowOptionId = (row) => row.dataset.optionId || undefined;
 
-            if (data.questionType === 'multiple_choice') {
+            if (KCQuestionTypes.supportsPartialAnswer(data.questionType)) {
                 data.allowPartialAnswer = document.getElementById('q-partial-answer')?.checked || false;
-                data.options = [];
-                document.querySelectorAll('.mc-option-row').forEach(row => {
-                    const text = row.querySelector('.mc-text').value.trim();
-                    if (text) {
-                        data.options.push({
-                            text,
-                            isCorrect: row.querySelector('.mc-correct').checked
-                        });
+            }
+
+            switch (data.questionType) {
+                case 'multiple_choice':
+                case 'single_choice':
+                    data.options = [];
+                    document.querySelectorAll('.mc-option-row').forEach(row => {
+                        const text = row.querySelector('.mc-text').value.trim();
+                        if (text) {
+                            data.options.push({
+                                id: rowOptionId(row),
+                                text,
+                                isCorrect: row.querySelector('.mc-correct').checked,
+                                media: rowMedia(row),
+                                explanation: row.querySelector('.mc-explanation').value.trim()
+                            });
+                        }
+                    });
+                    if (data.questionType === 'single_choice' && data.options.filter(o => o.isCorrect).length !== 1) {
+                        Toast.error('Bitte markieren Sie genau eine richtige Antwort');
+                        return;
                     }
-                });
-            } else {
-                data.exactAnswer = document.getElementById('q-exact-answer').value.trim();
-                data.triggerWords = [];
-                document.querySelectorAll('.trigger-word').forEach(input => {
-                    const word = input.value.trim();
-                    if (word) data.triggerWords.push(word);
-                });
+                    break;
+                case 'true_false': {
+                    const correctIndex = parseInt(document.querySelector('input[name="tfCorrect"]:checked')?.value || '0');
+                    data.options = ['Wahr', 'Falsch'].map((text, index) => ({
+                        id: type === 'true_false' ? options[index]?.id : undefined,
+                        text,
+                        isCorrect: index === correctIndex,
+                        explanation: document.getElementById(`q-tf-explanation-${index}`).value.trim()
+                    }));
+                    break;
+                }
+                case 'ordering':
+                    data.options = Array.from(document.querySelectorAll('.ordering-item-row'))
+                        .map(row => ({ id: rowOptionId(row), text: row.querySelector('.ordering-text').value.trim(), media: rowMedia(row) }))
+                        .filter(o => o.text);
+                    if (data.options.length < 2) {
+                        Toast.error('Bitte geben Sie mindestens zwei Elemente ein');
+                        return;
+                    }
+                    break;
+                case 'matching':
+                    data.options = [];
+                    document.querySelectorAll('.matching-pair-row').forEach(row => {
+                        const text = row.querySelector('.matching-text').value.trim();
+                        const matchText = row.querySelector('.matching-match').value.trim();
+                        if (text || matchText) data.options.push({ id: rowOptionId(row), text, matchText, media: rowMedia(row) });
+                    });
+                    if (data.options.length < 2 || data.options.some(o => !o.text || !o.matchText)) {
+                        Toast.error('Bitte geben Sie mindestens zwei vollständige Paare ein');
+                        return;
+                    }
+                    break;
+                case 'numeric':
+                    data.exactAnswer = document.getElementById('q-numeric-answer').value.trim();
+                    data.numericTolerance = document.getElementById('q-numeric-tolerance').value.trim() || null;
+                    if (!Number.isFinite(Number(data.exactAnswer.replace(',', '.'))) || !data.exactAnswer) {
+                        Toast.error('Bitte geben Sie einen gültigen Zahlenwert ein');
+                        return;
+                    }
+                    break;
+                case 'cloze': {
+                    data.options = Array.from(document.querySelectorAll('.cloze-blank-row'))
+                        .map(row => ({ id: rowOptionId(row), text: row.querySelector('.cloze-accepted').value.trim() }))
+                        .filter(o => o.text);
+                    const blankCount = new Set(questionText.match(/\{\{\d+\}\}/g) || []).size;
+                    if (blankCount === 0 || blankCount !== data.options.length) {
+                        Toast.error('Anzahl der Lücken im Text ({{1}}, {{2}}, ...) und der Antworten stimmt nicht überein');
+                        return;
+                    }
+                    break;
+                }
+                default:
+                    data.exactAnswer = document.getElementById('q-exact-answer').value.trim();
+                    data.triggerWords = [];
+                    document.querySelectorAll('.trigger-word').forEach(input => {
+                        const word = input.value.trim();
+                        if (word) data.triggerWords.push(word);
+                    });
+                    data.answerRules = {
+                        language: document.getElementById('q-answer-language').value,
+                        groups: Array.from(document.querySelectorAll('.keyword-group-row')).map(row => ({
+                            mode: row.querySelector('.keyword-group-mode').value,
+                            min: parseInt(row.querySelector('.keyword-group-min').value, 10) || 1,
+                            keywords: KCQuestionTypes.parseKeywords(row.querySelector('.keyword-group-keywords').value)
+                        })).filter(group => group.keywords.length > 0),
+                        forbidden: document.getElementById('q-forbidden-words').value.split(',').map(w => w.trim()).filter(Boolean)
+                    };
             }
 
             try {
@@ -730,7 +1081,11 @@ const KCQuestionsView = {
                 }
                 
                 if (response && response.success) {
-                    Toast.success(isEdit ? 'Frage aktualisiert' : 'Frage erstellt');
+                    if (response.revisionCreated) {
+                        Toast.success('Überarbeitung als Entwurf gespeichert – die veröffentlichte Frage bleibt unverändert');
+                    } else {
+                        Toast.success(isEdit ? 'Frage aktualisiert' : 'Frage als Entwurf erstellt');
+                    }
                     Modal.close();
                     await this.loadQuestions();
                     this.renderCatalog();
@@ -752,68 +1107,173 @@ const KCQuestionsView = {
         btn.addEventListener('click', () => btn.closest('.trigger-word-row').remove());
     },
 
+    bindRowRemove(btn) {
+        btn.addEventListener('click', () => {
+            const list = btn.closest('.kc-answer-row').parentElement;
+            btn.closest('.kc-answer-row').remove();
+            // Keep the position and blank numbers in sync
+            list.querySelectorAll('.kc-answer-row-index').forEach((label, index) => {
+                label.textContent = label.dataset.format.replace('#', index + 1);
+            });
+        });
+    },
+
+    renderRemoveButton() {
+        return `
+            <button type="button" class="btn-icon row-remove" title="Entfernen">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>
+        `;
+    },
+
+    renderOrderingRow(text, index, media = null, optionId = '') {
+        return `
+            <div class="kc-answer-row ordering-item-row" data-option-id="${optionId || ''}">
+                <span class="kc-answer-row-index" data-format="#.">${index + 1}.</span>
+                <input type="text" class="form-input ordering-text" value="${Helpers.escapeHtml(text)}" placeholder="Element">
+                ${this.renderOptionMediaControl(media)}
+                ${this.renderRemoveButton()}
+            </div>
+        `;
+    },
+
+    renderMatchingRow(opt) {
+        return `
+            <div class="kc-answer-row matching-pair-row" data-option-id="${opt.id || ''}">
+                <input type="text" class="form-input matching-text" value="${Helpers.escapeHtml(opt.text)}" placeholder="Begriff">
+                ${this.renderOptionMediaControl(opt.media)}
+                <span class="matching-arrow">→</span>
+                <input type="text" class="form-input matching-match" value="${Helpers.escapeHtml(opt.matchText || '')}" placeholder="Gegenstück">
+                ${this.renderRemoveButton()}
+            </div>
+        `;
+    },
+
     /**
-     * Views a question's details (preview)
+     * Uploaded file of the question form (removable)
      */
-    async viewQuestion(questionId) {
-        const question = this.questions.find(q => q.id === questionId);
-        if (!question) return;
+    renderMediaChip(media) {
+        return `
+            <span class="kc-media-chip" data-id="${media.id}">
+                ${media.isImage ? '🖼' : '📎'} ${Helpers.escapeHtml(media.fileName)}
+                <button type="button" class="btn-icon kc-media-chip-remove" title="Entfernen">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+                </button>
+            </span>
+        `;
+    },
 
-        const canEdit = Permissions.canEdit('kcQuestion');
-        const typeLabels = {
-            'multiple_choice': 'Multiple Choice',
-            'open_question': 'Offene Frage'
-        };
+    /**
+     * Image picker of an answer row - the media ID is kept in data-id
+     */
+    renderOptionMediaControl(media) {
+        return `
+            <span class="kc-option-media" data-id="${media?.id || ''}">
+                <button type="button" class="btn-icon kc-option-media-pick ${media ? 'active' : ''}" title="${media ? Helpers.escapeHtml(media.fileName) : 'Bild hinzufügen'}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg>
+                </button>
+                <button type="button" class="btn-icon kc-option-media-clear ${media ? '' : 'hidden'}" title="Bild entfernen">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+                </button>
+            </span>
+        `;
+    },
 
-        let answerSection = '';
-        if (question.questionType === 'multiple_choice' && question.options && question.options.length > 0) {
-            answerSection = `
-                <div class="question-detail-section">
-                    <h5>Antwortmöglichkeiten</h5>
-                    <ul class="question-options-list">
-                        ${question.options.map(o => `
-                            <li class="${o.isCorrect ? 'correct' : ''}">
-                                ${o.isCorrect ? '<span class="badge badge-success">✓</span>' : '<span class="badge badge-outline">○</span>'}
-                                ${Helpers.escapeHtml(o.text)}
-                            </li>
+    /**
+     * Reads a selected file and uploads it
+     * @returns {Object|null} Uploaded media, null on errors (already reported)
+     */
+    async uploadMediaFile(file) {
+        try {
+            const data = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                // Data URL without the "data:...;base64," prefix
+                reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+            const result = await window.api.knowledgeCheck.uploadMedia({ fileName: file.name, data });
+            if (!result.success) {
+                Toast.error(result.error || 'Datei konnte nicht hochgeladen werden');
+                return null;
+            }
+            return result.media;
+        } catch (error) {
+            console.error('Media upload error:', error);
+            Toast.error('Datei konnte nicht gelesen werden');
+            return null;
+        }
+    },
+
+    renderKeywordGroupRow(group, index) {
+        return `
+            <div class="kc-answer-row keyword-group-row">
+                <span class="kc-answer-row-index" data-format="#.">${index + 1}.</span>
+                <div class="keyword-group-settings">
+                    <select class="form-select keyword-group-mode">
+                        ${Object.entries(KCQuestionTypes.keywordGroupModes).map(([mode, label]) => `
+                            <option value="${mode}" ${group.mode === mode ? 'selected' : ''}>${label}</option>
                         `).join('')}
-                    </ul>
-                    ${question.allowPartialAnswer ? '<p class="text-muted"><small>Teilweise Antworten erlaubt</small></p>' : ''}
-                </div>
-            `;
-        } else if (question.questionType === 'open_question') {
-            answerSection = `
-                <div class="question-detail-section">
-                    <h5>Erwartete Antwort</h5>
-                    ${question.exactAnswer ? `<p><strong>Exakte Antwort:</strong> ${Helpers.escapeHtml(question.exactAnswer)}</p>` : ''}
-                    ${question.triggerWords && question.triggerWords.length > 0 ? `
-                        <p><strong>Schlüsselwörter:</strong></p>
-                        <div class="trigger-words-display">
-                            ${question.triggerWords.map(tw => `<span class="badge badge-info">${Helpers.escapeHtml(tw)}</span>`).join(' ')}
-                        </div>
-                    ` : ''}
+                    </select>
+                    <input type="number" class="form-input keyword-group-min ${group.mode === 'min' ? '' : 'hidden'}" min="1" step="1" value="${group.min || 2}" title="Mindestanzahl">
                 </div>
-            `;
+                <textarea class="form-textarea keyword-group-keywords" rows="3" placeholder="kündigen | beenden = 2&#10;Frist">${Helpers.escapeHtml((group.keywords || []).map(k => KCQuestionTypes.formatKeyword(k)).join('\n'))}</textarea>
+                ${this.renderRemoveButton()}
+            </div>
+        `;
+    },
+
+    renderClozeRow(text, index, optionId = '') {
+        return `
+            <div class="kc-answer-row cloze-blank-row" data-option-id="${optionId || ''}">
+                <span class="kc-answer-row-index" data-format="{{#}}">{{${index + 1}}}</span>
+                <input type="text" class="form-input cloze-accepted" value="${Helpers.escapeHtml(text)}" placeholder="Akzeptierte Antworten, z. B. Berlin|berlin">
+                ${this.renderRemoveButton()}
+            </div>
+        `;
+    },
+
+    /**
+     * Views a question's details (preview)
+     */
+    async viewQuestion(questionId) {
+        // Revisions are not part of the catalog list
+        let question = this.questions.find(q => q.id === questionId);
+        if (!question) {
+            const result = await window.api.knowledgeCheck.getQuestionById(questionId);
+            if (!result.success) return;
+            question = result.question;
         }
 
+        const canEdit = Permissions.canEdit('kcQuestion');
+        const answerSection = KCQuestionTypes.renderSolution(question);
+        const historyResult = await window.api.knowledgeCheck.getQuestionReviewHistory(questionId);
+        const history = historyResult.success ? historyResult.history : [];
+
         const contentHtml = `
             <div class="question-detail">
                 <div class="question-detail-header">
                     ${question.title ? `<h4>${Helpers.escapeHtml(question.title)}</h4>` : ''}
                     <p class="question-detail-text">${Helpers.escapeHtml(question.questionText)}</p>
+                    ${KCQuestionTypes.renderMedia(question.media)}
                 </div>
                 <div class="question-detail-meta">
-                    <span class="badge badge-secondary">${typeLabels[question.questionType] || question.questionType}</span>
+                    ${KCQuestionTypes.renderStatusBadge(question.status)}
+                    ${question.revisionOf ? '<span class="badge badge-outline">Überarbeitung einer veröffentlichten Frage</span>' : ''}
+                    <span class="badge badge-secondary">${KCQuestionTypes.getLabel(question.questionType)}</span>
                     ${question.weighting ? `<span class="badge badge-info">Gewichtung: ${question.weighting}</span>` : ''}
                     <span class="badge badge-outline">${question.categoryName}</span>
                 </div>
                 ${answerSection}
+                ${KCQuestionTypes.renderExplanation(question.explanation)}
+                ${KCQuestionTypes.renderReviewHistory(history)}
             </div>
         `;
 
         const template = document.createElement('template');
         template.innerHTML = contentHtml.trim();
         const content = template.content.firstElementChild;
+        KCQuestionTypes.loadMedia(content);
 
         const footer = document.createElement('div');
         footer.style.display = 'flex';
@@ -840,6 +1300,20 @@ const KCQuestionsView = {
             });
             leftBtns.appendChild(editBtn);
         }
+        KCQuestionTypes.createReviewButtons('question', question, () => this.refresh())
+            .forEach(btn => leftBtns.appendChild(btn));
+        if (question.pendingRevision) {
+            const revisionBtn = document.createElement('button');
+            revisionBtn.className = 'btn btn-ghost';
+            revisionBtn.textContent = `Überarbeitung anzeigen (${KCQuestionTypes.statusLabels[question.pendingRevision.status]})`;
+            revisionBtn.addEventListener('click', () => {
+                Modal.close();
+                setTimeout(() => this.viewQuestion(question.pendingRevision.id), 250);
+            });
+            leftBtns.appendChild(revisionBtn);
+        }
+        const regradeBtn = KCQuestionTypes.createRegradeButton('question', question);
+        if (regradeBtn) leftBtns.appendChild(regradeBtn);
         footer.appendChild(leftBtns);
 
         const closeBtn = document.createElement('button');
@@ -860,7 +1334,13 @@ const KCQuestionsView = {
      * Edits a question
      */
     async editQuestion(questionId) {
-        const question = this.questions.find(q => q.id === questionId);
+        let question = this.questions.find(q => q.id === questionId);
+        // A published question is edited through its pending revision
+        const revisionId = question ? question.pendingRevision?.id : questionId;
+        if (revisionId) {
+            const result = await window.api.knowledgeCheck.getQuestionById(revisionId);
+            question = result.success ? result.question : null;
+        }
         if (question) {
             await this.showQuestionForm(question);
         }
@@ -886,8 +1366,16 @@ const KCQuestionsView = {
             currentCategoryId: question.categoryId,
             onSubmit: async (newCategoryId) => {
                 try {
-                    await window.api.knowledgeCheck.moveQuestion(questionId, newCategoryId);
-                    Toast.success('Frage verschoben');
+                    const response = await window.api.knowledgeCheck.moveQuestion(questionId, newCategoryId);
+                    if (!response || !response.success) {
+                        Toast.error(response?.error || 'Fehler beim Verschieben');
+                        return;
+                    }
+                    if (question.status === 'published') {
+                        Toast.success('Verschiebung in der Überarbeitung gespeichert – sie wird mit der Veröffentlichung wirksam');
+                    } else {
+                        Toast.success('Frage verschoben');
+                    }
                     await this.loadQuestions();
                     this.renderCatalog();
                 } catch (error) {
@@ -935,6 +1423,477 @@ const KCQuestionsView = {
         }
     },
 
+    /**
+     * Supported exchange formats for import and export
+     */
+    exchangeFormats: {
+        csv: 'CSV',
+        moodle: 'Moodle XML',
+        gift: 'GIFT',
+        qti: 'QTI 1.2'
+    },
+
+    /**
+     * Shows the import dialog (file, format, default category, preview and category mapping)
+     */
+    showImportDialog() {
+        if (!Permissions.canCreate('kcQuestion')) {
+            Toast.error('Keine Berechtigung zum Erstellen von Fragen');
+            return;
+        }
+
+        const content = document.createElement('div');
+        content.className = 'kc-import';
+        content.innerHTML = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="kc-import-format">Format</label>
+                    <select id="kc-import-format" class="form-select">
+                        ${Object.entries(this.exchangeFormats).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="kc-import-default-category">Kategorie für Fragen ohne Kategorie</label>
+                    <select id="kc-import-default-category" class="form-select">
+                        <option value="">Keine</option>
+                        ${this.categories.map(c => `<option value="${c.id}">${Helpers.escapeHtml(c.name)}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="kc-import-file">Datei</label>
+                <input type="file" id="kc-import-file" class="form-input" accept=".csv,.txt,.gift,.xml">
+                <small class="form-hint">
+                    CSV-Spalten: category, type, title, question, weighting, allow_partial_answer, exact_answer, numeric_tolerance, trigger_words, answer_rules (JSON), media und option_media (JSON), explanation, option_explanations (JSON), option_1 ... option_n.
+                    Richtige Optionen mit * markieren, Zuordnungen als "links => rechts".
+                </small>
+            </div>
+            <div id="kc-import-preview" class="kc-import-preview"></div>
+        `;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+
+        const previewBtn = document.createElement('button');
+        previewBtn.className = 'btn btn-secondary';
+        previewBtn.textContent = 'Vorschau';
+
+        const importBtn = document.createElement('button');
+        importBtn.className = 'btn btn-primary';
+        importBtn.textContent = 'Importieren';
+        importBtn.disabled = true;
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(previewBtn);
+        footer.appendChild(importBtn);
+
+        Modal.open({
+            title: 'Fragen importieren',
+            content,
+            footer,
+            size: 'lg'
+        });
+
+        const fileInput = content.querySelector('#kc-import-file');
+        const formatSelect = content.querySelector('#kc-import-format');
+        const state = { content: null, mapping: {} };
+
+        const resetPreview = () => {
+            state.mapping = {};
+            importBtn.disabled = true;
+            content.querySelector('#kc-import-preview').innerHTML = '';
+        };
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            resetPreview();
+            state.content = null;
+            if (!file) return;
+
+            // Guess the format from the file name, Moodle and QTI are both XML
+            const name = file.name.toLowerCase();
+            if (name.endsWith('.csv')) formatSelect.value = 'csv';
+            else if (name.endsWith('.gift') || name.endsWith('.gift.txt')) formatSelect.value = 'gift';
+            else if (name.endsWith('.qti.xml')) formatSelect.value = 'qti';
+
+            const reader = new FileReader();
+            reader.onload = () => { state.content = reader.result; };
+            reader.onerror = () => Toast.error('Datei konnte nicht gelesen werden');
+            reader.readAsText(file);
+        });
+        formatSelect.addEventListener('change', resetPreview);
+        content.querySelector('#kc-import-default-category').addEventListener('change', resetPreview);
+
+        const buildRequest = (dryRun) => ({
+            format: formatSelect.value,
+            content: state.content,
+            dryRun,
+            defaultCategoryId: content.querySelector('#kc-import-default-category').value || null,
+            categoryMapping: state.mapping
+        });
+
+        previewBtn.addEventListener('click', async () => {
+            if (!state.content) {
+                Toast.error('Bitte eine Datei auswählen');
+                return;
+            }
+            try {
+                const result = await window.api.knowledgeCheck.importQuestions(buildRequest(true));
+                if (!result.success) {
+                    Toast.error(result.error || 'Vorschau fehlgeschlagen');
+                    return;
+                }
+                this.renderImportPreview(content, result, state, () => previewBtn.click());
+                importBtn.disabled = result.summary.valid === 0;
+            } catch (error) {
+                console.error('Import preview error:', error);
+                Toast.error('Vorschau fehlgeschlagen');
+            }
+        });
+
+        importBtn.addEventListener('click', async () => {
+            importBtn.disabled = true;
+            try {
+                const result = await window.api.knowledgeCheck.importQuestions(buildRequest(false));
+                if (result.success) {
+                    Toast.success(`${result.createdQuestions} Fragen importiert${result.createdCategories ? `, ${result.createdCategories} Kategorien erstellt` : ''}`);
+                    Modal.close();
+                    await this.refresh();
+                } else {
+                    Toast.error(result.error || 'Import fehlgeschlagen');
+                    importBtn.disabled = false;
+                }
+            } catch (error) {
+                console.error('Import questions error:', error);
+                Toast.error('Import fehlgeschlagen');
+                importBtn.disabled = false;
+            }
+        });
+    },
+
+    /**
+     * Renders the dry run result: summary, category mapping and the questions with errors
+     */
+    renderImportPreview(container, result, state, onMappingChange) {
+        const preview = container.querySelector('#kc-import-preview');
+        const canCreateCategories = Permissions.canCreate('kcCategory');
+        const invalid = result.questions.filter(q => q.error);
+
+        const mappingRows = result.categories.filter(c => c.sourceName).map(c => {
+            const selected = state.mapping[c.sourceName] || (c.isNew ? 'new' : c.categoryId || '');
+            return `
+                <tr>
+                    <td>${Helpers.escapeHtml(c.sourceName)}</td>
+                    <td>
+                        <select class="form-select kc-import-mapping" data-source="${Helpers.escapeHtml(c.sourceName)}">
+                            ${!c.categoryId && !c.isNew ? '<option value="">Bitte wählen</option>' : ''}
+                            ${canCreateCategories ? `<option value="new" ${selected === 'new' ? 'selected' : ''}>Neue Kategorie "${Helpers.escapeHtml(c.sourceName)}"</option>` : ''}
+                            ${this.categories.map(cat => `<option value="${cat.id}" ${selected === cat.id ? 'selected' : ''}>${Helpers.escapeHtml(cat.name)}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td>${c.questionCount}</td>
+                </tr>
+            `;
+        }).join('');
+
+        preview.innerHTML = `
+            <div class="kc-import-summary">
+                <span class="badge badge-info">${result.summary.total} Fragen</span>
+                <span class="badge badge-success">${result.summary.valid} gültig</span>
+                ${result.summary.invalid > 0 ? `<span class="badge badge-danger">${result.summary.invalid} fehlerhaft</span>` : ''}
+            </div>
+            ${mappingRows ? `
+                <h4>Kategorien zuordnen</h4>
+                <table class="data-table">
+                    <thead><tr><th>Kategorie in der Datei</th><th>Zielkategorie</th><th>Fragen</th></tr></thead>
+                    <tbody>${mappingRows}</tbody>
+                </table>
+            ` : ''}
+            ${invalid.length > 0 ? `
+                <h4>Fehler</h4>
+                <ul class="kc-import-errors">
+                    ${invalid.map(q => `
+                        <li>
+                            <strong>${q.position}</strong>
+                            ${q.title ? `${Helpers.escapeHtml(q.title)} · ` : ''}${q.questionType ? `${Helpers.escapeHtml(KCQuestionTypes.getLabel(q.questionType))} · ` : ''}
+                            <span class="kc-import-error">${Helpers.escapeHtml(q.error)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+
+        // Changing a mapping validates again with the new target
+        preview.querySelectorAll('.kc-import-mapping').forEach(select => {
+            select.addEventListener('change', () => {
+                state.mapping[select.dataset.source] = select.value;
+                onMappingChange();
+            });
+        });
+    },
+
+    /**
+     * Shows the export dialog (format and category)
+     */
+    showExportDialog() {
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <div class="form-group">
+                <label for="kc-export-format">Format</label>
+                <select id="kc-export-format" class="form-select">
+                    ${Object.entries(this.exchangeFormats).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <small class="form-hint">GIFT unterstützt keine Reihenfolge- und Lückentext-Fragen, diese werden übersprungen. Bilder, Anhänge und Erläuterungen werden nur in CSV und Moodle XML mitexportiert.</small>
+            </div>
+            <div class="form-group">
+                <label for="kc-export-category">Kategorie</label>
+                <select id="kc-export-category" class="form-select">
+                    <option value="">Alle Kategorien</option>
+                    ${this.categories.map(c => `<option value="${c.id}" ${this.filters.categoryId === c.id ? 'selected' : ''}>${Helpers.escapeHtml(c.name)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn btn-primary';
+        exportBtn.textContent = 'Exportieren';
+        exportBtn.addEventListener('click', async () => {
+            const params = { format: content.querySelector('#kc-export-format').value };
+            const categoryId = content.querySelector('#kc-export-category').value;
+            if (categoryId) params.categoryId = categoryId;
+
+            try {
+                const result = await window.api.knowledgeCheck.exportQuestions(params);
+                if (!result.success) {
+                    Toast.error(result.error || 'Export fehlgeschlagen');
+                    return;
+                }
+                Helpers.downloadFile(result.data, result.filename, result.mimeType);
+                if (result.skipped.length > 0) {
+                    Toast.warning(`${result.count} Fragen exportiert, ${result.skipped.length} übersprungen`);
+                } else {
+                    Toast.success(`${result.count} Fragen exportiert`);
+                }
+                Modal.close();
+            } catch (error) {
+                console.error('Export questions error:', error);
+                Toast.error('Export fehlgeschlagen');
+            }
+        });
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(exportBtn);
+
+        Modal.open({
+            title: 'Fragen exportieren',
+            content,
+            footer
+        });
+    },
+
+    /**
+     * Labels of the item analysis flags
+     */
+    analyticsFlagLabels: {
+        too_easy: 'Zu leicht',
+        too_hard: 'Zu schwer',
+        low_discrimination: 'Geringe Trennschärfe',
+        negative_discrimination: 'Negative Trennschärfe',
+        weak_distractors: 'Schwache Distraktoren'
+    },
+
+    /**
+     * Shows or hides the item analysis panel
+     */
+    async toggleAnalytics() {
+        this.analyticsVisible = !this.analyticsVisible;
+        document.getElementById('kc-question-analytics')?.classList.toggle('hidden', !this.analyticsVisible);
+        if (this.analyticsVisible) {
+            await this.loadAnalytics();
+        }
+    },
+
+    /**
+     * Loads the item analysis for the selected category
+     */
+    async loadAnalytics() {
+        const panel = document.getElementById('kc-question-analytics');
+        if (!panel) return;
+        panel.innerHTML = '<div class="loading-state"><div class="spinner"></div></div>';
+
+        try {
+            const filters = {};
+            if (this.filters.categoryId) filters.categoryId = this.filters.categoryId;
+            if (this.analyticsFilters.includeArchived) filters.includeArchived = 'true';
+
+            const result = await window.api.knowledgeCheck.getQuestionAnalytics(filters);
+            if (!result.success) {
+                Toast.error(result.error || 'Analyse konnte nicht geladen werden');
+                panel.innerHTML = '';
+                return;
+            }
+            this.analytics = result.analytics;
+            this.renderAnalytics();
+        } catch (error) {
+            console.error('Failed to load question analytics:', error);
+            Toast.error('Analyse konnte nicht geladen werden');
+        }
+    },
+
+    /**
+     * Renders the item analysis table
+     */
+    renderAnalytics() {
+        const panel = document.getElementById('kc-question-analytics');
+        if (!panel) return;
+
+        const items = this.analyticsFilters.flaggedOnly
+            ? this.analytics.filter(a => a.flags.length > 0)
+            : this.analytics;
+        const flaggedCount = this.analytics.filter(a => a.flags.length > 0).length;
+
+        panel.innerHTML = `
+            <div class="kc-analytics-header">
+                <div>
+                    <h3>Fragenanalyse</h3>
+                    <small class="form-hint">
+                        Schwierigkeit = Anteil erreichter Punkte. Trennschärfe = Schwierigkeit bei den besten 27% minus den schwächsten 27% der Ergebnisse.
+                    </small>
+                </div>
+                <div class="kc-analytics-filters">
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="kc-analytics-flagged" ${this.analyticsFilters.flaggedOnly ? 'checked' : ''}>
+                        <span>Nur auffällige (${flaggedCount})</span>
+                    </label>
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="kc-analytics-archived" ${this.analyticsFilters.includeArchived ? 'checked' : ''}>
+                        <span>Archivierte einbeziehen</span>
+                    </label>
+                </div>
+            </div>
+            ${items.length === 0 ? '<p class="empty-state">Keine Fragen für die Analyse vorhanden</p>' : `
+                <div class="table-container">
+                    <table class="data-table kc-analytics-table">
+                        <thead>
+                            <tr>
+                                <th>Frage</th>
+                                <th>Typ</th>
+                                <th>Antworten</th>
+                                <th>Schwierigkeit</th>
+                                <th>Trennschärfe</th>
+                                <th>Ø Zeit</th>
+                                <th>Hinweise</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${items.map(a => this.renderAnalyticsRow(a)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+
+        panel.querySelector('#kc-analytics-flagged')?.addEventListener('change', (e) => {
+            this.analyticsFilters.flaggedOnly = e.target.checked;
+            this.renderAnalytics();
+        });
+        panel.querySelector('#kc-analytics-archived')?.addEventListener('change', (e) => {
+            this.analyticsFilters.includeArchived = e.target.checked;
+            this.loadAnalytics();
+        });
+
+        // Option distribution toggles below the row
+        panel.querySelectorAll('.kc-analytics-toggle').forEach(btn => {
+            btn.addEventListener('click', () => {
+                panel.querySelector(`.kc-analytics-options[data-question-id="${btn.dataset.questionId}"]`)?.classList.toggle('hidden');
+            });
+        });
+        panel.querySelectorAll('.kc-analytics-view').forEach(btn => {
+            btn.addEventListener('click', () => this.viewQuestion(btn.dataset.questionId));
+        });
+        panel.querySelectorAll('.kc-analytics-retire').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                await this.deleteQuestion(btn.dataset.questionId);
+                await this.loadAnalytics();
+            });
+        });
+    },
+
+    /**
+     * Renders one question of the item analysis with its option distribution
+     */
+    renderAnalyticsRow(item) {
+        const title = item.title || Helpers.truncate(item.questionText, 60);
+        const seconds = item.averageTimeSeconds;
+        const time = seconds === null ? '-' : seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} min` : `${seconds} s`;
+        const canRetire = !item.isArchived && Permissions.canDelete('kcQuestion');
+
+        return `
+            <tr class="${item.flags.length > 0 ? 'kc-analytics-flagged' : ''}">
+                <td>
+                    ${Helpers.escapeHtml(title)}
+                    <div class="kc-analytics-meta">${Helpers.escapeHtml(item.categoryName)}${item.isArchived ? ' · Archiviert' : ''}</div>
+                </td>
+                <td>${Helpers.escapeHtml(KCQuestionTypes.getLabel(item.questionType))}</td>
+                <td>${item.answerCount}</td>
+                <td>${item.difficulty === null ? '-' : `${item.difficulty}%`}</td>
+                <td>${item.discrimination === null ? '-' : item.discrimination.toFixed(2)}</td>
+                <td title="${item.timedAnswerCount} Antworten mit Zeitmessung">${time}</td>
+                <td>${item.flags.map(f => `<span class="badge badge-warning">${this.analyticsFlagLabels[f] || f}</span>`).join(' ')}</td>
+                <td class="kc-analytics-actions">
+                    ${item.options.length > 0 ? `<button type="button" class="btn btn-sm btn-secondary kc-analytics-toggle" data-question-id="${item.questionId}">Optionen</button>` : ''}
+                    ${!item.isArchived ? `<button type="button" class="btn btn-sm btn-secondary kc-analytics-view" data-question-id="${item.questionId}">Ansehen</button>` : ''}
+                    ${canRetire ? `<button type="button" class="btn btn-sm btn-danger kc-analytics-retire" data-question-id="${item.questionId}">Aussortieren</button>` : ''}
+                </td>
+            </tr>
+            ${item.options.length > 0 ? `
+                <tr class="kc-analytics-options hidden" data-question-id="${item.questionId}">
+                    <td colspan="8">
+                        <table class="kc-analytics-option-table">
+                            <thead>
+                                <tr><th>Option</th><th>Gewählt</th><th>Beste 27%</th><th>Schwächste 27%</th></tr>
+                            </thead>
+                            <tbody>
+                                ${item.options.map(o => `
+                                    <tr class="${o.isCorrect ? 'kc-analytics-correct' : ''}">
+                                        <td>
+                                            ${o.isCorrect ? '✓ ' : ''}${Helpers.escapeHtml(o.text)}
+                                            ${o.isOutdated ? '<span class="kc-analytics-meta">(nicht mehr vorhanden)</span>' : ''}
+                                        </td>
+                                        <td>
+                                            <div class="kc-analytics-bar"><span style="width: ${o.pickRate}%"></span></div>
+                                            ${o.pickRate}% (${o.pickCount})
+                                        </td>
+                                        <td>${o.upperPickRate === null ? '-' : `${o.upperPickRate}%`}</td>
+                                        <td>${o.lowerPickRate === null ? '-' : `${o.lowerPickRate}%`}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </td>
+                </tr>
+            ` : ''}
+        `;
+    },
+
     /**
      * Refreshes the view
      */
@@ -942,6 +1901,9 @@ const KCQuestionsView = {
         await this.loadCategories();
         await this.loadQuestions();
         this.renderCatalog();
+        if (this.analyticsVisible) {
+            await this.loadAnalytics();
+        }
     }
 };
 
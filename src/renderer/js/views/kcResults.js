@@ -6,9 +6,11 @@
 const KCResultsView = {
     results: [],
     testRuns: [],
+    tests: [],
     users: [],
     filters: {
         runId: '',
+        testId: '',
         userId: '',
         startDate: '',
         endDate: ''
@@ -24,9 +26,11 @@ const KCResultsView = {
             this.eventsBound = true;
         }
         await this.loadTestRuns();
+        await this.loadTests();
         await this.loadUsers();
         await this.loadResults();
         await this.loadStatistics();
+        await this.loadReviewCount();
     },
 
     /**
@@ -38,12 +42,37 @@ const KCResultsView = {
             this.exportResults();
         });
 
+        // Manual evaluation queue
+        document.getElementById('kc-review-queue-btn')?.addEventListener('click', () => {
+            this.showReviewQueue();
+        });
+
+        // Competency matrix by user and category
+        document.getElementById('kc-competency-matrix-btn')?.addEventListener('click', () => {
+            this.showCompetencyMatrix();
+        });
+
+        // Certification validity report
+        document.getElementById('kc-certifications-btn')?.addEventListener('click', () => {
+            this.showCertifications();
+        });
+
+        // Certificate template
+        document.getElementById('kc-certificate-template-btn')?.addEventListener('click', () => {
+            this.showCertificateTemplateDialog();
+        });
+
         // Filters
         document.getElementById('filter-kc-result-run')?.addEventListener('change', (e) => {
             this.filters.runId = e.target.value;
             this.applyFilters();
         });
 
+        document.getElementById('filter-kc-result-test')?.addEventListener('change', (e) => {
+            this.filters.testId = e.target.value;
+            this.applyFilters();
+        });
+
         document.getElementById('filter-kc-result-user')?.addEventListener('change', (e) => {
             this.filters.userId = e.target.value;
             this.applyFilters();
@@ -75,6 +104,21 @@ const KCResultsView = {
         }
     },
 
+    /**
+     * Loads all tests (including archived ones) for filter
+     */
+    async loadTests() {
+        try {
+            const result = await window.api.knowledgeCheck.getTests({ includeArchived: 1 });
+            if (result.success) {
+                this.tests = result.tests;
+                this.populateTestFilter();
+            }
+        } catch (error) {
+            console.error('Failed to load tests:', error);
+        }
+    },
+
     /**
      * Loads all users for filter
      */
@@ -123,6 +167,27 @@ const KCResultsView = {
         }
     },
 
+    /**
+     * Loads the number of answers waiting for manual evaluation
+     */
+    async loadReviewCount() {
+        const button = document.getElementById('kc-review-queue-btn');
+        const badge = document.getElementById('kc-review-queue-count');
+        const canEvaluate = Permissions.canEvaluateKCResults();
+        button?.classList.toggle('hidden', !canEvaluate);
+        if (!canEvaluate || !badge) return;
+
+        try {
+            const result = await window.api.knowledgeCheck.getReviewQueue();
+            if (result.success) {
+                badge.textContent = result.answers.length;
+                badge.classList.toggle('hidden', result.answers.length === 0);
+            }
+        } catch (error) {
+            console.error('Failed to load review queue:', error);
+        }
+    },
+
     /**
      * Populates the run filter dropdown
      */
@@ -139,6 +204,22 @@ const KCResultsView = {
         });
     },
 
+    /**
+     * Populates the test filter dropdown
+     */
+    populateTestFilter() {
+        const select = document.getElementById('filter-kc-result-test');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Alle Tests</option>';
+        this.tests.forEach(test => {
+            const option = document.createElement('option');
+            option.value = test.id;
+            option.textContent = `${test.testNumber} - ${test.name}`;
+            select.appendChild(option);
+        });
+    },
+
     /**
      * Populates the user filter dropdown
      */
@@ -192,6 +273,13 @@ const KCResultsView = {
             });
         });
 
+        tbody.querySelectorAll('.btn-certificate').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.downloadCertificate(btn.dataset.id);
+            });
+        });
+
         tbody.querySelectorAll('.btn-delete').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -212,7 +300,10 @@ const KCResultsView = {
 
         return `
             <tr data-id="${result.id}" class="clickable-row">
-                <td><strong>${Helpers.escapeHtml(result.resultNumber)}</strong></td>
+                <td>
+                    <strong>${Helpers.escapeHtml(result.resultNumber)}</strong>
+                    ${result.attemptCount > 1 ? `<br><small class="text-muted">Versuch ${result.attemptNumber}${result.isCounting ? ' · gewertet' : ''}</small>` : ''}
+                </td>
                 <td>${Helpers.escapeHtml(result.testName)}</td>
                 <td>${Helpers.escapeHtml(result.userName)}</td>
                 <td><span class="score-display ${scoreClass}">${result.percentage}%</span></td>
@@ -226,6 +317,14 @@ const KCResultsView = {
                                 <circle cx="12" cy="12" r="3"></circle>
                             </svg>
                         </button>
+                        ${result.passed ? `
+                            <button class="btn-icon btn-certificate" data-id="${result.id}" title="Zertifikat herunterladen">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <circle cx="12" cy="8" r="6"></circle>
+                                    <polyline points="8.21 13.89 7 23 12 20 17 23 15.79 13.88"></polyline>
+                                </svg>
+                            </button>
+                        ` : ''}
                         ${canDelete ? `
                             <button class="btn-icon btn-delete" data-id="${result.id}" title="Löschen">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -258,7 +357,7 @@ const KCResultsView = {
             const answersHtml = data.answers?.map((a, i) => {
                 let answerDetailsHtml = '';
                 
-                if (a.questionType === 'multiple_choice') {
+                if (KCQuestionTypes.isChoice(a.questionType)) {
                     const details = a.optionDetails || {};
                     const allOptions = details.allOptions || [];
                     
@@ -315,6 +414,8 @@ const KCResultsView = {
                         // Fallback for old data without option details
                         answerDetailsHtml = `<p class="result-answer-text">Ausgewählt: ${a.selectedOptions?.length || 0} Option(en)</p>`;
                     }
+                } else if (a.questionType !== 'open_question') {
+                    answerDetailsHtml = KCQuestionTypes.renderAnswerDetails(a, canEvaluate);
                 } else {
                     // Open question
                     if (a.answerText) {
@@ -322,6 +423,9 @@ const KCResultsView = {
                     } else {
                         answerDetailsHtml = `<p class="result-answer-text text-muted"><em>Keine Antwort eingegeben</em></p>`;
                     }
+                    if (canEvaluate) {
+                        answerDetailsHtml += KCQuestionTypes.renderKeywordMatch(a.responseData);
+                    }
                 }
                 
                 return `
@@ -331,7 +435,11 @@ const KCResultsView = {
                             ${canEvaluate ? `<span class="badge ${a.isCorrect ? 'badge-success' : 'badge-danger'}">${Math.round(a.score * 100) / 100}/${a.maxScore}</span>` : ''}
                         </div>
                         <p class="result-question-text">${Helpers.escapeHtml(a.questionText)}</p>
+                        ${canEvaluate && a.questionChanged ? `
+                            <p class="result-review-info"><small>Die Frage wurde nach dem Test geändert - angezeigt wird die Fassung zum Zeitpunkt des Tests.</small></p>
+                        ` : ''}
                         ${answerDetailsHtml}
+                        ${canEvaluate ? this.renderAnswerReview(a) : ''}
                     </div>
                 `;
             }).join('') || '<p>Keine Antwortdetails verfügbar</p>';
@@ -351,10 +459,12 @@ const KCResultsView = {
                             <div><strong>Punkte:</strong> ${Math.round(data.totalScore * 100) / 100}/${data.maxScore}</div>
                         </div>
                     </div>
+                    ${data.attempts?.length > 1 ? this.renderAttemptHistory(data) : ''}
                     <div class="result-answers">
                         <h4>Antworten</h4>
                         ${answersHtml}
                     </div>
+                    ${canEvaluate && data.history?.length > 0 ? this.renderResultHistory(data.history) : ''}
                 </div>
             `;
 
@@ -362,10 +472,51 @@ const KCResultsView = {
             template.innerHTML = contentHtml.trim();
             const content = template.content.firstElementChild;
 
+            // Open another attempt of the same assignment
+            content.querySelectorAll('.result-attempt-item[data-result-id]').forEach(item => {
+                item.addEventListener('click', () => {
+                    Modal.close();
+                    setTimeout(() => this.viewResult(item.dataset.resultId), 250);
+                });
+            });
+
             const footer = document.createElement('div');
             footer.style.display = 'flex';
+            footer.style.gap = 'var(--space-sm)';
             footer.style.justifyContent = 'flex-end';
 
+            if (canEvaluate && data.answers?.length > 0) {
+                const evaluateBtn = document.createElement('button');
+                evaluateBtn.className = 'btn btn-primary';
+                evaluateBtn.textContent = 'Bewerten';
+                evaluateBtn.addEventListener('click', async () => {
+                    const forms = content.querySelectorAll('.result-answer-review');
+                    if (forms[0]?.classList.contains('hidden')) {
+                        // First click shows the evaluation fields
+                        forms.forEach(form => form.classList.remove('hidden'));
+                        evaluateBtn.textContent = 'Bewertung speichern';
+                        return;
+                    }
+
+                    evaluateBtn.disabled = true;
+                    const saved = await this.saveReview(data, content);
+                    evaluateBtn.disabled = false;
+                    if (saved) {
+                        Modal.close();
+                        setTimeout(() => this.viewResult(resultId), 250);
+                    }
+                });
+                footer.appendChild(evaluateBtn);
+            }
+
+            if (data.passed) {
+                const certificateBtn = document.createElement('button');
+                certificateBtn.className = 'btn btn-secondary';
+                certificateBtn.textContent = 'Zertifikat';
+                certificateBtn.addEventListener('click', () => this.downloadCertificate(resultId));
+                footer.appendChild(certificateBtn);
+            }
+
             const closeBtn = document.createElement('button');
             closeBtn.className = 'btn btn-secondary';
             closeBtn.textContent = 'Schließen';
@@ -384,6 +535,257 @@ const KCResultsView = {
         }
     },
 
+    /**
+     * Renders review status and evaluation fields of an answer (evaluators only)
+     */
+    renderAnswerReview(answer) {
+        let status = '';
+        if (answer.reviewedAt) {
+            status = `Bewertet von ${Helpers.escapeHtml(answer.reviewedByName || 'Unbekannt')} am ${Helpers.formatDateTime(answer.reviewedAt)}`;
+        } else if (answer.questionType === 'open_question') {
+            status = `Automatisch bewertet${answer.confidence !== null && answer.confidence !== undefined ? ` · Sicherheit ${Math.round(answer.confidence * 100)}%` : ''} · noch nicht geprüft`;
+        }
+
+        return `
+            ${status ? `<p class="result-review-info"><small>${status}</small></p>` : ''}
+            ${answer.evaluatorNotes ? `<p class="result-review-info"><small><strong>Notiz:</strong> ${Helpers.escapeHtml(answer.evaluatorNotes)}</small></p>` : ''}
+            <div class="result-answer-review hidden" data-answer-id="${answer.id}">
+                <div class="form-group">
+                    <label>Punkte (0 - ${answer.maxScore})</label>
+                    <input type="number" class="form-input review-score" min="0" max="${answer.maxScore}" step="0.25" value="${Math.round(answer.score * 100) / 100}">
+                </div>
+                <div class="form-group">
+                    <label>Notiz</label>
+                    <textarea class="form-textarea review-notes" rows="2" placeholder="Begründung der Bewertung">${Helpers.escapeHtml(answer.evaluatorNotes || '')}</textarea>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Renders all attempts of the result's assignment and which one counts
+     */
+    renderAttemptHistory(data) {
+        const policyLabels = {
+            best: 'Bester Versuch',
+            last: 'Letzter Versuch',
+            average: 'Durchschnitt aller Versuche'
+        };
+
+        return `
+            <div class="result-attempts">
+                <h4>Versuche (${data.attempts.length})</h4>
+                <p class="result-attempts-policy">
+                    <small>Gewertet: ${policyLabels[data.scoringPolicy] || policyLabels.best}${data.finalPercentage !== null && data.finalPercentage !== undefined ? ` · Endergebnis ${data.finalPercentage}% (${data.finalPassed ? 'Bestanden' : 'Nicht bestanden'})` : ''}</small>
+                </p>
+                <ul class="result-attempts-list">
+                    ${data.attempts.map(attempt => `
+                        <li class="result-attempt-item ${attempt.resultId === data.id ? 'current' : ''}" ${attempt.resultId !== data.id ? `data-result-id="${attempt.resultId}"` : ''}>
+                            <span class="result-attempt-number">Versuch ${attempt.attemptNumber}</span>
+                            <span class="result-history-meta">${Helpers.formatDateTime(attempt.completedAt)}</span>
+                            <span class="score-display ${attempt.passed ? 'score-pass' : 'score-fail'}">${attempt.percentage}%</span>
+                            ${attempt.isCounting ? '<span class="badge badge-info">Gewertet</span>' : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Renders who changed which score of a result
+     */
+    renderResultHistory(history) {
+        const actionLabels = {
+            'answer_reviewed': 'Antwort bewertet',
+            'result_recalculated': 'Ergebnis neu berechnet',
+            'result_regraded': 'Neu bewertet'
+        };
+
+        return `
+            <div class="result-history">
+                <h4>Änderungsprotokoll</h4>
+                <ul class="result-history-list">
+                    ${history.map(h => `
+                        <li>
+                            <span class="result-history-meta">${Helpers.formatDateTime(h.createdAt)} · ${Helpers.escapeHtml(h.userName || 'Unbekannt')}</span>
+                            <span><strong>${actionLabels[h.action] || Helpers.escapeHtml(h.action)}:</strong> ${Helpers.escapeHtml(h.details)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Saves the evaluation fields of a result.
+     * Changed answers and not yet reviewed open answers are sent - saving confirms them.
+     * @returns {boolean} Whether the evaluation was saved
+     */
+    async saveReview(resultData, container) {
+        const reviews = [];
+        container.querySelectorAll('.result-answer-review').forEach(form => {
+            const answer = resultData.answers.find(a => a.id === form.dataset.answerId);
+            const score = parseFloat(form.querySelector('.review-score').value);
+            const evaluatorNotes = form.querySelector('.review-notes').value.trim();
+            const changed = score !== Math.round(answer.score * 100) / 100 || evaluatorNotes !== (answer.evaluatorNotes || '');
+
+            if (changed || (answer.questionType === 'open_question' && !answer.reviewedAt)) {
+                reviews.push({ answerId: answer.id, score: changed ? score : answer.score, evaluatorNotes });
+            }
+        });
+
+        if (reviews.length === 0) {
+            Toast.info('Keine Änderungen');
+            return false;
+        }
+        if (reviews.some(r => isNaN(r.score))) {
+            Toast.error('Bitte geben Sie gültige Punkte ein');
+            return false;
+        }
+
+        try {
+            const response = await window.api.knowledgeCheck.reviewResult(resultData.id, { answers: reviews });
+            if (response && response.success) {
+                Toast.success('Bewertung gespeichert');
+                await this.refresh();
+                return true;
+            }
+            Toast.error(response?.error || 'Fehler beim Speichern der Bewertung');
+        } catch (error) {
+            console.error('Save review error:', error);
+            Toast.error('Fehler beim Speichern der Bewertung');
+        }
+        return false;
+    },
+
+    /**
+     * Shows open answers waiting for manual evaluation
+     */
+    async showReviewQueue() {
+        const content = document.createElement('div');
+        content.className = 'review-queue';
+        content.innerHTML = `
+            <label class="form-checkbox review-queue-filter">
+                <input type="checkbox" id="review-queue-low-confidence">
+                <span>Nur unsichere automatische Bewertungen</span>
+            </label>
+            <div id="review-queue-list" class="review-queue-list">
+                <div class="loading-state"><div class="spinner"></div></div>
+            </div>
+        `;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.justifyContent = 'flex-end';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+        footer.appendChild(closeBtn);
+
+        Modal.open({
+            title: 'Offene Antworten bewerten',
+            content,
+            footer,
+            size: 'xl'
+        });
+
+        const lowConfidenceInput = content.querySelector('#review-queue-low-confidence');
+        lowConfidenceInput.addEventListener('change', () => this.loadReviewQueue(content, lowConfidenceInput.checked));
+        await this.loadReviewQueue(content, false);
+    },
+
+    /**
+     * Loads and renders the evaluation queue inside the queue modal
+     */
+    async loadReviewQueue(container, lowConfidence) {
+        const list = container.querySelector('#review-queue-list');
+
+        try {
+            const result = await window.api.knowledgeCheck.getReviewQueue(lowConfidence ? { lowConfidence: 1 } : {});
+            if (!result.success) {
+                Toast.error('Bewertungsliste konnte nicht geladen werden');
+                return;
+            }
+
+            if (result.answers.length === 0) {
+                list.innerHTML = '<p class="empty-state">Keine Antworten zu bewerten</p>';
+                return;
+            }
+
+            list.innerHTML = result.answers.map(a => `
+                <div class="review-queue-item result-answer" data-answer-id="${a.answerId}" data-result-id="${a.resultId}">
+                    <div class="result-answer-header">
+                        <span>${Helpers.escapeHtml(a.resultNumber)} · ${Helpers.escapeHtml(a.testName)} · ${Helpers.escapeHtml(a.userName)}</span>
+                        <span class="badge ${a.lowConfidence ? 'badge-warning' : 'badge-info'}">
+                            Sicherheit ${a.confidence !== null ? `${Math.round(a.confidence * 100)}%` : 'unbekannt'}
+                        </span>
+                    </div>
+                    <p class="result-question-text">${Helpers.escapeHtml(a.questionText)}</p>
+                    ${a.answerText
+                        ? `<p class="result-answer-text"><strong>Antwort:</strong> ${Helpers.escapeHtml(a.answerText)}</p>`
+                        : '<p class="result-answer-text text-muted"><em>Keine Antwort eingegeben</em></p>'}
+                    <p class="result-review-info">
+                        <small>
+                            ${a.exactAnswer ? `Erwartet: ${Helpers.escapeHtml(a.exactAnswer)} · ` : ''}
+                            ${!a.answerRules && a.triggerWords.length > 0 ? `Schlüsselwörter: ${a.triggerWords.map(tw => Helpers.escapeHtml(tw)).join(', ')} · ` : ''}
+                            Automatisch: ${Math.round(a.score * 100) / 100}/${a.maxScore}
+                        </small>
+                    </p>
+                    ${KCQuestionTypes.renderKeywordMatch(a.responseData)}
+                    <div class="review-queue-form">
+                        <input type="number" class="form-input review-score" min="0" max="${a.maxScore}" step="0.25" value="${Math.round(a.score * 100) / 100}" title="Punkte (0 - ${a.maxScore})">
+                        <input type="text" class="form-input review-notes" placeholder="Notiz" value="">
+                        <button type="button" class="btn btn-sm btn-primary review-save">Speichern</button>
+                    </div>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.review-save').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const item = btn.closest('.review-queue-item');
+                    const score = parseFloat(item.querySelector('.review-score').value);
+                    if (isNaN(score)) {
+                        Toast.error('Bitte geben Sie gültige Punkte ein');
+                        return;
+                    }
+
+                    btn.disabled = true;
+                    try {
+                        const response = await window.api.knowledgeCheck.reviewResult(item.dataset.resultId, {
+                            answers: [{
+                                answerId: item.dataset.answerId,
+                                score,
+                                evaluatorNotes: item.querySelector('.review-notes').value.trim()
+                            }]
+                        });
+
+                        if (response && response.success) {
+                            Toast.success('Bewertung gespeichert');
+                            item.remove();
+                            if (!list.querySelector('.review-queue-item')) {
+                                list.innerHTML = '<p class="empty-state">Keine Antworten zu bewerten</p>';
+                            }
+                            await this.refresh();
+                        } else {
+                            btn.disabled = false;
+                            Toast.error(response?.error || 'Fehler beim Speichern der Bewertung');
+                        }
+                    } catch (error) {
+                        console.error('Save review error:', error);
+                        btn.disabled = false;
+                        Toast.error('Fehler beim Speichern der Bewertung');
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Load review queue error:', error);
+            Toast.error('Bewertungsliste konnte nicht geladen werden');
+        }
+    },
+
     /**
      * Deletes a result
      */
@@ -413,21 +815,583 @@ const KCResultsView = {
     },
 
     /**
-     * Exports results
+     * Downloads the certificate PDF of a passed result
      */
-    async exportResults() {
+    async downloadCertificate(resultId) {
         try {
-            const result = await window.api.knowledgeCheck.exportResults(this.filters);
-            if (result.success && result.csv) {
-                Helpers.downloadFile(result.csv, 'test-ergebnisse.csv', 'text/csv');
-                Toast.success('Export erfolgreich');
-            } else {
-                Toast.error(result?.error || 'Export fehlgeschlagen');
+            const result = await window.api.knowledgeCheck.getCertificate(resultId);
+            if (!result.success) {
+                Toast.error(result.error || 'Zertifikat konnte nicht erstellt werden');
+                return;
             }
+            this.downloadPdf(result);
         } catch (error) {
-            console.error('Export error:', error);
-            Toast.error('Export fehlgeschlagen');
+            console.error('Download certificate error:', error);
+            Toast.error('Zertifikat konnte nicht erstellt werden');
+        }
+    },
+
+    /**
+     * Saves a PDF the server sent as base64
+     */
+    downloadPdf(result) {
+        const binary = atob(result.data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
         }
+        Helpers.downloadFile(bytes, result.filename, result.mimeType);
+    },
+
+    /**
+     * Labels of the certification states
+     */
+    certificationStatusLabels: {
+        expired: { label: 'Abgelaufen', badge: 'badge-danger' },
+        expiring: { label: 'Läuft ab', badge: 'badge-warning' },
+        valid: { label: 'Gültig', badge: 'badge-success' }
+    },
+
+    /**
+     * Shows who is certified until when (tests with a validity period)
+     */
+    async showCertifications() {
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <div class="kc-certifications-filter">
+                <select id="kc-certifications-status" class="form-select form-select-sm">
+                    <option value="">Alle Zertifizierungen</option>
+                    <option value="expired">Abgelaufen</option>
+                    <option value="expiring">Läuft bald ab</option>
+                    <option value="valid">Gültig</option>
+                </select>
+                <small class="form-hint" id="kc-certifications-hint"></small>
+            </div>
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Teilnehmer</th>
+                            <th>Test</th>
+                            <th>Bestanden am</th>
+                            <th>Zertifiziert bis</th>
+                            <th>Status</th>
+                            <th>Rezertifizierung</th>
+                        </tr>
+                    </thead>
+                    <tbody id="kc-certifications-tbody">
+                        <tr><td colspan="6"><div class="loading-state"><div class="spinner"></div></div></td></tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const statusSelect = content.querySelector('#kc-certifications-status');
+
+        if (Permissions.hasPermission('kc_assign_tests')) {
+            const recertifyBtn = document.createElement('button');
+            recertifyBtn.className = 'btn btn-secondary';
+            recertifyBtn.textContent = 'Rezertifizierungen jetzt erstellen';
+            recertifyBtn.addEventListener('click', async () => {
+                recertifyBtn.disabled = true;
+                try {
+                    const result = await window.api.knowledgeCheck.createRecertificationRuns();
+                    if (result.success) {
+                        Toast.success(result.runs.length > 0
+                            ? `${result.runs.length} Rezertifizierungs-Durchläufe erstellt`
+                            : 'Keine Rezertifizierungen fällig');
+                        await this.loadCertifications(content, statusSelect.value);
+                    } else {
+                        Toast.error(result.error || 'Rezertifizierung fehlgeschlagen');
+                    }
+                } catch (error) {
+                    console.error('Create recertification runs error:', error);
+                    Toast.error('Rezertifizierung fehlgeschlagen');
+                }
+                recertifyBtn.disabled = false;
+            });
+            footer.appendChild(recertifyBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+        footer.appendChild(closeBtn);
+
+        Modal.open({
+            title: 'Zertifizierungen',
+            content,
+            footer,
+            size: 'xl'
+        });
+
+        statusSelect.addEventListener('change', () => this.loadCertifications(content, statusSelect.value));
+        await this.loadCertifications(content, '');
+    },
+
+    /**
+     * Loads and renders the certification report inside its modal
+     */
+    async loadCertifications(container, status) {
+        const tbody = container.querySelector('#kc-certifications-tbody');
+
+        try {
+            const result = await window.api.knowledgeCheck.getCertifications(status ? { status } : {});
+            if (!result.success) {
+                Toast.error('Zertifizierungen konnten nicht geladen werden');
+                return;
+            }
+
+            container.querySelector('#kc-certifications-hint').textContent =
+                `"Läuft ab" = weniger als ${result.leadDays} Tage gültig`;
+
+            if (result.certifications.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="empty-state">Keine Zertifizierungen gefunden</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = result.certifications.map(c => {
+                const state = this.certificationStatusLabels[c.status];
+                const recert = c.recertification;
+                return `
+                    <tr>
+                        <td>${Helpers.escapeHtml(c.userName)}</td>
+                        <td>${Helpers.escapeHtml(c.testName)}</td>
+                        <td>${Helpers.formatDate(c.lastPassedAt)}</td>
+                        <td>
+                            ${Helpers.formatDate(c.certifiedUntil)}
+                            <br><small class="text-muted">${c.daysLeft >= 0 ? `noch ${c.daysLeft} Tage` : `seit ${-c.daysLeft} Tagen`}</small>
+                        </td>
+                        <td><span class="badge ${state.badge}">${state.label}</span></td>
+                        <td>
+                            ${recert ? `
+                                ${Helpers.escapeHtml(recert.runNumber || '')}
+                                <br><small class="text-muted">${recert.status === 'completed' ? 'Abgeschlossen' : 'Offen'}${recert.dueDate ? ` · fällig ${Helpers.formatDate(recert.dueDate)}` : ''}</small>
+                            ` : '<span class="text-muted">-</span>'}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Load certifications error:', error);
+            Toast.error('Zertifizierungen konnten nicht geladen werden');
+        }
+    },
+
+    /**
+     * Shows the share of points each user reached per question category as a heatmap
+     */
+    async showCompetencyMatrix() {
+        // Roles and departments of the known users are the available filters
+        const roles = [...new Map(this.users.filter(u => u.roleId).map(u => [u.roleId, u.roleName || u.roleId])).entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]));
+        const departments = [...new Set(this.users.map(u => u.department).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <div class="kc-competency-filters">
+                <input type="date" id="kc-competency-start" class="form-input form-input-sm" title="Von">
+                <input type="date" id="kc-competency-end" class="form-input form-input-sm" title="Bis">
+                <select id="kc-competency-role" class="form-select form-select-sm">
+                    <option value="">Alle Rollen</option>
+                    ${roles.map(([id, name]) => `<option value="${Helpers.escapeHtml(id)}">${Helpers.escapeHtml(name)}</option>`).join('')}
+                </select>
+                <select id="kc-competency-department" class="form-select form-select-sm">
+                    <option value="">Alle Abteilungen</option>
+                    ${departments.map(d => `<option value="${Helpers.escapeHtml(d)}">${Helpers.escapeHtml(d)}</option>`).join('')}
+                </select>
+                <small class="form-hint">Anteil der erreichten Punkte - Zelle anklicken für die einzelnen Antworten</small>
+            </div>
+            <div id="kc-competency-matrix"><div class="loading-state"><div class="spinner"></div></div></div>
+            <div id="kc-competency-answers"></div>
+        `;
+
+        const readFilters = () => {
+            const filters = {
+                startDate: content.querySelector('#kc-competency-start').value,
+                endDate: content.querySelector('#kc-competency-end').value,
+                roleId: content.querySelector('#kc-competency-role').value,
+                department: content.querySelector('#kc-competency-department').value
+            };
+            return Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+        };
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn btn-secondary';
+        exportBtn.textContent = 'CSV exportieren';
+        exportBtn.addEventListener('click', async () => {
+            try {
+                const result = await window.api.knowledgeCheck.exportCompetencyMatrix(readFilters());
+                if (result.success) {
+                    Helpers.downloadFile(result.data, result.filename, result.mimeType);
+                    Toast.success('Export erfolgreich');
+                } else {
+                    Toast.error(result.error || 'Export fehlgeschlagen');
+                }
+            } catch (error) {
+                console.error('Export competency matrix error:', error);
+                Toast.error('Export fehlgeschlagen');
+            }
+        });
+        footer.appendChild(exportBtn);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Schließen';
+        closeBtn.addEventListener('click', () => Modal.close());
+        footer.appendChild(closeBtn);
+
+        Modal.open({
+            title: 'Kompetenzmatrix',
+            content,
+            footer,
+            size: 'full'
+        });
+
+        content.querySelectorAll('.kc-competency-filters input, .kc-competency-filters select').forEach(input => {
+            input.addEventListener('change', () => this.loadCompetencyMatrix(content, readFilters()));
+        });
+        await this.loadCompetencyMatrix(content, readFilters());
+    },
+
+    /**
+     * Background of a heatmap cell - red (0%) over yellow to green (100%)
+     */
+    heatmapStyle(percentage) {
+        if (percentage === null || percentage === undefined) return '';
+        return `background: hsla(${Math.round(percentage * 1.2)}, 70%, 50%, 0.35);`;
+    },
+
+    /**
+     * Loads and renders the competency matrix inside its modal
+     */
+    async loadCompetencyMatrix(container, filters) {
+        const target = container.querySelector('#kc-competency-matrix');
+        container.querySelector('#kc-competency-answers').innerHTML = '';
+
+        let result;
+        try {
+            result = await window.api.knowledgeCheck.getCompetencyMatrix(filters);
+        } catch (error) {
+            console.error('Load competency matrix error:', error);
+        }
+        if (!result?.success) {
+            target.innerHTML = '<div class="empty-state">Kompetenzmatrix konnte nicht geladen werden</div>';
+            return;
+        }
+
+        const { categories, users } = result;
+        if (users.length === 0) {
+            target.innerHTML = '<div class="empty-state">Keine Antworten im gewählten Zeitraum</div>';
+            return;
+        }
+
+        const cell = (value, attributes = '') => value && value.percentage !== null
+            ? `<td class="kc-heatmap-cell" style="${this.heatmapStyle(value.percentage)}" title="${value.score}/${value.maxScore} Punkte aus ${value.answerCount} Antworten" ${attributes}>${value.percentage}%</td>`
+            : '<td class="kc-heatmap-cell kc-heatmap-empty">-</td>';
+
+        target.innerHTML = `
+            <div class="table-container">
+                <table class="data-table kc-heatmap">
+                    <thead>
+                        <tr>
+                            <th>Teilnehmer</th>
+                            ${categories.map(c => `<th>${Helpers.escapeHtml(c.name)}</th>`).join('')}
+                            <th>Gesamt</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${users.map(u => `
+                            <tr>
+                                <td>
+                                    ${Helpers.escapeHtml(u.userName)}
+                                    ${u.department ? `<br><small class="text-muted">${Helpers.escapeHtml(u.department)}</small>` : ''}
+                                </td>
+                                ${categories.map(c => cell(u.cells[c.id], `data-user-id="${u.userId}" data-category-id="${c.id}"`)).join('')}
+                                ${cell(u)}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Durchschnitt</th>
+                            ${categories.map(c => cell(c)).join('')}
+                            <td></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+
+        target.querySelectorAll('.kc-heatmap-cell[data-user-id]').forEach(td => {
+            td.addEventListener('click', () => {
+                target.querySelectorAll('.kc-heatmap-cell.selected').forEach(el => el.classList.remove('selected'));
+                td.classList.add('selected');
+                const user = users.find(u => u.userId === td.dataset.userId);
+                const category = categories.find(c => c.id === td.dataset.categoryId);
+                this.loadCompetencyAnswers(container, { ...filters, userId: user.userId, categoryId: category.id },
+                    `${user.userName} · ${category.name}`);
+            });
+        });
+    },
+
+    /**
+     * Shows the answers behind a matrix cell, each links to its result
+     */
+    async loadCompetencyAnswers(container, filters, heading) {
+        const target = container.querySelector('#kc-competency-answers');
+        target.innerHTML = '<div class="loading-state"><div class="spinner"></div></div>';
+
+        let result;
+        try {
+            result = await window.api.knowledgeCheck.getCompetencyAnswers(filters);
+        } catch (error) {
+            console.error('Load competency answers error:', error);
+        }
+        if (!result?.success) {
+            target.innerHTML = '<div class="empty-state">Antworten konnten nicht geladen werden</div>';
+            return;
+        }
+
+        target.innerHTML = `
+            <h4>${Helpers.escapeHtml(heading)}</h4>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Datum</th><th>Test</th><th>Frage</th><th>Punkte</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${result.answers.map(a => `
+                        <tr>
+                            <td>${Helpers.formatDate(a.completedAt)}</td>
+                            <td>${Helpers.escapeHtml(a.testName)}<br><small class="text-muted">${Helpers.escapeHtml(a.resultNumber)}</small></td>
+                            <td>
+                                ${Helpers.escapeHtml(a.questionTitle || Helpers.truncate(a.questionText, 60))}
+                                <br><small class="text-muted">${KCQuestionTypes.getLabel(a.questionType)}${a.isReviewed ? ' · manuell bewertet' : ''}</small>
+                            </td>
+                            <td><span class="badge ${a.isCorrect ? 'badge-success' : 'badge-danger'}">${a.score}/${a.maxScore}</span></td>
+                            <td><button class="btn btn-sm btn-ghost kc-competency-result" data-result-id="${a.resultId}">Ergebnis</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        target.querySelectorAll('.kc-competency-result').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Modal.close();
+                setTimeout(() => this.viewResult(btn.dataset.resultId), 250);
+            });
+        });
+    },
+
+    /**
+     * Shows the form for the certificate template texts
+     */
+    async showCertificateTemplateDialog() {
+        let response;
+        try {
+            response = await window.api.knowledgeCheck.getCertificateTemplate();
+        } catch (error) {
+            console.error('Load certificate template error:', error);
+        }
+        if (!response?.success) {
+            Toast.error(response?.error || 'Vorlage konnte nicht geladen werden');
+            return;
+        }
+
+        const template = response.template;
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <p class="form-hint">
+                Platzhalter: ${response.placeholders.map(p => `<code>{{${p}}}</code>`).join(' ')}
+            </p>
+            <div class="form-group">
+                <label for="kc-cert-title">Titel</label>
+                <input type="text" id="kc-cert-title" class="form-input" value="${Helpers.escapeHtml(template.title)}">
+            </div>
+            <div class="form-group">
+                <label for="kc-cert-intro">Einleitung (vor dem Namen)</label>
+                <input type="text" id="kc-cert-intro" class="form-input" value="${Helpers.escapeHtml(template.intro)}">
+            </div>
+            <div class="form-group">
+                <label for="kc-cert-body">Text (nach dem Namen)</label>
+                <textarea id="kc-cert-body" class="form-textarea" rows="3">${Helpers.escapeHtml(template.body)}</textarea>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="kc-cert-signature-name">Unterschrift Name</label>
+                    <input type="text" id="kc-cert-signature-name" class="form-input" value="${Helpers.escapeHtml(template.signatureName)}">
+                </div>
+                <div class="form-group">
+                    <label for="kc-cert-signature-title">Unterschrift Funktion</label>
+                    <input type="text" id="kc-cert-signature-title" class="form-input" value="${Helpers.escapeHtml(template.signatureTitle)}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="kc-cert-footer">Fußzeile</label>
+                <textarea id="kc-cert-footer" class="form-textarea" rows="2">${Helpers.escapeHtml(template.footer)}</textarea>
+            </div>
+        `;
+
+        const readForm = () => ({
+            title: content.querySelector('#kc-cert-title').value,
+            intro: content.querySelector('#kc-cert-intro').value,
+            body: content.querySelector('#kc-cert-body').value,
+            signatureName: content.querySelector('#kc-cert-signature-name').value,
+            signatureTitle: content.querySelector('#kc-cert-signature-title').value,
+            footer: content.querySelector('#kc-cert-footer').value
+        });
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+
+        const previewBtn = document.createElement('button');
+        previewBtn.className = 'btn btn-secondary';
+        previewBtn.textContent = 'Vorschau';
+        previewBtn.addEventListener('click', async () => {
+            try {
+                const result = await window.api.knowledgeCheck.previewCertificateTemplate(readForm());
+                if (result.success) {
+                    this.downloadPdf(result);
+                } else {
+                    Toast.error(result.error || 'Vorschau fehlgeschlagen');
+                }
+            } catch (error) {
+                console.error('Preview certificate error:', error);
+                Toast.error('Vorschau fehlgeschlagen');
+            }
+        });
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.textContent = 'Speichern';
+        saveBtn.addEventListener('click', async () => {
+            try {
+                const result = await window.api.knowledgeCheck.updateCertificateTemplate(readForm());
+                if (result.success) {
+                    Toast.success('Zertifikatvorlage gespeichert');
+                    Modal.close();
+                } else {
+                    Toast.error(result.error || 'Fehler beim Speichern');
+                }
+            } catch (error) {
+                console.error('Save certificate template error:', error);
+                Toast.error('Fehler beim Speichern');
+            }
+        });
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(previewBtn);
+        footer.appendChild(saveBtn);
+
+        Modal.open({
+            title: 'Zertifikatvorlage',
+            content,
+            footer,
+            size: 'lg'
+        });
+    },
+
+    /**
+     * Export layouts
+     */
+    exportModes: {
+        summary: { fileName: 'testergebnisse', label: 'Ergebnisse', hint: 'Eine Zeile pro Testergebnis mit Punktzahl und Bestanden-Status.' },
+        detailed: { fileName: 'testergebnisse_antworten', label: 'Antworten', hint: 'Eine Zeile pro Antwort mit Frage, Kategorie, gewählten Optionen, Freitext, Punkten und Bewerternotizen.' },
+        pivot: { fileName: 'testergebnisse_matrix', label: 'Matrix', hint: 'Benutzer als Zeilen, Fragen als Spalten. Bei mehrfach beantworteten Fragen zählt die letzte Antwort.' }
+    },
+
+    /**
+     * Shows the export dialog (layout and format) - the current filters are applied
+     */
+    exportResults() {
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <div class="form-group">
+                <label for="kc-results-export-mode">Inhalt</label>
+                <select id="kc-results-export-mode" class="form-select">
+                    ${Object.entries(this.exportModes).map(([value, mode]) => `<option value="${value}">${mode.label}</option>`).join('')}
+                </select>
+                <small class="form-hint" id="kc-results-export-hint">${this.exportModes.summary.hint}</small>
+            </div>
+            <div class="form-group">
+                <label for="kc-results-export-format">Format</label>
+                <select id="kc-results-export-format" class="form-select">
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel (XLSX)</option>
+                </select>
+                <small class="form-hint">Es werden die aktuell gewählten Filter (Durchlauf, Test, Benutzer, Zeitraum) verwendet.</small>
+            </div>
+        `;
+
+        const modeSelect = content.querySelector('#kc-results-export-mode');
+        modeSelect.addEventListener('change', () => {
+            content.querySelector('#kc-results-export-hint').textContent = this.exportModes[modeSelect.value].hint;
+        });
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = 'var(--space-sm)';
+        footer.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Abbrechen';
+        cancelBtn.addEventListener('click', () => Modal.close());
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn btn-primary';
+        exportBtn.textContent = 'Exportieren';
+        exportBtn.addEventListener('click', async () => {
+            const mode = modeSelect.value;
+            const format = content.querySelector('#kc-results-export-format').value;
+            const filters = Object.fromEntries(Object.entries(this.filters).filter(([, value]) => value));
+
+            exportBtn.disabled = true;
+            try {
+                const blob = await window.api.knowledgeCheck.exportResults({ ...filters, mode, format });
+                if (!blob) {
+                    Toast.error('Export fehlgeschlagen');
+                    return;
+                }
+                const date = new Date().toISOString().split('T')[0];
+                Helpers.downloadFile(blob, `${this.exportModes[mode].fileName}_${date}.${format}`, blob.type);
+                Toast.success('Export erfolgreich');
+                Modal.close();
+            } catch (error) {
+                console.error('Export error:', error);
+                Toast.error('Export fehlgeschlagen');
+            } finally {
+                exportBtn.disabled = false;
+            }
+        });
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(exportBtn);
+
+        Modal.open({
+            title: 'Ergebnisse exportieren',
+            content,
+            footer
+        });
     },
 
     /**
@@ -436,6 +1400,7 @@ const KCResultsView = {
     async refresh() {
         await this.loadResults();
         await this.loadStatistics();
+        await this.loadReviewCount();
     }
 };
 
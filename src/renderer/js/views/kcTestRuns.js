@@ -53,7 +53,7 @@ const KCTestRunsView = {
         try {
             const result = await window.api.knowledgeCheck.getTests();
             if (result.success) {
-                this.tests = result.tests.filter(t => t.isActive && !t.isArchived);
+                this.tests = result.tests.filter(t => t.isActive && !t.isArchived && t.status === 'published');
             }
         } catch (error) {
             console.error('Failed to load tests:', error);
@@ -157,15 +157,21 @@ const KCTestRunsView = {
      * Renders a single run row
      */
     renderRunRow(run) {
-        // Determine status
+        // Status is rolled up from the assignments by the server (due date check)
         let status, statusClass;
         if (run.totalAssignments === 0) {
             status = 'Leer';
             statusClass = 'badge-secondary';
-        } else if (run.completedCount === run.totalAssignments) {
+        } else if (run.status === 'scheduled') {
+            status = 'Geplant';
+            statusClass = 'badge-secondary';
+        } else if (run.status === 'completed' || run.completedCount === run.totalAssignments) {
             status = 'Abgeschlossen';
             statusClass = 'badge-success';
-        } else if (run.completedCount > 0) {
+        } else if (run.status === 'overdue' || run.overdueCount > 0) {
+            status = 'Überfällig';
+            statusClass = 'badge-danger';
+        } else if (run.status === 'in_progress' || run.completedCount > 0 || run.inProgressCount > 0) {
             status = 'In Bearbeitung';
             statusClass = 'badge-info';
         } else {
@@ -176,20 +182,28 @@ const KCTestRunsView = {
         const progress = run.totalAssignments > 0 
             ? Math.round((run.completedCount / run.totalAssignments) * 100) 
             : 0;
+        const progressTitle = `Abgeschlossen: ${run.completedCount}, In Bearbeitung: ${run.inProgressCount}, ` +
+            `Überfällig: ${run.overdueCount || 0}, Gesamt: ${run.totalAssignments}`;
 
         const canDelete = Permissions.has('kc_assign_tests');
 
         return `
             <tr data-id="${run.id}" class="clickable-row">
                 <td><strong>${Helpers.escapeHtml(run.runNumber)}</strong></td>
-                <td>${Helpers.escapeHtml(run.name)}</td>
+                <td>
+                    ${Helpers.escapeHtml(run.name)}
+                    ${run.recertificationTestId ? '<span class="badge badge-info">Rezertifizierung</span>' : ''}
+                    ${run.isRuleBased ? '<span class="badge badge-secondary" title="Teilnehmer werden nach Rolle oder Abteilung automatisch zugewiesen">Regel</span>' : ''}
+                </td>
                 <td>${run.testCount}</td>
                 <td>${run.userCount}</td>
                 <td>
-                    <div class="progress-bar-container" title="${run.completedCount}/${run.totalAssignments}">
+                    <div class="progress-bar-container" title="${progressTitle}">
                         <div class="progress-bar" style="width: ${progress}%"></div>
                         <span class="progress-text">${progress}%</span>
                     </div>
+                    <small class="text-muted">${run.completedCount}/${run.totalAssignments} abgeschlossen${run.overdueCount > 0 ? ` · ${run.overdueCount} überfällig` : ''}</small>
+                    ${run.status === 'scheduled' && run.availableFrom ? `<small class="text-muted">Start: ${Helpers.formatDateTime(run.availableFrom)}</small>` : ''}
                 </td>
                 <td><span class="badge ${statusClass}">${status}</span></td>
                 <td>${Helpers.formatDate(run.createdAt)}</td>
@@ -224,6 +238,11 @@ const KCTestRunsView = {
             return;
         }
 
+        // Roles and departments of the known users are the available rule targets
+        const roles = [...new Map(this.users.filter(u => u.roleId).map(u => [u.roleId, u.roleName || u.roleId])).entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]));
+        const departments = [...new Set(this.users.map(u => u.department).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
         // Build form with test and user checkboxes
         const formHtml = `
             <div class="new-run-form">
@@ -255,7 +274,7 @@ const KCTestRunsView = {
                     </div>
                     
                     <div class="form-group">
-                        <label>Teilnehmer auswählen *</label>
+                        <label>Einzelne Teilnehmer</label>
                         <div style="margin-bottom: var(--space-xs);">
                             <button type="button" class="btn btn-sm btn-secondary" id="run-select-all-users">Alle</button>
                             <button type="button" class="btn btn-sm btn-secondary" id="run-deselect-all-users">Keine</button>
@@ -271,10 +290,49 @@ const KCTestRunsView = {
                     </div>
                 </div>
                 
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Rollen</label>
+                        <div class="checkbox-list" style="max-height: 120px; overflow-y: auto; border: 1px solid var(--border-color); border-radius: var(--radius-sm); padding: var(--space-sm);">
+                            ${roles.length > 0 ? roles.map(([roleId, roleName]) => `
+                                <label class="form-checkbox" style="display: flex; padding: var(--space-xs) 0;">
+                                    <input type="checkbox" name="roleIds" value="${Helpers.escapeHtml(roleId)}">
+                                    <span>${Helpers.escapeHtml(roleName)}</span>
+                                </label>
+                            `).join('') : '<span class="text-muted">Keine Rollen vorhanden</span>'}
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label>Abteilungen</label>
+                        <div class="checkbox-list" style="max-height: 120px; overflow-y: auto; border: 1px solid var(--border-color); border-radius: var(--radius-sm); padding: var(--space-sm);">
+                            ${departments.length > 0 ? departments.map(d => `
+                                <label class="form-checkbox" style="display: flex; padding: var(--space-xs) 0;">
+                                    <input type="checkbox" name="departments" value="${Helpers.escapeHtml(d)}">
+                                    <span>${Helpers.escapeHtml(d)}</span>
+                                </label>
+                            `).join('') : '<span class="text-muted">Keine Abteilungen vorhanden</span>'}
+                        </div>
+                    </div>
+                </div>
+                <p class="form-hint">Mindestens ein Teilnehmer, eine Rolle oder eine Abteilung ist erforderlich. Bei Rollen und Abteilungen werden Benutzer, die später hinzukommen oder wechseln, automatisch zugewiesen; wer nicht mehr passt, verliert noch nicht begonnene Tests.</p>
+                
                 <div class="form-group">
                     <label for="run-due-date">Fälligkeitsdatum (optional)</label>
                     <input type="date" id="run-due-date" class="form-input">
                 </div>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="run-available-from">Verfügbar ab (optional)</label>
+                        <input type="datetime-local" id="run-available-from" class="form-input">
+                    </div>
+                    <div class="form-group">
+                        <label for="run-available-until">Verfügbar bis (optional)</label>
+                        <input type="datetime-local" id="run-available-until" class="form-input">
+                    </div>
+                </div>
+                <p class="form-hint">Liegt der Start in der Zukunft, wird der Durchlauf geplant und zum Startzeitpunkt automatisch freigegeben.</p>
             </div>
         `;
 
@@ -325,8 +383,17 @@ const KCTestRunsView = {
             const name = document.getElementById('run-name')?.value?.trim();
             const description = document.getElementById('run-description')?.value?.trim();
             const dueDate = document.getElementById('run-due-date')?.value || null;
+            // Local date and time of the inputs, sent as an absolute point in time
+            const toIso = (id) => {
+                const value = document.getElementById(id)?.value;
+                return value ? new Date(value).toISOString() : null;
+            };
+            const availableFrom = toIso('run-available-from');
+            const availableUntil = toIso('run-available-until');
             const testIds = Array.from(document.querySelectorAll('input[name="testIds"]:checked')).map(cb => cb.value);
             const userIds = Array.from(document.querySelectorAll('input[name="userIds"]:checked')).map(cb => cb.value);
+            const roleIds = Array.from(document.querySelectorAll('input[name="roleIds"]:checked')).map(cb => cb.value);
+            const departments = Array.from(document.querySelectorAll('input[name="departments"]:checked')).map(cb => cb.value);
 
             if (!name) {
                 Toast.error('Bitte geben Sie einen Namen ein');
@@ -336,8 +403,12 @@ const KCTestRunsView = {
                 Toast.error('Bitte wählen Sie mindestens einen Test');
                 return;
             }
-            if (userIds.length === 0) {
-                Toast.error('Bitte wählen Sie mindestens einen Teilnehmer');
+            if (userIds.length === 0 && roleIds.length === 0 && departments.length === 0) {
+                Toast.error('Bitte wählen Sie mindestens einen Teilnehmer, eine Rolle oder eine Abteilung');
+                return;
+            }
+            if (availableFrom && availableUntil && availableFrom >= availableUntil) {
+                Toast.error('"Verfügbar bis" muss nach "Verfügbar ab" liegen');
                 return;
             }
 
@@ -346,12 +417,16 @@ const KCTestRunsView = {
                     name,
                     description,
                     dueDate,
+                    availableFrom,
+                    availableUntil,
                     testIds,
-                    userIds
+                    userIds,
+                    roleIds,
+                    departments
                 });
 
                 if (response && response.success) {
-                    Toast.success(`Test Durchlauf "${name}" wurde erstellt mit ${testIds.length} Tests für ${userIds.length} Teilnehmer`);
+                    Toast.success(`Test Durchlauf "${name}" wurde erstellt mit ${testIds.length} Tests für ${response.run.stats.userCount} Teilnehmer`);
                     Modal.close();
                     await this.loadRuns();
                 } else {
@@ -364,6 +439,22 @@ const KCTestRunsView = {
         });
     },
 
+    /**
+     * Readable summary of the roles, departments and users a rule-based run targets
+     */
+    describeTargets(targets) {
+        const roleNames = targets.roleIds.map(id => this.users.find(u => u.roleId === id)?.roleName || id);
+        const userNames = targets.userIds.map(id => {
+            const user = this.users.find(u => u.id === id);
+            return user ? `${user.firstName} ${user.lastName}` : id;
+        });
+        return [
+            roleNames.length > 0 ? `Rollen: ${roleNames.join(', ')}` : '',
+            targets.departments.length > 0 ? `Abteilungen: ${targets.departments.join(', ')}` : '',
+            userNames.length > 0 ? `Teilnehmer: ${userNames.join(', ')}` : ''
+        ].filter(Boolean).join(' · ');
+    },
+
     /**
      * Views a test run's details with full results (similar to Test Results page layout)
      */
@@ -403,8 +494,11 @@ const KCTestRunsView = {
                             <span class="run-number">${Helpers.escapeHtml(run.runNumber)}</span>
                             <span class="run-name">${Helpers.escapeHtml(run.name)}</span>
                             ${run.dueDate ? `<span class="run-due">Fällig: ${Helpers.formatDate(run.dueDate)}</span>` : ''}
+                            ${run.availableFrom ? `<span class="run-due">Verfügbar ab: ${Helpers.formatDateTime(run.availableFrom)}</span>` : ''}
+                            ${run.availableUntil ? `<span class="run-due">Verfügbar bis: ${Helpers.formatDateTime(run.availableUntil)}</span>` : ''}
                         </div>
                         ${run.description ? `<p class="run-description">${Helpers.escapeHtml(run.description)}</p>` : ''}
+                        ${run.targets ? `<p class="run-description">Automatische Zuweisung: ${Helpers.escapeHtml(this.describeTargets(run.targets))}</p>` : ''}
                     </div>
                     
                     <div class="kc-results-overview">
@@ -424,6 +518,15 @@ const KCTestRunsView = {
                             <span class="stat-value">${run.stats.userCount}</span>
                             <span class="stat-label">Teilnehmer</span>
                         </div>
+                        <div class="quality-stat-card">
+                            <span class="stat-value ${run.stats.overdueCount > 0 ? 'stat-color-danger' : ''}">${run.stats.overdueCount}</span>
+                            <span class="stat-label">Überfällig</span>
+                        </div>
+                    </div>
+                    
+                    <div class="progress-bar-container" title="${run.stats.completedCount}/${run.stats.totalAssignments}">
+                        <div class="progress-bar" style="width: ${run.stats.totalAssignments > 0 ? Math.round(run.stats.completedCount / run.stats.totalAssignments * 100) : 0}%"></div>
+                        <span class="progress-text">${run.stats.completedCount}/${run.stats.totalAssignments} abgeschlossen · ${run.stats.inProgressCount} in Bearbeitung · ${run.stats.pendingCount - run.stats.inProgressCount - run.stats.overdueCount} ausstehend</span>
                     </div>
                     
                     <div class="table-container">
@@ -449,6 +552,15 @@ const KCTestRunsView = {
                                             statusClass = 'badge-danger';
                                             statusText = 'Nicht bestanden';
                                         }
+                                    } else if (a.status === 'overdue') {
+                                        statusClass = 'badge-danger';
+                                        statusText = 'Überfällig';
+                                    } else if (a.status === 'in_progress') {
+                                        statusClass = 'badge-info';
+                                        statusText = 'In Bearbeitung';
+                                    } else if (a.status === 'scheduled') {
+                                        statusClass = 'badge-secondary';
+                                        statusText = 'Geplant';
                                     } else {
                                         statusClass = 'badge-warning';
                                         statusText = 'Ausstehend';
@@ -552,7 +664,7 @@ const KCTestRunsView = {
             const answersHtml = data.answers?.map((a, i) => {
                 let answerDetailsHtml = '';
                 
-                if (a.questionType === 'multiple_choice') {
+                if (KCQuestionTypes.isChoice(a.questionType)) {
                     const details = a.optionDetails || {};
                     const allOptions = details.allOptions || [];
                     
@@ -609,6 +721,8 @@ const KCTestRunsView = {
                         // Fallback for old data without option details
                         answerDetailsHtml = `<p class="result-answer-text">Ausgewählt: ${a.selectedOptions?.length || 0} Option(en)</p>`;
                     }
+                } else if (a.questionType !== 'open_question') {
+                    answerDetailsHtml = KCQuestionTypes.renderAnswerDetails(a, canEvaluate);
                 } else {
                     // Open question
                     if (a.answerText) {
@@ -616,6 +730,9 @@ const KCTestRunsView = {
                     } else {
                         answerDetailsHtml = `<p class="result-answer-text text-muted"><em>Keine Antwort eingegeben</em></p>`;
                     }
+                    if (canEvaluate) {
+                        answerDetailsHtml += KCQuestionTypes.renderKeywordMatch(a.responseData);
+                    }
                 }
                 
                 return `
@@ -13,6 +13,21 @@ const KCTestsView = {
     },
     eventsBound: false,
 
+    // Which attempt counts when a test is taken more than once
+    scoringPolicyLabels: {
+        best: 'Bester Versuch',
+        last: 'Letzter Versuch',
+        average: 'Durchschnitt aller Versuche'
+    },
+
+    // What test takers see of their result after submitting
+    resultVisibilityLabels: {
+        none: 'Nichts (nur Abgabe bestätigen)',
+        score: 'Nur Ergebnis',
+        answers: 'Ergebnis mit richtigen Antworten',
+        explanations: 'Richtige Antworten mit Erläuterungen'
+    },
+
     /**
      * Initializes the tests view
      */
@@ -79,11 +94,11 @@ const KCTestsView = {
     },
 
     /**
-     * Loads all questions (for test creation)
+     * Loads all questions (for test creation) - only published questions can be selected
      */
     async loadQuestions() {
         try {
-            const result = await window.api.knowledgeCheck.getQuestions({ isActive: true });
+            const result = await window.api.knowledgeCheck.getQuestions({ isActive: true, status: 'published' });
             if (result.success) {
                 this.questions = result.questions;
             }
@@ -254,6 +269,7 @@ const KCTestsView = {
                     </div>
                     ${test.description ? `<div class="kc-question-text">${Helpers.escapeHtml(Helpers.truncate(test.description, 100))}</div>` : ''}
                     <div class="kc-question-meta">
+                        ${KCQuestionTypes.renderStatusBadge(test.status)}
                         <span class="badge badge-info">${test.questionCount} Fragen</span>
                         <span class="badge badge-secondary">Bestehen: ${test.passingScore}%</span>
                         ${test.timeLimitMinutes ? `<span class="badge badge-warning">${test.timeLimitMinutes} Min.</span>` : ''}
@@ -494,22 +510,23 @@ const KCTestsView = {
     },
 
     /**
-     * Shows the test form
+     * Shows the test form - a published test is not changed, saving it creates a new draft test
      */
     async showTestForm(test = null, preselectedCategoryId = null) {
         const isEdit = !!test;
+        const isCopy = isEdit && test.status === 'published';
         
         // Check permissions
         if (isEdit && !Permissions.canEdit('kcTest')) {
             Toast.error('Keine Berechtigung zum Bearbeiten von Tests');
             return;
         }
-        if (!isEdit && !Permissions.canCreate('kcTest')) {
+        if ((!isEdit || isCopy) && !Permissions.canCreate('kcTest')) {
             Toast.error('Keine Berechtigung zum Erstellen von Tests');
             return;
         }
         
-        const title = isEdit ? 'Test bearbeiten' : 'Neuer Test';
+        const title = isCopy ? 'Test als neuen Entwurf bearbeiten' : (isEdit ? 'Test bearbeiten' : 'Neuer Test');
 
         // Get selected question IDs if editing
         let selectedQuestionIds = [];
@@ -530,6 +547,23 @@ const KCTestsView = {
             `<option value="${c.id}" ${(test?.categoryId || preselectedCategoryId) === c.id ? 'selected' : ''}>${Helpers.escapeHtml(c.name)}</option>`
         ).join('');
 
+        // Pool categories (question categories) with the number of available questions
+        const isPool = test?.questionMode === 'pool';
+        const poolRules = test?.poolRules || [];
+        const poolCategoryRows = this.questionCategories.map(c => {
+            const rule = poolRules.find(r => r.categoryId === c.id);
+            const availableCount = this.questions.filter(q => q.categoryId === c.id).length;
+            return `
+                <div class="kc-pool-rule">
+                    <label class="kc-question-checkbox">
+                        <input type="checkbox" name="pool-category" value="${c.id}" ${rule ? 'checked' : ''}>
+                        <span>${Helpers.escapeHtml(c.name)} (${availableCount} Fragen)</span>
+                    </label>
+                    <input type="number" class="form-input kc-pool-quota" data-category-id="${c.id}" min="1" max="${availableCount}" value="${rule?.quota || ''}" placeholder="Quote">
+                </div>
+            `;
+        }).join('');
+
         const questionCheckboxes = Object.entries(groupedQuestions).map(([catName, questions]) => `
             <div class="kc-question-select-category">
                 <div class="kc-question-select-header">
@@ -547,6 +581,9 @@ const KCTestsView = {
 
         const formHtml = `
             <form id="test-form" class="test-form">
+                ${isCopy ? `
+                    <p class="form-hint">Veröffentlichte Tests werden nicht direkt geändert. Beim Speichern wird ein neuer Test als Entwurf angelegt, der veröffentlichte Test bleibt unverändert.</p>
+                ` : ''}
                 <div class="form-row">
                     <div class="form-group">
                         <label for="t-name">Name *</label>
@@ -577,7 +614,60 @@ const KCTestsView = {
                     </div>
                 </div>
                 
-                ${isEdit ? `
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="t-max-attempts">Maximale Versuche</label>
+                        <input type="number" id="t-max-attempts" name="maxAttempts" class="form-input" min="0" value="${test?.maxAttempts ?? 1}">
+                        <small class="form-hint">0 = unbegrenzt</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="t-cooldown">Wartezeit zwischen Versuchen (Stunden)</label>
+                        <input type="number" id="t-cooldown" name="retakeCooldownHours" class="form-input" min="0" value="${test?.retakeCooldownHours || 0}">
+                    </div>
+                </div>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="t-scoring-policy">Gewertetes Ergebnis</label>
+                        <select id="t-scoring-policy" name="scoringPolicy" class="form-select">
+                            ${Object.entries(this.scoringPolicyLabels).map(([value, label]) => 
+                                `<option value="${value}" ${(test?.scoringPolicy || 'best') === value ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Wiederholung</label>
+                        <label class="form-checkbox">
+                            <input type="checkbox" id="t-retake-only-failed" ${test?.retakeOnlyIfFailed ? 'checked' : ''}>
+                            <span>Nur nach nicht bestandenem Versuch</span>
+                        </label>
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label for="t-result-visibility">Nach der Abgabe sehen Teilnehmer</label>
+                    <select id="t-result-visibility" class="form-select">
+                        ${Object.entries(this.resultVisibilityLabels).map(([value, label]) =>
+                            `<option value="${value}" ${(test?.resultVisibility || 'score') === value ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="t-allow-practice" ${test?.allowPractice ? 'checked' : ''}>
+                        <span>Übungsmodus erlauben</span>
+                    </label>
+                    <small class="form-hint">Teilnehmer können den Test beliebig oft ohne Wertung üben und erhalten sofort Rückmeldung</small>
+                </div>
+                
+                <div class="form-group">
+                    <label for="t-validity">Gültigkeit der Zertifizierung (Monate)</label>
+                    <input type="number" id="t-validity" name="validityMonths" class="form-input" min="1" max="120" value="${test?.validityMonths || ''}" placeholder="Unbegrenzt">
+                    <small class="form-hint">Vor Ablauf wird automatisch ein Rezertifizierungs-Durchlauf erstellt</small>
+                </div>
+                
+                ${isEdit && !isCopy ? `
                     <div class="form-group">
                         <label class="form-checkbox">
                             <input type="checkbox" id="t-active" name="isActive" ${test?.isActive !== false ? 'checked' : ''}>
@@ -586,12 +676,47 @@ const KCTestsView = {
                     </div>
                 ` : ''}
                 
-                <div class="form-group">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="t-question-mode">Fragenauswahl</label>
+                        <select id="t-question-mode" name="questionMode" class="form-select">
+                            <option value="fixed" ${!isPool ? 'selected' : ''}>Feste Fragenliste</option>
+                            <option value="pool" ${isPool ? 'selected' : ''}>Zufällig aus Kategorien ziehen</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Reihenfolge pro Testversuch</label>
+                        <label class="form-checkbox">
+                            <input type="checkbox" id="t-shuffle-questions" ${test?.shuffleQuestions ? 'checked' : ''}>
+                            <span>Fragen mischen</span>
+                        </label>
+                        <label class="form-checkbox">
+                            <input type="checkbox" id="t-shuffle-options" ${test?.shuffleOptions ? 'checked' : ''}>
+                            <span>Antwortoptionen mischen</span>
+                        </label>
+                    </div>
+                </div>
+                
+                <div id="t-fixed-section" class="form-group ${isPool ? 'hidden' : ''}">
                     <label>Fragen auswählen</label>
                     <div class="kc-question-select-container">
                         ${questionCheckboxes || '<p class="empty-state">Keine Fragen verfügbar. Erstellen Sie zuerst Fragen im Fragen Katalog.</p>'}
                     </div>
                 </div>
+                
+                <div id="t-pool-section" class="${!isPool ? 'hidden' : ''}">
+                    <div class="form-group">
+                        <label for="t-draw-count">Anzahl Fragen pro Testversuch *</label>
+                        <input type="number" id="t-draw-count" name="drawCount" class="form-input" min="1" value="${test?.drawCount || ''}">
+                    </div>
+                    <div class="form-group">
+                        <label>Fragenkategorien</label>
+                        <div class="kc-question-select-container">
+                            ${poolCategoryRows || '<p class="empty-state">Keine Fragenkategorien verfügbar.</p>'}
+                        </div>
+                        <span class="form-hint">Quote: feste Anzahl Fragen aus dieser Kategorie. Die übrigen Fragen werden zufällig aus allen gewählten Kategorien gezogen.</span>
+                    </div>
+                </div>
             </form>
         `;
 
@@ -611,7 +736,7 @@ const KCTestsView = {
 
         const submitBtn = document.createElement('button');
         submitBtn.className = 'btn btn-primary';
-        submitBtn.textContent = isEdit ? 'Speichern' : 'Erstellen';
+        submitBtn.textContent = isEdit && !isCopy ? 'Speichern' : 'Erstellen';
 
         footer.appendChild(cancelBtn);
         footer.appendChild(submitBtn);
@@ -623,6 +748,13 @@ const KCTestsView = {
             size: 'lg'
         });
 
+        // Toggle between fixed question list and question pool
+        document.getElementById('t-question-mode').addEventListener('change', (e) => {
+            const usePool = e.target.value === 'pool';
+            document.getElementById('t-fixed-section').classList.toggle('hidden', usePool);
+            document.getElementById('t-pool-section').classList.toggle('hidden', !usePool);
+        });
+
         // Bind select all buttons
         document.querySelectorAll('.select-all-cat').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -642,6 +774,31 @@ const KCTestsView = {
             }
 
             const selectedQuestions = Array.from(document.querySelectorAll('input[name="questions"]:checked')).map(cb => cb.value);
+            const questionMode = document.getElementById('t-question-mode').value;
+            const poolRules = Array.from(document.querySelectorAll('input[name="pool-category"]:checked')).map(cb => ({
+                categoryId: cb.value,
+                quota: parseInt(document.querySelector(`.kc-pool-quota[data-category-id="${cb.value}"]`).value) || null
+            }));
+            const drawCount = parseInt(document.getElementById('t-draw-count').value) || null;
+
+            if (questionMode === 'pool') {
+                if (!drawCount) {
+                    Toast.error('Bitte geben Sie die Anzahl der Fragen pro Testversuch ein');
+                    return;
+                }
+                if (poolRules.length === 0) {
+                    Toast.error('Bitte wählen Sie mindestens eine Fragenkategorie aus');
+                    return;
+                }
+                if (poolRules.some(r => r.quota !== null && r.quota < 1)) {
+                    Toast.error('Quoten müssen mindestens 1 betragen');
+                    return;
+                }
+                if (poolRules.reduce((sum, r) => sum + (r.quota || 0), 0) > drawCount) {
+                    Toast.error('Die Quoten übersteigen die Anzahl der Fragen pro Testversuch');
+                    return;
+                }
+            }
 
             const data = {
                 name,
@@ -649,10 +806,22 @@ const KCTestsView = {
                 categoryId: document.getElementById('t-category').value || null,
                 passingScore: parseInt(document.getElementById('t-passing').value) || 80,
                 timeLimitMinutes: parseInt(document.getElementById('t-time').value) || null,
-                questionIds: selectedQuestions
+                questionMode,
+                drawCount,
+                shuffleQuestions: document.getElementById('t-shuffle-questions').checked,
+                shuffleOptions: document.getElementById('t-shuffle-options').checked,
+                maxAttempts: Math.max(0, parseInt(document.getElementById('t-max-attempts').value) || 0),
+                retakeCooldownHours: Math.max(0, parseInt(document.getElementById('t-cooldown').value) || 0),
+                retakeOnlyIfFailed: document.getElementById('t-retake-only-failed').checked,
+                scoringPolicy: document.getElementById('t-scoring-policy').value,
+                resultVisibility: document.getElementById('t-result-visibility').value,
+                allowPractice: document.getElementById('t-allow-practice').checked,
+                validityMonths: parseInt(document.getElementById('t-validity').value) || null,
+                questionIds: selectedQuestions,
+                poolRules
             };
 
-            if (isEdit) {
+            if (isEdit && !isCopy) {
                 const activeCheckbox = document.getElementById('t-active');
                 if (activeCheckbox) {
                     data.isActive = activeCheckbox.checked;
@@ -661,14 +830,14 @@ const KCTestsView = {
 
             try {
                 let response;
-                if (isEdit) {
+                if (isEdit && !isCopy) {
                     response = await window.api.knowledgeCheck.updateTest(test.id, data);
                 } else {
                     response = await window.api.knowledgeCheck.createTest(data);
                 }
                 
                 if (response && response.success) {
-                    Toast.success(isEdit ? 'Test aktualisiert' : 'Test erstellt');
+                    Toast.success(isEdit && !isCopy ? 'Test aktualisiert' : 'Test als Entwurf erstellt');
                     Modal.close();
                     await this.loadTests();
                     this.renderTestList();
@@ -694,6 +863,8 @@ const KCTestsView = {
             }
 
             const test = result.test;
+            const historyResult = await window.api.knowledgeCheck.getTestReviewHistory(testId);
+            const history = historyResult.success ? historyResult.history : [];
             
             const typeLabels = {
                 'multiple_choice': 'Multiple Choice',
@@ -717,10 +888,39 @@ const KCTestsView = {
                             <strong>Zeitlimit:</strong> ${test.timeLimitMinutes ? test.timeLimitMinutes + ' Minuten' : 'Unbegrenzt'}
                         </div>
                         <div class="test-meta-item">
-                            <strong>Status:</strong> ${test.isActive ? 'Aktiv' : 'Inaktiv'}
+                            <strong>Status:</strong> ${test.isActive ? 'Aktiv' : 'Inaktiv'} ${KCQuestionTypes.renderStatusBadge(test.status)}
                         </div>
+                        <div class="test-meta-item">
+                            <strong>Fragenauswahl:</strong> ${test.questionMode === 'pool' 
+                                ? `${test.drawCount} zufällige Fragen aus ${test.poolRules.map(r => Helpers.escapeHtml(r.categoryName) + (r.quota ? ` (${r.quota})` : '')).join(', ')}` 
+                                : 'Feste Fragenliste'}
+                        </div>
+                        ${test.shuffleQuestions || test.shuffleOptions ? `
+                            <div class="test-meta-item">
+                                <strong>Gemischt:</strong> ${[test.shuffleQuestions ? 'Fragen' : '', test.shuffleOptions ? 'Antwortoptionen' : ''].filter(Boolean).join(', ')}
+                            </div>
+                        ` : ''}
+                        <div class="test-meta-item">
+                            <strong>Versuche:</strong> ${test.maxAttempts > 0 ? `max. ${test.maxAttempts}` : 'Unbegrenzt'}${test.retakeCooldownHours ? `, ${test.retakeCooldownHours} Std. Wartezeit` : ''}${test.retakeOnlyIfFailed ? ', nur nach Nichtbestehen' : ''}
+                        </div>
+                        <div class="test-meta-item">
+                            <strong>Gewertet:</strong> ${this.scoringPolicyLabels[test.scoringPolicy] || this.scoringPolicyLabels.best}
+                        </div>
+                        <div class="test-meta-item">
+                            <strong>Ergebnisanzeige:</strong> ${this.resultVisibilityLabels[test.resultVisibility] || this.resultVisibilityLabels.score}
+                        </div>
+                        ${test.allowPractice ? `
+                            <div class="test-meta-item">
+                                <strong>Übungsmodus:</strong> Erlaubt
+                            </div>
+                        ` : ''}
+                        ${test.validityMonths ? `
+                            <div class="test-meta-item">
+                                <strong>Gültigkeit:</strong> ${test.validityMonths} Monate
+                            </div>
+                        ` : ''}
                     </div>
-                    <div class="test-detail-questions">
+                    <div class="test-detail-questions ${test.questionMode === 'pool' ? 'hidden' : ''}">
                         <h4>Fragen (${test.questions?.length || 0})</h4>
                         <div class="test-questions-list">
                             ${test.questions && test.questions.length > 0 ? test.questions.map((q, i) => `
@@ -731,7 +931,7 @@ const KCTestsView = {
                                             ${q.title ? `<div class="test-question-title">${Helpers.escapeHtml(q.title)}</div>` : ''}
                                             <div class="test-question-text">${Helpers.escapeHtml(Helpers.truncate(q.questionText, 80))}</div>
                                             <div class="test-question-meta">
-                                                <span class="badge badge-secondary">${typeLabels[q.questionType] || q.questionType}</span>
+                                                <span class="badge badge-secondary">${KCQuestionTypes.getLabel(q.questionType)}</span>
                                                 <span class="badge badge-info">Gewichtung: ${q.effectiveWeighting}</span>
                                                 <span class="badge badge-outline">${q.categoryName}</span>
                                             </div>
@@ -747,6 +947,7 @@ const KCTestsView = {
                             `).join('') : '<p class="empty-state">Keine Fragen zugewiesen</p>'}
                         </div>
                     </div>
+                    ${KCQuestionTypes.renderReviewHistory(history)}
                 </div>
             `;
 
@@ -763,8 +964,8 @@ const KCTestsView = {
             leftBtns.style.display = 'flex';
             leftBtns.style.gap = 'var(--space-sm)';
 
-            // Add "Neuer Testdurchgang" button if user can assign tests
-            if (Permissions.has('kc_assign_tests')) {
+            // Add "Neuer Testdurchgang" button if user can assign tests (only published tests can be assigned)
+            if (Permissions.has('kc_assign_tests') && test.status === 'published') {
                 const assignBtn = document.createElement('button');
                 assignBtn.className = 'btn btn-primary';
                 assignBtn.innerHTML = `
@@ -782,6 +983,45 @@ const KCTestsView = {
                 });
                 leftBtns.appendChild(assignBtn);
             }
+            KCQuestionTypes.createReviewButtons('test', test, () => this.refresh())
+                .forEach(btn => leftBtns.appendChild(btn));
+            const regradeBtn = KCQuestionTypes.createRegradeButton('test', test);
+            if (regradeBtn) leftBtns.appendChild(regradeBtn);
+
+            // A published test is not edited any more, but it can still be switched on and off
+            if (Permissions.canEdit('kcTest') && test.status === 'published') {
+                const activeBtn = document.createElement('button');
+                activeBtn.className = 'btn btn-secondary';
+                activeBtn.textContent = test.isActive ? 'Deaktivieren' : 'Aktivieren';
+                activeBtn.addEventListener('click', async () => {
+                    try {
+                        const response = await window.api.knowledgeCheck.updateTest(test.id, { isActive: !test.isActive });
+                        if (response && response.success) {
+                            Toast.success(test.isActive ? 'Test deaktiviert' : 'Test aktiviert');
+                            Modal.close();
+                            await this.refresh();
+                        } else {
+                            Toast.error(response?.error || 'Fehler beim Speichern des Tests');
+                        }
+                    } catch (error) {
+                        console.error('Toggle test active error:', error);
+                        Toast.error('Fehler beim Speichern des Tests');
+                    }
+                });
+                leftBtns.appendChild(activeBtn);
+            }
+
+            // The preview shows the correct answers, so it is only offered to test authors
+            if (Permissions.canCreate('kcTest') || Permissions.canEdit('kcTest')) {
+                const previewBtn = document.createElement('button');
+                previewBtn.className = 'btn btn-secondary';
+                previewBtn.textContent = 'Vorschau';
+                previewBtn.addEventListener('click', () => {
+                    Modal.close();
+                    setTimeout(() => this.previewTest(test.id), 250);
+                });
+                leftBtns.appendChild(previewBtn);
+            }
             footer.appendChild(leftBtns);
 
             const closeBtn = document.createElement('button');
@@ -810,6 +1050,27 @@ const KCTestsView = {
         }
     },
 
+    /**
+     * Opens the test as a test taker sees it (drawn questions, shuffling, timer).
+     * Answers are graded on submit but no attempt or result is stored.
+     */
+    async previewTest(testId) {
+        try {
+            const result = await window.api.knowledgeCheck.previewTest(testId);
+            if (!result.success) {
+                Toast.error(result.error || 'Vorschau konnte nicht geladen werden');
+                return;
+            }
+
+            KCAssignedView.showTestTakingModal(result.test, result.questions, null, result.preview, null, {
+                questionSet: result.preview.questionSet
+            });
+        } catch (error) {
+            console.error('Preview test error:', error);
+            Toast.error('Fehler beim Laden der Vorschau');
+        }
+    },
+
     /**
      * Shows the form to create a test run for a specific test
      */
@@ -962,59 +1223,29 @@ const KCTestsView = {
             }
 
             const q = result.question;
-            const typeLabels = {
-                'multiple_choice': 'Multiple Choice',
-                'open_question': 'Offene Frage'
-            };
-
-            let answerSection = '';
-            if (q.questionType === 'multiple_choice' && q.options && q.options.length > 0) {
-                answerSection = `
-                    <div class="question-detail-section">
-                        <h5>Antwortmöglichkeiten</h5>
-                        <ul class="question-options-list">
-                            ${q.options.map(o => `
-                                <li class="${o.isCorrect ? 'correct' : ''}">
-                                    ${o.isCorrect ? '<span class="badge badge-success">✓</span>' : '<span class="badge badge-outline">○</span>'}
-                                    ${Helpers.escapeHtml(o.text)}
-                                </li>
-                            `).join('')}
-                        </ul>
-                    </div>
-                `;
-            } else if (q.questionType === 'open_question') {
-                answerSection = `
-                    <div class="question-detail-section">
-                        <h5>Erwartete Antwort</h5>
-                        ${q.exactAnswer ? `<p><strong>Exakte Antwort:</strong> ${Helpers.escapeHtml(q.exactAnswer)}</p>` : ''}
-                        ${q.triggerWords && q.triggerWords.length > 0 ? `
-                            <p><strong>Schlüsselwörter:</strong></p>
-                            <div class="trigger-words-display">
-                                ${q.triggerWords.map(tw => `<span class="badge badge-info">${Helpers.escapeHtml(tw)}</span>`).join(' ')}
-                            </div>
-                        ` : ''}
-                    </div>
-                `;
-            }
+            const answerSection = KCQuestionTypes.renderSolution(q);
 
             const contentHtml = `
                 <div class="question-detail">
                     <div class="question-detail-header">
                         ${q.title ? `<h4>${Helpers.escapeHtml(q.title)}</h4>` : ''}
                         <p class="question-detail-text">${Helpers.escapeHtml(q.questionText)}</p>
+                        ${KCQuestionTypes.renderMedia(q.media)}
                     </div>
                     <div class="question-detail-meta">
-                        <span class="badge badge-secondary">${typeLabels[q.questionType] || q.questionType}</span>
+                        <span class="badge badge-secondary">${KCQuestionTypes.getLabel(q.questionType)}</span>
                         <span class="badge badge-info">Gewichtung: ${q.effectiveWeighting}</span>
                         <span class="badge badge-outline">${q.categoryName}</span>
                     </div>
                     ${answerSection}
+                    ${KCQuestionTypes.renderExplanation(q.explanation)}
                 </div>
             `;
 
             const template = document.createElement('template');
             template.innerHTML = contentHtml.trim();
             const content = template.content.firstElementChild;
+            KCQuestionTypes.loadMedia(content);
 
             const footer = document.createElement('div');
             footer.style.display = 'flex';
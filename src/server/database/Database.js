@@ -17,6 +17,7 @@ const Config = require('../../../config/Config');
 
 const DATA_DIR = path.join(__dirname, '../../../data');
 const DB_PATH = path.join(DATA_DIR, 'customer-support.db');
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
 
 let db = null;
 let SQL = null;
@@ -326,7 +327,13 @@ function initSchema() {
             weighting INTEGER DEFAULT NULL,
             allow_partial_answer INTEGER DEFAULT 0,
             exact_answer TEXT DEFAULT '',
+            numeric_tolerance REAL DEFAULT NULL,
             trigger_words TEXT DEFAULT '[]',
+            answer_rules TEXT DEFAULT NULL,
+            media_ids TEXT DEFAULT '[]',
+            explanation TEXT DEFAULT '',
+            status TEXT DEFAULT 'published',
+            revision_of TEXT DEFAULT NULL,
             is_active INTEGER DEFAULT 1,
             is_archived INTEGER DEFAULT 0,
             archived_at TEXT DEFAULT NULL,
@@ -343,12 +350,28 @@ function initSchema() {
             id TEXT PRIMARY KEY,
             question_id TEXT NOT NULL,
             option_text TEXT NOT NULL,
+            match_text TEXT DEFAULT '',
             is_correct INTEGER DEFAULT 0,
+            media_id TEXT DEFAULT NULL,
+            explanation TEXT DEFAULT '',
             sort_order INTEGER DEFAULT 0,
+            revision_of TEXT DEFAULT NULL,
             FOREIGN KEY (question_id) REFERENCES kc_questions(id) ON DELETE CASCADE
         )
     `);
 
+    // Images and attachments of questions and options (files are stored in data/media)
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_media (
+            id TEXT PRIMARY KEY,
+            file_name TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            size INTEGER DEFAULT 0,
+            uploaded_by TEXT,
+            created_at TEXT NOT NULL
+        )
+    `);
+
     // Test categories (separate from question categories)
     database.run(`
         CREATE TABLE IF NOT EXISTS kc_test_categories (
@@ -372,6 +395,18 @@ function initSchema() {
             category_id TEXT,
             time_limit_minutes INTEGER DEFAULT NULL,
             passing_score INTEGER DEFAULT 80,
+            question_mode TEXT DEFAULT 'fixed',
+            draw_count INTEGER DEFAULT NULL,
+            shuffle_questions INTEGER DEFAULT 0,
+            shuffle_options INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT 1,
+            retake_cooldown_hours INTEGER DEFAULT 0,
+            retake_only_if_failed INTEGER DEFAULT 0,
+            scoring_policy TEXT DEFAULT 'best',
+            validity_months INTEGER DEFAULT NULL,
+            result_visibility TEXT DEFAULT 'score',
+            allow_practice INTEGER DEFAULT 0,
+            status TEXT DEFAULT 'published',
             is_active INTEGER DEFAULT 1,
             is_archived INTEGER DEFAULT 0,
             archived_at TEXT DEFAULT NULL,
@@ -394,6 +429,19 @@ function initSchema() {
         )
     `);
 
+    // Question pool rules - categories (with optional quotas) a pool test draws its questions from
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_test_pool_rules (
+            id TEXT PRIMARY KEY,
+            test_id TEXT NOT NULL,
+            category_id TEXT NOT NULL,
+            quota INTEGER DEFAULT NULL,
+            sort_order INTEGER DEFAULT 0,
+            FOREIGN KEY (test_id) REFERENCES kc_tests(id) ON DELETE CASCADE,
+            FOREIGN KEY (category_id) REFERENCES kc_categories(id) ON DELETE CASCADE
+        )
+    `);
+
     // Test results
     database.run(`
         CREATE TABLE IF NOT EXISTS kc_test_results (
@@ -402,6 +450,8 @@ function initSchema() {
             test_id TEXT NOT NULL,
             user_id TEXT NOT NULL,
             evaluator_id TEXT,
+            assignment_id TEXT DEFAULT NULL,
+            attempt_number INTEGER DEFAULT 1,
             started_at TEXT NOT NULL,
             completed_at TEXT,
             total_score REAL DEFAULT 0,
@@ -430,6 +480,13 @@ function initSchema() {
             score REAL DEFAULT 0,
             max_score REAL DEFAULT 0,
             evaluator_notes TEXT DEFAULT '',
+            response_data TEXT DEFAULT '{}',
+            sort_order INTEGER DEFAULT 0,
+            confidence REAL DEFAULT NULL,
+            reviewed_by TEXT,
+            reviewed_at TEXT,
+            question_snapshot TEXT DEFAULT NULL,
+            time_spent_seconds INTEGER DEFAULT NULL,
             FOREIGN KEY (result_id) REFERENCES kc_test_results(id) ON DELETE CASCADE,
             FOREIGN KEY (question_id) REFERENCES kc_questions(id)
         )
@@ -443,9 +500,12 @@ function initSchema() {
             name TEXT NOT NULL,
             description TEXT DEFAULT '',
             due_date TEXT,
+            available_from TEXT DEFAULT NULL,
+            available_until TEXT DEFAULT NULL,
             status TEXT DEFAULT 'pending',
             created_by TEXT NOT NULL,
             notes TEXT DEFAULT '',
+            recertification_test_id TEXT DEFAULT NULL,
             created_at TEXT NOT NULL,
             updated_at TEXT NOT NULL,
             FOREIGN KEY (created_by) REFERENCES users(id)
@@ -464,6 +524,18 @@ function initSchema() {
         )
     `);
 
+    // Targets of a rule-based test run - a role, a department or a single user
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_test_run_targets (
+            id TEXT PRIMARY KEY,
+            run_id TEXT NOT NULL,
+            target_type TEXT NOT NULL,
+            target_value TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (run_id) REFERENCES kc_test_runs(id) ON DELETE CASCADE
+        )
+    `);
+
     // Test assignments - assign tests to users (now linked to a test run)
     database.run(`
         CREATE TABLE IF NOT EXISTS kc_test_assignments (
@@ -473,8 +545,13 @@ function initSchema() {
             user_id TEXT NOT NULL,
             assigned_by TEXT NOT NULL,
             due_date TEXT,
+            available_from TEXT DEFAULT NULL,
+            available_until TEXT DEFAULT NULL,
             status TEXT DEFAULT 'pending',
             result_id TEXT,
+            final_percentage REAL DEFAULT NULL,
+            final_passed INTEGER DEFAULT NULL,
+            path_enrollment_id TEXT DEFAULT NULL,
             notes TEXT DEFAULT '',
             created_at TEXT NOT NULL,
             updated_at TEXT NOT NULL,
@@ -486,15 +563,194 @@ function initSchema() {
         )
     `);
 
+    // Test attempts - server-side timing of a single test session for an assignment
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_test_attempts (
+            id TEXT PRIMARY KEY,
+            assignment_id TEXT NOT NULL,
+            test_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            status TEXT DEFAULT 'in_progress',
+            started_at TEXT NOT NULL,
+            deadline_at TEXT DEFAULT NULL,
+            question_set TEXT DEFAULT NULL,
+            submitted_at TEXT DEFAULT NULL,
+            result_id TEXT DEFAULT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            FOREIGN KEY (assignment_id) REFERENCES kc_test_assignments(id) ON DELETE CASCADE,
+            FOREIGN KEY (test_id) REFERENCES kc_tests(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (result_id) REFERENCES kc_test_results(id)
+        )
+    `);
+
+    // Answer drafts - autosaved answers of a running attempt, one row per question
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_answer_drafts (
+            id TEXT PRIMARY KEY,
+            attempt_id TEXT NOT NULL,
+            assignment_id TEXT NOT NULL,
+            question_id TEXT NOT NULL,
+            selected_options TEXT DEFAULT '[]',
+            answer_text TEXT DEFAULT '',
+            response_data TEXT DEFAULT '{}',
+            updated_at TEXT NOT NULL,
+            FOREIGN KEY (attempt_id) REFERENCES kc_test_attempts(id) ON DELETE CASCADE,
+            FOREIGN KEY (assignment_id) REFERENCES kc_test_assignments(id) ON DELETE CASCADE,
+            FOREIGN KEY (question_id) REFERENCES kc_questions(id)
+        )
+    `);
+
+    // Result history - who changed which score of a result (manual evaluation)
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_result_history (
+            id TEXT PRIMARY KEY,
+            result_id TEXT NOT NULL,
+            answer_id TEXT,
+            user_id TEXT NOT NULL,
+            action TEXT NOT NULL,
+            details TEXT DEFAULT '',
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (result_id) REFERENCES kc_test_results(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // Certificates for passed results - names and score are copied so a code stays verifiable
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_certificates (
+            id TEXT PRIMARY KEY,
+            result_id TEXT UNIQUE NOT NULL,
+            verification_code TEXT UNIQUE NOT NULL,
+            user_id TEXT NOT NULL,
+            test_id TEXT NOT NULL,
+            user_name TEXT NOT NULL,
+            test_name TEXT NOT NULL,
+            test_number TEXT DEFAULT '',
+            percentage REAL DEFAULT 0,
+            completed_at TEXT,
+            issued_at TEXT NOT NULL,
+            revoked_at TEXT DEFAULT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            FOREIGN KEY (result_id) REFERENCES kc_test_results(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // In-app notifications - due date reminders for assigned tests
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_notifications (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            title TEXT NOT NULL,
+            message TEXT DEFAULT '',
+            link_view TEXT DEFAULT NULL,
+            assignment_id TEXT DEFAULT NULL,
+            reminder_key TEXT DEFAULT NULL,
+            is_read INTEGER DEFAULT 0,
+            emailed_at TEXT DEFAULT NULL,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // Learning paths - ordered tests, each step unlocks after the previous one is passed
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_learning_paths (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            description TEXT DEFAULT '',
+            step_due_days INTEGER DEFAULT NULL,
+            created_by TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_learning_path_steps (
+            id TEXT PRIMARY KEY,
+            path_id TEXT NOT NULL,
+            test_id TEXT NOT NULL,
+            sort_order INTEGER DEFAULT 0,
+            FOREIGN KEY (path_id) REFERENCES kc_learning_paths(id) ON DELETE CASCADE,
+            FOREIGN KEY (test_id) REFERENCES kc_tests(id)
+        )
+    `);
+
+    // Users on a learning path - their step assignments point back via path_enrollment_id
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_learning_path_enrollments (
+            id TEXT PRIMARY KEY,
+            path_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            assigned_by TEXT NOT NULL,
+            status TEXT DEFAULT 'in_progress',
+            completed_at TEXT DEFAULT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            FOREIGN KEY (path_id) REFERENCES kc_learning_paths(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // Review history of questions and tests (submissions, decisions and reviewer comments)
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_review_comments (
+            id TEXT PRIMARY KEY,
+            item_type TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            user_id TEXT,
+            action TEXT NOT NULL,
+            comment TEXT DEFAULT '',
+            created_at TEXT NOT NULL
+        )
+    `);
+
+    // Practice attempts - ungraded rehearsal of a test, kept apart from the official results
+    database.run(`
+        CREATE TABLE IF NOT EXISTS kc_practice_attempts (
+            id TEXT PRIMARY KEY,
+            test_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            question_set TEXT DEFAULT '[]',
+            answers TEXT DEFAULT '[]',
+            total_score REAL DEFAULT 0,
+            max_score REAL DEFAULT 0,
+            percentage REAL DEFAULT NULL,
+            started_at TEXT NOT NULL,
+            completed_at TEXT DEFAULT NULL,
+            FOREIGN KEY (test_id) REFERENCES kc_tests(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
     // Create indexes
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_questions_category ON kc_questions(category_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_review_comments_item ON kc_review_comments(item_type, item_id)');
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_questions_test ON kc_test_questions(test_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_pool_rules_test ON kc_test_pool_rules(test_id)');
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_results_test ON kc_test_results(test_id)');
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_results_user ON kc_test_results(user_id)');
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_assignments_user ON kc_test_assignments(user_id)');
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_assignments_test ON kc_test_assignments(test_id)');
     // Note: idx_kc_test_assignments_run is created in migrations after run_id column exists
     database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_run_tests_run ON kc_test_run_tests(run_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_run_targets_run ON kc_test_run_targets(run_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_attempts_assignment ON kc_test_attempts(assignment_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_practice_attempts_user ON kc_practice_attempts(user_id, test_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_answer_drafts_attempt ON kc_answer_drafts(attempt_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_result_history_result ON kc_result_history(result_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_certificates_user ON kc_certificates(user_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_notifications_user ON kc_notifications(user_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_notifications_assignment ON kc_notifications(assignment_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_learning_path_steps_path ON kc_learning_path_steps(path_id)');
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_learning_path_enrollments_user ON kc_learning_path_enrollments(user_id)');
+    // Note: idx_kc_test_assignments_enrollment is created in migrations after path_enrollment_id column exists
     database.run('CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)');
     database.run('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role_id)');
     database.run('CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)');
@@ -574,6 +830,175 @@ function runMigrations(database) {
         database.run('ALTER TABLE kc_test_runs ADD COLUMN archived_at TEXT DEFAULT NULL');
     }
     
+    // Migration 7: Add question pool and shuffle settings to kc_tests
+    if (!columnExists('kc_tests', 'question_mode')) {
+        console.log('Adding question pool columns to kc_tests...');
+        database.run('ALTER TABLE kc_tests ADD COLUMN question_mode TEXT DEFAULT \'fixed\'');
+        database.run('ALTER TABLE kc_tests ADD COLUMN draw_count INTEGER DEFAULT NULL');
+        database.run('ALTER TABLE kc_tests ADD COLUMN shuffle_questions INTEGER DEFAULT 0');
+        database.run('ALTER TABLE kc_tests ADD COLUMN shuffle_options INTEGER DEFAULT 0');
+    }
+    
+    // Migration 8: Add question_set to kc_test_attempts (questions and option order shown in the attempt)
+    if (!columnExists('kc_test_attempts', 'question_set')) {
+        console.log('Adding question_set column to kc_test_attempts...');
+        database.run('ALTER TABLE kc_test_attempts ADD COLUMN question_set TEXT DEFAULT NULL');
+    }
+    
+    // Migration 9: Add sort_order to kc_test_answers (answers keep the order the user saw)
+    if (!columnExists('kc_test_answers', 'sort_order')) {
+        console.log('Adding sort_order column to kc_test_answers...');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN sort_order INTEGER DEFAULT 0');
+    }
+    
+    // Migration 10: Add columns for additional question types (numeric tolerance, matching pairs)
+    if (!columnExists('kc_questions', 'numeric_tolerance')) {
+        console.log('Adding numeric_tolerance column to kc_questions...');
+        database.run('ALTER TABLE kc_questions ADD COLUMN numeric_tolerance REAL DEFAULT NULL');
+    }
+    if (!columnExists('kc_question_options', 'match_text')) {
+        console.log('Adding match_text column to kc_question_options...');
+        database.run('ALTER TABLE kc_question_options ADD COLUMN match_text TEXT DEFAULT \'\'');
+    }
+    
+    // Migration 11: Add response_data to answers and drafts (ordering, matching and cloze responses)
+    if (!columnExists('kc_test_answers', 'response_data')) {
+        console.log('Adding response_data column to kc_test_answers...');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN response_data TEXT DEFAULT \'{}\'');
+    }
+    if (!columnExists('kc_answer_drafts', 'response_data')) {
+        console.log('Adding response_data column to kc_answer_drafts...');
+        database.run('ALTER TABLE kc_answer_drafts ADD COLUMN response_data TEXT DEFAULT \'{}\'');
+    }
+    
+    // Migration 12: Add review columns to kc_test_answers (manual evaluation of open answers)
+    if (!columnExists('kc_test_answers', 'confidence')) {
+        console.log('Adding review columns to kc_test_answers...');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN confidence REAL DEFAULT NULL');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN reviewed_by TEXT');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN reviewed_at TEXT');
+    }
+    
+    // Migration 13: Add retake policy to kc_tests and link results to their assignment attempts
+    if (!columnExists('kc_tests', 'max_attempts')) {
+        console.log('Adding retake policy columns to kc_tests...');
+        database.run('ALTER TABLE kc_tests ADD COLUMN max_attempts INTEGER DEFAULT 1');
+        database.run('ALTER TABLE kc_tests ADD COLUMN retake_cooldown_hours INTEGER DEFAULT 0');
+        database.run('ALTER TABLE kc_tests ADD COLUMN retake_only_if_failed INTEGER DEFAULT 0');
+        database.run('ALTER TABLE kc_tests ADD COLUMN scoring_policy TEXT DEFAULT \'best\'');
+    }
+    if (!columnExists('kc_test_results', 'assignment_id')) {
+        console.log('Adding assignment_id and attempt_number columns to kc_test_results...');
+        database.run('ALTER TABLE kc_test_results ADD COLUMN assignment_id TEXT DEFAULT NULL');
+        database.run('ALTER TABLE kc_test_results ADD COLUMN attempt_number INTEGER DEFAULT 1');
+        database.run(`UPDATE kc_test_results SET assignment_id = 
+            (SELECT a.id FROM kc_test_assignments a WHERE a.result_id = kc_test_results.id)
+            WHERE assignment_id IS NULL`);
+    }
+    if (!columnExists('kc_test_assignments', 'final_percentage')) {
+        console.log('Adding final score columns to kc_test_assignments...');
+        database.run('ALTER TABLE kc_test_assignments ADD COLUMN final_percentage REAL DEFAULT NULL');
+        database.run('ALTER TABLE kc_test_assignments ADD COLUMN final_passed INTEGER DEFAULT NULL');
+        database.run(`UPDATE kc_test_assignments SET 
+            final_percentage = (SELECT r.percentage FROM kc_test_results r WHERE r.id = kc_test_assignments.result_id),
+            final_passed = (SELECT r.passed FROM kc_test_results r WHERE r.id = kc_test_assignments.result_id)
+            WHERE result_id IS NOT NULL`);
+    }
+    
+    // Migration 14: Add question_snapshot to kc_test_answers (question as it was asked, for audits)
+    if (!columnExists('kc_test_answers', 'question_snapshot')) {
+        console.log('Adding question_snapshot column to kc_test_answers...');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN question_snapshot TEXT DEFAULT NULL');
+    }
+    
+    // Migration 15: Add time_spent_seconds to kc_test_answers (time the user worked on the question)
+    if (!columnExists('kc_test_answers', 'time_spent_seconds')) {
+        console.log('Adding time_spent_seconds column to kc_test_answers...');
+        database.run('ALTER TABLE kc_test_answers ADD COLUMN time_spent_seconds INTEGER DEFAULT NULL');
+    }
+    
+    // Migration 16: Add certification validity to kc_tests and mark automatic recertification runs
+    if (!columnExists('kc_tests', 'validity_months')) {
+        console.log('Adding validity_months column to kc_tests...');
+        database.run('ALTER TABLE kc_tests ADD COLUMN validity_months INTEGER DEFAULT NULL');
+    }
+    if (!columnExists('kc_test_runs', 'recertification_test_id')) {
+        console.log('Adding recertification_test_id column to kc_test_runs...');
+        database.run('ALTER TABLE kc_test_runs ADD COLUMN recertification_test_id TEXT DEFAULT NULL');
+    }
+    
+    // Migration 17: Link assignments to the learning path enrollment they belong to
+    if (!columnExists('kc_test_assignments', 'path_enrollment_id')) {
+        console.log('Adding path_enrollment_id column to kc_test_assignments...');
+        database.run('ALTER TABLE kc_test_assignments ADD COLUMN path_enrollment_id TEXT DEFAULT NULL');
+    }
+    database.run('CREATE INDEX IF NOT EXISTS idx_kc_test_assignments_enrollment ON kc_test_assignments(path_enrollment_id)');
+    
+    // Migration 18: Add answer_rules (keyword groups, synonyms, forbidden words) to kc_questions
+    if (!columnExists('kc_questions', 'answer_rules')) {
+        console.log('Adding answer_rules column to kc_questions...');
+        database.run('ALTER TABLE kc_questions ADD COLUMN answer_rules TEXT DEFAULT NULL');
+    }
+    
+    // Migration 19: Add media_ids to kc_questions and media_id to kc_question_options
+    if (!columnExists('kc_questions', 'media_ids')) {
+        console.log('Adding media_ids column to kc_questions...');
+        database.run('ALTER TABLE kc_questions ADD COLUMN media_ids TEXT DEFAULT \'[]\'');
+    }
+    if (!columnExists('kc_question_options', 'media_id')) {
+        console.log('Adding media_id column to kc_question_options...');
+        database.run('ALTER TABLE kc_question_options ADD COLUMN media_id TEXT DEFAULT NULL');
+    }
+    
+    // Migration 20: Add review workflow status to kc_questions and kc_tests (existing content counts as published)
+    if (!columnExists('kc_questions', 'status')) {
+        console.log('Adding status and revision_of columns to kc_questions...');
+        database.run('ALTER TABLE kc_questions ADD COLUMN status TEXT DEFAULT \'published\'');
+        database.run('ALTER TABLE kc_questions ADD COLUMN revision_of TEXT DEFAULT NULL');
+    }
+    if (!columnExists('kc_tests', 'status')) {
+        console.log('Adding status column to kc_tests...');
+        database.run('ALTER TABLE kc_tests ADD COLUMN status TEXT DEFAULT \'published\'');
+    }
+    
+    // Migration 21: Add explanations to questions and options and the result visibility to kc_tests
+    if (!columnExists('kc_questions', 'explanation')) {
+        console.log('Adding explanation column to kc_questions...');
+        database.run('ALTER TABLE kc_questions ADD COLUMN explanation TEXT DEFAULT \'\'');
+    }
+    if (!columnExists('kc_question_options', 'explanation')) {
+        console.log('Adding explanation column to kc_question_options...');
+        database.run('ALTER TABLE kc_question_options ADD COLUMN explanation TEXT DEFAULT \'\'');
+    }
+    if (!columnExists('kc_tests', 'result_visibility')) {
+        console.log('Adding result_visibility column to kc_tests...');
+        database.run('ALTER TABLE kc_tests ADD COLUMN result_visibility TEXT DEFAULT \'score\'');
+    }
+    
+    // Migration 22: Add practice mode flag to kc_tests
+    if (!columnExists('kc_tests', 'allow_practice')) {
+        console.log('Adding allow_practice column to kc_tests...');
+        database.run('ALTER TABLE kc_tests ADD COLUMN allow_practice INTEGER DEFAULT 0');
+    }
+    
+    // Migration 23: Add availability windows to kc_test_runs and kc_test_assignments
+    if (!columnExists('kc_test_runs', 'available_from')) {
+        console.log('Adding available_from and available_until columns to kc_test_runs...');
+        database.run('ALTER TABLE kc_test_runs ADD COLUMN available_from TEXT DEFAULT NULL');
+        database.run('ALTER TABLE kc_test_runs ADD COLUMN available_until TEXT DEFAULT NULL');
+    }
+    if (!columnExists('kc_test_assignments', 'available_from')) {
+        console.log('Adding available_from and available_until columns to kc_test_assignments...');
+        database.run('ALTER TABLE kc_test_assignments ADD COLUMN available_from TEXT DEFAULT NULL');
+        database.run('ALTER TABLE kc_test_assignments ADD COLUMN available_until TEXT DEFAULT NULL');
+    }
+    
+    // Migration 24: Link the options of a draft revision to the published options they were copied from
+    if (!columnExists('kc_question_options', 'revision_of')) {
+        console.log('Adding revision_of column to kc_question_options...');
+        database.run('ALTER TABLE kc_question_options ADD COLUMN revision_of TEXT DEFAULT NULL');
+    }
+    
     // Note: Migration for orphaned assignments is now manual - run from Admin Panel
     
     console.log('Database migrations completed');
@@ -616,6 +1041,7 @@ function ensurePermissions() {
         { id: 'kc_questions_create', name: 'Create Questions', module: 'knowledge_check' },
         { id: 'kc_questions_edit', name: 'Edit Questions', module: 'knowledge_check' },
         { id: 'kc_questions_view', name: 'View Question Catalog', module: 'knowledge_check' },
+        { id: 'kc_content_review', name: 'Review Questions and Tests', module: 'knowledge_check' },
         // Knowledge Check - Tests (Delete > Create > Edit > View)
         { id: 'kc_tests_delete', name: 'Delete Tests', module: 'knowledge_check' },
         { id: 'kc_tests_create', name: 'Create Tests', module: 'knowledge_check' },
@@ -625,6 +1051,8 @@ function ensurePermissions() {
         { id: 'kc_results_delete', name: 'Delete Test Results', module: 'knowledge_check' },
         { id: 'kc_results_evaluate', name: 'Evaluate Test Results', module: 'knowledge_check' },
         { id: 'kc_results_view', name: 'View Test Results', module: 'knowledge_check' },
+        { id: 'kc_certificates_manage', name: 'Manage Certificate Template', module: 'knowledge_check' },
+        { id: 'kc_learning_paths_manage', name: 'Manage Learning Paths', module: 'knowledge_check' },
         // Knowledge Check - Test Runs & Assignments
         { id: 'kc_assign_tests', name: 'Create Test Run', module: 'knowledge_check' },
         { id: 'kc_assigned_view', name: 'View Assigned Tests', module: 'knowledge_check' },
@@ -708,6 +1136,7 @@ async function seedData() {
         { id: 'kc_questions_create', name: 'Create Questions', module: 'knowledge_check' },
         { id: 'kc_questions_edit', name: 'Edit Questions', module: 'knowledge_check' },
         { id: 'kc_questions_view', name: 'View Question Catalog', module: 'knowledge_check' },
+        { id: 'kc_content_review', name: 'Review Questions and Tests', module: 'knowledge_check' },
         // Knowledge Check - Tests (Delete > Create > Edit > View)
         { id: 'kc_tests_delete', name: 'Delete Tests', module: 'knowledge_check' },
         { id: 'kc_tests_create', name: 'Create Tests', module: 'knowledge_check' },
@@ -717,6 +1146,8 @@ async function seedData() {
         { id: 'kc_results_delete', name: 'Delete Test Results', module: 'knowledge_check' },
         { id: 'kc_results_evaluate', name: 'Evaluate Test Results', module: 'knowledge_check' },
         { id: 'kc_results_view', name: 'View Test Results', module: 'knowledge_check' },
+        { id: 'kc_certificates_manage', name: 'Manage Certificate Template', module: 'knowledge_check' },
+        { id: 'kc_learning_paths_manage', name: 'Manage Learning Paths', module: 'knowledge_check' },
         // Knowledge Check - Test Runs & Assignments
         { id: 'kc_assign_tests', name: 'Create Test Run', module: 'knowledge_check' },
         { id: 'kc_assigned_view', name: 'View Assigned Tests', module: 'knowledge_check' },
@@ -745,14 +1176,14 @@ async function seedData() {
     const kcManagerPerms = ['kc_view', 'kc_questions_view', 'kc_questions_create', 'kc_questions_edit', 'kc_questions_delete', 
                            'kc_categories_create', 'kc_categories_edit', 'kc_categories_delete',
                            'kc_tests_view', 'kc_tests_create', 'kc_tests_edit', 'kc_tests_delete',
-                           'kc_results_view', 'kc_results_evaluate', 'kc_results_delete',
-                           'kc_assign_tests', 'kc_assigned_view',
-                           'kc_archive_access'];
+                           'kc_results_view', 'kc_results_evaluate', 'kc_results_delete', 'kc_certificates_manage',
+                           'kc_learning_paths_manage', 'kc_assign_tests', 'kc_assigned_view',
+                           'kc_archive_access', 'kc_content_review'];
     const kcEditorPerms = ['kc_view', 'kc_questions_view', 'kc_questions_create', 'kc_questions_edit',
                           'kc_categories_create', 'kc_categories_edit',
                           'kc_tests_view', 'kc_tests_create', 'kc_tests_edit',
                           'kc_results_view', 'kc_results_evaluate',
-                          'kc_assign_tests', 'kc_assigned_view'];
+                          'kc_learning_paths_manage', 'kc_assign_tests', 'kc_assigned_view'];
     const kcUserPerms = ['kc_view', 'kc_assigned_view']; // Can see the tab and their assigned tests
     
     const roles = [
@@ -768,6 +1199,8 @@ async function seedData() {
           permissions: ['user_view', ...kcManagerPerms] },
         { id: 'kc_editor', name: 'Knowledge Editor', description: 'Create and edit Knowledge Check content', isAdmin: 0, isSystem: 1,
           permissions: ['user_view', ...kcEditorPerms] },
+        { id: 'kc_reviewer', name: 'Knowledge Reviewer', description: 'Review and publish Knowledge Check questions and tests', isAdmin: 0, isSystem: 1,
+          permissions: ['user_view', 'kc_view', 'kc_questions_view', 'kc_tests_view', 'kc_content_review'] },
         { id: 'kc_user', name: 'Knowledge User', description: 'View Knowledge Check (no content access)', isAdmin: 0, isSystem: 1,
           permissions: ['user_view', ...kcUserPerms] }
     ];
@@ -886,6 +1319,9 @@ const UserSystem = {
             [id, data.username.toLowerCase(), data.email.toLowerCase(), hashedPw, data.firstName, data.lastName,
              data.roleId || defaultRole, data.department || '', data.phone || '', data.isActive !== false ? 1 : 0, now, now]);
         
+        // Enroll the new user in rule-based test runs they match
+        KnowledgeCheckSystem.syncRunTargets({ userId: id });
+        
         saveDb();
         return this.getById(id);
     },
@@ -917,12 +1353,22 @@ const UserSystem = {
         params.push(id);
         
         run(sql, params);
+        
+        // Role, department or active state decide which rule-based test runs the user belongs to
+        if (data.roleId || data.department !== undefined || data.isActive !== undefined) {
+            KnowledgeCheckSystem.syncRunTargets({ userId: id });
+        }
+        
         saveDb();
         return this.getById(id);
     },
     
     delete(id) {
         run('DELETE FROM users WHERE id = ?', [id]);
+        run('DELETE FROM kc_notifications WHERE user_id = ?', [id]);
+        run('DELETE FROM kc_learning_path_enrollments WHERE user_id = ?', [id]);
+        run('DELETE FROM kc_practice_attempts WHERE user_id = ?', [id]);
+        KnowledgeCheckSystem.syncRunTargets({ userId: id });
         saveDb();
         return true;
     },
@@ -1654,6 +2100,13 @@ const KnowledgeCheckSystem = {
             sql += ' AND q.is_archived = 0';
         }
         
+        // Draft revisions of published questions are reached through their question
+        sql += ' AND q.revision_of IS NULL';
+        if (filters.status) {
+            sql += ' AND q.status = ?';
+            params.push(filters.status);
+        }
+        
         if (filters.categoryId) {
             if (filters.categoryId === 'uncategorized') {
                 sql += ' AND q.category_id IS NULL';
@@ -1705,7 +2158,14 @@ const KnowledgeCheckSystem = {
             effectiveWeighting: question.weighting || question.category_weighting || 1,
             allowPartialAnswer: !!question.allow_partial_answer,
             exactAnswer: question.exact_answer || '',
+            numericTolerance: question.numeric_tolerance,
             triggerWords: triggerWords,
+            answerRules: this.parseAnswerRules(question.answer_rules),
+            media: this.getMediaList(question.media_ids),
+            explanation: question.explanation || '',
+            status: question.status || 'published',
+            revisionOf: question.revision_of || null,
+            pendingRevision: question.revision_of ? null : this.getPendingRevision(question.id),
             isActive: !!question.is_active,
             isArchived: !!question.is_archived,
             archivedAt: question.archived_at,
@@ -1713,30 +2173,191 @@ const KnowledgeCheckSystem = {
             options: options.map(o => ({
                 id: o.id,
                 text: o.option_text,
+                matchText: o.match_text || '',
                 isCorrect: !!o.is_correct,
-                sortOrder: o.sort_order
+                media: this.getMediaInfo(o.media_id),
+                explanation: o.explanation || '',
+                sortOrder: o.sort_order,
+                // Published option a revision option was copied from
+                revisionOf: o.revision_of || null
             })),
             createdAt: question.created_at,
             updatedAt: question.updated_at
         };
     },
 
+    /**
+     * Supported question types
+     */
+    questionTypes: ['multiple_choice', 'single_choice', 'true_false', 'ordering', 'matching', 'numeric', 'cloze', 'open_question'],
+
+    /**
+     * Gets the blank numbers used in a cloze text ({{1}}, {{2}}, ...)
+     */
+    getClozeBlanks(text) {
+        const numbers = [...(text || '').matchAll(/\{\{(\d+)\}\}/g)].map(m => parseInt(m[1], 10));
+        return [...new Set(numbers)].sort((a, b) => a - b);
+    },
+
+    /**
+     * Validates the type specific settings of a question
+     * @returns {string|null} Error message or null if valid
+     */
+    validateQuestion(data) {
+        const type = data.questionType || 'multiple_choice';
+        if (!this.questionTypes.includes(type)) return 'Invalid question type';
+
+        const options = (data.options || []).filter(o => o && String(o.text || '').trim());
+
+        const mediaRefs = [...(Array.isArray(data.media) ? data.media : []), ...options.map(o => o.media).filter(Boolean)];
+        for (const ref of mediaRefs) {
+            const mediaError = this.validateMediaRef(ref);
+            if (mediaError) return mediaError;
+        }
+
+        switch (type) {
+            case 'single_choice':
+            case 'true_false':
+                if (options.length < 2) return 'At least two answer options are required';
+                if (options.filter(o => o.isCorrect).length !== 1) return 'Exactly one answer option must be correct';
+                break;
+            case 'ordering':
+                if (options.length < 2) return 'At least two items are required';
+                break;
+            case 'matching':
+                if (options.length < 2) return 'At least two pairs are required';
+                if (options.some(o => !String(o.matchText || '').trim())) return 'Every pair needs a matching counterpart';
+                break;
+            case 'numeric':
+                if (!Number.isFinite(this.parseNumber(data.exactAnswer))) return 'Numeric answer must be a number';
+                if (data.numericTolerance !== undefined && data.numericTolerance !== null
+                    && !(this.parseNumber(data.numericTolerance) >= 0)) return 'Tolerance must be zero or a positive number';
+                break;
+            case 'cloze': {
+                const blanks = this.getClozeBlanks(data.questionText);
+                if (blanks.length === 0) return 'Cloze text needs at least one blank ({{1}})';
+                if (blanks.some((n, i) => n !== i + 1)) return 'Blanks must be numbered consecutively starting at {{1}}';
+                if (options.length !== blanks.length) return 'Every blank needs accepted answers';
+                break;
+            }
+            case 'open_question':
+                return this.validateAnswerRules(data.answerRules);
+        }
+
+        return null;
+    },
+
+    /**
+     * Validates the keyword rules of an open question
+     * @returns {string|null} Error message or null if valid
+     */
+    validateAnswerRules(rules) {
+        if (rules === undefined || rules === null) return null;
+        if (typeof rules !== 'object' || Array.isArray(rules)) return 'Invalid answer rules';
+        if (rules.language !== undefined && !['de', 'en'].includes(rules.language)) return 'Answer language must be de or en';
+        if (rules.forbidden !== undefined && !Array.isArray(rules.forbidden)) return 'Forbidden words must be a list';
+
+        for (const group of rules.groups || []) {
+            if (!this.keywordGroupModes.includes(group?.mode || 'any')) return 'Invalid keyword group mode';
+            const keywords = (Array.isArray(group.keywords) ? group.keywords : [])
+                .filter(k => String(typeof k === 'string' ? k : k?.term || '').trim());
+            if (keywords.length === 0) return 'Every keyword group needs at least one keyword';
+            if (group.mode === 'min') {
+                const min = Number(group.min);
+                if (!Number.isInteger(min) || min < 1 || min > keywords.length) {
+                    return 'Minimum keyword count must be between 1 and the number of keywords in the group';
+                }
+            }
+            if (keywords.some(k => typeof k === 'object' && k.points !== undefined && k.points !== null && !(Number(k.points) > 0))) {
+                return 'Keyword points must be a positive number';
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Keyword group modes: all keywords, any keyword or at least "min" keywords
+     */
+    keywordGroupModes: ['all', 'any', 'min'],
+
+    /**
+     * Cleans keyword rules - keywords may be given as plain strings
+     * @returns {Object|null} { language, groups: [{ mode, min, keywords: [{ term, synonyms, points }] }], forbidden }
+     *   or null if the rules contain neither keywords nor forbidden words
+     */
+    normalizeAnswerRules(rules) {
+        if (!rules || typeof rules !== 'object') return null;
+        const clean = (list) => (Array.isArray(list) ? list : [])
+            .map(text => String(text ?? '').trim())
+            .filter(Boolean);
+
+        const groups = (Array.isArray(rules.groups) ? rules.groups : []).map(group => {
+            const keywords = (Array.isArray(group?.keywords) ? group.keywords : [])
+                .map(k => typeof k === 'string' ? { term: k } : (k || {}))
+                .map(k => ({
+                    term: String(k.term ?? '').trim(),
+                    synonyms: clean(k.synonyms),
+                    points: Number(k.points) > 0 ? Number(k.points) : 1
+                }))
+                .filter(k => k.term);
+            const mode = this.keywordGroupModes.includes(group?.mode) ? group.mode : 'any';
+            return {
+                mode,
+                min: mode === 'min' ? Math.min(Math.max(parseInt(group.min, 10) || 1, 1), keywords.length) : null,
+                keywords
+            };
+        }).filter(group => group.keywords.length > 0);
+        const forbidden = clean(rules.forbidden);
+
+        if (groups.length === 0 && forbidden.length === 0) return null;
+        return { language: rules.language === 'en' ? 'en' : 'de', groups, forbidden };
+    },
+
+    parseAnswerRules(value) {
+        if (!value) return null;
+        try {
+            return this.normalizeAnswerRules(JSON.parse(value));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    serializeAnswerRules(rules) {
+        const normalized = this.normalizeAnswerRules(rules);
+        return normalized ? JSON.stringify(normalized) : null;
+    },
+
+    /**
+     * Parses a number that may use a decimal comma
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return value;
+        const text = String(value ?? '').trim().replace(',', '.');
+        return text === '' ? NaN : Number(text);
+    },
+
+    parseTolerance(value) {
+        const tolerance = this.parseNumber(value);
+        return Number.isFinite(tolerance) ? tolerance : null;
+    },
+
     createQuestion(data) {
         const now = new Date().toISOString();
         const id = uuidv4();
         const maxOrder = get('SELECT MAX(sort_order) as max FROM kc_questions WHERE category_id = ?', [data.categoryId])?.max || 0;
         
-        run(`INSERT INTO kc_questions (id, category_id, title, question_text, question_type, weighting, allow_partial_answer, exact_answer, trigger_words, is_active, sort_order, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        // New questions start as drafts and are published through the review workflow
+        run(`INSERT INTO kc_questions (id, category_id, title, question_text, question_type, weighting, allow_partial_answer, exact_answer, numeric_tolerance, trigger_words, answer_rules, media_ids, explanation, status, is_active, sort_order, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?)`,
             [id, data.categoryId || null, data.title || '', data.questionText, data.questionType || 'multiple_choice',
-             data.weighting || null, data.allowPartialAnswer ? 1 : 0, data.exactAnswer || '', JSON.stringify(data.triggerWords || []), 1, maxOrder + 1, now, now]);
+             data.weighting || null, data.allowPartialAnswer ? 1 : 0, data.exactAnswer || '', this.parseTolerance(data.numericTolerance),
+             JSON.stringify(data.triggerWords || []), this.serializeAnswerRules(data.answerRules),
+             JSON.stringify(this.resolveMediaRefs(data.media)), data.explanation || '', 1, maxOrder + 1, now, now]);
         
-        // Add options if multiple choice
+        // Add options (choices, items to order, matching pairs or cloze blanks)
         if (data.options && data.options.length > 0) {
-            data.options.forEach((opt, index) => {
-                run('INSERT INTO kc_question_options (id, question_id, option_text, is_correct, sort_order) VALUES (?, ?, ?, ?, ?)',
-                    [uuidv4(), id, opt.text, opt.isCorrect ? 1 : 0, index]);
-            });
+            this.saveQuestionOptions(id, data.options);
         }
         
         saveDb();
@@ -1755,7 +2376,11 @@ const KnowledgeCheckSystem = {
         if (data.weighting !== undefined) { sql += ', weighting = ?'; params.push(data.weighting); }
         if (data.allowPartialAnswer !== undefined) { sql += ', allow_partial_answer = ?'; params.push(data.allowPartialAnswer ? 1 : 0); }
         if (data.exactAnswer !== undefined) { sql += ', exact_answer = ?'; params.push(data.exactAnswer); }
+        if (data.numericTolerance !== undefined) { sql += ', numeric_tolerance = ?'; params.push(this.parseTolerance(data.numericTolerance)); }
         if (data.triggerWords !== undefined) { sql += ', trigger_words = ?'; params.push(JSON.stringify(data.triggerWords)); }
+        if (data.answerRules !== undefined) { sql += ', answer_rules = ?'; params.push(this.serializeAnswerRules(data.answerRules)); }
+        if (data.media !== undefined) { sql += ', media_ids = ?'; params.push(JSON.stringify(this.resolveMediaRefs(data.media))); }
+        if (data.explanation !== undefined) { sql += ', explanation = ?'; params.push(data.explanation || ''); }
         if (data.isActive !== undefined) { sql += ', is_active = ?'; params.push(data.isActive ? 1 : 0); }
         if (data.sortOrder !== undefined) { sql += ', sort_order = ?'; params.push(data.sortOrder); }
         
@@ -1765,18 +2390,45 @@ const KnowledgeCheckSystem = {
         
         // Update options if provided
         if (data.options !== undefined) {
-            run('DELETE FROM kc_question_options WHERE question_id = ?', [id]);
-            data.options.forEach((opt, index) => {
-                run('INSERT INTO kc_question_options (id, question_id, option_text, is_correct, sort_order) VALUES (?, ?, ?, ?, ?)',
-                    [uuidv4(), id, opt.text, opt.isCorrect ? 1 : 0, index]);
-            });
+            this.saveQuestionOptions(id, data.options);
         }
         
         saveDb();
         return this.getQuestionById(id);
     },
 
+    /**
+     * Saves the options of a question. An option that carries the ID of one of the question's options
+     * (or of the published option a revision option was copied from) is updated in place and keeps its ID,
+     * so running attempts and saved drafts that reference it stay valid. Other options are added,
+     * options that are no longer listed are removed.
+     * @param {string} questionId
+     * @param {Array} options - [{ id, text, matchText, isCorrect, media, explanation, revisionOf }]
+     */
+    saveQuestionOptions(questionId, options) {
+        const existing = all('SELECT id, revision_of FROM kc_question_options WHERE question_id = ?', [questionId]);
+        const kept = new Set();
+
+        options.forEach((opt, index) => {
+            const [mediaId] = this.resolveMediaRefs(opt.media ? [opt.media] : []);
+            const match = opt.id && existing.find(o => !kept.has(o.id) && (o.id === opt.id || o.revision_of === opt.id));
+            if (match) {
+                kept.add(match.id);
+                run('UPDATE kc_question_options SET option_text = ?, match_text = ?, is_correct = ?, media_id = ?, explanation = ?, sort_order = ? WHERE id = ?',
+                    [opt.text, opt.matchText || '', opt.isCorrect ? 1 : 0, mediaId || null, opt.explanation || '', index, match.id]);
+            } else {
+                run('INSERT INTO kc_question_options (id, question_id, option_text, match_text, is_correct, media_id, explanation, sort_order, revision_of) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [uuidv4(), questionId, opt.text, opt.matchText || '', opt.isCorrect ? 1 : 0, mediaId || null, opt.explanation || '', index, opt.revisionOf || null]);
+            }
+        });
+
+        existing.filter(o => !kept.has(o.id)).forEach(o => run('DELETE FROM kc_question_options WHERE id = ?', [o.id]));
+    },
+
     deleteQuestion(id) {
+        // An open revision goes with its question
+        all('SELECT id FROM kc_questions WHERE revision_of = ?', [id]).forEach(revision => this.removeQuestionRow(revision.id));
+
         // Check if question has been used in any test (exists in kc_test_questions or kc_test_answers)
         const usedInTest = get('SELECT COUNT(*) as count FROM kc_test_questions WHERE question_id = ?', [id]);
         const hasAnswers = get('SELECT COUNT(*) as count FROM kc_test_answers WHERE question_id = ?', [id]);
@@ -1792,13 +2444,21 @@ const KnowledgeCheckSystem = {
             return { success: true, archived: true };
         } else {
             // Safe to delete permanently - never used
-            run('DELETE FROM kc_question_options WHERE question_id = ?', [id]);
-            run('DELETE FROM kc_questions WHERE id = ?', [id]);
+            this.removeQuestionRow(id);
             saveDb();
             return { success: true, deleted: true };
         }
     },
 
+    /**
+     * Deletes a question row with its options and review history (no usage checks)
+     */
+    removeQuestionRow(id) {
+        run('DELETE FROM kc_question_options WHERE question_id = ?', [id]);
+        run('DELETE FROM kc_review_comments WHERE item_type = ? AND item_id = ?', ['question', id]);
+        run('DELETE FROM kc_questions WHERE id = ?', [id]);
+    },
+
     restoreQuestion(id) {
         const now = new Date().toISOString();
         run('UPDATE kc_questions SET is_archived = 0, archived_at = NULL, updated_at = ? WHERE id = ?', 
@@ -1814,24 +2474,281 @@ const KnowledgeCheckSystem = {
             return { success: false, error: 'Question must be archived before permanent deletion' };
         }
         
-        // Also delete any orphaned test answers for this question
-        run('DELETE FROM kc_test_answers WHERE question_id = ?', [id]);
-        run('DELETE FROM kc_question_options WHERE question_id = ?', [id]);
-        run('DELETE FROM kc_questions WHERE id = ?', [id]);
+        // Answers with a question snapshot stay readable, older ones would be orphaned
+        run('DELETE FROM kc_test_answers WHERE question_id = ? AND question_snapshot IS NULL', [id]);
+        this.removeQuestionRow(id);
         saveDb();
         return { success: true };
     },
 
-    moveQuestion(questionId, newCategoryId) {
-        const now = new Date().toISOString();
-        run('UPDATE kc_questions SET category_id = ?, updated_at = ? WHERE id = ?', 
-            [newCategoryId || null, now, questionId]);
-        saveDb();
-        return this.getQuestionById(questionId);
+    /**
+     * Moves a question to another category - like any other change, the move of a published question
+     * goes into its draft revision and takes effect when the revision is published
+     * @returns {Object} { question, revisionCreated }
+     */
+    moveQuestion(questionId, newCategoryId, userId) {
+        return this.editQuestion(questionId, { categoryId: newCategoryId || null }, userId);
     },
 
     // ============================================
-    // TESTS
+    // MEDIA
+    // ============================================
+
+    /**
+     * Allowed media types - detected from the file content, never from the file name
+     */
+    mediaTypes: {
+        'image/png': { label: 'PNG', signature: [0x89, 0x50, 0x4E, 0x47] },
+        'image/jpeg': { label: 'JPEG', signature: [0xFF, 0xD8, 0xFF] },
+        'image/gif': { label: 'GIF', signature: [0x47, 0x49, 0x46, 0x38] },
+        'image/webp': { label: 'WebP', signature: [0x52, 0x49, 0x46, 0x46], offset: 8, subSignature: [0x57, 0x45, 0x42, 0x50] },
+        'application/pdf': { label: 'PDF', signature: [0x25, 0x50, 0x44, 0x46] }
+    },
+
+    detectMediaType(buffer) {
+        const matches = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+        return Object.keys(this.mediaTypes).find(type => {
+            const { signature, offset, subSignature } = this.mediaTypes[type];
+            return matches(signature) && (!subSignature || matches(subSignature, offset));
+        }) || null;
+    },
+
+    /**
+     * Validates an uploaded file ({ fileName, data } with base64 data)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateMedia(data) {
+        const content = data && typeof data.data === 'string' ? Buffer.from(data.data, 'base64') : null;
+        if (!content || content.length === 0) return 'File content is required';
+
+        const maxSizeMb = Config.get('knowledgeCheck.mediaMaxSizeMb', 5);
+        if (content.length > maxSizeMb * 1024 * 1024) return `File is larger than ${maxSizeMb} MB`;
+        if (!this.detectMediaType(content)) {
+            return `Unsupported file type (allowed: ${Object.values(this.mediaTypes).map(t => t.label).join(', ')})`;
+        }
+        return null;
+    },
+
+    /**
+     * Validates a media reference of a question or option: the ID of an uploaded file,
+     * a media object with that ID or a file to store ({ fileName, data }, e.g. from an import)
+     */
+    validateMediaRef(ref) {
+        const id = typeof ref === 'string' ? ref : ref?.id;
+        if (id && !ref?.data) {
+            return this.getMediaInfo(id) ? null : 'Media not found';
+        }
+        return this.validateMedia(ref);
+    },
+
+    formatMedia(media) {
+        return {
+            id: media.id,
+            fileName: media.file_name,
+            mimeType: media.mime_type,
+            size: media.size,
+            isImage: media.mime_type.startsWith('image/'),
+            createdAt: media.created_at
+        };
+    },
+
+    getMediaInfo(id) {
+        if (!id) return null;
+        const media = get('SELECT * FROM kc_media WHERE id = ?', [id]);
+        return media ? this.formatMedia(media) : null;
+    },
+
+    /**
+     * Media of a question from its stored ID list
+     */
+    getMediaList(mediaIds) {
+        let ids = [];
+        try {
+            ids = JSON.parse(mediaIds || '[]');
+        } catch (e) {
+            ids = [];
+        }
+        return ids.map(id => this.getMediaInfo(id)).filter(Boolean);
+    },
+
+    /**
+     * Stores an uploaded file under data/media
+     * @param {Object} data - { fileName, data } with base64 data, validated with validateMedia
+     */
+    createMedia(data, uploadedBy = null) {
+        const content = Buffer.from(data.data, 'base64');
+        const id = uuidv4();
+        const fileName = path.basename(String(data.fileName || 'datei')).slice(0, 200) || 'datei';
+
+        if (!fs.existsSync(MEDIA_DIR)) {
+            fs.mkdirSync(MEDIA_DIR, { recursive: true });
+        }
+        fs.writeFileSync(path.join(MEDIA_DIR, id), content);
+
+        run('INSERT INTO kc_media (id, file_name, mime_type, size, uploaded_by, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, fileName, this.detectMediaType(content), content.length, uploadedBy, new Date().toISOString()]);
+        saveDb();
+        return this.getMediaInfo(id);
+    },
+
+    /**
+     * Gets a file with its content
+     * @returns {Object|null} Media info with content (Buffer), null if unknown or the file is missing
+     */
+    getMediaFile(id) {
+        const media = this.getMediaInfo(id);
+        if (!media) return null;
+
+        const filePath = path.join(MEDIA_DIR, media.id);
+        if (!fs.existsSync(filePath)) return null;
+        return { ...media, content: fs.readFileSync(filePath) };
+    },
+
+    /**
+     * Turns the media references of a question or option into stored media IDs.
+     * Files to store ({ fileName, data }) are saved first, unknown references are dropped.
+     */
+    resolveMediaRefs(refs) {
+        return (Array.isArray(refs) ? refs : []).map(ref => {
+            if (ref?.data) {
+                return this.validateMedia(ref) ? null : this.createMedia(ref).id;
+            }
+            const id = typeof ref === 'string' ? ref : ref?.id;
+            return this.getMediaInfo(id) ? id : null;
+        }).filter(Boolean);
+    },
+
+    /**
+     * Adds the base64 content to the media of exported questions
+     */
+    withMediaContent(questions) {
+        const load = (media) => {
+            const file = this.getMediaFile(media.id);
+            return file ? { fileName: file.fileName, mimeType: file.mimeType, data: file.content.toString('base64') } : null;
+        };
+        return questions.map(q => ({
+            ...q,
+            media: (q.media || []).map(load).filter(Boolean),
+            options: q.options.map(o => ({ ...o, media: o.media ? load(o.media) : null }))
+        }));
+    },
+
+    // ============================================
+    // QUESTION IMPORT & EXPORT
+    // ============================================
+
+    /**
+     * Imports parsed questions into the catalog
+     * @param {Array} items - [{ position, question, error }] from the question exchange service
+     * @param {Object} options - { dryRun, categoryMapping: { sourceName: categoryId }, defaultCategoryId, allowCreateCategories }
+     * @returns {Object} Preview with summary, categories and questions (dry run) or the created counts
+     */
+    importQuestions(items, options = {}) {
+        const mapping = options.categoryMapping || {};
+        const existing = this.getAllCategories();
+        const defaultCategory = options.defaultCategoryId
+            ? existing.find(c => c.id === options.defaultCategoryId) : null;
+        const categories = [];
+
+        // Source category -> explicit mapping, default category, same name or a new category
+        const resolveCategory = (sourceName) => {
+            const name = (sourceName || '').trim();
+            let entry = categories.find(c => c.sourceName === name);
+            if (entry) return entry;
+
+            entry = { sourceName: name, categoryId: null, categoryName: null, isNew: false, questionCount: 0, error: null };
+            // A mapping is a category id or "new" to create the source category
+            const mapped = mapping[name];
+            const explicit = mapped && mapped !== 'new';
+            const target = explicit ? existing.find(c => c.id === mapped)
+                : !name ? defaultCategory
+                : mapped !== 'new' ? existing.find(c => c.name.toLowerCase() === name.toLowerCase())
+                : null;
+
+            if (explicit && !target) {
+                entry.error = 'Mapped category not found';
+            } else if (target) {
+                entry.categoryId = target.id;
+                entry.categoryName = target.name;
+            } else if (!name) {
+                entry.error = 'No category given and no default category selected';
+            } else if (options.allowCreateCategories) {
+                entry.categoryName = name;
+                entry.isNew = true;
+            } else {
+                entry.error = `Category "${name}" does not exist`;
+            }
+            categories.push(entry);
+            return entry;
+        };
+
+        const questions = items.map(item => {
+            const question = item.question;
+            const category = question ? resolveCategory(question.categoryName) : null;
+            let error = item.error;
+            if (!error && !String(question.questionText || '').trim()) error = 'Question text is required';
+            if (!error) error = this.validateQuestion(question);
+            if (!error && category.error) error = category.error;
+            if (!error) category.questionCount++;
+
+            return {
+                position: item.position,
+                title: question ? question.title : '',
+                questionType: question ? question.questionType : null,
+                sourceCategory: category ? category.sourceName : '',
+                categoryName: category ? category.categoryName : null,
+                optionCount: question ? question.options.length : 0,
+                error: error || null,
+                data: question
+            };
+        });
+
+        const valid = questions.filter(q => !q.error);
+        const summary = { total: questions.length, valid: valid.length, invalid: questions.length - valid.length };
+
+        if (options.dryRun) {
+            return {
+                success: true,
+                summary,
+                categories,
+                questions: questions.map(({ data, ...preview }) => preview)
+            };
+        }
+
+        // Only create categories that receive at least one question
+        categories.filter(c => c.isNew && c.questionCount > 0).forEach(c => {
+            c.categoryId = this.createCategory({ name: c.categoryName }).id;
+        });
+
+        valid.forEach(q => {
+            const category = categories.find(c => c.sourceName === (q.data.categoryName || '').trim());
+            this.createQuestion({ ...q.data, categoryId: category.categoryId });
+        });
+
+        return {
+            success: true,
+            summary,
+            createdQuestions: valid.length,
+            createdCategories: categories.filter(c => c.isNew && c.questionCount > 0).length,
+            errors: questions.filter(q => q.error).map(({ data, ...preview }) => preview)
+        };
+    },
+
+    /**
+     * Gets the active questions of the catalog (or one category) with their categories for an export
+     */
+    getQuestionsForExport(categoryId) {
+        const questions = this.withMediaContent(this.getAllQuestions({ categoryId })).map(q => ({
+            ...q,
+            categoryName: q.categoryId ? q.categoryName : ''
+        }));
+        const categoryIds = new Set(questions.map(q => q.categoryId));
+        const categories = this.getAllCategories().filter(c => categoryIds.has(c.id));
+        return { questions, categories };
+    },
+
+    // ============================================
+    // TESTS
     // ============================================
 
     getAllTests(filters = {}) {
@@ -1861,6 +2778,10 @@ const KnowledgeCheckSystem = {
             sql += ' AND t.is_active = ?';
             params.push(filters.isActive ? 1 : 0);
         }
+        if (filters.status) {
+            sql += ' AND t.status = ?';
+            params.push(filters.status);
+        }
         
         sql += ' ORDER BY t.created_at DESC';
         
@@ -1873,10 +2794,15 @@ const KnowledgeCheckSystem = {
             categoryName: t.category_name || 'Uncategorized',
             timeLimitMinutes: t.time_limit_minutes,
             passingScore: t.passing_score,
+            questionMode: t.question_mode || 'fixed',
+            validityMonths: t.validity_months || null,
+            allowPractice: !!t.allow_practice,
+            status: t.status || 'published',
             isActive: !!t.is_active,
             isArchived: !!t.is_archived,
             archivedAt: t.archived_at,
-            questionCount: t.question_count,
+            // Pool tests show how many questions each attempt draws
+            questionCount: t.question_mode === 'pool' ? (t.draw_count || 0) : t.question_count,
             createdAt: t.created_at,
             updatedAt: t.updated_at
         }));
@@ -1891,7 +2817,7 @@ const KnowledgeCheckSystem = {
                 c.name as category_name,
                 (SELECT COUNT(*) FROM kc_test_questions WHERE test_id = t.id) as question_count,
                 (SELECT COUNT(*) FROM kc_test_assignments WHERE test_id = t.id) as assigned_count,
-                (SELECT COUNT(*) FROM kc_test_assignments WHERE test_id = t.id AND status = 'pending') as pending_count,
+                (SELECT COUNT(*) FROM kc_test_assignments WHERE test_id = t.id AND status IN ('pending', 'in_progress', 'overdue')) as pending_count,
                 (SELECT COUNT(*) FROM kc_test_assignments WHERE test_id = t.id AND status = 'completed') as completed_count,
                 (SELECT AVG(percentage) FROM kc_test_results WHERE test_id = t.id) as avg_score,
                 (SELECT COUNT(*) FROM kc_test_results WHERE test_id = t.id AND passed = 1) as passed_count,
@@ -1910,6 +2836,10 @@ const KnowledgeCheckSystem = {
             sql += ' AND t.is_active = ?';
             params.push(filters.isActive ? 1 : 0);
         }
+        if (filters.status) {
+            sql += ' AND t.status = ?';
+            params.push(filters.status);
+        }
         
         sql += ' ORDER BY t.created_at DESC';
         
@@ -1922,8 +2852,10 @@ const KnowledgeCheckSystem = {
             categoryName: t.category_name || 'Uncategorized',
             timeLimitMinutes: t.time_limit_minutes,
             passingScore: t.passing_score,
+            questionMode: t.question_mode || 'fixed',
+            status: t.status || 'published',
             isActive: !!t.is_active,
-            questionCount: t.question_count || 0,
+            questionCount: t.question_mode === 'pool' ? (t.draw_count || 0) : (t.question_count || 0),
             assignedCount: t.assigned_count || 0,
             pendingCount: t.pending_count || 0,
             completedCount: t.completed_count || 0,
@@ -1946,7 +2878,7 @@ const KnowledgeCheckSystem = {
         if (!test) return null;
         
         const questions = all(`
-            SELECT tq.*, q.title, q.question_text, q.question_type, q.weighting, q.exact_answer, q.trigger_words,
+            SELECT tq.*, q.title, q.question_text, q.question_type, q.weighting, q.allow_partial_answer, q.exact_answer, q.numeric_tolerance, q.trigger_words, q.answer_rules, q.media_ids, q.explanation,
                    c.name as category_name, c.default_weighting as category_weighting
             FROM kc_test_questions tq
             JOIN kc_questions q ON tq.question_id = q.id
@@ -1974,18 +2906,38 @@ const KnowledgeCheckSystem = {
                 categoryName: q.category_name || 'Unkategorisiert',
                 weighting: q.weighting,
                 effectiveWeighting: q.weighting_override || q.weighting || q.category_weighting || 1,
+                allowPartialAnswer: !!q.allow_partial_answer,
                 exactAnswer: q.exact_answer || '',
+                numericTolerance: q.numeric_tolerance,
                 triggerWords: triggerWords,
+                answerRules: this.parseAnswerRules(q.answer_rules),
+                media: this.getMediaList(q.media_ids),
+                explanation: q.explanation || '',
                 sortOrder: q.sort_order,
                 weightingOverride: q.weighting_override,
                 options: options.map(o => ({
                     id: o.id,
                     text: o.option_text,
-                    isCorrect: !!o.is_correct
+                    matchText: o.match_text || '',
+                    isCorrect: !!o.is_correct,
+                    media: this.getMediaInfo(o.media_id),
+                    explanation: o.explanation || '',
+                    sortOrder: o.sort_order
                 }))
             };
         });
         
+        // Pool categories with the number of questions available for drawing
+        const poolRules = all(`
+            SELECT pr.*, c.name as category_name,
+                (SELECT COUNT(*) FROM kc_questions q 
+                    WHERE q.category_id = pr.category_id AND q.is_active = 1 AND q.is_archived = 0 AND q.status = 'published') as available_count
+            FROM kc_test_pool_rules pr
+            JOIN kc_categories c ON pr.category_id = c.id
+            WHERE pr.test_id = ?
+            ORDER BY pr.sort_order
+        `, [id]);
+        
         return {
             id: test.id,
             testNumber: test.test_number,
@@ -1995,8 +2947,27 @@ const KnowledgeCheckSystem = {
             categoryName: test.category_name || 'Uncategorized',
             timeLimitMinutes: test.time_limit_minutes,
             passingScore: test.passing_score,
+            questionMode: test.question_mode || 'fixed',
+            drawCount: test.draw_count,
+            shuffleQuestions: !!test.shuffle_questions,
+            shuffleOptions: !!test.shuffle_options,
+            maxAttempts: test.max_attempts === null || test.max_attempts === undefined ? 1 : test.max_attempts,
+            retakeCooldownHours: test.retake_cooldown_hours || 0,
+            retakeOnlyIfFailed: !!test.retake_only_if_failed,
+            scoringPolicy: test.scoring_policy || 'best',
+            validityMonths: test.validity_months || null,
+            resultVisibility: test.result_visibility || 'score',
+            allowPractice: !!test.allow_practice,
+            status: test.status || 'published',
             isActive: !!test.is_active,
+            isArchived: !!test.is_archived,
             questions: questionsWithOptions,
+            poolRules: poolRules.map(r => ({
+                categoryId: r.category_id,
+                categoryName: r.category_name,
+                quota: r.quota,
+                availableCount: r.available_count || 0
+            })),
             createdAt: test.created_at,
             updatedAt: test.updated_at
         };
@@ -2007,10 +2978,16 @@ const KnowledgeCheckSystem = {
         const id = uuidv4();
         const testNumber = this.generateTestNumber();
         
-        run(`INSERT INTO kc_tests (id, test_number, name, description, category_id, time_limit_minutes, passing_score, is_active, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        run(`INSERT INTO kc_tests (id, test_number, name, description, category_id, time_limit_minutes, passing_score, 
+                question_mode, draw_count, shuffle_questions, shuffle_options, max_attempts, retake_cooldown_hours,
+                retake_only_if_failed, scoring_policy, validity_months, result_visibility, allow_practice, status, is_active, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?)`,
             [id, testNumber, data.name, data.description || '', data.categoryId || null, 
-             data.timeLimitMinutes || null, data.passingScore || 80, 1, now, now]);
+             data.timeLimitMinutes || null, data.passingScore || 80, data.questionMode === 'pool' ? 'pool' : 'fixed',
+             data.drawCount || null, data.shuffleQuestions ? 1 : 0, data.shuffleOptions ? 1 : 0,
+             data.maxAttempts === undefined ? 1 : parseInt(data.maxAttempts, 10), parseInt(data.retakeCooldownHours, 10) || 0,
+             data.retakeOnlyIfFailed ? 1 : 0, data.scoringPolicy || 'best', parseInt(data.validityMonths, 10) || null,
+             data.resultVisibility || 'score', data.allowPractice ? 1 : 0, 1, now, now]);
         
         // Add questions to test
         if (data.questionIds && data.questionIds.length > 0) {
@@ -2020,6 +2997,10 @@ const KnowledgeCheckSystem = {
             });
         }
         
+        if (data.poolRules) {
+            this.setPoolRules(id, data.poolRules);
+        }
+        
         saveDb();
         return this.getTestById(id);
     },
@@ -2034,6 +3015,17 @@ const KnowledgeCheckSystem = {
         if (data.categoryId !== undefined) { sql += ', category_id = ?'; params.push(data.categoryId || null); }
         if (data.timeLimitMinutes !== undefined) { sql += ', time_limit_minutes = ?'; params.push(data.timeLimitMinutes); }
         if (data.passingScore !== undefined) { sql += ', passing_score = ?'; params.push(data.passingScore); }
+        if (data.questionMode !== undefined) { sql += ', question_mode = ?'; params.push(data.questionMode === 'pool' ? 'pool' : 'fixed'); }
+        if (data.drawCount !== undefined) { sql += ', draw_count = ?'; params.push(data.drawCount || null); }
+        if (data.shuffleQuestions !== undefined) { sql += ', shuffle_questions = ?'; params.push(data.shuffleQuestions ? 1 : 0); }
+        if (data.shuffleOptions !== undefined) { sql += ', shuffle_options = ?'; params.push(data.shuffleOptions ? 1 : 0); }
+        if (data.maxAttempts !== undefined) { sql += ', max_attempts = ?'; params.push(parseInt(data.maxAttempts, 10)); }
+        if (data.retakeCooldownHours !== undefined) { sql += ', retake_cooldown_hours = ?'; params.push(parseInt(data.retakeCooldownHours, 10) || 0); }
+        if (data.retakeOnlyIfFailed !== undefined) { sql += ', retake_only_if_failed = ?'; params.push(data.retakeOnlyIfFailed ? 1 : 0); }
+        if (data.scoringPolicy !== undefined) { sql += ', scoring_policy = ?'; params.push(data.scoringPolicy || 'best'); }
+        if (data.validityMonths !== undefined) { sql += ', validity_months = ?'; params.push(parseInt(data.validityMonths, 10) || null); }
+        if (data.resultVisibility !== undefined) { sql += ', result_visibility = ?'; params.push(data.resultVisibility || 'score'); }
+        if (data.allowPractice !== undefined) { sql += ', allow_practice = ?'; params.push(data.allowPractice ? 1 : 0); }
         if (data.isActive !== undefined) { sql += ', is_active = ?'; params.push(data.isActive ? 1 : 0); }
         
         sql += ' WHERE id = ?';
@@ -2049,6 +3041,11 @@ const KnowledgeCheckSystem = {
             });
         }
         
+        // Update pool categories if provided
+        if (data.poolRules !== undefined) {
+            this.setPoolRules(id, data.poolRules);
+        }
+        
         saveDb();
         return this.getTestById(id);
     },
@@ -2066,7 +3063,11 @@ const KnowledgeCheckSystem = {
             return { success: true, archived: true };
         } else {
             // Safe to delete permanently - no results
+            run('DELETE FROM kc_practice_attempts WHERE test_id = ?', [id]);
+            run('DELETE FROM kc_test_pool_rules WHERE test_id = ?', [id]);
             run('DELETE FROM kc_test_questions WHERE test_id = ?', [id]);
+            run('DELETE FROM kc_learning_path_steps WHERE test_id = ?', [id]);
+            run('DELETE FROM kc_review_comments WHERE item_type = ? AND item_id = ?', ['test', id]);
             run('DELETE FROM kc_tests WHERE id = ?', [id]);
             saveDb();
             return { success: true, deleted: true };
@@ -2088,188 +3089,649 @@ const KnowledgeCheckSystem = {
             return { success: false, error: 'Test must be archived before permanent deletion' };
         }
         
-        // Delete all related data
+        // Delete all related data (issued certificates stay verifiable as revoked)
+        this.revokeCertificates('test_id = ?', [id]);
+        run('DELETE FROM kc_result_history WHERE result_id IN (SELECT id FROM kc_test_results WHERE test_id = ?)', [id]);
         run('DELETE FROM kc_test_answers WHERE result_id IN (SELECT id FROM kc_test_results WHERE test_id = ?)', [id]);
         run('DELETE FROM kc_test_results WHERE test_id = ?', [id]);
+        run('DELETE FROM kc_practice_attempts WHERE test_id = ?', [id]);
+        run('DELETE FROM kc_test_pool_rules WHERE test_id = ?', [id]);
         run('DELETE FROM kc_test_questions WHERE test_id = ?', [id]);
+        run('DELETE FROM kc_learning_path_steps WHERE test_id = ?', [id]);
+        run('DELETE FROM kc_review_comments WHERE item_type = ? AND item_id = ?', ['test', id]);
         run('DELETE FROM kc_tests WHERE id = ?', [id]);
         saveDb();
         return { success: true };
     },
 
     // ============================================
-    // ARCHIVE STATISTICS
+    // REVIEW WORKFLOW (Entwurf > In Prüfung > Veröffentlicht)
     // ============================================
-    
-    getArchiveStatistics() {
-        const archivedQuestions = get('SELECT COUNT(*) as count FROM kc_questions WHERE is_archived = 1');
-        const archivedTests = get('SELECT COUNT(*) as count FROM kc_tests WHERE is_archived = 1');
-        const archivedRuns = get('SELECT COUNT(*) as count FROM kc_test_runs WHERE is_archived = 1 OR status = ?', ['archived']);
-        
-        return {
-            archivedQuestions: archivedQuestions?.count || 0,
-            archivedTests: archivedTests?.count || 0,
-            archivedRuns: archivedRuns?.count || 0
-        };
+
+    // Items that go through the review workflow and their tables
+    reviewTables: {
+        question: 'kc_questions',
+        test: 'kc_tests'
     },
 
     /**
-     * Gets all archived test runs
+     * Open draft revision of a published question
+     * @returns {Object|null} { id, status, updatedAt }
      */
-    getArchivedTestRuns() {
-        const runs = all(`
-            SELECT r.*,
-                COALESCE(cb.first_name || ' ' || cb.last_name, r.created_by) as created_by_name,
-                (SELECT COUNT(DISTINCT trt.test_id) FROM kc_test_run_tests trt WHERE trt.run_id = r.id) as test_count,
-                (SELECT COUNT(DISTINCT a.user_id) FROM kc_test_assignments a WHERE a.run_id = r.id) as user_count,
-                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id) as total_assignments,
-                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'completed') as completed_count
-            FROM kc_test_runs r
-            LEFT JOIN users cb ON r.created_by = cb.id
-            WHERE r.is_archived = 1 OR r.status = ?
-            ORDER BY r.archived_at DESC, r.updated_at DESC
-        `, ['archived']);
-        
-        return runs.map(r => ({
-            id: r.id,
-            runNumber: r.run_number,
-            name: r.name,
-            description: r.description,
-            dueDate: r.due_date,
-            status: r.status,
-            isArchived: true,
-            archivedAt: r.archived_at,
-            createdBy: r.created_by,
-            createdByName: r.created_by_name,
-            notes: r.notes,
-            testCount: r.test_count || 0,
-            userCount: r.user_count || 0,
-            totalAssignments: r.total_assignments || 0,
-            completedCount: r.completed_count || 0,
-            createdAt: r.created_at,
-            updatedAt: r.updated_at
-        }));
+    getPendingRevision(questionId) {
+        const revision = get('SELECT id, status, updated_at FROM kc_questions WHERE revision_of = ?', [questionId]);
+        return revision ? { id: revision.id, status: revision.status, updatedAt: revision.updated_at } : null;
     },
 
     /**
-     * Restores a test run from archive
+     * Saves changes to a question. A published question stays as it is - the changes go into
+     * its draft revision, which is created on the first edit. Editing an item in review returns it to draft.
+     * @returns {Object} { question, revisionCreated } - question is the saved draft or revision
      */
-    restoreTestRun(id) {
-        const testRun = get('SELECT * FROM kc_test_runs WHERE id = ?', [id]);
-        if (!testRun) return null;
-        
-        const now = new Date().toISOString();
-        run('UPDATE kc_test_runs SET is_archived = 0, archived_at = NULL, status = ?, updated_at = ? WHERE id = ?', 
-            ['completed', now, id]);
-        saveDb();
-        return this.getTestRunById(id);
+    editQuestion(id, data, userId) {
+        let question = this.getQuestionById(id);
+        let revisionCreated = false;
+
+        if (question.status === 'published') {
+            if (question.pendingRevision) {
+                question = this.getQuestionById(question.pendingRevision.id);
+            } else {
+                question = this.createQuestionRevision(question);
+                revisionCreated = true;
+            }
+        }
+        this.reopenForEditing('question', question, userId);
+
+        return { question: this.updateQuestion(question.id, data), revisionCreated };
     },
 
     /**
-     * Permanently deletes an archived test run and all associated data
+     * Fields of a published test that can still be changed - its questions and settings are what
+     * running attempts and results were based on, so a published test is only moved or (de)activated
      */
-    permanentDeleteTestRun(id) {
-        // Only allow permanent delete for archived test runs
-        const testRun = get('SELECT is_archived, status FROM kc_test_runs WHERE id = ?', [id]);
-        if (!testRun || (!testRun.is_archived && testRun.status !== 'archived')) {
-            return { success: false, error: 'Test run must be archived before permanent deletion' };
+    publishedTestFields: ['categoryId', 'isActive'],
+
+    /**
+     * Saves changes to a test - tests are edited in place, a test in review returns to draft.
+     * Content changes of a published test are rejected, they go into a new draft test instead.
+     * @returns {Object} { success, test } or { success: false, error }
+     */
+    editTest(id, data, userId) {
+        const test = this.getTestById(id);
+        if (test.status === 'published') {
+            const blocked = Object.keys(data).filter(key => data[key] !== undefined && !this.publishedTestFields.includes(key));
+            if (blocked.length > 0) {
+                return { success: false, error: 'Published tests cannot be changed - save the changes as a new draft test' };
+            }
         }
-        
-        // Delete all results for assignments in this run
-        run(`DELETE FROM kc_test_answers WHERE result_id IN (
-            SELECT tr.id FROM kc_test_results tr 
-            INNER JOIN kc_test_assignments a ON tr.id = a.result_id 
-            WHERE a.run_id = ?
-        )`, [id]);
-        
-        run(`DELETE FROM kc_test_results WHERE id IN (
-            SELECT result_id FROM kc_test_assignments WHERE run_id = ? AND result_id IS NOT NULL
-        )`, [id]);
-        
-        // Delete assignments
-        run('DELETE FROM kc_test_assignments WHERE run_id = ?', [id]);
-        // Delete test links
-        run('DELETE FROM kc_test_run_tests WHERE run_id = ?', [id]);
-        // Delete the run
-        run('DELETE FROM kc_test_runs WHERE id = ?', [id]);
+
+        this.reopenForEditing('test', test, userId);
+        return { success: true, test: this.updateTest(id, data) };
+    },
+
+    reopenForEditing(type, item, userId) {
+        if (item.status !== 'review') return;
+        this.setReviewStatus(type, item.id, 'draft');
+        this.addReviewComment(type, item.id, userId, 'reopened', '');
+    },
+
+    /**
+     * Copies a published question into a new draft revision
+     */
+    createQuestionRevision(question) {
+        const revision = this.createQuestion({
+            ...question,
+            options: question.options.map(o => ({
+                text: o.text, matchText: o.matchText, isCorrect: o.isCorrect, media: o.media, explanation: o.explanation, revisionOf: o.id
+            }))
+        });
+        run('UPDATE kc_questions SET revision_of = ?, sort_order = ? WHERE id = ?', [question.id, question.sortOrder, revision.id]);
         saveDb();
-        return { success: true };
+        return this.getQuestionById(revision.id);
     },
 
-    // ============================================
-    // TEST RUNS (Testdurchläufe)
-    // ============================================
+    setReviewStatus(type, id, status) {
+        run(`UPDATE ${this.reviewTables[type]} SET status = ?, updated_at = ? WHERE id = ?`, [status, new Date().toISOString(), id]);
+    },
 
-    generateRunNumber() {
-        // Generate a unique run number like "TR-0001"
-        const lastRun = get('SELECT run_number FROM kc_test_runs ORDER BY created_at DESC LIMIT 1');
-        if (!lastRun) return 'TR-0001';
-        
-        const match = lastRun.run_number.match(/TR-(\d+)/);
-        if (!match) return 'TR-0001';
-        
-        const nextNum = parseInt(match[1], 10) + 1;
-        return `TR-${String(nextNum).padStart(4, '0')}`;
+    getReviewItem(type, id) {
+        return type === 'question' ? this.getQuestionById(id) : this.getTestById(id);
     },
 
-    getAllTestRuns(filters = {}) {
-        let sql = `
-            SELECT r.*,
-                COALESCE(cb.first_name || ' ' || cb.last_name, r.created_by) as created_by_name,
-                (SELECT COUNT(DISTINCT trt.test_id) FROM kc_test_run_tests trt WHERE trt.run_id = r.id) as test_count,
-                (SELECT COUNT(DISTINCT a.user_id) FROM kc_test_assignments a WHERE a.run_id = r.id) as user_count,
-                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id) as total_assignments,
-                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'pending') as pending_count,
-                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'completed') as completed_count,
-                (SELECT AVG(tr.percentage) FROM kc_test_results tr 
-                    INNER JOIN kc_test_assignments a ON tr.id = a.result_id 
-                    WHERE a.run_id = r.id) as avg_score
-            FROM kc_test_runs r
-            LEFT JOIN users cb ON r.created_by = cb.id
-            WHERE 1=1
-        `;
-        const params = [];
-        
-        // Filter out archived runs by default
-        if (filters.includeArchived) {
-            // Include all
-        } else if (filters.archivedOnly) {
-            sql += ' AND (r.is_archived = 1 OR r.status = ?)';
-            params.push('archived');
-        } else {
-            sql += ' AND (r.is_archived = 0 OR r.is_archived IS NULL) AND r.status != ?';
-            params.push('archived');
+    /**
+     * Submits a draft question or test for review
+     * @returns {Object} { success, item } or { success: false, error }
+     */
+    submitForReview(type, id, userId, comment = '') {
+        const item = this.getReviewItem(type, id);
+        if (!item) return { success: false, error: type === 'question' ? 'Question not found' : 'Test not found' };
+        if (item.status !== 'draft') return { success: false, error: 'Only drafts can be submitted for review' };
+        if (type === 'test' && item.questionMode !== 'pool' && item.questions.length === 0) {
+            return { success: false, error: 'A test needs at least one question before it can be submitted' };
         }
-        
-        if (filters.status && filters.status !== 'archived') {
-            sql += ' AND r.status = ?';
-            params.push(filters.status);
+
+        this.setReviewStatus(type, id, 'review');
+        this.addReviewComment(type, id, userId, 'submitted', comment);
+        saveDb();
+        return { success: true, item: this.getReviewItem(type, id) };
+    },
+
+    /**
+     * Records a reviewer decision
+     * @param {string} decision - approve (publish), reject (back to draft, comment required)
+     *   or comment (note without a status change)
+     * @returns {Object} { success, item } or { success: false, error } - item is the published
+     *   question when a revision was approved
+     */
+    reviewItem(type, id, decision, userId, comment = '') {
+        const item = this.getReviewItem(type, id);
+        if (!item) return { success: false, error: type === 'question' ? 'Question not found' : 'Test not found' };
+        if (!['approve', 'reject', 'comment'].includes(decision)) return { success: false, error: 'Invalid review decision' };
+
+        const text = String(comment || '').trim();
+        if (decision === 'comment') {
+            if (!text) return { success: false, error: 'Comment is required' };
+            this.addReviewComment(type, id, userId, 'comment', text);
+            saveDb();
+            return { success: true, item };
         }
-        if (filters.createdBy) {
-            sql += ' AND r.created_by = ?';
-            params.push(filters.createdBy);
+
+        if (item.status !== 'review') return { success: false, error: 'Only items in review can be approved or rejected' };
+        if (decision === 'reject') {
+            if (!text) return { success: false, error: 'A comment is required when rejecting' };
+            this.setReviewStatus(type, id, 'draft');
+            this.addReviewComment(type, id, userId, 'rejected', text);
+            saveDb();
+            return { success: true, item: this.getReviewItem(type, id) };
         }
-        
-        sql += ' ORDER BY r.created_at DESC';
-        
+
+        this.addReviewComment(type, id, userId, 'approved', text);
+        if (type === 'question' && item.revisionOf) {
+            const published = this.publishRevision(item);
+            return { success: true, item: published };
+        }
+        this.setReviewStatus(type, id, 'published');
+        saveDb();
+        return { success: true, item: this.getReviewItem(type, id) };
+    },
+
+    /**
+     * Applies an approved revision to its published question and removes the revision
+     * (the review history moves to the published question). Options copied from the published
+     * question are updated in place, so running attempts keep their option IDs.
+     */
+    publishRevision(revision) {
+        const questionId = revision.revisionOf;
+        this.updateQuestion(questionId, {
+            categoryId: revision.categoryId,
+            title: revision.title,
+            questionText: revision.questionText,
+            questionType: revision.questionType,
+            weighting: revision.weighting,
+            allowPartialAnswer: revision.allowPartialAnswer,
+            exactAnswer: revision.exactAnswer,
+            numericTolerance: revision.numericTolerance,
+            triggerWords: revision.triggerWords,
+            answerRules: revision.answerRules,
+            media: revision.media,
+            explanation: revision.explanation,
+            options: revision.options.map(o => ({
+                id: o.revisionOf, text: o.text, matchText: o.matchText, isCorrect: o.isCorrect, media: o.media, explanation: o.explanation
+            }))
+        });
+
+        run('UPDATE kc_review_comments SET item_id = ? WHERE item_type = ? AND item_id = ?', [questionId, 'question', revision.id]);
+        run('DELETE FROM kc_question_options WHERE question_id = ?', [revision.id]);
+        run('DELETE FROM kc_questions WHERE id = ?', [revision.id]);
+        saveDb();
+        return this.getQuestionById(questionId);
+    },
+
+    addReviewComment(type, id, userId, action, comment) {
+        run('INSERT INTO kc_review_comments (id, item_type, item_id, user_id, action, comment, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [uuidv4(), type, id, userId || null, action, String(comment || '').trim(), new Date().toISOString()]);
+    },
+
+    /**
+     * Review history of a question or test, newest first
+     * (for a published question including the history of its open revision)
+     */
+    getReviewHistory(type, id) {
+        const ids = [id];
+        const revision = type === 'question' ? this.getPendingRevision(id) : null;
+        if (revision) ids.push(revision.id);
+
+        return all(`
+            SELECT rc.*, (SELECT first_name || ' ' || last_name FROM users WHERE id = rc.user_id) as user_name
+            FROM kc_review_comments rc
+            WHERE rc.item_type = ? AND rc.item_id IN (${ids.map(() => '?').join(', ')})
+            ORDER BY rc.created_at DESC
+        `, [type, ...ids]).map(c => ({
+            id: c.id,
+            itemId: c.item_id,
+            userId: c.user_id,
+            userName: c.user_name,
+            action: c.action,
+            comment: c.comment || '',
+            createdAt: c.created_at
+        }));
+    },
+
+    /**
+     * Only published questions can be put into a test
+     * @returns {string|null} Error message or null if valid
+     */
+    validatePublishedQuestions(questionIds) {
+        if (!Array.isArray(questionIds)) return null;
+        const unpublished = questionIds.find(questionId =>
+            get('SELECT status FROM kc_questions WHERE id = ?', [questionId])?.status !== 'published');
+        return unpublished ? 'Only published questions can be added to a test' : null;
+    },
+
+    /**
+     * Only published tests can be assigned (test runs, learning paths)
+     * @returns {string|null} Error message or null if valid
+     */
+    validatePublishedTests(testIds) {
+        if (!Array.isArray(testIds)) return null;
+        const unpublished = testIds.find(testId =>
+            get('SELECT status FROM kc_tests WHERE id = ?', [testId])?.status !== 'published');
+        return unpublished ? 'Only published tests can be assigned' : null;
+    },
+
+    // ============================================
+    // QUESTION POOLS
+    // ============================================
+
+    /**
+     * Replaces the pool categories of a test
+     * @param {string} testId
+     * @param {Array} rules - [{ categoryId, quota }] - quota is the fixed number drawn from the category (optional)
+     */
+    setPoolRules(testId, rules = []) {
+        run('DELETE FROM kc_test_pool_rules WHERE test_id = ?', [testId]);
+        rules.forEach((rule, index) => {
+            run('INSERT INTO kc_test_pool_rules (id, test_id, category_id, quota, sort_order) VALUES (?, ?, ?, ?, ?)',
+                [uuidv4(), testId, rule.categoryId, parseInt(rule.quota, 10) || null, index]);
+        });
+    },
+
+    /**
+     * Validates the question pool settings of a test
+     * @returns {string|null} Error message or null if valid
+     */
+    validateQuestionPool(data) {
+        if (data.questionMode !== 'pool') return null;
+
+        const drawCount = parseInt(data.drawCount, 10);
+        if (!drawCount || drawCount < 1) return 'Number of questions to draw is required for pool tests';
+
+        const rules = Array.isArray(data.poolRules) ? data.poolRules : [];
+        if (rules.length === 0) return 'At least one question category is required for pool tests';
+        if (rules.some(r => !r || !r.categoryId)) return 'Pool category is required';
+        if (new Set(rules.map(r => r.categoryId)).size < rules.length) return 'Each pool category can only be listed once';
+
+        const hasQuota = r => r.quota !== undefined && r.quota !== null && r.quota !== '';
+        if (rules.some(r => hasQuota(r) && !(Number.isInteger(Number(r.quota)) && Number(r.quota) >= 1))) {
+            return 'Category quotas must be at least 1';
+        }
+
+        const quotaSum = rules.reduce((sum, r) => sum + (parseInt(r.quota, 10) || 0), 0);
+        if (quotaSum > drawCount) return 'Category quotas exceed the number of questions to draw';
+
+        return this.validatePoolSize(rules, drawCount);
+    },
+
+    /**
+     * Checks that the pool categories hold enough published questions for every quota and the draw count
+     * @param {Array} rules - [{ categoryId, quota }]
+     * @param {number} drawCount
+     * @returns {string|null} Error message or null if the pool is large enough
+     */
+    validatePoolSize(rules, drawCount) {
+        let total = 0;
+        for (const rule of rules) {
+            const available = get(
+                'SELECT COUNT(*) as count FROM kc_questions WHERE category_id = ? AND is_active = 1 AND is_archived = 0 AND status = \'published\'',
+                [rule.categoryId]
+            ).count;
+            const quota = parseInt(rule.quota, 10) || 0;
+            if (quota > available) {
+                return `A category quota of ${quota} exceeds the ${available} published questions of the category`;
+            }
+            total += available;
+        }
+        if (total < drawCount) {
+            return `The pool categories hold only ${total} published questions - ${drawCount} are drawn per attempt`;
+        }
+        return null;
+    },
+
+    /**
+     * Checks whether a full question set can be drawn for the test right now -
+     * questions may have been archived or sent back to review since the test was published
+     * @returns {string|null} Error message or null if the test can be drawn
+     */
+    getDrawError(test) {
+        if (test.questionMode === 'pool') return this.validatePoolSize(test.poolRules, test.drawCount || 0);
+        return test.questions.length === 0 ? 'Test has no questions' : null;
+    },
+
+    /**
+     * Validates the certification validity of a test (empty means the certification does not expire)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateValidity(data) {
+        const months = data.validityMonths;
+        if (months === undefined || months === null || months === '') return null;
+        if (!Number.isInteger(Number(months)) || Number(months) < 1 || Number(months) > 120) {
+            return 'Validity must be a number of months between 1 and 120';
+        }
+        return null;
+    },
+
+    /**
+     * What test takers see of their own results: nothing, the score, the score with the
+     * correct answers, or the correct answers with the explanations
+     */
+    resultVisibilityLevels: ['none', 'score', 'answers', 'explanations'],
+
+    validateResultVisibility(data) {
+        if (data.resultVisibility !== undefined && !this.resultVisibilityLevels.includes(data.resultVisibility)) {
+            return 'Result visibility must be none, score, answers or explanations';
+        }
+        return null;
+    },
+
+    /**
+     * Validates the retake policy settings of a test (only the fields that are given)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateRetakePolicy(data) {
+        const isCount = value => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+        if (data.maxAttempts !== undefined && !isCount(data.maxAttempts)) {
+            return 'Maximum attempts must be 0 (unlimited) or a positive number';
+        }
+        if (data.retakeCooldownHours !== undefined && data.retakeCooldownHours !== null && !isCount(data.retakeCooldownHours)) {
+            return 'Cooldown must be a positive number of hours';
+        }
+        if (data.scoringPolicy !== undefined && !['best', 'last', 'average'].includes(data.scoringPolicy)) {
+            return 'Scoring policy must be best, last or average';
+        }
+
+        return null;
+    },
+
+    /**
+     * Draws the questions (and option order) for a new attempt.
+     * Fixed tests use their question list, pool tests draw from their categories -
+     * first the quota of each category, then the rest from all pool categories.
+     * @param {Object} test - Test as returned by getTestById
+     * @returns {Array} [{ questionId, optionIds }] in the order shown to the user
+     */
+    drawQuestionSet(test) {
+        let questionIds;
+
+        if (test.questionMode === 'pool') {
+            const available = {};
+            test.poolRules.forEach(rule => {
+                available[rule.categoryId] = this.shuffle(all(
+                    'SELECT id FROM kc_questions WHERE category_id = ? AND is_active = 1 AND is_archived = 0 AND status = \'published\'',
+                    [rule.categoryId]
+                ).map(q => q.id));
+            });
+
+            questionIds = [];
+            test.poolRules.filter(rule => rule.quota).forEach(rule => {
+                questionIds.push(...available[rule.categoryId].splice(0, rule.quota));
+            });
+
+            const remaining = Math.max(0, (test.drawCount || 0) - questionIds.length);
+            const rest = this.shuffle(test.poolRules.flatMap(rule => available[rule.categoryId]));
+            questionIds.push(...rest.slice(0, remaining));
+        } else {
+            questionIds = test.questions.map(q => q.questionId);
+        }
+
+        if (test.shuffleQuestions) {
+            questionIds = this.shuffle(questionIds);
+        }
+
+        return questionIds.map(questionId => {
+            const questionType = get('SELECT question_type FROM kc_questions WHERE id = ?', [questionId])?.question_type;
+            const optionIds = all('SELECT id FROM kc_question_options WHERE question_id = ? ORDER BY sort_order', [questionId])
+                .map(o => o.id);
+
+            // Items to order are always shuffled (their stored order is the solution), true/false never
+            if (questionType === 'ordering') {
+                return { questionId, optionIds: this.shuffleAwayFromOrder(optionIds) };
+            }
+            if (questionType === 'true_false') {
+                return { questionId, optionIds };
+            }
+
+            const entry = {
+                questionId,
+                optionIds: test.shuffleOptions ? this.shuffle(optionIds) : optionIds
+            };
+            // Counterparts of matching pairs are always shuffled
+            if (questionType === 'matching') {
+                entry.matchIds = this.shuffleAwayFromOrder(optionIds);
+            }
+            return entry;
+        });
+    },
+
+    /**
+     * Shuffles items so that they do not end up in their original order
+     */
+    shuffleAwayFromOrder(items) {
+        if (items.length < 2) return [...items];
+        const result = this.shuffle(items);
+        if (result.every((item, i) => item === items[i])) {
+            // Rotate by one - original order would reveal the solution
+            result.push(result.shift());
+        }
+        return result;
+    },
+
+    /**
+     * Returns a shuffled copy of an array (Fisher-Yates)
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+    // ============================================
+    // ARCHIVE STATISTICS
+    // ============================================
+    
+    getArchiveStatistics() {
+        const archivedQuestions = get('SELECT COUNT(*) as count FROM kc_questions WHERE is_archived = 1');
+        const archivedTests = get('SELECT COUNT(*) as count FROM kc_tests WHERE is_archived = 1');
+        const archivedRuns = get('SELECT COUNT(*) as count FROM kc_test_runs WHERE is_archived = 1 OR status = ?', ['archived']);
+        
+        return {
+            archivedQuestions: archivedQuestions?.count || 0,
+            archivedTests: archivedTests?.count || 0,
+            archivedRuns: archivedRuns?.count || 0
+        };
+    },
+
+    /**
+     * Gets all archived test runs
+     */
+    getArchivedTestRuns() {
+        const runs = all(`
+            SELECT r.*,
+                COALESCE(cb.first_name || ' ' || cb.last_name, r.created_by) as created_by_name,
+                (SELECT COUNT(DISTINCT trt.test_id) FROM kc_test_run_tests trt WHERE trt.run_id = r.id) as test_count,
+                (SELECT COUNT(DISTINCT a.user_id) FROM kc_test_assignments a WHERE a.run_id = r.id) as user_count,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id) as total_assignments,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'completed') as completed_count
+            FROM kc_test_runs r
+            LEFT JOIN users cb ON r.created_by = cb.id
+            WHERE r.is_archived = 1 OR r.status = ?
+            ORDER BY r.archived_at DESC, r.updated_at DESC
+        `, ['archived']);
+        
+        return runs.map(r => ({
+            id: r.id,
+            runNumber: r.run_number,
+            name: r.name,
+            description: r.description,
+            dueDate: r.due_date,
+            status: r.status,
+            isArchived: true,
+            archivedAt: r.archived_at,
+            createdBy: r.created_by,
+            createdByName: r.created_by_name,
+            notes: r.notes,
+            recertificationTestId: r.recertification_test_id || null,
+            testCount: r.test_count || 0,
+            userCount: r.user_count || 0,
+            totalAssignments: r.total_assignments || 0,
+            completedCount: r.completed_count || 0,
+            createdAt: r.created_at,
+            updatedAt: r.updated_at
+        }));
+    },
+
+    /**
+     * Restores a test run from archive
+     */
+    restoreTestRun(id) {
+        const testRun = get('SELECT * FROM kc_test_runs WHERE id = ?', [id]);
+        if (!testRun) return null;
+        
+        const now = new Date().toISOString();
+        run('UPDATE kc_test_runs SET is_archived = 0, archived_at = NULL, status = ?, updated_at = ? WHERE id = ?', 
+            ['completed', now, id]);
+        saveDb();
+        return this.getTestRunById(id);
+    },
+
+    /**
+     * Permanently deletes an archived test run and all associated data
+     */
+    permanentDeleteTestRun(id) {
+        // Only allow permanent delete for archived test runs
+        const testRun = get('SELECT is_archived, status FROM kc_test_runs WHERE id = ?', [id]);
+        if (!testRun || (!testRun.is_archived && testRun.status !== 'archived')) {
+            return { success: false, error: 'Test run must be archived before permanent deletion' };
+        }
+        
+        // Delete all results (every attempt) for assignments in this run
+        const runResults = `SELECT tr.id FROM kc_test_results tr 
+            INNER JOIN kc_test_assignments a ON tr.assignment_id = a.id OR tr.id = a.result_id 
+            WHERE a.run_id = ?`;
+        this.revokeCertificates(`result_id IN (${runResults})`, [id]);
+        run(`DELETE FROM kc_result_history WHERE result_id IN (${runResults})`, [id]);
+        run(`DELETE FROM kc_test_answers WHERE result_id IN (${runResults})`, [id]);
+        run(`DELETE FROM kc_test_results WHERE id IN (${runResults})`, [id]);
+        
+        // Delete attempts and assignments
+        run('DELETE FROM kc_answer_drafts WHERE assignment_id IN (SELECT id FROM kc_test_assignments WHERE run_id = ?)', [id]);
+        run('DELETE FROM kc_test_attempts WHERE assignment_id IN (SELECT id FROM kc_test_assignments WHERE run_id = ?)', [id]);
+        run('DELETE FROM kc_notifications WHERE assignment_id IN (SELECT id FROM kc_test_assignments WHERE run_id = ?)', [id]);
+        run('DELETE FROM kc_test_assignments WHERE run_id = ?', [id]);
+        // Delete test links
+        run('DELETE FROM kc_test_run_tests WHERE run_id = ?', [id]);
+        run('DELETE FROM kc_test_run_targets WHERE run_id = ?', [id]);
+        // Delete the run
+        run('DELETE FROM kc_test_runs WHERE id = ?', [id]);
+        saveDb();
+        return { success: true };
+    },
+
+    // ============================================
+    // TEST RUNS (Testdurchläufe)
+    // ============================================
+
+    generateRunNumber() {
+        // Generate a unique run number like "TR-0001"
+        const lastRun = get('SELECT run_number FROM kc_test_runs ORDER BY created_at DESC, run_number DESC LIMIT 1');
+        if (!lastRun) return 'TR-0001';
+        
+        const match = lastRun.run_number.match(/TR-(\d+)/);
+        if (!match) return 'TR-0001';
+        
+        const nextNum = parseInt(match[1], 10) + 1;
+        return `TR-${String(nextNum).padStart(4, '0')}`;
+    },
+
+    getAllTestRuns(filters = {}) {
+        let sql = `
+            SELECT r.*,
+                COALESCE(cb.first_name || ' ' || cb.last_name, r.created_by) as created_by_name,
+                (SELECT COUNT(DISTINCT trt.test_id) FROM kc_test_run_tests trt WHERE trt.run_id = r.id) as test_count,
+                (SELECT COUNT(DISTINCT a.user_id) FROM kc_test_assignments a WHERE a.run_id = r.id) as user_count,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id) as total_assignments,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status IN ('pending', 'in_progress', 'overdue')) as pending_count,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'in_progress') as in_progress_count,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'overdue') as overdue_count,
+                (SELECT COUNT(*) FROM kc_test_assignments a WHERE a.run_id = r.id AND a.status = 'completed') as completed_count,
+                (SELECT AVG(a.final_percentage) FROM kc_test_assignments a 
+                    WHERE a.run_id = r.id AND a.final_percentage IS NOT NULL) as avg_score,
+                EXISTS (SELECT 1 FROM kc_test_run_targets tt WHERE tt.run_id = r.id) as is_rule_based
+            FROM kc_test_runs r
+            LEFT JOIN users cb ON r.created_by = cb.id
+            WHERE 1=1
+        `;
+        const params = [];
+        
+        // Filter out archived runs by default
+        if (filters.includeArchived) {
+            // Include all
+        } else if (filters.archivedOnly) {
+            sql += ' AND (r.is_archived = 1 OR r.status = ?)';
+            params.push('archived');
+        } else {
+            sql += ' AND (r.is_archived = 0 OR r.is_archived IS NULL) AND r.status != ?';
+            params.push('archived');
+        }
+        
+        if (filters.status && filters.status !== 'archived') {
+            sql += ' AND r.status = ?';
+            params.push(filters.status);
+        }
+        if (filters.createdBy) {
+            sql += ' AND r.created_by = ?';
+            params.push(filters.createdBy);
+        }
+        
+        sql += ' ORDER BY r.created_at DESC';
+        
         return all(sql, params).map(r => ({
             id: r.id,
             runNumber: r.run_number,
             name: r.name,
             description: r.description,
             dueDate: r.due_date,
+            availableFrom: r.available_from || null,
+            availableUntil: r.available_until || null,
             status: r.status,
             isArchived: !!r.is_archived,
             archivedAt: r.archived_at,
             createdBy: r.created_by,
             createdByName: r.created_by_name,
             notes: r.notes,
+            recertificationTestId: r.recertification_test_id || null,
             testCount: r.test_count || 0,
             userCount: r.user_count || 0,
             totalAssignments: r.total_assignments || 0,
             pendingCount: r.pending_count || 0,
+            inProgressCount: r.in_progress_count || 0,
+            overdueCount: r.overdue_count || 0,
             completedCount: r.completed_count || 0,
             avgScore: r.avg_score ? Math.round(r.avg_score) : null,
+            isRuleBased: !!r.is_rule_based,
             createdAt: r.created_at,
             updatedAt: r.updated_at
         }));
@@ -2300,7 +3762,8 @@ const KnowledgeCheckSystem = {
             SELECT a.*, 
                 t.test_number, t.name as test_name,
                 u.first_name || ' ' || u.last_name as user_name,
-                tr.percentage, tr.passed, tr.completed_at as result_completed_at
+                a.final_percentage as percentage, a.final_passed as passed, tr.completed_at as result_completed_at,
+                (SELECT COUNT(*) FROM kc_test_results ar WHERE ar.assignment_id = a.id) as attempt_count
             FROM kc_test_assignments a
             JOIN kc_tests t ON a.test_id = t.id
             JOIN users u ON a.user_id = u.id
@@ -2312,6 +3775,8 @@ const KnowledgeCheckSystem = {
         // Calculate stats
         const totalAssignments = assignments.length;
         const completedCount = assignments.filter(a => a.status === 'completed').length;
+        const inProgressCount = assignments.filter(a => a.status === 'in_progress').length;
+        const overdueCount = assignments.filter(a => a.status === 'overdue').length;
         const pendingCount = totalAssignments - completedCount;
         const scores = assignments.filter(a => a.percentage !== null).map(a => a.percentage);
         const avgScore = scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null;
@@ -2322,12 +3787,16 @@ const KnowledgeCheckSystem = {
             name: run.name,
             description: run.description,
             dueDate: run.due_date,
+            availableFrom: run.available_from || null,
+            availableUntil: run.available_until || null,
             status: run.status,
             isArchived: !!run.is_archived,
             archivedAt: run.archived_at,
             createdBy: run.created_by,
             createdByName: run.created_by_name,
             notes: run.notes,
+            recertificationTestId: run.recertification_test_id || null,
+            targets: this.getRunTargets(run.id),
             createdAt: run.created_at,
             updatedAt: run.updated_at,
             tests: tests.map(t => ({
@@ -2350,14 +3819,19 @@ const KnowledgeCheckSystem = {
                 resultId: a.result_id,
                 percentage: a.percentage,
                 passed: a.passed !== null ? !!a.passed : null,
+                attemptCount: a.attempt_count || 0,
                 completedAt: a.result_completed_at,
-                dueDate: a.due_date
+                dueDate: a.due_date,
+                availableFrom: a.available_from || null,
+                availableUntil: a.available_until || null
             })),
             stats: {
                 testCount: tests.length,
                 userCount: [...new Set(assignments.map(a => a.user_id))].length,
                 totalAssignments,
                 completedCount,
+                inProgressCount,
+                overdueCount,
                 pendingCount,
                 avgScore
             }
@@ -2369,9 +3843,13 @@ const KnowledgeCheckSystem = {
         const id = uuidv4();
         const runNumber = this.generateRunNumber();
         
-        run(`INSERT INTO kc_test_runs (id, run_number, name, description, due_date, status, created_by, notes, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [id, runNumber, data.name, data.description || '', data.dueDate || null, 'pending', createdBy, data.notes || '', now, now]);
+        // Runs that open in the future stay scheduled until the due date check activates them
+        const { availableFrom, availableUntil } = this.normalizeAvailability(data);
+        const status = this.getInitialAssignmentStatus(availableFrom);
+        
+        run(`INSERT INTO kc_test_runs (id, run_number, name, description, due_date, available_from, available_until, status, created_by, notes, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, runNumber, data.name, data.description || '', data.dueDate || null, availableFrom, availableUntil, status, createdBy, data.notes || '', now, now]);
         
         // Add tests to the run
         if (data.testIds && data.testIds.length > 0) {
@@ -2381,13 +3859,21 @@ const KnowledgeCheckSystem = {
             });
         }
         
+        // Rule-based runs keep their targets, the users are whoever matches them now
+        const targets = this.normalizeRunTargets(data);
+        let userIds = data.userIds;
+        if (targets.roleIds.length > 0 || targets.departments.length > 0) {
+            this.setRunTargets(id, targets);
+            userIds = this.getTargetUserIds(targets);
+        }
+        
         // Create assignments for each user and each test
-        if (data.userIds && data.userIds.length > 0 && data.testIds && data.testIds.length > 0) {
-            for (const userId of data.userIds) {
+        if (userIds && userIds.length > 0 && data.testIds && data.testIds.length > 0) {
+            for (const userId of userIds) {
                 for (const testId of data.testIds) {
-                    run(`INSERT INTO kc_test_assignments (id, run_id, test_id, user_id, assigned_by, due_date, status, notes, created_at, updated_at)
-                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                        [uuidv4(), id, testId, userId, createdBy, data.dueDate || null, 'pending', '', now, now]);
+                    run(`INSERT INTO kc_test_assignments (id, run_id, test_id, user_id, assigned_by, due_date, available_from, available_until, status, notes, created_at, updated_at)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [uuidv4(), id, testId, userId, createdBy, data.dueDate || null, availableFrom, availableUntil, status, '', now, now]);
                 }
             }
         }
@@ -2407,10 +3893,33 @@ const KnowledgeCheckSystem = {
         if (data.status !== undefined) { sql += ', status = ?'; params.push(data.status); }
         if (data.notes !== undefined) { sql += ', notes = ?'; params.push(data.notes); }
         
-        sql += ' WHERE id = ?';
-        params.push(id);
+        // A changed availability window applies to all assignments of the run that are not completed yet
+        const windowChanged = data.availableFrom !== undefined || data.availableUntil !== undefined;
+        if (windowChanged) {
+            const current = get('SELECT available_from, available_until FROM kc_test_runs WHERE id = ?', [id]) || {};
+            const { availableFrom, availableUntil } = this.normalizeAvailability({
+                availableFrom: data.availableFrom !== undefined ? data.availableFrom : current.available_from,
+                availableUntil: data.availableUntil !== undefined ? data.availableUntil : current.available_until
+            });
+            sql += ', available_from = ?, available_until = ?';
+            params.push(availableFrom, availableUntil);
+            all("SELECT id FROM kc_test_assignments WHERE run_id = ? AND status != 'completed'", [id])
+                .forEach(a => this.setAssignmentAvailability(a.id, availableFrom, availableUntil));
+        }
+        
+        sql += ' WHERE id = ?';
+        params.push(id);
         run(sql, params);
         
+        if (windowChanged) this.refreshRunStatus(id);
+        
+        // Changed targets turn the run rule-based and bring its users in line
+        const targets = this.getUpdatedRunTargets(id, data);
+        if (targets) {
+            this.setRunTargets(id, targets);
+            this.syncRunTargets({ runId: id });
+        }
+        
         saveDb();
         return this.getTestRunById(id);
     },
@@ -2432,14 +3941,166 @@ const KnowledgeCheckSystem = {
             return { success: true, archived: true };
         } else {
             // Safe to delete permanently - no results exist
+            run('DELETE FROM kc_answer_drafts WHERE assignment_id IN (SELECT id FROM kc_test_assignments WHERE run_id = ?)', [id]);
+            run('DELETE FROM kc_test_attempts WHERE assignment_id IN (SELECT id FROM kc_test_assignments WHERE run_id = ?)', [id]);
+            run('DELETE FROM kc_notifications WHERE assignment_id IN (SELECT id FROM kc_test_assignments WHERE run_id = ?)', [id]);
             run('DELETE FROM kc_test_assignments WHERE run_id = ?', [id]);
             run('DELETE FROM kc_test_run_tests WHERE run_id = ?', [id]);
+            run('DELETE FROM kc_test_run_targets WHERE run_id = ?', [id]);
             run('DELETE FROM kc_test_runs WHERE id = ?', [id]);
             saveDb();
             return { success: true, deleted: true };
         }
     },
 
+    /**
+     * Cleans the targets of a test run from request data
+     * @returns {Object} { roleIds, departments, userIds }
+     */
+    normalizeRunTargets(data) {
+        const list = value => Array.isArray(value)
+            ? [...new Set(value.map(v => String(v || '').trim()).filter(Boolean))]
+            : [];
+        return {
+            roleIds: list(data.roleIds),
+            departments: list(data.departments),
+            userIds: list(data.userIds)
+        };
+    },
+
+    /**
+     * Targets of a run after an update - the given target lists replace the current ones.
+     * The users of a run with a fixed user list are its user targets.
+     * @returns {Object|null} { roleIds, departments, userIds } or null if no targets are given
+     */
+    getUpdatedRunTargets(runId, data) {
+        const keys = ['roleIds', 'departments', 'userIds'];
+        if (!keys.some(key => data[key] !== undefined)) return null;
+
+        const current = this.getRunTargets(runId) || {
+            roleIds: [],
+            departments: [],
+            userIds: all('SELECT DISTINCT user_id FROM kc_test_assignments WHERE run_id = ?', [runId]).map(a => a.user_id)
+        };
+        const merged = {};
+        keys.forEach(key => { merged[key] = data[key] !== undefined ? data[key] : current[key]; });
+        return this.normalizeRunTargets(merged);
+    },
+
+    setRunTargets(runId, targets) {
+        const now = new Date().toISOString();
+        run('DELETE FROM kc_test_run_targets WHERE run_id = ?', [runId]);
+        [['role', targets.roleIds], ['department', targets.departments], ['user', targets.userIds]].forEach(([type, values]) => {
+            values.forEach(value => {
+                run('INSERT INTO kc_test_run_targets (id, run_id, target_type, target_value, created_at) VALUES (?, ?, ?, ?, ?)',
+                    [uuidv4(), runId, type, value, now]);
+            });
+        });
+    },
+
+    /**
+     * @returns {Object|null} { roleIds, departments, userIds } or null if the run has a fixed user list
+     */
+    getRunTargets(runId) {
+        const rows = all('SELECT target_type, target_value FROM kc_test_run_targets WHERE run_id = ? ORDER BY created_at', [runId]);
+        if (rows.length === 0) return null;
+        const values = type => rows.filter(r => r.target_type === type).map(r => r.target_value);
+        return { roleIds: values('role'), departments: values('department'), userIds: values('user') };
+    },
+
+    /**
+     * Active users with one of the roles, one of the departments or on the explicit list
+     */
+    getTargetUserIds(targets) {
+        const conditions = [];
+        const params = [];
+        [['role_id', targets.roleIds], ['department', targets.departments], ['id', targets.userIds]].forEach(([column, values]) => {
+            if (values.length > 0) {
+                conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+                params.push(...values);
+            }
+        });
+        if (conditions.length === 0) return [];
+        return all(`SELECT id FROM users WHERE is_active = 1 AND (${conditions.join(' OR ')})`, params).map(u => u.id);
+    },
+
+    /**
+     * Brings the assignments of open rule-based test runs in line with their targets:
+     * users who match get the missing assignments, users who no longer match lose the ones
+     * they have not started yet. Callers save the database.
+     * A run whose due date or availability window has passed is closed and stays as it is -
+     * users who join later would only get assignments that are overdue or can no longer be taken.
+     * A completed run is still open: new users reopen it.
+     * @param {Object} options - { runId, userId } to check only one run or one user
+     * @returns {Object} { added, withdrawn }
+     */
+    syncRunTargets({ runId, userId } = {}) {
+        let sql = `
+            SELECT r.* FROM kc_test_runs r
+            WHERE EXISTS (SELECT 1 FROM kc_test_run_targets tt WHERE tt.run_id = r.id)
+                AND (r.is_archived = 0 OR r.is_archived IS NULL) AND r.status != 'archived'
+        `;
+        const params = [];
+        if (runId) {
+            sql += ' AND r.id = ?';
+            params.push(runId);
+        }
+
+        const now = new Date().toISOString();
+        const isClosed = testRun => {
+            const dueAt = this.getDueTime(testRun.due_date);
+            return (!!dueAt && dueAt <= new Date(now)) || (!!testRun.available_until && testRun.available_until <= now);
+        };
+        let added = 0;
+        let withdrawn = 0;
+
+        all(sql, params).filter(testRun => !isClosed(testRun)).forEach(testRun => {
+            const runAdded = added;
+            const runWithdrawn = withdrawn;
+            const matching = new Set(this.getTargetUserIds(this.getRunTargets(testRun.id)));
+            const testIds = all('SELECT test_id FROM kc_test_run_tests WHERE run_id = ? ORDER BY sort_order', [testRun.id]).map(t => t.test_id);
+            const userIds = userId ? [userId] : [...new Set([
+                ...matching,
+                ...all('SELECT DISTINCT user_id FROM kc_test_assignments WHERE run_id = ?', [testRun.id]).map(a => a.user_id)
+            ])];
+
+            userIds.forEach(uid => {
+                if (matching.has(uid)) {
+                    testIds.forEach(testId => {
+                        const exists = get('SELECT id FROM kc_test_assignments WHERE run_id = ? AND test_id = ? AND user_id = ?', [testRun.id, testId, uid]);
+                        if (!exists) {
+                            run(`INSERT INTO kc_test_assignments (id, run_id, test_id, user_id, assigned_by, due_date, available_from, available_until, status, notes, created_at, updated_at)
+                                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                                [uuidv4(), testRun.id, testId, uid, testRun.created_by, testRun.due_date || null,
+                                 testRun.available_from || null, testRun.available_until || null,
+                                 this.getInitialAssignmentStatus(testRun.available_from), '', now, now]);
+                            added++;
+                        }
+                    });
+                } else {
+                    const pending = all(`
+                        SELECT a.id FROM kc_test_assignments a
+                        WHERE a.run_id = ? AND a.user_id = ? AND a.status IN ('scheduled', 'pending', 'overdue')
+                            AND NOT EXISTS (SELECT 1 FROM kc_test_attempts att WHERE att.assignment_id = a.id)
+                            AND NOT EXISTS (SELECT 1 FROM kc_test_results tr WHERE tr.assignment_id = a.id)
+                    `, [testRun.id, uid]);
+                    pending.forEach(a => {
+                        run('DELETE FROM kc_notifications WHERE assignment_id = ?', [a.id]);
+                        run('DELETE FROM kc_test_assignments WHERE id = ?', [a.id]);
+                    });
+                    withdrawn += pending.length;
+                }
+            });
+
+            // A completed run gets pending assignments again, a run can also lose its last open ones
+            if (added !== runAdded || withdrawn !== runWithdrawn) {
+                this.refreshRunStatus(testRun.id);
+            }
+        });
+
+        return { added, withdrawn };
+    },
+
     // ============================================
     // TEST ASSIGNMENTS
     // ============================================
@@ -2447,19 +4108,23 @@ const KnowledgeCheckSystem = {
     getAllAssignments(filters = {}) {
         let sql = `
             SELECT a.*, t.name as test_name, t.test_number, t.passing_score, t.time_limit_minutes,
+                t.max_attempts, t.scoring_policy, t.result_visibility,
                 u.first_name || ' ' || u.last_name as user_name,
                 ab.first_name || ' ' || ab.last_name as assigned_by_name,
                 tc.name as category_name,
-                r.run_number, r.name as run_name,
-                tr.percentage as result_percentage, tr.passed as result_passed, 
+                r.run_number, r.name as run_name, lp.name as path_name,
+                a.final_percentage as result_percentage, a.final_passed as result_passed, 
                 tr.total_score as result_total_score, tr.max_score as result_max_score,
-                tr.completed_at as result_completed_at
+                tr.completed_at as result_completed_at,
+                (SELECT COUNT(*) FROM kc_test_results ar WHERE ar.assignment_id = a.id) as attempt_count
             FROM kc_test_assignments a
             JOIN kc_tests t ON a.test_id = t.id
             LEFT JOIN kc_test_categories tc ON t.category_id = tc.id
             JOIN users u ON a.user_id = u.id
             JOIN users ab ON a.assigned_by = ab.id
             LEFT JOIN kc_test_runs r ON a.run_id = r.id
+            LEFT JOIN kc_learning_path_enrollments lpe ON a.path_enrollment_id = lpe.id
+            LEFT JOIN kc_learning_paths lp ON lpe.path_id = lp.id
             LEFT JOIN kc_test_results tr ON a.result_id = tr.id
             WHERE 1=1
         `;
@@ -2494,6 +4159,8 @@ const KnowledgeCheckSystem = {
             runId: a.run_id,
             runNumber: a.run_number,
             runName: a.run_name,
+            pathEnrollmentId: a.path_enrollment_id || null,
+            pathName: a.path_name || null,
             testId: a.test_id,
             testNumber: a.test_number,
             testName: a.test_name,
@@ -2505,6 +4172,8 @@ const KnowledgeCheckSystem = {
             assignedBy: a.assigned_by,
             assignedByName: a.assigned_by_name,
             dueDate: a.due_date,
+            availableFrom: a.available_from || null,
+            availableUntil: a.available_until || null,
             status: a.status,
             resultId: a.result_id,
             resultPercentage: a.result_percentage,
@@ -2512,6 +4181,10 @@ const KnowledgeCheckSystem = {
             resultTotalScore: a.result_total_score,
             resultMaxScore: a.result_max_score,
             resultCompletedAt: a.result_completed_at,
+            attemptCount: a.attempt_count || 0,
+            maxAttempts: a.max_attempts === null ? 1 : a.max_attempts,
+            scoringPolicy: a.scoring_policy || 'best',
+            resultVisibility: a.result_visibility || 'score',
             notes: a.notes,
             createdAt: a.created_at,
             updatedAt: a.updated_at
@@ -2521,6 +4194,7 @@ const KnowledgeCheckSystem = {
     getAssignmentById(id) {
         const assignment = get(`
             SELECT a.*, t.name as test_name, t.test_number, t.passing_score, t.time_limit_minutes,
+                t.max_attempts, t.scoring_policy,
                 u.first_name || ' ' || u.last_name as user_name,
                 ab.first_name || ' ' || ab.last_name as assigned_by_name
             FROM kc_test_assignments a
@@ -2544,8 +4218,15 @@ const KnowledgeCheckSystem = {
             assignedBy: assignment.assigned_by,
             assignedByName: assignment.assigned_by_name,
             dueDate: assignment.due_date,
+            availableFrom: assignment.available_from || null,
+            availableUntil: assignment.available_until || null,
             status: assignment.status,
             resultId: assignment.result_id,
+            finalPercentage: assignment.final_percentage,
+            finalPassed: assignment.final_passed !== null ? !!assignment.final_passed : null,
+            maxAttempts: assignment.max_attempts === null ? 1 : assignment.max_attempts,
+            scoringPolicy: assignment.scoring_policy || 'best',
+            attempts: this.getAssignmentAttempts(assignment.id),
             notes: assignment.notes,
             createdAt: assignment.created_at,
             updatedAt: assignment.updated_at
@@ -2555,10 +4236,12 @@ const KnowledgeCheckSystem = {
     createAssignment(data, assignedBy) {
         const now = new Date().toISOString();
         const id = uuidv4();
+        const { availableFrom, availableUntil } = this.normalizeAvailability(data);
         
-        run(`INSERT INTO kc_test_assignments (id, test_id, user_id, assigned_by, due_date, status, notes, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [id, data.testId, data.userId, assignedBy, data.dueDate || null, 'pending', data.notes || '', now, now]);
+        run(`INSERT INTO kc_test_assignments (id, test_id, user_id, assigned_by, due_date, available_from, available_until, status, notes, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, data.testId, data.userId, assignedBy, data.dueDate || null, availableFrom, availableUntil,
+             this.getInitialAssignmentStatus(availableFrom), data.notes || '', now, now]);
         
         saveDb();
         return this.getAssignmentById(id);
@@ -2578,22 +4261,56 @@ const KnowledgeCheckSystem = {
         params.push(id);
         run(sql, params);
         
+        const windowChanged = data.availableFrom !== undefined || data.availableUntil !== undefined;
+        if (windowChanged) {
+            const current = get('SELECT available_from, available_until FROM kc_test_assignments WHERE id = ?', [id]) || {};
+            const { availableFrom, availableUntil } = this.normalizeAvailability({
+                availableFrom: data.availableFrom !== undefined ? data.availableFrom : current.available_from,
+                availableUntil: data.availableUntil !== undefined ? data.availableUntil : current.available_until
+            });
+            this.setAssignmentAvailability(id, availableFrom, availableUntil);
+        }
+        
+        if (data.status !== undefined || windowChanged) {
+            const assignment = get('SELECT run_id FROM kc_test_assignments WHERE id = ?', [id]);
+            if (assignment?.run_id) this.refreshRunStatus(assignment.run_id);
+        }
+        
         saveDb();
         return this.getAssignmentById(id);
     },
 
     deleteAssignment(id) {
+        // Results stay available, they just lose the link to the deleted assignment
+        run('UPDATE kc_test_results SET assignment_id = NULL WHERE assignment_id = ?', [id]);
+        run('DELETE FROM kc_answer_drafts WHERE assignment_id = ?', [id]);
+        run('DELETE FROM kc_test_attempts WHERE assignment_id = ?', [id]);
+        run('DELETE FROM kc_notifications WHERE assignment_id = ?', [id]);
         run('DELETE FROM kc_test_assignments WHERE id = ?', [id]);
         saveDb();
         return { success: true };
     },
 
     getMyAssignments(userId) {
-        return this.getAllAssignments({ userId });
+        // Close attempts that ran out of time while the user was away
+        this.finalizeExpiredAttempts({ userId });
+        return this.getAllAssignments({ userId }).map(a => ({
+            ...a,
+            retake: a.status === 'completed' ? this.getRetakeStatus(a.id) : null
+        }));
+    },
+
+    /**
+     * Hides the score of an assignment from its test taker when the test shows no results
+     */
+    applyAssignmentVisibility(assignment) {
+        if (assignment.resultVisibility !== 'none') return assignment;
+        const { resultPercentage, resultPassed, resultTotalScore, resultMaxScore, ...visible } = assignment;
+        return visible;
     },
 
     getPendingAssignmentsCount(userId) {
-        const result = get('SELECT COUNT(*) as count FROM kc_test_assignments WHERE user_id = ? AND status = ?', [userId, 'pending']);
+        const result = get('SELECT COUNT(*) as count FROM kc_test_assignments WHERE user_id = ? AND status IN (?, ?, ?)', [userId, 'pending', 'in_progress', 'overdue']);
         return result?.count || 0;
     },
 
@@ -2601,37 +4318,38 @@ const KnowledgeCheckSystem = {
     // TEST RESULTS
     // ============================================
 
+    /**
+     * Builds the conditions shared by the result list and the result exports
+     * (r = kc_test_results, asg = the result's assignment)
+     * @param {Object} filters - { runId, testId, userId, startDate, endDate }
+     */
+    resultConditions(filters = {}) {
+        const conditions = ['1=1'];
+        const params = [];
+        if (filters.runId) { conditions.push('asg.run_id = ?'); params.push(filters.runId); }
+        if (filters.testId) { conditions.push('r.test_id = ?'); params.push(filters.testId); }
+        if (filters.userId) { conditions.push('r.user_id = ?'); params.push(filters.userId); }
+        if (filters.startDate) { conditions.push('date(r.created_at) >= date(?)'); params.push(filters.startDate); }
+        if (filters.endDate) { conditions.push('date(r.created_at) <= date(?)'); params.push(filters.endDate); }
+        return { where: conditions.join(' AND '), params };
+    },
+
     getAllResults(filters = {}) {
-        let sql = `
+        const { where, params } = this.resultConditions(filters);
+        const sql = `
             SELECT r.*, t.name as test_name, t.test_number,
                 u.first_name || ' ' || u.last_name as user_name,
-                e.first_name || ' ' || e.last_name as evaluator_name
+                e.first_name || ' ' || e.last_name as evaluator_name,
+                asg.result_id as counting_result_id,
+                (SELECT COUNT(*) FROM kc_test_results ar WHERE ar.assignment_id = r.assignment_id) as attempt_count
             FROM kc_test_results r
             JOIN kc_tests t ON r.test_id = t.id
             JOIN users u ON r.user_id = u.id
             LEFT JOIN users e ON r.evaluator_id = e.id
-            WHERE 1=1
+            LEFT JOIN kc_test_assignments asg ON r.assignment_id = asg.id
+            WHERE ${where}
+            ORDER BY r.created_at DESC
         `;
-        const params = [];
-        
-        if (filters.testId) {
-            sql += ' AND r.test_id = ?';
-            params.push(filters.testId);
-        }
-        if (filters.userId) {
-            sql += ' AND r.user_id = ?';
-            params.push(filters.userId);
-        }
-        if (filters.startDate) {
-            sql += ' AND r.created_at >= ?';
-            params.push(filters.startDate);
-        }
-        if (filters.endDate) {
-            sql += ' AND r.created_at <= ?';
-            params.push(filters.endDate);
-        }
-        
-        sql += ' ORDER BY r.created_at DESC';
         
         return all(sql, params).map(r => ({
             id: r.id,
@@ -2649,33 +4367,200 @@ const KnowledgeCheckSystem = {
             maxScore: r.max_score,
             percentage: r.percentage,
             passed: !!r.passed,
+            assignmentId: r.assignment_id,
+            attemptNumber: r.attempt_number || 1,
+            attemptCount: r.attempt_count || 0,
+            isCounting: !r.assignment_id || r.counting_result_id === r.id,
             notes: r.notes,
             createdAt: r.created_at,
             updatedAt: r.updated_at
         }));
     },
 
+    /**
+     * All answers of the filtered results, one entry per answer (oldest result first).
+     * Questions are shown as they were asked, the category is the one the question was in at the time.
+     * @param {Object} filters - See resultConditions
+     * @param {Object} page - { limit, offset } to load only part of the answers (optional)
+     */
+    getResultAnswersForExport(filters = {}, page = null) {
+        const { where, params } = this.resultConditions(filters);
+        let limit = '';
+        if (page) {
+            limit = 'LIMIT ? OFFSET ?';
+            params.push(page.limit, page.offset);
+        }
+        const parse = (value, fallback) => {
+            try {
+                return JSON.parse(value) ?? fallback;
+            } catch (e) {
+                return fallback;
+            }
+        };
+
+        return all(`
+            SELECT a.*, r.result_number, r.attempt_number, r.completed_at, r.created_at as result_created_at,
+                r.user_id, t.name as test_name, q.title, q.question_text, q.question_type, c.name as category_name,
+                u.first_name || ' ' || u.last_name as user_name,
+                rv.first_name || ' ' || rv.last_name as reviewed_by_name
+            FROM kc_test_answers a
+            JOIN kc_test_results r ON a.result_id = r.id
+            JOIN kc_tests t ON r.test_id = t.id
+            JOIN users u ON r.user_id = u.id
+            LEFT JOIN kc_test_assignments asg ON r.assignment_id = asg.id
+            LEFT JOIN kc_questions q ON a.question_id = q.id
+            LEFT JOIN kc_categories c ON q.category_id = c.id
+            LEFT JOIN users rv ON a.reviewed_by = rv.id
+            WHERE ${where}
+            ORDER BY r.created_at, r.result_number, a.sort_order, a.id
+            ${limit}
+        `, params).map(a => {
+            const snapshot = parse(a.question_snapshot, null);
+            const questionType = snapshot ? snapshot.questionType : a.question_type;
+            return {
+                resultId: a.result_id,
+                resultNumber: a.result_number,
+                testName: a.test_name,
+                userId: a.user_id,
+                userName: a.user_name,
+                attemptNumber: a.attempt_number || 1,
+                completedAt: a.completed_at || a.result_created_at,
+                position: (a.sort_order || 0) + 1,
+                questionId: a.question_id,
+                questionTitle: (snapshot ? snapshot.title : a.title) || '',
+                questionText: (snapshot ? snapshot.questionText : a.question_text) || '',
+                categoryName: (snapshot ? snapshot.categoryName : a.category_name) || '',
+                questionType,
+                selectedOptions: this.describeAnswerSelection(questionType, {
+                    selectedOptions: parse(a.selected_options, []),
+                    optionDetails: parse(a.option_details, {}),
+                    responseData: parse(a.response_data, {}),
+                    options: snapshot ? snapshot.options : null,
+                    questionId: a.question_id
+                }),
+                answerText: a.answer_text || '',
+                score: Math.round((a.score || 0) * 100) / 100,
+                maxScore: a.max_score,
+                isCorrect: !!a.is_correct,
+                evaluatorNotes: a.evaluator_notes || '',
+                reviewedByName: a.reviewed_by_name || ''
+            };
+        });
+    },
+
+    /**
+     * Goes through the answers of the filtered results page by page,
+     * so an export of all answers never holds them in memory at once
+     * @param {Object} filters - See resultConditions
+     * @yields {Object} Answer as returned by getResultAnswersForExport
+     */
+    *eachResultAnswerForExport(filters = {}, pageSize = 500) {
+        for (let offset = 0; ; offset += pageSize) {
+            const page = this.getResultAnswersForExport(filters, { limit: pageSize, offset });
+            yield* page;
+            if (page.length < pageSize) return;
+        }
+    },
+
+    /**
+     * Readable form of a selection - the chosen options, the submitted order or the matched pairs
+     * @param {string} questionType
+     * @param {Object} answer - { selectedOptions, optionDetails, responseData, options (snapshot), questionId }
+     * @returns {string} Empty for question types answered with text
+     */
+    describeAnswerSelection(questionType, answer) {
+        switch (questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false': {
+                const options = answer.options || answer.optionDetails.allOptions
+                    || all('SELECT id, option_text as text FROM kc_question_options WHERE question_id = ?', [answer.questionId]);
+                return answer.selectedOptions
+                    .map(id => options.find(o => o.id === id)?.text)
+                    .filter(Boolean)
+                    .join('; ');
+            }
+            case 'ordering':
+                return (answer.responseData.submittedOrder || []).map((o, index) => `${index + 1}. ${o.text}`).join('; ');
+            case 'matching':
+                return (answer.responseData.pairs || [])
+                    .filter(p => p.submittedMatch)
+                    .map(p => `${p.text} → ${p.submittedMatch}`)
+                    .join('; ');
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Score per user and question of the filtered results. When a user answered a question
+     * more than once, the latest answer counts.
+     * @param {Object} filters - See resultConditions
+     * @returns {Object} { questions: [{ id, label }], users: [{ userId, userName, cells, score, maxScore, percentage }] }
+     */
+    getResultAnswerPivot(filters = {}) {
+        const questions = new Map();
+        const users = new Map();
+
+        for (const a of this.eachResultAnswerForExport(filters)) {
+            if (!questions.has(a.questionId)) {
+                const text = a.questionTitle || a.questionText;
+                questions.set(a.questionId, {
+                    id: a.questionId,
+                    label: text.length > 80 ? `${text.slice(0, 77)}...` : text
+                });
+            }
+            if (!users.has(a.userId)) {
+                users.set(a.userId, { userId: a.userId, userName: a.userName, cells: {} });
+            }
+            users.get(a.userId).cells[a.questionId] = { score: a.score, maxScore: a.maxScore };
+        }
+
+        return {
+            questions: [...questions.values()],
+            users: [...users.values()]
+                .sort((a, b) => a.userName.localeCompare(b.userName))
+                .map(user => {
+                    const cells = Object.values(user.cells);
+                    const score = Math.round(cells.reduce((sum, c) => sum + c.score, 0) * 100) / 100;
+                    const maxScore = cells.reduce((sum, c) => sum + (c.maxScore || 0), 0);
+                    return { ...user, score, maxScore, percentage: maxScore > 0 ? Math.round(score / maxScore * 100) : null };
+                })
+        };
+    },
+
     getResultById(id) {
         const result = get(`
-            SELECT r.*, t.name as test_name, t.test_number,
+            SELECT r.*, t.name as test_name, t.test_number, t.scoring_policy, t.result_visibility,
                 u.first_name || ' ' || u.last_name as user_name,
-                e.first_name || ' ' || e.last_name as evaluator_name
+                e.first_name || ' ' || e.last_name as evaluator_name,
+                asg.final_percentage, asg.final_passed
             FROM kc_test_results r
             JOIN kc_tests t ON r.test_id = t.id
             JOIN users u ON r.user_id = u.id
             LEFT JOIN users e ON r.evaluator_id = e.id
+            LEFT JOIN kc_test_assignments asg ON r.assignment_id = asg.id
             WHERE r.id = ?
         `, [id]);
         
         if (!result) return null;
         
         const answers = all(`
-            SELECT a.*, q.question_text, q.question_type, q.title, q.allow_partial_answer
+            SELECT a.*, q.question_text, q.question_type, q.title, q.allow_partial_answer, q.explanation,
+                rv.first_name || ' ' || rv.last_name as reviewed_by_name
             FROM kc_test_answers a
-            JOIN kc_questions q ON a.question_id = q.id
+            LEFT JOIN kc_questions q ON a.question_id = q.id
+            LEFT JOIN users rv ON a.reviewed_by = rv.id
             WHERE a.result_id = ?
+            ORDER BY a.sort_order
         `, [id]);
         
+        // Attempt the result was submitted from (holds the drawn question set)
+        const attempt = get('SELECT id FROM kc_test_attempts WHERE result_id = ?', [id]);
+        
+        // Current versions of all answered questions, for change detection and answers without snapshot
+        const currentQuestions = this.getQuestionContents([...new Set(answers.map(a => a.question_id).filter(Boolean))]);
+        
         return {
             id: result.id,
             resultNumber: result.result_number,
@@ -2693,78 +4578,199 @@ const KnowledgeCheckSystem = {
             percentage: result.percentage,
             passed: !!result.passed,
             notes: result.notes,
+            attemptId: attempt ? attempt.id : null,
+            assignmentId: result.assignment_id,
+            attemptNumber: result.attempt_number || 1,
+            // All attempts of the assignment and the score that counts under the test's scoring policy
+            scoringPolicy: result.scoring_policy || 'best',
+            finalPercentage: result.final_percentage,
+            finalPassed: result.final_passed !== null && result.final_passed !== undefined ? !!result.final_passed : null,
+            attempts: result.assignment_id ? this.getAssignmentAttempts(result.assignment_id) : [],
+            resultVisibility: result.result_visibility || 'score',
             answers: answers.map(a => {
                 let selectedOptions = [];
                 let optionDetails = {};
+                let responseData = {};
                 try {
                     selectedOptions = JSON.parse(a.selected_options || '[]');
                 } catch (e) {
                     selectedOptions = [];
                 }
+                try {
+                    responseData = JSON.parse(a.response_data || '{}');
+                } catch (e) {
+                    responseData = {};
+                }
                 try {
                     optionDetails = JSON.parse(a.option_details || '{}');
                 } catch (e) {
                     optionDetails = {};
                 }
                 
-                // For multiple choice questions, populate allOptions from the question if missing
-                if (a.question_type === 'multiple_choice' && (!optionDetails.allOptions || optionDetails.allOptions.length === 0)) {
-                    // Fetch the question's options from the database
-                    const questionOptions = all(
-                        'SELECT id, option_text, is_correct FROM kc_question_options WHERE question_id = ? ORDER BY sort_order',
-                        [a.question_id]
-                    );
+                // The question as it was asked - answers stored before snapshots show the live question
+                let snapshot = null;
+                try {
+                    snapshot = a.question_snapshot ? JSON.parse(a.question_snapshot) : null;
+                } catch (e) {
+                    snapshot = null;
+                }
+                const questionType = snapshot ? snapshot.questionType : a.question_type;
+                const current = currentQuestions.get(a.question_id) || null;
+                // Options as frozen with the answer, otherwise the question's current ones
+                const questionOptions = snapshot ? snapshot.options : (current ? current.options : []);
+                
+                // Choice questions: populate allOptions from the question if missing
+                if (['multiple_choice', 'single_choice', 'true_false'].includes(questionType) && (!optionDetails.allOptions || optionDetails.allOptions.length === 0)
+                    && questionOptions.length > 0) {
+                    // Build allOptions array with selection status
+                    const allOptions = questionOptions.map(opt => ({
+                        id: opt.id,
+                        text: opt.text,
+                        isCorrect: !!opt.isCorrect,
+                        wasSelected: selectedOptions.includes(opt.id)
+                    }));
                     
-                    if (questionOptions && questionOptions.length > 0) {
-                        // Build allOptions array with selection status
-                        const allOptions = questionOptions.map(opt => ({
-                            id: opt.id,
-                            text: opt.option_text,
-                            isCorrect: !!opt.is_correct,
-                            wasSelected: selectedOptions.includes(opt.id)
-                        }));
-                        
-                        // Calculate statistics
-                        let correctSelected = 0;
-                        let incorrectSelected = 0;
-                        let totalCorrectOptions = 0;
-                        
-                        allOptions.forEach(opt => {
-                            if (opt.isCorrect) totalCorrectOptions++;
-                            if (opt.wasSelected && opt.isCorrect) correctSelected++;
-                            if (opt.wasSelected && !opt.isCorrect) incorrectSelected++;
-                        });
-                        
-                        optionDetails = {
-                            allOptions,
-                            correctSelected,
-                            incorrectSelected,
-                            totalCorrectOptions,
-                            allowPartialAnswer: !!a.allow_partial_answer
+                    // Calculate statistics
+                    let correctSelected = 0;
+                    let incorrectSelected = 0;
+                    let totalCorrectOptions = 0;
+                    
+                    allOptions.forEach(opt => {
+                        if (opt.isCorrect) totalCorrectOptions++;
+                        if (opt.wasSelected && opt.isCorrect) correctSelected++;
+                        if (opt.wasSelected && !opt.isCorrect) incorrectSelected++;
+                    });
+                    
+                    optionDetails = {
+                        allOptions,
+                        correctSelected,
+                        incorrectSelected,
+                        totalCorrectOptions,
+                        allowPartialAnswer: snapshot ? snapshot.allowPartialAnswer : !!a.allow_partial_answer
+                    };
+                }
+                
+                // Ordering and matching: rebuild the items / pairs from the question if missing
+                if (questionType === 'ordering' && !responseData.items && questionOptions.length > 0) {
+                    const correctOrder = [...questionOptions].sort((x, y) => (x.sortOrder || 0) - (y.sortOrder || 0));
+                    const submittedOrder = selectedOptions.map(optionId => correctOrder.find(o => o.id === optionId)).filter(Boolean);
+                    const items = correctOrder.map((o, index) => ({
+                        id: o.id,
+                        text: o.text,
+                        correctPosition: index + 1,
+                        submittedPosition: submittedOrder.indexOf(o) + 1 || null
+                    }));
+                    responseData = {
+                        items,
+                        submittedOrder: submittedOrder.map(o => ({ id: o.id, text: o.text })),
+                        correctCount: items.filter(i => i.correctPosition === i.submittedPosition).length,
+                        total: items.length
+                    };
+                }
+                if (questionType === 'matching' && !responseData.pairs && questionOptions.length > 0) {
+                    const matches = responseData.matches || {};
+                    const pairs = questionOptions.map(o => {
+                        const matched = questionOptions.find(m => m.id === matches[o.id]);
+                        return {
+                            id: o.id,
+                            text: o.text,
+                            correctMatch: o.matchText,
+                            submittedMatch: matched ? matched.matchText : null,
+                            isCorrect: !!matched && matched.id === o.id
                         };
-                    }
+                    });
+                    responseData = {
+                        matches,
+                        pairs,
+                        correctCount: pairs.filter(p => p.isCorrect).length,
+                        total: pairs.length
+                    };
                 }
                 
                 return {
                     id: a.id,
                     questionId: a.question_id,
-                    questionTitle: a.title,
-                    questionText: a.question_text,
-                    questionType: a.question_type,
+                    questionTitle: snapshot ? snapshot.title : a.title,
+                    questionText: snapshot ? snapshot.questionText : a.question_text,
+                    questionType: questionType,
+                    questionSnapshot: snapshot,
+                    // Edited or deleted since the test was taken
+                    questionChanged: !!snapshot && this.isQuestionChanged(snapshot, a.question_id, current),
                     answerText: a.answer_text,
                     selectedOptions: selectedOptions,
                     optionDetails: optionDetails,
+                    responseData: responseData,
+                    // Explanations as they were when the test was taken
+                    explanation: (snapshot ? snapshot.explanation : a.explanation) || '',
+                    optionExplanations: questionOptions
+                        .filter(o => o.explanation)
+                        .map(o => ({ id: o.id, text: o.text, explanation: o.explanation })),
                     isCorrect: !!a.is_correct,
                     score: a.score,
                     maxScore: a.max_score,
-                    evaluatorNotes: a.evaluator_notes
+                    evaluatorNotes: a.evaluator_notes,
+                    confidence: a.confidence,
+                    reviewedBy: a.reviewed_by,
+                    reviewedByName: a.reviewed_by_name,
+                    reviewedAt: a.reviewed_at,
+                    timeSpentSeconds: a.time_spent_seconds
                 };
             }),
+            history: this.getResultHistory(id),
             createdAt: result.created_at,
             updatedAt: result.updated_at
         };
     },
 
+    /**
+     * Removes what the test's result visibility hides from a test taker's view of their own result
+     * ('none' keeps only that the test was completed, 'score' the score and the submitted answers
+     * without correct flags, 'answers' everything but the explanations)
+     * @param {Object} result - Result as returned by getResultById
+     */
+    applyResultVisibility(result) {
+        const visibility = result.resultVisibility;
+        if (visibility === 'explanations') return result;
+
+        result.answers.forEach(a => {
+            delete a.explanation;
+            delete a.optionExplanations;
+        });
+        if (visibility === 'answers') return result;
+
+        result.answers.forEach(a => {
+            ['isCorrect', 'score', 'maxScore', 'evaluatorNotes', 'confidence', 'questionChanged'].forEach(key => delete a[key]);
+            a.optionDetails = {
+                allOptions: (a.optionDetails.allOptions || []).map(o => ({ id: o.id, text: o.text, wasSelected: o.wasSelected }))
+            };
+            a.responseData = this.submittedResponseData(a.questionType, a.responseData);
+        });
+        if (visibility === 'score') return result;
+
+        ['totalScore', 'maxScore', 'percentage', 'passed', 'finalPercentage', 'finalPassed'].forEach(key => delete result[key]);
+        result.attempts = result.attempts.map(({ percentage, passed, ...attempt }) => attempt);
+        result.answers = [];
+        return result;
+    },
+
+    /**
+     * Keeps only what the test taker entered of the stored response data (no answer key)
+     */
+    submittedResponseData(questionType, data = {}) {
+        switch (questionType) {
+            case 'ordering':
+                return { submittedOrder: data.submittedOrder || [] };
+            case 'matching':
+                return { pairs: (data.pairs || []).map(p => ({ id: p.id, text: p.text, submittedMatch: p.submittedMatch })) };
+            case 'numeric':
+                return { value: data.value ?? null };
+            case 'cloze':
+                return { blanks: (data.blanks || []).map(b => ({ index: b.index, answer: b.answer })) };
+            default:
+                return {};
+        }
+    },
+
     createResult(data, evaluatorId) {
         const now = new Date().toISOString();
         const id = uuidv4();
@@ -2777,15 +4783,15 @@ const KnowledgeCheckSystem = {
         const percentage = data.maxScore > 0 ? Math.round((data.totalScore / data.maxScore) * 100) : 0;
         const passed = percentage >= test.passingScore;
         
-        run(`INSERT INTO kc_test_results (id, result_number, test_id, user_id, evaluator_id, started_at, completed_at, total_score, max_score, percentage, passed, notes, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [id, resultNumber, data.testId, data.userId, evaluatorId, data.startedAt || now, 
-             data.completedAt || now, data.totalScore || 0, data.maxScore || 0, percentage, passed ? 1 : 0, 
+        run(`INSERT INTO kc_test_results (id, result_number, test_id, user_id, evaluator_id, assignment_id, attempt_number, started_at, completed_at, total_score, max_score, percentage, passed, notes, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, resultNumber, data.testId, data.userId, evaluatorId, data.assignmentId || null, data.attemptNumber || 1,
+             data.startedAt || now, data.completedAt || now, data.totalScore || 0, data.maxScore || 0, percentage, passed ? 1 : 0, 
              data.notes || '', now, now]);
         
         // Add answers
         if (data.answers && data.answers.length > 0) {
-            data.answers.forEach(ans => {
+            data.answers.forEach((ans, index) => {
                 // Store all option details for comprehensive result display
                 const optionDetails = {
                     selectedOptionDetails: ans.selectedOptionDetails || [],
@@ -2796,17 +4802,135 @@ const KnowledgeCheckSystem = {
                     allowPartialAnswer: ans.allowPartialAnswer || false
                 };
                 
-                run(`INSERT INTO kc_test_answers (id, result_id, question_id, answer_text, selected_options, option_details, is_correct, score, max_score, evaluator_notes)
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                // Freeze the question so later edits do not change what this result shows
+                const snapshot = this.buildQuestionSnapshot(ans.questionId);
+                
+                run(`INSERT INTO kc_test_answers (id, result_id, question_id, answer_text, selected_options, option_details, is_correct, score, max_score, evaluator_notes, response_data, sort_order, confidence, question_snapshot, time_spent_seconds)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                     [uuidv4(), id, ans.questionId, ans.answerText || '', JSON.stringify(ans.selectedOptions || []),
-                     JSON.stringify(optionDetails), ans.isCorrect ? 1 : 0, ans.score || 0, ans.maxScore || 0, ans.evaluatorNotes || '']);
+                     JSON.stringify(optionDetails), ans.isCorrect ? 1 : 0, ans.score || 0, ans.maxScore || 0, ans.evaluatorNotes || '',
+                     JSON.stringify(ans.responseData || {}), index, ans.confidence ?? null, snapshot ? JSON.stringify(snapshot) : null,
+                     ans.timeSpentSeconds ?? null]);
             });
         }
         
+        if (data.assignmentId) {
+            this.applyScoringPolicy(data.assignmentId);
+        }
+        this.syncCertificate(id);
+        
         saveDb();
         return this.getResultById(id);
     },
 
+    /**
+     * Copies a question with its options and answer key as it is right now
+     * @returns {Object|null} Snapshot stored with each answer, null if the question does not exist
+     */
+    buildQuestionSnapshot(questionId) {
+        const question = this.getQuestionById(questionId);
+        if (!question) return null;
+
+        return {
+            title: question.title,
+            questionText: question.questionText,
+            questionType: question.questionType,
+            categoryName: question.categoryName,
+            weighting: question.weighting,
+            allowPartialAnswer: question.allowPartialAnswer,
+            exactAnswer: question.exactAnswer,
+            numericTolerance: question.numericTolerance,
+            triggerWords: question.triggerWords,
+            answerRules: question.answerRules,
+            media: question.media,
+            explanation: question.explanation,
+            options: question.options,
+            updatedAt: question.updatedAt
+        };
+    },
+
+    /**
+     * Current wording, options and answer key of several questions in one query
+     * (the fields of a snapshot, media only as { id })
+     * @param {Array<string>} questionIds
+     * @returns {Map} Question ID -> content, missing for deleted questions
+     */
+    getQuestionContents(questionIds) {
+        const contents = new Map();
+        if (questionIds.length === 0) return contents;
+
+        const rows = all(`
+            SELECT q.*, o.id as option_id, o.option_text, o.match_text, o.is_correct, o.sort_order as option_sort,
+                o.media_id as option_media_id, o.explanation as option_explanation
+            FROM kc_questions q
+            LEFT JOIN kc_question_options o ON o.question_id = q.id
+            WHERE q.id IN (${questionIds.map(() => '?').join(', ')})
+            ORDER BY q.id, o.sort_order
+        `, questionIds);
+
+        rows.forEach(row => {
+            if (!contents.has(row.id)) {
+                let triggerWords = [];
+                let mediaIds = [];
+                try {
+                    triggerWords = JSON.parse(row.trigger_words || '[]');
+                } catch (e) {
+                    triggerWords = [];
+                }
+                try {
+                    mediaIds = JSON.parse(row.media_ids || '[]');
+                } catch (e) {
+                    mediaIds = [];
+                }
+                contents.set(row.id, {
+                    title: row.title || '',
+                    questionText: row.question_text,
+                    questionType: row.question_type,
+                    weighting: row.weighting,
+                    allowPartialAnswer: !!row.allow_partial_answer,
+                    exactAnswer: row.exact_answer || '',
+                    numericTolerance: row.numeric_tolerance,
+                    triggerWords,
+                    answerRules: this.parseAnswerRules(row.answer_rules),
+                    media: mediaIds.map(mediaId => ({ id: mediaId })),
+                    explanation: row.explanation || '',
+                    options: []
+                });
+            }
+            if (row.option_id) {
+                contents.get(row.id).options.push({
+                    id: row.option_id,
+                    text: row.option_text,
+                    matchText: row.match_text || '',
+                    isCorrect: !!row.is_correct,
+                    media: row.option_media_id ? { id: row.option_media_id } : null,
+                    explanation: row.option_explanation || '',
+                    sortOrder: row.option_sort
+                });
+            }
+        });
+        return contents;
+    },
+
+    /**
+     * Checks whether the wording, options or answer key of a question differ from a snapshot
+     * (archiving or moving a question does not count, options are compared without their ids)
+     * @param {Object} snapshot
+     * @param {string} questionId
+     * @param {Object|null} current - Preloaded content from getQuestionContents (null = deleted)
+     */
+    isQuestionChanged(snapshot, questionId, current = undefined) {
+        if (current === undefined) current = this.buildQuestionSnapshot(questionId);
+        if (!current) return true;
+
+        const content = q => JSON.stringify([
+            q.title, q.questionText, q.questionType, q.weighting, q.allowPartialAnswer, q.exactAnswer,
+            q.numericTolerance, q.triggerWords, q.answerRules, (q.media || []).map(m => m.id), q.explanation || '',
+            q.options.map(o => [o.text, o.matchText, o.isCorrect, o.sortOrder, o.media?.id || null, o.explanation || ''])
+        ]);
+        return content(current) !== content(snapshot);
+    },
+
     updateResult(id, data) {
         const now = new Date().toISOString();
         let sql = 'UPDATE kc_test_results SET updated_at = ?';
@@ -2823,86 +4947,2824 @@ const KnowledgeCheckSystem = {
         params.push(id);
         run(sql, params);
         
+        const result = get('SELECT assignment_id FROM kc_test_results WHERE id = ?', [id]);
+        if (result && result.assignment_id) {
+            this.applyScoringPolicy(result.assignment_id);
+        }
+        this.syncCertificate(id);
+        
         saveDb();
         return this.getResultById(id);
     },
 
     deleteResult(id) {
+        const result = get('SELECT assignment_id FROM kc_test_results WHERE id = ?', [id]);
+        this.revokeCertificates('result_id = ?', [id]);
+        run('DELETE FROM kc_result_history WHERE result_id = ?', [id]);
         run('DELETE FROM kc_test_answers WHERE result_id = ?', [id]);
         run('DELETE FROM kc_test_results WHERE id = ?', [id]);
+        if (result && result.assignment_id) {
+            this.applyScoringPolicy(result.assignment_id);
+        }
         saveDb();
         return { success: true };
     },
 
     // ============================================
-    // STATISTICS
+    // MANUAL EVALUATION
     // ============================================
 
-    getStatistics(userId = null) {
-        const totalTests = get('SELECT COUNT(*) as count FROM kc_tests WHERE is_active = 1 AND is_archived = 0')?.count || 0;
-        const totalQuestions = get('SELECT COUNT(*) as count FROM kc_questions WHERE is_active = 1 AND is_archived = 0')?.count || 0;
-        const totalResults = get('SELECT COUNT(*) as count FROM kc_test_results')?.count || 0;
-        const totalRuns = get('SELECT COUNT(*) as count FROM kc_test_runs')?.count || 0;
-        const passedResults = get('SELECT COUNT(*) as count FROM kc_test_results WHERE passed = 1')?.count || 0;
-        const avgScore = get('SELECT AVG(percentage) as avg FROM kc_test_results')?.avg || 0;
-        
-        // Archived items count
-        const archivedQuestions = get('SELECT COUNT(*) as count FROM kc_questions WHERE is_archived = 1')?.count || 0;
-        const archivedTests = get('SELECT COUNT(*) as count FROM kc_tests WHERE is_archived = 1')?.count || 0;
-        const totalArchived = archivedQuestions + archivedTests;
-        
-        // User's assigned tests count (pending only)
-        let myAssignedCount = 0;
-        if (userId) {
-            myAssignedCount = get('SELECT COUNT(*) as count FROM kc_test_assignments WHERE user_id = ? AND status = ?', [userId, 'pending'])?.count || 0;
-        }
-        
-        return {
-            totalTests,
-            totalQuestions,
-            totalResults,
-            totalRuns,
-            totalArchived,
-            myAssignedCount,
-            passedResults,
-            passingRate: totalResults > 0 ? Math.round((passedResults / totalResults) * 100) : 0,
-            averageScore: Math.round(avgScore)
-        };
-    },
+    /**
+     * Gets open-question answers that no evaluator has reviewed yet.
+     * Answers the automatic check was least sure about come first.
+     * @param {Object} filters - { testId, lowConfidence } - lowConfidence limits the queue
+     *   to answers below knowledgeCheck.reviewConfidenceThreshold
+     */
+    getReviewQueue(filters = {}) {
+        const threshold = Config.get('knowledgeCheck.reviewConfidenceThreshold', 0.7);
+        let sql = `
+            SELECT a.*, r.result_number, r.test_id, r.user_id, r.completed_at,
+                t.name as test_name, t.test_number,
+                u.first_name || ' ' || u.last_name as user_name,
+                q.title, q.question_text, q.exact_answer, q.trigger_words, q.answer_rules
+            FROM kc_test_answers a
+            JOIN kc_test_results r ON a.result_id = r.id
+            JOIN kc_tests t ON r.test_id = t.id
+            JOIN users u ON r.user_id = u.id
+            JOIN kc_questions q ON a.question_id = q.id
+            WHERE q.question_type = 'open_question' AND a.reviewed_at IS NULL
+        `;
+        const params = [];
 
-    // Answer checking helper for open questions
-    checkOpenAnswer(answer, exactAnswer, triggerWords) {
-        if (!answer || !answer.trim()) return { isCorrect: false, matchedTriggers: [] };
-        
-        const normalizedAnswer = answer.toLowerCase().trim();
-        const normalizedExact = (exactAnswer || '').toLowerCase().trim();
-        
-        // Check exact match (with typo tolerance using Levenshtein)
-        if (normalizedExact && this.levenshteinDistance(normalizedAnswer, normalizedExact) <= 2) {
-            return { isCorrect: true, matchedTriggers: ['exact_match'] };
-        }
-        
-        // Check trigger words
-        const matchedTriggers = [];
-        if (triggerWords && triggerWords.length > 0) {
-            for (const trigger of triggerWords) {
-                const normalizedTrigger = trigger.toLowerCase().trim();
-                // Check if trigger word is present (with minor typo tolerance)
-                if (normalizedAnswer.includes(normalizedTrigger) || 
-                    this.fuzzyContains(normalizedAnswer, normalizedTrigger)) {
-                    matchedTriggers.push(trigger);
-                }
-            }
-        }
-        
-        return {
-            isCorrect: matchedTriggers.length > 0,
-            matchedTriggers
-        };
-    },
+        if (filters.testId) { sql += ' AND r.test_id = ?'; params.push(filters.testId); }
+        // Answers graded before confidence was stored are treated as unsure
+        if (filters.lowConfidence) { sql += ' AND (a.confidence IS NULL OR a.confidence < ?)'; params.push(threshold); }
 
-    levenshteinDistance(a, b) {
-        const matrix = [];
+        sql += ' ORDER BY COALESCE(a.confidence, 0), r.completed_at';
+
+        return all(sql, params).map(a => {
+            // Answer key as it was when the answer was graded
+            const snapshot = a.question_snapshot ? JSON.parse(a.question_snapshot) : null;
+            return {
+                answerId: a.id,
+                resultId: a.result_id,
+                resultNumber: a.result_number,
+                testId: a.test_id,
+                testNumber: a.test_number,
+                testName: a.test_name,
+                userId: a.user_id,
+                userName: a.user_name,
+                questionId: a.question_id,
+                questionTitle: snapshot ? snapshot.title : a.title,
+                questionText: snapshot ? snapshot.questionText : a.question_text,
+                exactAnswer: snapshot ? snapshot.exactAnswer : a.exact_answer,
+                triggerWords: snapshot ? snapshot.triggerWords : JSON.parse(a.trigger_words || '[]'),
+                answerRules: snapshot ? snapshot.answerRules || null : this.parseAnswerRules(a.answer_rules),
+                answerText: a.answer_text,
+                // Matched and missing keywords of the automatic check
+                responseData: a.response_data ? JSON.parse(a.response_data) : null,
+                isCorrect: !!a.is_correct,
+                score: a.score,
+                maxScore: a.max_score,
+                evaluatorNotes: a.evaluator_notes,
+                confidence: a.confidence,
+                lowConfidence: a.confidence === null || a.confidence < threshold,
+                completedAt: a.completed_at
+            };
+        });
+    },
+
+    /**
+     * Overrides the scores of answers in a result and recalculates percentage and passed.
+     * Every change is written to the result history.
+     * @param {string} resultId
+     * @param {Array} reviews - [{ answerId, score, evaluatorNotes }]
+     * @param {string} evaluatorId
+     */
+    reviewResult(resultId, reviews, evaluatorId) {
+        const result = get('SELECT * FROM kc_test_results WHERE id = ?', [resultId]);
+        if (!result) return { success: false, error: 'Result not found' };
+        if (!Array.isArray(reviews) || reviews.length === 0) {
+            return { success: false, error: 'No answers to review' };
+        }
+
+        const answers = all('SELECT * FROM kc_test_answers WHERE result_id = ?', [resultId]);
+
+        // Validate everything first so a bad entry does not leave a half-saved review
+        for (const review of reviews) {
+            const answer = answers.find(a => a.id === review.answerId);
+            if (!answer) return { success: false, error: 'Answer not found in this result' };
+            if (review.score !== undefined) {
+                const score = Number(review.score);
+                if (!Number.isFinite(score) || score < 0 || score > answer.max_score) {
+                    return { success: false, error: `Score must be between 0 and ${answer.max_score}` };
+                }
+            }
+        }
+
+        const now = new Date().toISOString();
+        reviews.forEach(review => {
+            const answer = answers.find(a => a.id === review.answerId);
+            const score = review.score !== undefined ? Number(review.score) : answer.score;
+            const notes = review.evaluatorNotes !== undefined ? String(review.evaluatorNotes) : answer.evaluator_notes;
+
+            run(`UPDATE kc_test_answers SET score = ?, is_correct = ?, evaluator_notes = ?, reviewed_by = ?, reviewed_at = ?
+                 WHERE id = ?`,
+                [score, score >= answer.max_score ? 1 : 0, notes, evaluatorId, now, answer.id]);
+
+            const changes = [];
+            if (score !== answer.score) changes.push(`Score: ${answer.score} → ${score}/${answer.max_score}`);
+            if (notes !== answer.evaluator_notes) changes.push('Notes updated');
+            this.addResultHistory(resultId, answer.id, 'answer_reviewed',
+                changes.length > 0 ? changes.join(', ') : `Score confirmed: ${score}/${answer.max_score}`, evaluatorId);
+        });
+
+        const before = { percentage: result.percentage, passed: !!result.passed };
+        const updated = this.recalculateResult(resultId, evaluatorId);
+        if (updated.percentage !== before.percentage || updated.passed !== before.passed) {
+            this.addResultHistory(resultId, null, 'result_recalculated',
+                `Percentage: ${before.percentage}% → ${updated.percentage}%` +
+                (updated.passed !== before.passed ? `, ${before.passed ? 'passed' : 'failed'} → ${updated.passed ? 'passed' : 'failed'}` : ''),
+                evaluatorId);
+        }
+
+        saveDb();
+        return { success: true, result: this.getResultById(resultId) };
+    },
+
+    /**
+     * Recalculates total score, percentage and passed of a result from its answers
+     * @returns {Object} { totalScore, maxScore, percentage, passed }
+     */
+    recalculateResult(resultId, evaluatorId) {
+        const result = get('SELECT r.*, t.passing_score FROM kc_test_results r JOIN kc_tests t ON r.test_id = t.id WHERE r.id = ?', [resultId]);
+        const totals = get('SELECT COALESCE(SUM(score), 0) as total, COALESCE(SUM(max_score), 0) as max FROM kc_test_answers WHERE result_id = ?', [resultId]);
+
+        const percentage = totals.max > 0 ? Math.round((totals.total / totals.max) * 100) : 0;
+        const passed = percentage >= result.passing_score;
+
+        run(`UPDATE kc_test_results SET total_score = ?, max_score = ?, percentage = ?, passed = ?, evaluator_id = ?, updated_at = ?
+             WHERE id = ?`,
+            [totals.total, totals.max, percentage, passed ? 1 : 0, evaluatorId || result.evaluator_id, new Date().toISOString(), resultId]);
+
+        if (result.assignment_id) {
+            this.applyScoringPolicy(result.assignment_id);
+        }
+        this.syncCertificate(resultId);
+
+        return { totalScore: totals.total, maxScore: totals.max, percentage, passed };
+    },
+
+    getResultHistory(resultId) {
+        return all(`
+            SELECT h.*, (SELECT first_name || ' ' || last_name FROM users WHERE id = h.user_id) as user_name
+            FROM kc_result_history h WHERE h.result_id = ? ORDER BY h.created_at DESC
+        `, [resultId]).map(h => ({
+            id: h.id,
+            answerId: h.answer_id,
+            userId: h.user_id,
+            userName: h.user_name,
+            action: h.action,
+            details: h.details,
+            createdAt: h.created_at
+        }));
+    },
+
+    addResultHistory(resultId, answerId, action, details, userId) {
+        run('INSERT INTO kc_result_history (id, result_id, answer_id, user_id, action, details, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [uuidv4(), resultId, answerId, userId, action, details, new Date().toISOString()]);
+    },
+
+    // ============================================
+    // RE-GRADING
+    // ============================================
+
+    /**
+     * Grades stored answers again against the current answer key of a question or of all
+     * questions of a test (after a wrong correct flag or accepted answer was fixed).
+     * Manually reviewed answers keep their score. Without options.apply only a preview is returned.
+     * @param {string} type - 'question' or 'test'
+     * @param {string} id
+     * @param {Object} options - { apply, notify, reason }
+     * @param {string} userId
+     */
+    regradeResults(type, id, options = {}, userId) {
+        const item = type === 'test'
+            ? get('SELECT id FROM kc_tests WHERE id = ?', [id])
+            : get('SELECT id FROM kc_questions WHERE id = ?', [id]);
+        if (!item) return { success: false, error: type === 'test' ? 'Test not found' : 'Question not found' };
+
+        const answers = all(`
+            SELECT a.*, r.result_number, r.user_id, r.assignment_id, r.total_score as result_total, r.max_score as result_max,
+                   r.percentage as result_percentage, r.passed as result_passed, r.completed_at,
+                   t.name as test_name, t.test_number, t.passing_score, t.result_visibility,
+                   u.first_name || ' ' || u.last_name as user_name
+            FROM kc_test_answers a
+            JOIN kc_test_results r ON a.result_id = r.id
+            JOIN kc_tests t ON r.test_id = t.id
+            LEFT JOIN users u ON r.user_id = u.id
+            WHERE ${type === 'test' ? 'r.test_id = ?' : 'a.question_id = ?'}
+            ORDER BY r.completed_at, a.sort_order
+        `, [id]);
+
+        const questions = new Map();
+        const results = new Map();
+        const summary = { answersChecked: answers.length, answersChanged: 0, skippedReviewed: 0, skippedUnmatched: 0 };
+
+        answers.forEach(answer => {
+            if (answer.reviewed_by) {
+                summary.skippedReviewed++;
+                return;
+            }
+            if (!questions.has(answer.question_id)) {
+                questions.set(answer.question_id, this.getQuestionById(answer.question_id));
+            }
+            const question = questions.get(answer.question_id);
+            const regraded = question ? this.regradeAnswer(answer, question) : null;
+            if (!regraded) {
+                summary.skippedUnmatched++;
+                return;
+            }
+            if (Math.abs(regraded.score - answer.score) < 1e-9 && !!regraded.isCorrect === !!answer.is_correct) return;
+
+            summary.answersChanged++;
+            if (!results.has(answer.result_id)) {
+                results.set(answer.result_id, { answer, changes: [] });
+            }
+            results.get(answer.result_id).changes.push({ answer, regraded });
+        });
+
+        const preview = [...results.values()].map(({ answer, changes }) => {
+            const totalScore = changes.reduce((sum, c) => sum + c.regraded.score - c.answer.score, answer.result_total);
+            const percentage = answer.result_max > 0 ? Math.round((totalScore / answer.result_max) * 100) : 0;
+            return {
+                resultId: answer.result_id,
+                resultNumber: answer.result_number,
+                testName: answer.test_name,
+                userName: answer.user_name || 'Unbekannt',
+                completedAt: answer.completed_at,
+                changedAnswers: changes.length,
+                before: { totalScore: answer.result_total, percentage: answer.result_percentage, passed: !!answer.result_passed },
+                after: { totalScore, maxScore: answer.result_max, percentage, passed: percentage >= answer.passing_score }
+            };
+        });
+        summary.resultsChanged = preview.length;
+        summary.passedChanged = preview.filter(r => r.before.passed !== r.after.passed).length;
+
+        if (!options.apply) {
+            return { success: true, dryRun: true, summary, results: preview };
+        }
+
+        const reason = typeof options.reason === 'string' ? options.reason.trim() : '';
+        let notified = 0;
+        [...results.values()].forEach(({ answer: resultRow, changes }) => {
+            changes.forEach(({ answer, regraded }) => {
+                const optionDetails = {
+                    selectedOptionDetails: regraded.selectedOptionDetails || [],
+                    allOptions: regraded.allOptions || [],
+                    correctSelected: regraded.correctSelected || 0,
+                    incorrectSelected: regraded.incorrectSelected || 0,
+                    totalCorrectOptions: regraded.totalCorrectOptions || 0,
+                    allowPartialAnswer: regraded.allowPartialAnswer || false
+                };
+                // The answer is now graded against the current question, so the snapshot follows it
+                const snapshot = this.buildQuestionSnapshot(answer.question_id);
+                run(`UPDATE kc_test_answers SET selected_options = ?, option_details = ?, is_correct = ?, score = ?, evaluator_notes = ?,
+                     response_data = ?, confidence = ?, question_snapshot = ? WHERE id = ?`,
+                    [JSON.stringify(regraded.selectedOptions || []), JSON.stringify(optionDetails), regraded.isCorrect ? 1 : 0,
+                     regraded.score, regraded.evaluatorNotes || '', JSON.stringify(regraded.responseData || {}),
+                     regraded.confidence ?? null, snapshot ? JSON.stringify(snapshot) : null, answer.id]);
+            });
+
+            const before = { percentage: resultRow.result_percentage, passed: !!resultRow.result_passed };
+            const updated = this.recalculateResult(resultRow.result_id, null);
+            this.addResultHistory(resultRow.result_id, null, 'result_regraded',
+                `Answer key corrected, ${changes.length} answer(s) re-graded: Percentage: ${before.percentage}% → ${updated.percentage}%` +
+                (updated.passed !== before.passed ? `, ${before.passed ? 'passed' : 'failed'} → ${updated.passed ? 'passed' : 'failed'}` : '') +
+                (reason ? ` (${reason})` : ''),
+                userId);
+
+            if (options.notify) {
+                // Tests that hide results from the test taker do not reveal the new score either
+                const scoreInfo = resultRow.result_visibility === 'none' ? '' : ` Neues Ergebnis: ${updated.percentage}%` +
+                    ` (${updated.passed ? 'bestanden' : 'nicht bestanden'}).`;
+                this.createNotification({
+                    userId: resultRow.user_id,
+                    type: 'result_regraded',
+                    title: `Ergebnis neu bewertet: ${resultRow.test_name}`,
+                    message: `Ihr Ergebnis im Test "${resultRow.test_name}" (${resultRow.test_number}) wurde nach einer Korrektur ` +
+                        `des Lösungsschlüssels neu bewertet.${scoreInfo}`,
+                    linkView: 'kcAssigned',
+                    assignmentId: resultRow.assignment_id
+                });
+                notified++;
+            }
+        });
+
+        saveDb();
+        return { success: true, dryRun: false, summary: { ...summary, notified }, results: preview };
+    },
+
+    /**
+     * Grades one stored answer against the current question.
+     * Saving a question recreates its options, so the stored option IDs are mapped to the
+     * current options by ID, text or (with a snapshot of the same size) position.
+     * @returns {Object|null} Graded answer, null if the answer no longer fits the question
+     */
+    regradeAnswer(answer, question) {
+        const parse = (value, fallback) => {
+            try {
+                return JSON.parse(value) ?? fallback;
+            } catch (e) {
+                return fallback;
+            }
+        };
+        const snapshot = parse(answer.question_snapshot, null);
+        if (snapshot && snapshot.questionType !== question.questionType) return null;
+
+        const optionDetails = parse(answer.option_details, {});
+        const responseData = parse(answer.response_data, {});
+        const storedOptions = snapshot?.options || optionDetails.allOptions || responseData.items || responseData.pairs || [];
+        const mapOption = (optionId) => {
+            const current = question.options.find(o => o.id === optionId);
+            if (current) return current;
+            const index = storedOptions.findIndex(o => o.id === optionId);
+            if (index === -1) return null;
+            const sameText = question.options.filter(o => o.text === storedOptions[index].text);
+            if (sameText.length === 1) return sameText[0];
+            return snapshot && storedOptions.length === question.options.length ? question.options[index] : null;
+        };
+        const mapIds = (ids) => {
+            const mapped = ids.map(mapOption);
+            return mapped.every(Boolean) ? mapped.map(o => o.id) : null;
+        };
+
+        const graded = { ...question, questionId: question.id, effectiveWeighting: answer.max_score || question.effectiveWeighting };
+        let submitted;
+
+        switch (question.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false':
+            case 'ordering': {
+                const selectedOptions = mapIds(parse(answer.selected_options, []));
+                if (!selectedOptions) return null;
+                submitted = { selectedOptions };
+                // Keep the option order the test taker saw
+                const shownIds = (optionDetails.allOptions || []).map(o => mapOption(o.id)?.id).filter(Boolean);
+                if (question.questionType !== 'ordering') graded.options = this.sortByIdOrder(question.options, shownIds);
+                break;
+            }
+            case 'matching': {
+                const matches = {};
+                for (const pair of responseData.pairs || []) {
+                    if (!pair.submittedMatch) continue;
+                    const option = mapOption(pair.id);
+                    const stored = storedOptions.find(o => o.matchText === pair.submittedMatch);
+                    const counterpart = (stored && mapOption(stored.id)) || question.options.find(o => o.matchText === pair.submittedMatch);
+                    if (!option || !counterpart) return null;
+                    matches[option.id] = counterpart.id;
+                }
+                submitted = { matches };
+                graded.matchOptions = question.options.map(o => ({ id: o.id, optionId: o.id, text: o.matchText }));
+                break;
+            }
+            case 'cloze':
+                submitted = { blanks: (responseData.blanks || []).map(b => b.answer) };
+                break;
+            default:
+                submitted = { answerText: answer.answer_text || '' };
+        }
+
+        return this.gradeAnswer(graded, submitted);
+    },
+
+    // ============================================
+    // TEST TAKING & GRADING
+    // ============================================
+
+    /**
+     * Gets the questions of an attempt with answer key, in the order the user sees them.
+     * Options are ordered as drawn for the attempt.
+     * @param {Object} attempt - Formatted attempt
+     */
+    getAttemptQuestions(attempt) {
+        const test = this.getTestById(attempt.testId);
+        if (!test) throw new Error('Test not found');
+
+        // Attempts started before question sets were stored show the test as configured
+        const questionSet = attempt.questionSet || test.questions.map(q => ({
+            questionId: q.questionId,
+            optionIds: q.options.map(o => o.id)
+        }));
+
+        return questionSet.map(entry => {
+            let question = test.questions.find(q => q.questionId === entry.questionId);
+            if (!question) {
+                // Drawn from a pool - not part of the fixed question list
+                const poolQuestion = this.getQuestionById(entry.questionId);
+                if (!poolQuestion) return null;
+                question = { ...poolQuestion, questionId: poolQuestion.id };
+            }
+
+            const options = this.sortByIdOrder(question.options, entry.optionIds || []);
+            // Counterparts get their own keys - reusing option IDs would reveal the pairs
+            const matchOptions = question.questionType === 'matching'
+                ? this.sortByIdOrder(question.options, entry.matchIds || [])
+                    .map((o, index) => ({ id: `m${index + 1}`, optionId: o.id, text: o.matchText }))
+                : [];
+
+            return { ...question, options, matchOptions };
+        }).filter(Boolean);
+    },
+
+    /**
+     * Sorts options by a list of IDs - options missing from the list go last
+     */
+    sortByIdOrder(options, ids) {
+        return [...options].sort((a, b) => {
+            const ia = ids.indexOf(a.id);
+            const ib = ids.indexOf(b.id);
+            return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+        });
+    },
+
+    /**
+     * Gets the questions of an attempt as they are shown to a test taker.
+     * Correct flags, exact answers and trigger words are never included.
+     * @param {Object} attempt - Formatted attempt
+     */
+    getQuestionsForTaking(attempt) {
+        return this.getAttemptQuestions(attempt).map(q => ({
+            id: q.questionId,
+            title: q.title || '',
+            questionText: q.questionText,
+            questionType: q.questionType,
+            categoryName: q.categoryName,
+            effectiveWeighting: q.effectiveWeighting,
+            allowPartialAnswer: q.allowPartialAnswer,
+            media: q.media || [],
+            // Cloze options hold the accepted answers - only the number of blanks is shown
+            options: q.questionType === 'cloze' ? [] : q.options.map(o => ({ id: o.id, text: o.text, media: o.media || null })),
+            matchOptions: (q.matchOptions || []).map(m => ({ id: m.id, text: m.text })),
+            blankCount: q.questionType === 'cloze' ? q.options.length : 0
+        }));
+    },
+
+    /**
+     * Grades a single submitted answer against the answer key
+     * @param {Object} question - Question as returned by getTestById (with options and correct flags)
+     * @param {Object} submitted - Raw answer from the test taker
+     *   ({ selectedOptions, answerText, matches, blanks } depending on the question type)
+     * @returns {Object} Answer record in the format expected by createResult
+     */
+    gradeAnswer(question, submitted = {}) {
+        submitted = submitted || {};
+
+        switch (question.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false':
+                return this.gradeChoiceAnswer(question, submitted);
+            case 'ordering':
+                return this.gradeOrderingAnswer(question, submitted);
+            case 'matching':
+                return this.gradeMatchingAnswer(question, submitted);
+            case 'numeric':
+                return this.gradeNumericAnswer(question, submitted);
+            case 'cloze':
+                return this.gradeClozeAnswer(question, submitted);
+            default:
+                return this.gradeOpenAnswer(question, submitted);
+        }
+    },
+
+    /**
+     * Score for answers made of several parts (items, pairs, blanks)
+     */
+    partialScore(question, correctCount, total) {
+        const weighting = question.effectiveWeighting || 1;
+        if (question.allowPartialAnswer) {
+            return total > 0 ? (correctCount / total) * weighting : 0;
+        }
+        return total > 0 && correctCount === total ? weighting : 0;
+    },
+
+    gradeChoiceAnswer(question, submitted) {
+        const weighting = question.effectiveWeighting || 1;
+
+        // Ignore option IDs that do not belong to this question
+        const submittedIds = Array.isArray(submitted.selectedOptions) ? submitted.selectedOptions : [];
+        let selectedOptions = question.options.filter(o => submittedIds.includes(o.id)).map(o => o.id);
+        if (question.questionType !== 'multiple_choice') {
+            // Single choice and true/false accept exactly one selection
+            selectedOptions = selectedOptions.slice(0, 1);
+        }
+
+        const allOptions = question.options.map(o => ({
+            id: o.id,
+            text: o.text,
+            isCorrect: o.isCorrect,
+            wasSelected: selectedOptions.includes(o.id)
+        }));
+        const selectedOptionDetails = allOptions
+            .filter(o => o.wasSelected)
+            .map(o => ({ id: o.id, text: o.text, isCorrect: o.isCorrect }));
+
+        const totalCorrectOptions = allOptions.filter(o => o.isCorrect).length;
+        const correctSelected = allOptions.filter(o => o.wasSelected && o.isCorrect).length;
+        const incorrectSelected = allOptions.filter(o => o.wasSelected && !o.isCorrect).length;
+
+        // Question is "correct" only if all correct options selected and no wrong ones
+        const isCorrect = correctSelected === totalCorrectOptions && incorrectSelected === 0;
+        const allowPartialAnswer = question.questionType === 'multiple_choice' && question.allowPartialAnswer;
+
+        let score;
+        if (allowPartialAnswer) {
+            // Partial scoring: (correct - wrong) / totalCorrect * weighting, minimum 0
+            const partialRatio = totalCorrectOptions > 0
+                ? Math.max(0, (correctSelected - incorrectSelected) / totalCorrectOptions)
+                : 0;
+            score = partialRatio * weighting;
+        } else {
+            // All-or-nothing scoring
+            score = isCorrect ? weighting : 0;
+        }
+
+        return {
+            questionId: question.questionId,
+            selectedOptions,
+            selectedOptionDetails,
+            allOptions,
+            correctSelected,
+            incorrectSelected,
+            totalCorrectOptions,
+            allowPartialAnswer,
+            isCorrect,
+            score,
+            maxScore: weighting
+        };
+    },
+
+    gradeOrderingAnswer(question, submitted) {
+        // Stored option order is the correct order
+        const correctOrder = [...question.options].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+        const validIds = correctOrder.map(o => o.id);
+        const submittedIds = Array.isArray(submitted.selectedOptions) ? submitted.selectedOptions : [];
+        const submittedOrder = [...new Set(submittedIds.filter(id => validIds.includes(id)))];
+
+        const items = correctOrder.map((o, index) => ({
+            id: o.id,
+            text: o.text,
+            correctPosition: index + 1,
+            submittedPosition: submittedOrder.indexOf(o.id) + 1 || null
+        }));
+        const correctCount = items.filter(i => i.correctPosition === i.submittedPosition).length;
+
+        return {
+            questionId: question.questionId,
+            selectedOptions: submittedOrder,
+            isCorrect: correctCount === items.length,
+            score: this.partialScore(question, correctCount, items.length),
+            maxScore: question.effectiveWeighting || 1,
+            responseData: {
+                items,
+                submittedOrder: submittedOrder.map(id => ({ id, text: correctOrder.find(o => o.id === id).text })),
+                correctCount,
+                total: items.length
+            }
+        };
+    },
+
+    gradeMatchingAnswer(question, submitted) {
+        const matches = submitted.matches && typeof submitted.matches === 'object' ? submitted.matches : {};
+        // Submitted values are counterpart keys of the attempt (see getAttemptQuestions)
+        const matchKeys = Object.fromEntries((question.matchOptions || []).map(m => [m.id, m.optionId]));
+
+        const pairs = question.options.map(o => {
+            const matchedOption = question.options.find(m => m.id === matchKeys[matches[o.id]]);
+            return {
+                id: o.id,
+                text: o.text,
+                correctMatch: o.matchText,
+                submittedMatch: matchedOption ? matchedOption.matchText : null,
+                isCorrect: !!matchedOption && matchedOption.id === o.id
+            };
+        });
+        const correctCount = pairs.filter(p => p.isCorrect).length;
+
+        return {
+            questionId: question.questionId,
+            isCorrect: correctCount === pairs.length,
+            score: this.partialScore(question, correctCount, pairs.length),
+            maxScore: question.effectiveWeighting || 1,
+            responseData: {
+                matches: Object.fromEntries(pairs.filter(p => matches[p.id]).map(p => [p.id, matches[p.id]])),
+                pairs,
+                correctCount,
+                total: pairs.length
+            }
+        };
+    },
+
+    gradeNumericAnswer(question, submitted) {
+        const weighting = question.effectiveWeighting || 1;
+        const answerText = typeof submitted.answerText === 'string' ? submitted.answerText.trim() : '';
+        const value = this.parseNumber(answerText);
+        const expected = this.parseNumber(question.exactAnswer);
+        const tolerance = question.numericTolerance || 0;
+
+        // Small epsilon so floating point noise does not fail answers right at the tolerance edge
+        const isCorrect = Number.isFinite(value) && Number.isFinite(expected)
+            && Math.abs(value - expected) <= tolerance + 1e-9;
+
+        return {
+            questionId: question.questionId,
+            answerText,
+            isCorrect,
+            score: isCorrect ? weighting : 0,
+            maxScore: weighting,
+            responseData: {
+                value: Number.isFinite(value) ? value : null,
+                expected,
+                tolerance
+            }
+        };
+    },
+
+    gradeClozeAnswer(question, submitted) {
+        const submittedBlanks = Array.isArray(submitted.blanks) ? submitted.blanks : [];
+        const normalize = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+        // Each blank option holds its accepted answers separated by "|"
+        const blanks = [...question.options]
+            .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+            .map((o, index) => {
+                const accepted = o.text.split('|').map(a => a.trim()).filter(Boolean);
+                const answer = typeof submittedBlanks[index] === 'string' ? submittedBlanks[index].trim() : '';
+                return {
+                    index: index + 1,
+                    answer,
+                    accepted,
+                    isCorrect: answer !== '' && accepted.some(a => normalize(a) === normalize(answer))
+                };
+            });
+        const correctCount = blanks.filter(b => b.isCorrect).length;
+
+        return {
+            questionId: question.questionId,
+            answerText: blanks.map(b => b.answer).join(' | '),
+            isCorrect: correctCount === blanks.length,
+            score: this.partialScore(question, correctCount, blanks.length),
+            maxScore: question.effectiveWeighting || 1,
+            responseData: {
+                blanks,
+                correctCount,
+                total: blanks.length
+            }
+        };
+    },
+
+    gradeOpenAnswer(question, submitted) {
+        const weighting = question.effectiveWeighting || 1;
+
+        // Open question - checked against exact answer and keyword rules (or trigger words)
+        const answerText = typeof submitted.answerText === 'string' ? submitted.answerText.trim() : '';
+        const check = this.checkOpenAnswer(answerText, question.exactAnswer, question.triggerWords, question.answerRules);
+
+        // Partial answers earn the share of keyword points, an exact match always full points
+        let score = check.isCorrect ? weighting : 0;
+        if (question.allowPartialAnswer && !check.isCorrect && check.possiblePoints > 0) {
+            score = (check.earnedPoints / check.possiblePoints) * weighting;
+        }
+
+        const notes = [`Matched: ${check.matchedTriggers.join(', ') || 'none'}`];
+        if (check.missingKeywords.length > 0) notes.push(`Missing: ${check.missingKeywords.join(', ')}`);
+        if (check.forbiddenWords.length > 0) notes.push(`Forbidden: ${check.forbiddenWords.join(', ')}`);
+
+        return {
+            questionId: question.questionId,
+            answerText,
+            isCorrect: check.isCorrect,
+            score,
+            maxScore: weighting,
+            evaluatorNotes: notes.join(' · '),
+            confidence: check.confidence,
+            responseData: {
+                matchedKeywords: check.matchedKeywords,
+                missingKeywords: check.missingKeywords,
+                forbiddenWords: check.forbiddenWords,
+                groups: check.groups,
+                earnedPoints: check.earnedPoints,
+                possiblePoints: check.possiblePoints
+            }
+        };
+    },
+
+    /**
+     * Grades a submitted test for an assignment and stores the result.
+     * Only the raw selections and texts of the test taker are used - scores are
+     * always calculated here from the answer key.
+     * Submissions after the attempt deadline (plus a short grace period) are rejected
+     * and the attempt is finalized without them.
+     * @param {string} assignmentId
+     * @param {Object} submission - { answers: [{ questionId, selectedOptions, answerText }] }
+     */
+    submitAssignment(assignmentId, submission = {}) {
+        const assignment = this.getAssignmentById(assignmentId);
+        if (!assignment) return { success: false, error: 'Assignment not found' };
+        if (assignment.status === 'completed') return { success: false, error: 'Test already completed' };
+
+        const attempt = this.getActiveAttempt(assignmentId);
+        if (!attempt) return { success: false, error: 'No active attempt - please start the test first' };
+
+        const graceSeconds = Config.get('knowledgeCheck.attemptGraceSeconds', 30);
+        if (this.isAttemptExpired(attempt, graceSeconds)) {
+            // Only answers autosaved before the deadline are graded
+            const result = this.finalizeAttempt(attempt, this.getDraftAnswers(attempt.id), 'expired');
+            return {
+                success: false,
+                code: 'ATTEMPT_EXPIRED',
+                error: 'Time limit exceeded - answers submitted after the deadline were not accepted',
+                result
+            };
+        }
+
+        const result = this.finalizeAttempt(attempt, submission.answers, 'submitted');
+        return { success: true, result };
+    },
+
+    // ============================================
+    // TEST ATTEMPTS
+    // ============================================
+
+    formatAttempt(attempt) {
+        return {
+            id: attempt.id,
+            assignmentId: attempt.assignment_id,
+            testId: attempt.test_id,
+            userId: attempt.user_id,
+            status: attempt.status,
+            startedAt: attempt.started_at,
+            deadlineAt: attempt.deadline_at,
+            questionSet: attempt.question_set ? JSON.parse(attempt.question_set) : null,
+            submittedAt: attempt.submitted_at,
+            resultId: attempt.result_id,
+            createdAt: attempt.created_at,
+            updatedAt: attempt.updated_at
+        };
+    },
+
+    getAttemptById(id) {
+        const attempt = get('SELECT * FROM kc_test_attempts WHERE id = ?', [id]);
+        return attempt ? this.formatAttempt(attempt) : null;
+    },
+
+    /**
+     * Gets the running attempt of an assignment (if any)
+     */
+    getActiveAttempt(assignmentId) {
+        const attempt = get(
+            'SELECT * FROM kc_test_attempts WHERE assignment_id = ? AND status = ? ORDER BY started_at DESC LIMIT 1',
+            [assignmentId, 'in_progress']
+        );
+        return attempt ? this.formatAttempt(attempt) : null;
+    },
+
+    /**
+     * Checks whether an attempt is past its deadline
+     * @param {Object} attempt - Formatted attempt
+     * @param {number} graceSeconds - Extra seconds allowed after the deadline
+     */
+    isAttemptExpired(attempt, graceSeconds = 0) {
+        if (!attempt.deadlineAt) return false;
+        return Date.now() > new Date(attempt.deadlineAt).getTime() + graceSeconds * 1000;
+    },
+
+    /**
+     * Starts an attempt for an assignment, or resumes the running one.
+     * The deadline is derived from the test's time limit and the server clock.
+     * An attempt whose deadline (plus grace period) has passed is finalized instead of resumed -
+     * the same grace period submit and draft saving allow.
+     */
+    startAttempt(assignmentId) {
+        const assignment = this.getAssignmentById(assignmentId);
+        if (!assignment) return { success: false, error: 'Assignment not found' };
+
+        const existing = this.getActiveAttempt(assignmentId);
+        if (existing) {
+            if (this.isAttemptExpired(existing, Config.get('knowledgeCheck.attemptGraceSeconds', 30))) {
+                const result = this.finalizeAttempt(existing, this.getDraftAnswers(existing.id), 'expired');
+                return {
+                    success: false,
+                    code: 'ATTEMPT_EXPIRED',
+                    error: 'Time limit exceeded - the test was submitted automatically',
+                    result
+                };
+            }
+            return { success: true, attempt: existing, resumed: true };
+        }
+
+        // New attempts only within the availability window
+        const unavailable = this.getAvailabilityError(assignment);
+        if (unavailable) return { success: false, ...unavailable };
+
+        // A completed assignment can only be restarted within the test's retake policy
+        if (assignment.status === 'completed') {
+            const retake = this.getRetakeStatus(assignmentId);
+            if (!retake.canRetake) {
+                return { success: false, code: retake.code, error: retake.reason, retake };
+            }
+        }
+
+        const test = this.getTestById(assignment.testId);
+        if (!test) return { success: false, error: 'Test not found' };
+
+        const now = new Date();
+        const id = uuidv4();
+        // The attempt ends with the time limit, at the latest when the availability window closes
+        const deadlines = [
+            assignment.timeLimitMinutes ? now.getTime() + assignment.timeLimitMinutes * 60 * 1000 : null,
+            assignment.availableUntil ? new Date(assignment.availableUntil).getTime() : null
+        ].filter(d => d !== null);
+        const deadline = deadlines.length > 0 ? new Date(Math.min(...deadlines)).toISOString() : null;
+
+        // An attempt with a short question set would be graded on fewer questions than the test has
+        const drawError = this.getDrawError(test);
+        if (drawError) return { success: false, error: drawError };
+
+        // Questions and option order are fixed for the whole attempt
+        const questionSet = this.drawQuestionSet(test);
+
+        run(`INSERT INTO kc_test_attempts (id, assignment_id, test_id, user_id, status, started_at, deadline_at, question_set, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, assignmentId, assignment.testId, assignment.userId, 'in_progress', now.toISOString(), deadline,
+             JSON.stringify(questionSet), now.toISOString(), now.toISOString()]);
+
+        // Supervisors can see who has started (or is retaking)
+        if (['scheduled', 'pending', 'completed'].includes(assignment.status)) {
+            run('UPDATE kc_test_assignments SET status = ?, updated_at = ? WHERE id = ?',
+                ['in_progress', now.toISOString(), assignmentId]);
+        }
+
+        saveDb();
+        return { success: true, attempt: this.getAttemptById(id), resumed: false };
+    },
+
+    /**
+     * Grades the answers of an attempt, stores the result and completes the assignment.
+     * The assignment keeps the result that counts under the test's scoring policy.
+     * @param {Object} attempt - Formatted attempt
+     * @param {Array} submittedAnswers - Raw answers ({ questionId, selectedOptions, answerText })
+     * @param {string} status - Final attempt status ('submitted' or 'expired')
+     */
+    finalizeAttempt(attempt, submittedAnswers, status) {
+        const questions = this.getAttemptQuestions(attempt);
+
+        const rawAnswers = Array.isArray(submittedAnswers) ? submittedAnswers : [];
+        const answers = questions.map(q => {
+            const submitted = rawAnswers.find(a => a && a.questionId === q.questionId);
+            return { ...this.gradeAnswer(q, submitted), timeSpentSeconds: this.parseTimeSpent(submitted?.timeSpentSeconds) };
+        });
+
+        const totalScore = answers.reduce((sum, a) => sum + a.score, 0);
+        const maxScore = answers.reduce((sum, a) => sum + a.maxScore, 0);
+        const now = new Date().toISOString();
+        const previous = get('SELECT MAX(attempt_number) as last FROM kc_test_results WHERE assignment_id = ?', [attempt.assignmentId]);
+
+        const result = this.createResult({
+            testId: attempt.testId,
+            userId: attempt.userId,
+            assignmentId: attempt.assignmentId,
+            attemptNumber: (previous?.last || 0) + 1,
+            startedAt: attempt.startedAt,
+            completedAt: now,
+            totalScore,
+            maxScore,
+            answers,
+            notes: status === 'expired' ? 'Automatically submitted after the time limit expired' : ''
+        }, null);
+
+        run('UPDATE kc_test_attempts SET status = ?, submitted_at = ?, result_id = ?, updated_at = ? WHERE id = ?',
+            [status, now, result.id, now, attempt.id]);
+        run('DELETE FROM kc_answer_drafts WHERE attempt_id = ?', [attempt.id]);
+        this.updateAssignment(attempt.assignmentId, { status: 'completed' });
+        return result;
+    },
+
+    /**
+     * Finalizes all running attempts whose deadline (plus grace period) has passed
+     * @param {Object} filters - Optional { userId }
+     * @returns {number} Number of finalized attempts
+     */
+    finalizeExpiredAttempts(filters = {}) {
+        const graceSeconds = Config.get('knowledgeCheck.attemptGraceSeconds', 30);
+        const cutoff = new Date(Date.now() - graceSeconds * 1000).toISOString();
+
+        let sql = 'SELECT * FROM kc_test_attempts WHERE status = ? AND deadline_at IS NOT NULL AND deadline_at < ?';
+        const params = ['in_progress', cutoff];
+        if (filters.userId) {
+            sql += ' AND user_id = ?';
+            params.push(filters.userId);
+        }
+
+        const expired = all(sql, params).map(a => this.formatAttempt(a));
+        expired.forEach(attempt => this.finalizeAttempt(attempt, this.getDraftAnswers(attempt.id), 'expired'));
+        return expired.length;
+    },
+
+    // ============================================
+    // RETAKES & SCORING POLICY
+    // ============================================
+
+    /**
+     * Gets all results (attempts) of an assignment, oldest first
+     */
+    getAssignmentAttempts(assignmentId) {
+        return all(`
+            SELECT r.id, r.result_number, r.attempt_number, r.percentage, r.passed, r.started_at, r.completed_at,
+                a.result_id as counting_result_id
+            FROM kc_test_results r
+            JOIN kc_test_assignments a ON r.assignment_id = a.id
+            WHERE r.assignment_id = ?
+            ORDER BY r.attempt_number, r.completed_at
+        `, [assignmentId]).map(r => ({
+            resultId: r.id,
+            resultNumber: r.result_number,
+            attemptNumber: r.attempt_number || 1,
+            percentage: r.percentage,
+            passed: !!r.passed,
+            startedAt: r.started_at,
+            completedAt: r.completed_at,
+            isCounting: r.counting_result_id === r.id
+        }));
+    },
+
+    /**
+     * Checks whether a completed assignment may be taken again
+     * @returns {Object|null} { canRetake, code, reason, attemptsUsed, maxAttempts, availableAt }
+     *   code is MAX_ATTEMPTS, ALREADY_PASSED or COOLDOWN when a retake is not possible
+     */
+    getRetakeStatus(assignmentId) {
+        const assignment = get(`
+            SELECT a.final_passed, t.max_attempts, t.retake_cooldown_hours, t.retake_only_if_failed
+            FROM kc_test_assignments a
+            JOIN kc_tests t ON a.test_id = t.id
+            WHERE a.id = ?
+        `, [assignmentId]);
+        if (!assignment) return null;
+
+        const attempts = get('SELECT COUNT(*) as count, MAX(completed_at) as last_completed_at FROM kc_test_results WHERE assignment_id = ?', [assignmentId]);
+        const maxAttempts = assignment.max_attempts === null ? 1 : assignment.max_attempts;
+        const status = {
+            canRetake: false,
+            code: null,
+            reason: null,
+            attemptsUsed: attempts.count,
+            maxAttempts,
+            availableAt: null
+        };
+
+        // 0 = unlimited attempts
+        if (maxAttempts > 0 && attempts.count >= maxAttempts) {
+            return { ...status, code: 'MAX_ATTEMPTS', reason: 'Maximum number of attempts reached' };
+        }
+        if (assignment.retake_only_if_failed && assignment.final_passed) {
+            return { ...status, code: 'ALREADY_PASSED', reason: 'Test already passed - retakes are only allowed after failing' };
+        }
+        if (assignment.retake_cooldown_hours > 0 && attempts.last_completed_at) {
+            const availableAt = new Date(new Date(attempts.last_completed_at).getTime() + assignment.retake_cooldown_hours * 60 * 60 * 1000);
+            if (availableAt.getTime() > Date.now()) {
+                return { ...status, code: 'COOLDOWN', reason: 'Retake not yet available - please wait for the cooldown', availableAt: availableAt.toISOString() };
+            }
+        }
+
+        return { ...status, canRetake: true };
+    },
+
+    /**
+     * Determines the result that counts for an assignment and stores its final score.
+     * best: highest percentage, last: latest attempt, average: mean of all attempts
+     * (linked to the latest attempt, passed if the mean reaches the passing score).
+     */
+    applyScoringPolicy(assignmentId) {
+        const assignment = get(`
+            SELECT a.id, t.scoring_policy, t.passing_score
+            FROM kc_test_assignments a
+            JOIN kc_tests t ON a.test_id = t.id
+            WHERE a.id = ?
+        `, [assignmentId]);
+        if (!assignment) return;
+
+        const results = all('SELECT id, percentage, passed FROM kc_test_results WHERE assignment_id = ? ORDER BY attempt_number, completed_at', [assignmentId]);
+        const now = new Date().toISOString();
+
+        if (results.length === 0) {
+            run('UPDATE kc_test_assignments SET result_id = NULL, final_percentage = NULL, final_passed = NULL, updated_at = ? WHERE id = ?',
+                [now, assignmentId]);
+            this.syncLearningPathForAssignment(assignmentId);
+            return;
+        }
+
+        let counting = results[results.length - 1];
+        let percentage = counting.percentage;
+        let passed = !!counting.passed;
+
+        if (assignment.scoring_policy === 'average') {
+            percentage = Math.round(results.reduce((sum, r) => sum + r.percentage, 0) / results.length);
+            passed = percentage >= assignment.passing_score;
+        } else if (assignment.scoring_policy !== 'last') {
+            // Earliest attempt wins a tie
+            counting = results.reduce((best, r) => (r.percentage > best.percentage ? r : best), results[0]);
+            percentage = counting.percentage;
+            passed = !!counting.passed;
+        }
+
+        run('UPDATE kc_test_assignments SET result_id = ?, final_percentage = ?, final_passed = ?, updated_at = ? WHERE id = ?',
+            [counting.id, percentage, passed ? 1 : 0, now, assignmentId]);
+        this.syncLearningPathForAssignment(assignmentId);
+    },
+
+    // ============================================
+    // ANSWER DRAFTS
+    // ============================================
+
+    /**
+     * Gets the autosaved answers of an attempt in submission format
+     */
+    getDraftAnswers(attemptId) {
+        return all('SELECT * FROM kc_answer_drafts WHERE attempt_id = ?', [attemptId]).map(d => ({
+            questionId: d.question_id,
+            selectedOptions: JSON.parse(d.selected_options || '[]'),
+            answerText: d.answer_text || '',
+            // Matches (matching) and blanks (cloze)
+            ...JSON.parse(d.response_data || '{}')
+        }));
+    },
+
+    /**
+     * Sanitizes the seconds a test taker reports for a question
+     * @returns {number|null} Whole seconds or null if not tracked
+     */
+    parseTimeSpent(value) {
+        const seconds = Math.round(Number(value));
+        return value !== null && value !== undefined && Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+    },
+
+    /**
+     * Gets the draft of the running attempt of an assignment
+     * @returns {Object|null} { attemptId, answers, savedAt } or null if no attempt is running
+     */
+    getDraft(assignmentId) {
+        const attempt = this.getActiveAttempt(assignmentId);
+        if (!attempt) return null;
+
+        const savedAt = get('SELECT MAX(updated_at) as saved_at FROM kc_answer_drafts WHERE attempt_id = ?', [attempt.id])?.saved_at;
+        return {
+            attemptId: attempt.id,
+            answers: this.getDraftAnswers(attempt.id),
+            savedAt: savedAt || null
+        };
+    },
+
+    /**
+     * Replaces the draft of the running attempt with the current answers.
+     * Answers for questions that are not part of the test are ignored.
+     * @param {string} assignmentId
+     * @param {Array} answers - Raw answers ({ questionId, selectedOptions, answerText })
+     */
+    saveDraft(assignmentId, answers = []) {
+        const attempt = this.getActiveAttempt(assignmentId);
+        if (!attempt) return { success: false, error: 'No active attempt - please start the test first' };
+
+        const graceSeconds = Config.get('knowledgeCheck.attemptGraceSeconds', 30);
+        if (this.isAttemptExpired(attempt, graceSeconds)) {
+            return { success: false, code: 'ATTEMPT_EXPIRED', error: 'Time limit exceeded - draft was not saved' };
+        }
+
+        const questionIds = new Set(this.getAttemptQuestions(attempt).map(q => q.questionId));
+        const now = new Date().toISOString();
+
+        run('DELETE FROM kc_answer_drafts WHERE attempt_id = ?', [attempt.id]);
+        answers.filter(a => a && questionIds.has(a.questionId)).forEach(a => {
+            const selectedOptions = Array.isArray(a.selectedOptions) ? a.selectedOptions.map(String) : [];
+            const responseData = {};
+            if (a.matches && typeof a.matches === 'object') responseData.matches = a.matches;
+            if (Array.isArray(a.blanks)) responseData.blanks = a.blanks.map(String);
+            const timeSpent = this.parseTimeSpent(a.timeSpentSeconds);
+            if (timeSpent !== null) responseData.timeSpentSeconds = timeSpent;
+
+            run(`INSERT INTO kc_answer_drafts (id, attempt_id, assignment_id, question_id, selected_options, answer_text, response_data, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), attempt.id, assignmentId, a.questionId, JSON.stringify(selectedOptions),
+                 typeof a.answerText === 'string' ? a.answerText : '', JSON.stringify(responseData), now]);
+        });
+        run('UPDATE kc_test_attempts SET updated_at = ? WHERE id = ?', [now, attempt.id]);
+
+        saveDb();
+        return { success: true, savedAt: now };
+    },
+
+    // ============================================
+    // PRACTICE MODE
+    // ============================================
+    // Practice attempts live in their own table - they never create results, so
+    // statistics, pass rates, exports, certificates and item analysis ignore them.
+
+    formatPracticeAttempt(attempt) {
+        let questionSet = [];
+        let answers = [];
+        try {
+            questionSet = JSON.parse(attempt.question_set || '[]');
+            answers = JSON.parse(attempt.answers || '[]');
+        } catch (e) {
+            // Broken JSON is treated as an empty attempt
+        }
+        return {
+            id: attempt.id,
+            testId: attempt.test_id,
+            userId: attempt.user_id,
+            questionSet,
+            answers,
+            totalScore: attempt.total_score,
+            maxScore: attempt.max_score,
+            percentage: attempt.percentage,
+            startedAt: attempt.started_at,
+            completedAt: attempt.completed_at
+        };
+    },
+
+    getPracticeAttempt(id, userId) {
+        const attempt = get('SELECT * FROM kc_practice_attempts WHERE id = ? AND user_id = ?', [id, userId]);
+        return attempt ? this.formatPracticeAttempt(attempt) : null;
+    },
+
+    /**
+     * Published tests that allow practice, with the practice history of a user
+     */
+    getPracticeTests(userId) {
+        return all(`
+            SELECT t.id, t.test_number, t.name, t.description, t.passing_score, t.question_mode, t.draw_count,
+                (SELECT COUNT(*) FROM kc_test_questions tq WHERE tq.test_id = t.id) as question_count,
+                (SELECT COUNT(*) FROM kc_practice_attempts p WHERE p.test_id = t.id AND p.user_id = ? AND p.completed_at IS NOT NULL) as practice_count,
+                (SELECT MAX(p.percentage) FROM kc_practice_attempts p WHERE p.test_id = t.id AND p.user_id = ? AND p.completed_at IS NOT NULL) as best_percentage,
+                (SELECT MAX(p.completed_at) FROM kc_practice_attempts p WHERE p.test_id = t.id AND p.user_id = ?) as last_practiced_at
+            FROM kc_tests t
+            WHERE t.allow_practice = 1 AND t.status = 'published' AND t.is_active = 1 AND (t.is_archived = 0 OR t.is_archived IS NULL)
+            ORDER BY t.name
+        `, [userId, userId, userId]).map(t => ({
+            id: t.id,
+            testNumber: t.test_number,
+            name: t.name,
+            description: t.description,
+            passingScore: t.passing_score,
+            questionCount: t.question_mode === 'pool' ? (t.draw_count || 0) : t.question_count,
+            practiceCount: t.practice_count,
+            bestPercentage: t.best_percentage,
+            lastPracticedAt: t.last_practiced_at
+        }));
+    },
+
+    /**
+     * Starts a practice attempt - unlimited, without time limit; an unfinished one of the same test is discarded
+     */
+    startPractice(testId, userId) {
+        const test = this.getTestById(testId);
+        if (!test) return { success: false, error: 'Test not found' };
+        if (!test.allowPractice || test.status !== 'published' || !test.isActive || test.isArchived) {
+            return { success: false, error: 'Practice is not available for this test' };
+        }
+
+        const drawError = this.getDrawError(test);
+        if (drawError) return { success: false, error: drawError };
+
+        const questionSet = this.drawQuestionSet(test);
+
+        const id = uuidv4();
+        run('DELETE FROM kc_practice_attempts WHERE test_id = ? AND user_id = ? AND completed_at IS NULL', [testId, userId]);
+        run('INSERT INTO kc_practice_attempts (id, test_id, user_id, question_set, started_at) VALUES (?, ?, ?, ?, ?)',
+            [id, testId, userId, JSON.stringify(questionSet), new Date().toISOString()]);
+        saveDb();
+
+        const attempt = this.getPracticeAttempt(id, userId);
+        return {
+            success: true,
+            attempt: { id: attempt.id, startedAt: attempt.startedAt },
+            test: { id: test.id, testNumber: test.testNumber, name: test.name, passingScore: test.passingScore },
+            questions: this.getQuestionsForTaking(attempt)
+        };
+    },
+
+    /**
+     * Grades one answer of a practice attempt right away and returns the solution
+     * @param {Object} answer - { questionId, selectedOptions, answerText, matches, blanks }
+     */
+    checkPracticeAnswer(attemptId, userId, answer = {}) {
+        const attempt = this.getPracticeAttempt(attemptId, userId);
+        if (!attempt) return { success: false, error: 'Practice attempt not found' };
+        if (attempt.completedAt) return { success: false, error: 'Practice attempt already finished' };
+
+        const question = this.getAttemptQuestions(attempt).find(q => q.questionId === answer?.questionId);
+        if (!question) return { success: false, error: 'Question not found in this attempt' };
+        if (attempt.answers.some(a => a.questionId === question.questionId)) {
+            return { success: false, error: 'Question already checked' };
+        }
+
+        const graded = this.gradeAnswer(question, answer);
+        attempt.answers.push({ questionId: question.questionId, isCorrect: graded.isCorrect, score: graded.score, maxScore: graded.maxScore });
+        run('UPDATE kc_practice_attempts SET answers = ? WHERE id = ?', [JSON.stringify(attempt.answers), attempt.id]);
+        saveDb();
+
+        return { success: true, feedback: this.practiceFeedback(question, graded) };
+    },
+
+    /**
+     * Solution shown after a practice answer was checked
+     */
+    practiceFeedback(question, graded) {
+        return {
+            questionId: question.questionId,
+            questionType: question.questionType,
+            isCorrect: graded.isCorrect,
+            score: Math.round(graded.score * 100) / 100,
+            maxScore: graded.maxScore,
+            answerText: graded.answerText || '',
+            allOptions: graded.allOptions || [],
+            responseData: graded.responseData || {},
+            modelAnswer: question.questionType === 'open_question' ? question.exactAnswer || '' : '',
+            explanation: question.explanation || '',
+            optionExplanations: question.options
+                .filter(o => o.explanation)
+                .map(o => ({ id: o.id, text: o.text, explanation: o.explanation }))
+        };
+    },
+
+    /**
+     * Finishes a practice attempt - questions that were not checked count as unanswered
+     */
+    finishPractice(attemptId, userId) {
+        const attempt = this.getPracticeAttempt(attemptId, userId);
+        if (!attempt) return { success: false, error: 'Practice attempt not found' };
+        if (attempt.completedAt) return { success: false, error: 'Practice attempt already finished' };
+
+        const questions = this.getAttemptQuestions(attempt);
+        const answers = questions.map(q => {
+            const checked = attempt.answers.find(a => a.questionId === q.questionId);
+            if (checked) return checked;
+            const graded = this.gradeAnswer(q, {});
+            return { questionId: q.questionId, isCorrect: graded.isCorrect, score: graded.score, maxScore: graded.maxScore, unanswered: true };
+        });
+
+        const totalScore = answers.reduce((sum, a) => sum + a.score, 0);
+        const maxScore = answers.reduce((sum, a) => sum + a.maxScore, 0);
+        const percentage = maxScore > 0 ? Math.round((totalScore / maxScore) * 100) : 0;
+        const passingScore = get('SELECT passing_score FROM kc_tests WHERE id = ?', [attempt.testId])?.passing_score || 0;
+
+        run('UPDATE kc_practice_attempts SET answers = ?, total_score = ?, max_score = ?, percentage = ?, completed_at = ? WHERE id = ?',
+            [JSON.stringify(answers), totalScore, maxScore, percentage, new Date().toISOString(), attempt.id]);
+        saveDb();
+
+        return {
+            success: true,
+            summary: {
+                totalScore: Math.round(totalScore * 100) / 100,
+                maxScore,
+                percentage,
+                passed: percentage >= passingScore,
+                passingScore,
+                questionCount: answers.length,
+                correctCount: answers.filter(a => a.isCorrect).length,
+                unansweredCount: answers.filter(a => a.unanswered).length
+            }
+        };
+    },
+
+    // ============================================
+    // TEST PREVIEW
+    // ============================================
+    // Lets authors take a test as a test taker would. Nothing is stored - the drawn
+    // question set is handed to the client and sent back with the answers.
+
+    /**
+     * Draws a test like a new attempt (pool draw, shuffling, time limit)
+     */
+    previewTest(testId) {
+        const test = this.getTestById(testId);
+        if (!test) return { success: false, error: 'Test not found' };
+
+        const drawError = this.getDrawError(test);
+        if (drawError) return { success: false, error: drawError };
+
+        const questionSet = this.drawQuestionSet(test);
+
+        const now = new Date();
+        return {
+            success: true,
+            test: {
+                id: test.id,
+                testNumber: test.testNumber,
+                name: test.name,
+                description: test.description,
+                passingScore: test.passingScore,
+                timeLimitMinutes: test.timeLimitMinutes
+            },
+            questions: this.getQuestionsForTaking({ testId: test.id, questionSet }),
+            preview: {
+                questionSet,
+                startedAt: now.toISOString(),
+                deadlineAt: test.timeLimitMinutes ? new Date(now.getTime() + test.timeLimitMinutes * 60 * 1000).toISOString() : null,
+                serverTime: now.toISOString()
+            }
+        };
+    },
+
+    /**
+     * Grades a preview like a submitted attempt without creating a result
+     * @param {Object} submission - { questionSet, answers }
+     * @returns {Object} Result in the format of getResultById (without IDs)
+     */
+    gradeTestPreview(testId, submission = {}) {
+        const test = this.getTestById(testId);
+        if (!test) return { success: false, error: 'Test not found' };
+
+        // Only questions the test can actually draw are accepted, each once and no more than an attempt draws
+        const poolCategories = test.poolRules.map(r => r.categoryId);
+        const drawLimit = test.questionMode === 'pool'
+            ? Math.max(test.drawCount || 0, test.poolRules.reduce((sum, r) => sum + (r.quota || 0), 0))
+            : test.questions.length;
+        const isDrawable = (questionId) => {
+            if (test.questions.some(q => q.questionId === questionId)) return true;
+            const question = test.questionMode === 'pool' ? this.getQuestionById(questionId) : null;
+            return !!question && poolCategories.includes(question.categoryId);
+        };
+        const seen = new Set();
+        const questionSet = (Array.isArray(submission.questionSet) ? submission.questionSet : []).filter(entry => {
+            if (!entry || typeof entry.questionId !== 'string' || seen.has(entry.questionId)) return false;
+            seen.add(entry.questionId);
+            return isDrawable(entry.questionId);
+        }).slice(0, drawLimit);
+        if (questionSet.length === 0) return { success: false, error: 'Question set is required' };
+
+        const rawAnswers = Array.isArray(submission.answers) ? submission.answers : [];
+        const answers = this.getAttemptQuestions({ testId, questionSet }).map(q => {
+            const graded = this.gradeAnswer(q, rawAnswers.find(a => a && a.questionId === q.questionId));
+            return {
+                questionId: q.questionId,
+                questionTitle: q.title,
+                questionText: q.questionText,
+                questionType: q.questionType,
+                answerText: graded.answerText || '',
+                selectedOptions: graded.selectedOptions || [],
+                optionDetails: {
+                    allOptions: graded.allOptions || [],
+                    correctSelected: graded.correctSelected || 0,
+                    incorrectSelected: graded.incorrectSelected || 0,
+                    totalCorrectOptions: graded.totalCorrectOptions || 0,
+                    allowPartialAnswer: graded.allowPartialAnswer || false
+                },
+                responseData: graded.responseData || {},
+                explanation: q.explanation || '',
+                optionExplanations: q.options
+                    .filter(o => o.explanation)
+                    .map(o => ({ id: o.id, text: o.text, explanation: o.explanation })),
+                isCorrect: graded.isCorrect,
+                score: graded.score,
+                maxScore: graded.maxScore,
+                evaluatorNotes: graded.evaluatorNotes || ''
+            };
+        });
+
+        const totalScore = answers.reduce((sum, a) => sum + a.score, 0);
+        const maxScore = answers.reduce((sum, a) => sum + a.maxScore, 0);
+        const percentage = maxScore > 0 ? Math.round((totalScore / maxScore) * 100) : 0;
+
+        return {
+            success: true,
+            result: {
+                testId: test.id,
+                testNumber: test.testNumber,
+                testName: test.name,
+                completedAt: new Date().toISOString(),
+                totalScore,
+                maxScore,
+                percentage,
+                passed: percentage >= test.passingScore,
+                resultVisibility: test.resultVisibility,
+                answers
+            }
+        };
+    },
+
+    // ============================================
+    // CERTIFICATES
+    // ============================================
+
+    // Template texts used until an admin saves their own (placeholders: {{userName}}, {{testName}}, ...)
+    certificateTemplateDefaults: {
+        title: 'Zertifikat',
+        intro: 'Hiermit wird bestätigt, dass',
+        body: 'den Test „{{testName}}“ ({{testNumber}}) am {{date}} mit {{percentage}} % erfolgreich bestanden hat.',
+        footer: 'Die Echtheit dieses Zertifikats kann mit dem Verifizierungscode {{code}} geprüft werden.',
+        signatureName: '',
+        signatureTitle: ''
+    },
+
+    getCertificateTemplate() {
+        const template = {};
+        Object.entries(this.certificateTemplateDefaults).forEach(([key, fallback]) => {
+            const value = SettingsSystem.get(`knowledgeCheck.certificate.${key}`);
+            template[key] = value !== null ? value : fallback;
+        });
+        return template;
+    },
+
+    updateCertificateTemplate(data) {
+        const settings = {};
+        Object.keys(this.certificateTemplateDefaults).forEach(key => {
+            if (data[key] !== undefined) settings[`knowledgeCheck.certificate.${key}`] = String(data[key] || '');
+        });
+        SettingsSystem.setMany(settings);
+        return this.getCertificateTemplate();
+    },
+
+    generateVerificationCode() {
+        let code;
+        do {
+            const hex = uuidv4().replace(/-/g, '').toUpperCase();
+            code = `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+        } while (get('SELECT id FROM kc_certificates WHERE verification_code = ?', [code]));
+        return code;
+    },
+
+    /**
+     * Issues, updates or revokes the certificate of a result depending on whether it is passed.
+     * Callers save the database.
+     * @returns {Object|null} Certificate or null if the result has none
+     */
+    syncCertificate(resultId) {
+        const now = new Date().toISOString();
+        const result = get(`
+            SELECT r.*, t.name as test_name, t.test_number, u.first_name || ' ' || u.last_name as user_name
+            FROM kc_test_results r
+            JOIN kc_tests t ON r.test_id = t.id
+            JOIN users u ON r.user_id = u.id
+            WHERE r.id = ?
+        `, [resultId]);
+        const existing = get('SELECT * FROM kc_certificates WHERE result_id = ?', [resultId]);
+
+        if (!result || !result.passed) {
+            if (existing && !existing.revoked_at) {
+                run('UPDATE kc_certificates SET revoked_at = ?, updated_at = ? WHERE id = ?', [now, now, existing.id]);
+            }
+            return existing ? this.getCertificateByCode(existing.verification_code) : null;
+        }
+
+        if (existing) {
+            // Score can change through manual evaluation, names stay as issued
+            run('UPDATE kc_certificates SET percentage = ?, completed_at = ?, revoked_at = NULL, updated_at = ? WHERE id = ?',
+                [result.percentage, result.completed_at, now, existing.id]);
+            return this.getCertificateByCode(existing.verification_code);
+        }
+
+        const code = this.generateVerificationCode();
+        run(`INSERT INTO kc_certificates (id, result_id, verification_code, user_id, test_id, user_name, test_name, test_number, percentage, completed_at, issued_at, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [uuidv4(), resultId, code, result.user_id, result.test_id, result.user_name, result.test_name, result.test_number || '',
+             result.percentage, result.completed_at, now, now, now]);
+        return this.getCertificateByCode(code);
+    },
+
+    /**
+     * Certificate of a passed result, issued now if it does not exist yet
+     */
+    issueCertificate(resultId) {
+        const certificate = this.syncCertificate(resultId);
+        saveDb();
+        return certificate;
+    },
+
+    /**
+     * Revokes the certificates matching a condition (used before results are deleted)
+     */
+    revokeCertificates(condition, params) {
+        const now = new Date().toISOString();
+        run(`UPDATE kc_certificates SET revoked_at = ?, updated_at = ? WHERE revoked_at IS NULL AND ${condition}`,
+            [now, now, ...params]);
+    },
+
+    getCertificateByCode(code) {
+        const c = get(`
+            SELECT c.*, t.validity_months FROM kc_certificates c
+            LEFT JOIN kc_tests t ON c.test_id = t.id
+            WHERE c.verification_code = ?
+        `, [String(code || '').trim().toUpperCase()]);
+        if (!c) return null;
+        const validUntil = c.validity_months ? this.addMonths(c.completed_at || c.issued_at, c.validity_months) : null;
+        const isExpired = !!validUntil && validUntil < new Date().toISOString();
+        return {
+            id: c.id,
+            resultId: c.result_id,
+            verificationCode: c.verification_code,
+            userId: c.user_id,
+            testId: c.test_id,
+            userName: c.user_name,
+            testName: c.test_name,
+            testNumber: c.test_number,
+            percentage: c.percentage,
+            completedAt: c.completed_at,
+            issuedAt: c.issued_at,
+            revokedAt: c.revoked_at,
+            validUntil,
+            isExpired,
+            isValid: !c.revoked_at && !isExpired
+        };
+    },
+
+    // ============================================
+    // CERTIFICATION VALIDITY
+    // ============================================
+
+    addMonths(isoDate, months) {
+        const date = new Date(isoDate);
+        const day = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + months);
+        // 31 January + 1 month ends on the last day of February
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(day, lastDay));
+        return date.toISOString();
+    },
+
+    /**
+     * Certification status per user and test, for tests with a validity period.
+     * The latest passed result counts, "certified until" is its date plus the validity.
+     * @param {Object} filters - { testId, userId, status: valid|expiring|expired, leadDays }
+     * @returns {Array} Sorted by expiry, soonest first
+     */
+    getCertifications(filters = {}) {
+        const leadDays = filters.leadDays !== undefined ? filters.leadDays : Config.get('knowledgeCheck.recertificationLeadDays', 30);
+        const now = new Date();
+        const soon = new Date(now.getTime() + leadDays * 24 * 60 * 60 * 1000).toISOString();
+
+        let sql = `
+            SELECT r.user_id, r.test_id, MAX(r.completed_at) as last_passed_at,
+                t.name as test_name, t.test_number, t.validity_months,
+                u.first_name || ' ' || u.last_name as user_name, u.department
+            FROM kc_test_results r
+            JOIN kc_tests t ON r.test_id = t.id
+            JOIN users u ON r.user_id = u.id
+            WHERE r.passed = 1 AND t.validity_months > 0 AND t.is_archived = 0 AND u.is_active = 1
+        `;
+        const params = [];
+        if (filters.testId) {
+            sql += ' AND r.test_id = ?';
+            params.push(filters.testId);
+        }
+        if (filters.userId) {
+            sql += ' AND r.user_id = ?';
+            params.push(filters.userId);
+        }
+        sql += ' GROUP BY r.user_id, r.test_id';
+
+        const certifications = all(sql, params).map(c => {
+            const certifiedUntil = this.addMonths(c.last_passed_at, c.validity_months);
+            const status = certifiedUntil < now.toISOString() ? 'expired' : certifiedUntil < soon ? 'expiring' : 'valid';
+
+            // An assignment made after the last pass is the recertification (automatic or manual)
+            const recertification = get(`
+                SELECT a.id, a.status, a.due_date, r.run_number
+                FROM kc_test_assignments a
+                LEFT JOIN kc_test_runs r ON a.run_id = r.id
+                WHERE a.user_id = ? AND a.test_id = ? AND a.created_at > ?
+                ORDER BY a.created_at DESC LIMIT 1
+            `, [c.user_id, c.test_id, c.last_passed_at]);
+
+            return {
+                userId: c.user_id,
+                userName: c.user_name,
+                department: c.department,
+                testId: c.test_id,
+                testName: c.test_name,
+                testNumber: c.test_number,
+                validityMonths: c.validity_months,
+                lastPassedAt: c.last_passed_at,
+                certifiedUntil,
+                daysLeft: Math.ceil((new Date(certifiedUntil) - now) / (24 * 60 * 60 * 1000)),
+                status,
+                recertification: recertification ? {
+                    assignmentId: recertification.id,
+                    status: recertification.status,
+                    dueDate: recertification.due_date,
+                    runNumber: recertification.run_number
+                } : null
+            };
+        });
+
+        return certifications
+            .filter(c => !filters.status || c.status === filters.status)
+            .sort((a, b) => a.certifiedUntil.localeCompare(b.certifiedUntil));
+    },
+
+    /**
+     * Creates one recertification test run per test for everyone whose certification expires
+     * within the lead time (or already has) and who has no newer assignment for the test yet.
+     * The assignments are due when the certification expires (expired ones get the lead time).
+     * @returns {Array} Created runs [{ id, runNumber, testName, userCount }]
+     */
+    createRecertificationRuns(leadDays = Config.get('knowledgeCheck.recertificationLeadDays', 30)) {
+        const due = this.getCertifications({ leadDays }).filter(c => c.status !== 'valid' && !c.recertification);
+        if (due.length === 0) return [];
+
+        // Automatic runs are created in the name of the first administrator
+        const actor = get(`SELECT u.id FROM users u JOIN roles r ON u.role_id = r.id
+            WHERE r.is_admin = 1 AND u.is_active = 1 ORDER BY u.created_at LIMIT 1`);
+        if (!actor) return [];
+
+        const now = new Date().toISOString();
+        const fallbackDue = new Date(Date.now() + leadDays * 24 * 60 * 60 * 1000).toISOString();
+        const byTest = {};
+        due.forEach(c => {
+            (byTest[c.testId] = byTest[c.testId] || []).push({
+                ...c,
+                dueDate: (c.status === 'expired' ? fallbackDue : c.certifiedUntil).split('T')[0]
+            });
+        });
+
+        const created = Object.values(byTest).map(entries => {
+            const first = entries[0];
+            const id = uuidv4();
+            const runNumber = this.generateRunNumber();
+            const dueDate = entries.map(e => e.dueDate).sort()[0];
+
+            run(`INSERT INTO kc_test_runs (id, run_number, name, description, due_date, status, created_by, notes, recertification_test_id, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, runNumber, `Rezertifizierung: ${first.testName}`,
+                 `Automatisch erstellt - die Zertifizierung (${first.validityMonths} Monate) läuft ab oder ist abgelaufen.`,
+                 dueDate, 'pending', actor.id, '', first.testId, now, now]);
+            run('INSERT INTO kc_test_run_tests (id, run_id, test_id, sort_order) VALUES (?, ?, ?, ?)',
+                [uuidv4(), id, first.testId, 0]);
+            entries.forEach(e => {
+                run(`INSERT INTO kc_test_assignments (id, run_id, test_id, user_id, assigned_by, due_date, status, notes, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [uuidv4(), id, e.testId, e.userId, actor.id, e.dueDate, 'pending', '', now, now]);
+            });
+
+            return { id, runNumber, testName: first.testName, userCount: entries.length };
+        });
+
+        saveDb();
+        return created;
+    },
+
+    // ============================================
+    // LEARNING PATHS
+    // ============================================
+
+    /**
+     * Validates learning path data
+     * @returns {string|null} Error message or null if valid
+     */
+    validateLearningPath(data, isUpdate = false) {
+        if (!isUpdate || data.name !== undefined) {
+            if (!data.name || !String(data.name).trim()) return 'Name is required';
+        }
+        if (!isUpdate || data.testIds !== undefined) {
+            if (!Array.isArray(data.testIds) || data.testIds.length === 0) return 'At least one test is required';
+            if (new Set(data.testIds).size !== data.testIds.length) return 'A test can only appear once in a learning path';
+            const unknown = data.testIds.find(testId => !get('SELECT id FROM kc_tests WHERE id = ?', [testId]));
+            if (unknown) return 'Test not found';
+            const publishedError = this.validatePublishedTests(data.testIds);
+            if (publishedError) return publishedError;
+        }
+        if (data.stepDueDays !== undefined && data.stepDueDays !== null && data.stepDueDays !== '') {
+            const days = Number(data.stepDueDays);
+            if (!Number.isInteger(days) || days < 1) return 'Days per step must be a whole number of at least 1';
+        }
+        return null;
+    },
+
+    getLearningPathSteps(pathId) {
+        return all(`
+            SELECT s.test_id, s.sort_order, t.name as test_name, t.test_number
+            FROM kc_learning_path_steps s
+            JOIN kc_tests t ON s.test_id = t.id
+            WHERE s.path_id = ?
+            ORDER BY s.sort_order
+        `, [pathId]).map(s => ({
+            testId: s.test_id,
+            testName: s.test_name,
+            testNumber: s.test_number,
+            sortOrder: s.sort_order
+        }));
+    },
+
+    getAllLearningPaths() {
+        return all(`
+            SELECT p.*,
+                COALESCE(cb.first_name || ' ' || cb.last_name, p.created_by) as created_by_name,
+                (SELECT COUNT(*) FROM kc_learning_path_enrollments e WHERE e.path_id = p.id) as enrollment_count,
+                (SELECT COUNT(*) FROM kc_learning_path_enrollments e WHERE e.path_id = p.id AND e.status = 'completed') as completed_count
+            FROM kc_learning_paths p
+            LEFT JOIN users cb ON p.created_by = cb.id
+            ORDER BY p.name
+        `).map(p => ({
+            id: p.id,
+            name: p.name,
+            description: p.description,
+            stepDueDays: p.step_due_days,
+            steps: this.getLearningPathSteps(p.id),
+            enrollmentCount: p.enrollment_count || 0,
+            completedCount: p.completed_count || 0,
+            createdBy: p.created_by,
+            createdByName: p.created_by_name,
+            createdAt: p.created_at,
+            updatedAt: p.updated_at
+        }));
+    },
+
+    getLearningPathById(id) {
+        const path = this.getAllLearningPaths().find(p => p.id === id);
+        if (!path) return null;
+
+        const enrollments = all(`
+            SELECT e.*, u.first_name || ' ' || u.last_name as user_name
+            FROM kc_learning_path_enrollments e
+            JOIN users u ON e.user_id = u.id
+            WHERE e.path_id = ?
+            ORDER BY u.last_name, u.first_name
+        `, [id]);
+
+        return {
+            ...path,
+            enrollments: enrollments.map(e => ({
+                ...this.formatEnrollment(e, path.steps),
+                userName: e.user_name
+            }))
+        };
+    },
+
+    createLearningPath(data, createdBy) {
+        const now = new Date().toISOString();
+        const id = uuidv4();
+
+        run(`INSERT INTO kc_learning_paths (id, name, description, step_due_days, created_by, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, String(data.name).trim(), data.description || '', data.stepDueDays ? Number(data.stepDueDays) : null, createdBy, now, now]);
+        this.setLearningPathSteps(id, data.testIds);
+
+        saveDb();
+        return this.getLearningPathById(id);
+    },
+
+    /**
+     * Updates a learning path. Changed steps apply to running enrollments right away
+     * (e.g. an appended test is unlocked for users who already finished the path).
+     */
+    updateLearningPath(id, data) {
+        const now = new Date().toISOString();
+        let sql = 'UPDATE kc_learning_paths SET updated_at = ?';
+        const params = [now];
+
+        if (data.name !== undefined) { sql += ', name = ?'; params.push(String(data.name).trim()); }
+        if (data.description !== undefined) { sql += ', description = ?'; params.push(data.description); }
+        if (data.stepDueDays !== undefined) { sql += ', step_due_days = ?'; params.push(data.stepDueDays ? Number(data.stepDueDays) : null); }
+
+        sql += ' WHERE id = ?';
+        params.push(id);
+        run(sql, params);
+
+        if (data.testIds !== undefined) {
+            this.setLearningPathSteps(id, data.testIds);
+            all('SELECT id FROM kc_learning_path_enrollments WHERE path_id = ?', [id])
+                .forEach(e => this.syncLearningPathEnrollment(e.id));
+        }
+
+        saveDb();
+        return this.getLearningPathById(id);
+    },
+
+    setLearningPathSteps(pathId, testIds) {
+        run('DELETE FROM kc_learning_path_steps WHERE path_id = ?', [pathId]);
+        testIds.forEach((testId, index) => {
+            run('INSERT INTO kc_learning_path_steps (id, path_id, test_id, sort_order) VALUES (?, ?, ?, ?)',
+                [uuidv4(), pathId, testId, index]);
+        });
+    },
+
+    /**
+     * Deletes a learning path with its enrollments. Steps nobody has started are withdrawn,
+     * started and completed step assignments stay as regular assignments.
+     */
+    deleteLearningPath(id) {
+        all('SELECT id FROM kc_learning_path_enrollments WHERE path_id = ?', [id])
+            .forEach(e => this.removeEnrollment(e.id));
+        run('DELETE FROM kc_learning_path_steps WHERE path_id = ?', [id]);
+        run('DELETE FROM kc_learning_paths WHERE id = ?', [id]);
+        saveDb();
+        return { success: true };
+    },
+
+    /**
+     * Puts users on a learning path; only the first step is assigned now
+     * @returns {Object} { enrolled, skipped } - users already on the path are skipped
+     */
+    enrollInLearningPath(pathId, userIds, assignedBy) {
+        const now = new Date().toISOString();
+        let enrolled = 0;
+        let skipped = 0;
+
+        [...new Set(userIds)].forEach(userId => {
+            const user = get('SELECT id FROM users WHERE id = ? AND is_active = 1', [userId]);
+            const existing = get('SELECT id FROM kc_learning_path_enrollments WHERE path_id = ? AND user_id = ?', [pathId, userId]);
+            if (!user || existing) {
+                skipped++;
+                return;
+            }
+
+            const id = uuidv4();
+            run(`INSERT INTO kc_learning_path_enrollments (id, path_id, user_id, assigned_by, status, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [id, pathId, userId, assignedBy, 'in_progress', now, now]);
+            this.syncLearningPathEnrollment(id);
+            enrolled++;
+        });
+
+        saveDb();
+        return { enrolled, skipped };
+    },
+
+    withdrawEnrollment(enrollmentId) {
+        const removed = this.removeEnrollment(enrollmentId);
+        saveDb();
+        return removed;
+    },
+
+    removeEnrollment(enrollmentId) {
+        const open = all(`
+            SELECT a.id FROM kc_test_assignments a
+            WHERE a.path_enrollment_id = ? AND a.status IN ('pending', 'overdue')
+                AND NOT EXISTS (SELECT 1 FROM kc_test_attempts att WHERE att.assignment_id = a.id)
+                AND NOT EXISTS (SELECT 1 FROM kc_test_results tr WHERE tr.assignment_id = a.id)
+        `, [enrollmentId]);
+        open.forEach(a => {
+            run('DELETE FROM kc_notifications WHERE assignment_id = ?', [a.id]);
+            run('DELETE FROM kc_test_assignments WHERE id = ?', [a.id]);
+        });
+        run('UPDATE kc_test_assignments SET path_enrollment_id = NULL WHERE path_enrollment_id = ?', [enrollmentId]);
+        run('DELETE FROM kc_learning_path_enrollments WHERE id = ?', [enrollmentId]);
+        return true;
+    },
+
+    /**
+     * Unlocks the next step of an enrollment: walks the steps in order and assigns the first test
+     * without an assignment, as long as every earlier step is passed. Completes the enrollment
+     * when all steps are passed. Safe to call repeatedly (callers save the database).
+     */
+    syncLearningPathEnrollment(enrollmentId) {
+        const enrollment = get(`
+            SELECT e.*, p.step_due_days FROM kc_learning_path_enrollments e
+            JOIN kc_learning_paths p ON e.path_id = p.id
+            WHERE e.id = ?
+        `, [enrollmentId]);
+        if (!enrollment) return;
+
+        const steps = all(`
+            SELECT s.test_id FROM kc_learning_path_steps s
+            JOIN kc_tests t ON s.test_id = t.id
+            WHERE s.path_id = ?
+            ORDER BY s.sort_order
+        `, [enrollment.path_id]);
+        const now = new Date();
+        let allPassed = true;
+
+        for (const step of steps) {
+            const assignment = get(`
+                SELECT id, final_passed FROM kc_test_assignments
+                WHERE path_enrollment_id = ? AND test_id = ?
+                ORDER BY created_at DESC LIMIT 1
+            `, [enrollmentId, step.test_id]);
+
+            if (!assignment) {
+                const dueDate = enrollment.step_due_days
+                    ? new Date(now.getTime() + enrollment.step_due_days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+                    : null;
+                run(`INSERT INTO kc_test_assignments (id, test_id, user_id, assigned_by, due_date, status, notes, path_enrollment_id, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [uuidv4(), step.test_id, enrollment.user_id, enrollment.assigned_by, dueDate, 'pending', '',
+                     enrollmentId, now.toISOString(), now.toISOString()]);
+                allPassed = false;
+                break;
+            }
+            if (!assignment.final_passed) {
+                allPassed = false;
+                break;
+            }
+        }
+
+        const status = allPassed && steps.length > 0 ? 'completed' : 'in_progress';
+        if (status !== enrollment.status) {
+            run('UPDATE kc_learning_path_enrollments SET status = ?, completed_at = ?, updated_at = ? WHERE id = ?',
+                [status, status === 'completed' ? now.toISOString() : null, now.toISOString(), enrollmentId]);
+        }
+    },
+
+    syncLearningPathForAssignment(assignmentId) {
+        const assignment = get('SELECT path_enrollment_id FROM kc_test_assignments WHERE id = ?', [assignmentId]);
+        if (assignment?.path_enrollment_id) {
+            this.syncLearningPathEnrollment(assignment.path_enrollment_id);
+        }
+    },
+
+    /**
+     * Progress of an enrollment with the state of every step:
+     * passed, open (assigned, not passed yet) or locked
+     */
+    formatEnrollment(enrollment, steps) {
+        const assignments = all(`
+            SELECT id, test_id, status, final_passed, final_percentage, due_date
+            FROM kc_test_assignments WHERE path_enrollment_id = ?
+            ORDER BY created_at DESC
+        `, [enrollment.id]);
+
+        const stepStates = steps.map(step => {
+            const assignment = assignments.find(a => a.test_id === step.testId);
+            return {
+                ...step,
+                state: !assignment ? 'locked' : assignment.final_passed ? 'passed' : 'open',
+                assignmentId: assignment?.id || null,
+                assignmentStatus: assignment?.status || null,
+                percentage: assignment?.final_percentage ?? null,
+                dueDate: assignment?.due_date || null
+            };
+        });
+        const passedCount = stepStates.filter(s => s.state === 'passed').length;
+
+        return {
+            id: enrollment.id,
+            pathId: enrollment.path_id,
+            userId: enrollment.user_id,
+            status: enrollment.status,
+            steps: stepStates,
+            passedCount,
+            stepCount: steps.length,
+            progress: steps.length > 0 ? Math.round(passedCount / steps.length * 100) : 0,
+            completedAt: enrollment.completed_at,
+            createdAt: enrollment.created_at
+        };
+    },
+
+    getMyLearningPaths(userId) {
+        return all(`
+            SELECT e.*, p.name as path_name, p.description as path_description
+            FROM kc_learning_path_enrollments e
+            JOIN kc_learning_paths p ON e.path_id = p.id
+            WHERE e.user_id = ?
+            ORDER BY e.status DESC, e.created_at
+        `, [userId]).map(e => ({
+            ...this.formatEnrollment(e, this.getLearningPathSteps(e.path_id)),
+            pathName: e.path_name,
+            pathDescription: e.path_description
+        }));
+    },
+
+    // ============================================
+    // DUE DATES & REMINDERS
+    // ============================================
+
+    /**
+     * Point in time a due date ends - a plain date (YYYY-MM-DD) is due at the end of that day
+     * @returns {Date|null}
+     */
+    getDueTime(dueDate) {
+        if (!dueDate) return null;
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? new Date(`${dueDate}T23:59:59.999`) : new Date(dueDate);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Cleans an availability window from request data
+     * @returns {Object} { availableFrom, availableUntil } as ISO strings (null when open),
+     *   or { error } if a date is invalid or the window ends before it starts
+     */
+    normalizeAvailability(data) {
+        const parse = value => {
+            if (!value) return null;
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date.toISOString();
+        };
+        const availableFrom = parse(data.availableFrom);
+        const availableUntil = parse(data.availableUntil);
+        if (availableFrom === undefined || availableUntil === undefined) {
+            return { error: 'Invalid availability date' };
+        }
+        if (availableFrom && availableUntil && availableFrom >= availableUntil) {
+            return { error: 'Available until must be after available from' };
+        }
+        return { availableFrom, availableUntil };
+    },
+
+    /**
+     * Status of a new assignment - scheduled while its availability window has not opened yet
+     */
+    getInitialAssignmentStatus(availableFrom, now = new Date()) {
+        return availableFrom && new Date(availableFrom) > now ? 'scheduled' : 'pending';
+    },
+
+    /**
+     * Stores the availability window of an assignment; one that has not been started
+     * becomes scheduled or pending again (callers save the database)
+     */
+    setAssignmentAvailability(id, availableFrom, availableUntil) {
+        const assignment = get('SELECT status FROM kc_test_assignments WHERE id = ?', [id]);
+        if (!assignment) return;
+        const status = ['scheduled', 'pending'].includes(assignment.status)
+            ? this.getInitialAssignmentStatus(availableFrom)
+            : assignment.status;
+        run('UPDATE kc_test_assignments SET available_from = ?, available_until = ?, status = ?, updated_at = ? WHERE id = ?',
+            [availableFrom, availableUntil, status, new Date().toISOString(), id]);
+    },
+
+    /**
+     * Checks whether an assignment can be started now
+     * @returns {Object|null} { code, error, availableFrom, availableUntil }, null when it is available
+     */
+    getAvailabilityError(assignment, now = new Date()) {
+        const window = { availableFrom: assignment.availableFrom, availableUntil: assignment.availableUntil };
+        if (assignment.availableFrom && new Date(assignment.availableFrom) > now) {
+            return { code: 'NOT_YET_AVAILABLE', error: 'Test is not available yet', ...window };
+        }
+        if (assignment.availableUntil && new Date(assignment.availableUntil) <= now) {
+            return { code: 'NO_LONGER_AVAILABLE', error: 'Test is no longer available', ...window };
+        }
+        return null;
+    },
+
+    /**
+     * Opens scheduled assignments whose availability window has started and notifies their users
+     * (callers save the database)
+     * @returns {Object} { activated, notifications } - no notifications for inactive users
+     */
+    activateScheduledAssignments(now = new Date()) {
+        const due = all(`
+            SELECT a.id, a.user_id, a.due_date, t.name as test_name, t.test_number, u.is_active as user_active
+            FROM kc_test_assignments a
+            JOIN kc_tests t ON a.test_id = t.id
+            JOIN users u ON a.user_id = u.id
+            LEFT JOIN kc_test_runs r ON a.run_id = r.id
+            WHERE a.status = 'scheduled' AND (a.available_from IS NULL OR a.available_from <= ?)
+                AND (r.id IS NULL OR ((r.is_archived = 0 OR r.is_archived IS NULL) AND r.status != 'archived'))
+        `, [now.toISOString()]);
+
+        const notifications = due.map(a => {
+            run('UPDATE kc_test_assignments SET status = ?, updated_at = ? WHERE id = ?', ['pending', now.toISOString(), a.id]);
+            if (!a.user_active) return null;
+            const dueAt = this.getDueTime(a.due_date);
+            return this.createNotification({
+                userId: a.user_id,
+                type: 'assignment_available',
+                title: `Test verfügbar: ${a.test_name}`,
+                message: `Der Test "${a.test_name}" (${a.test_number}) kann ab sofort bearbeitet werden.` +
+                    (dueAt ? ` Fällig am ${dueAt.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' })}.` : ''),
+                linkView: 'kcAssigned',
+                assignmentId: a.id
+            });
+        }).filter(Boolean);
+
+        return { activated: due.length, notifications };
+    },
+
+    /**
+     * Derives a test run's status from its assignments:
+     * scheduled while all wait for their availability window, completed when all are completed,
+     * overdue when one is overdue, in_progress once one has been started
+     * @returns {string|null} New status, or null if the run is archived or has no assignments
+     */
+    refreshRunStatus(runId) {
+        const testRun = get('SELECT status, is_archived FROM kc_test_runs WHERE id = ?', [runId]);
+        if (!testRun || testRun.is_archived || testRun.status === 'archived') return null;
+
+        const counts = get(`
+            SELECT COUNT(*) as total,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+                SUM(CASE WHEN status = 'overdue' THEN 1 ELSE 0 END) as overdue,
+                SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
+                SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled
+            FROM kc_test_assignments WHERE run_id = ?
+        `, [runId]);
+        if (!counts || !counts.total) return null;
+
+        let status = 'pending';
+        if (counts.scheduled === counts.total) status = 'scheduled';
+        else if (counts.completed === counts.total) status = 'completed';
+        else if (counts.overdue > 0) status = 'overdue';
+        else if (counts.completed > 0 || counts.in_progress > 0) status = 'in_progress';
+
+        if (status !== testRun.status) {
+            run('UPDATE kc_test_runs SET status = ?, updated_at = ? WHERE id = ?', [status, new Date().toISOString(), runId]);
+        }
+        return status;
+    },
+
+    /**
+     * Opens scheduled assignments, marks assignments past their due date as overdue (and reopens them
+     * when the due date was moved), rolls up the run status and creates the due reminders.
+     * Reminder offsets come from knowledgeCheck.reminderDaysBefore / reminderDaysAfter; per phase only
+     * the latest reached offset is sent, so an assignment created shortly before its due date gets one reminder.
+     * @param {Date} now - Reference time
+     * @returns {Object} { activated, overdue, reopened, runsUpdated, reminders } - reminders are the created
+     *   notifications, including the ones for activated assignments
+     */
+    processDueDates(now = new Date()) {
+        const DAY = 24 * 60 * 60 * 1000;
+        const offsets = key => {
+            const value = Config.get(`knowledgeCheck.${key}`, key === 'reminderDaysBefore' ? [3, 1] : [1, 7]);
+            return (Array.isArray(value) ? value : []).map(Number).filter(d => Number.isFinite(d) && d >= 0);
+        };
+        const daysBefore = offsets('reminderDaysBefore');
+        const daysAfter = offsets('reminderDaysAfter');
+
+        // Activated first, so a test that opens today can already be overdue or due soon
+        const { activated, notifications: reminders } = this.activateScheduledAssignments(now);
+
+        const open = all(`
+            SELECT a.*, t.name as test_name, t.test_number, u.is_active as user_active,
+                (SELECT COUNT(*) FROM kc_test_attempts att WHERE att.assignment_id = a.id) as attempt_count
+            FROM kc_test_assignments a
+            JOIN kc_tests t ON a.test_id = t.id
+            JOIN users u ON a.user_id = u.id
+            LEFT JOIN kc_test_runs r ON a.run_id = r.id
+            WHERE a.status IN ('pending', 'in_progress', 'overdue')
+                AND (r.id IS NULL OR ((r.is_archived = 0 OR r.is_archived IS NULL) AND r.status != 'archived'))
+        `);
+
+        const timestamp = now.toISOString();
+        const touchedRuns = new Set();
+        let overdue = 0;
+        let reopened = 0;
+
+        open.forEach(a => {
+            const dueAt = this.getDueTime(a.due_date);
+            const isPastDue = !!dueAt && dueAt <= now;
+
+            if (isPastDue && a.status !== 'overdue') {
+                run('UPDATE kc_test_assignments SET status = ?, updated_at = ? WHERE id = ?', ['overdue', timestamp, a.id]);
+                overdue++;
+            } else if (!isPastDue && a.status === 'overdue') {
+                run('UPDATE kc_test_assignments SET status = ?, updated_at = ? WHERE id = ?',
+                    [a.attempt_count > 0 ? 'in_progress' : 'pending', timestamp, a.id]);
+                reopened++;
+            }
+            if (a.run_id) touchedRuns.add(a.run_id);
+
+            if (!dueAt || !a.user_active) return;
+
+            const msLeft = dueAt.getTime() - now.getTime();
+            let reminderKey = null;
+            if (msLeft > 0) {
+                const offset = daysBefore.filter(d => msLeft <= d * DAY).sort((x, y) => x - y)[0];
+                if (offset !== undefined) reminderKey = `before:${offset}`;
+            } else {
+                const offset = daysAfter.filter(d => -msLeft >= d * DAY).sort((x, y) => y - x)[0];
+                if (offset !== undefined) reminderKey = `after:${offset}`;
+            }
+            if (!reminderKey || get('SELECT id FROM kc_notifications WHERE assignment_id = ? AND reminder_key = ?', [a.id, reminderKey])) {
+                return;
+            }
+
+            const testLabel = `"${a.test_name}" (${a.test_number})`;
+            const dueLabel = dueAt.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+            let title;
+            let message;
+            if (msLeft > 0) {
+                const daysLeft = Math.floor(msLeft / DAY);
+                const when = daysLeft === 0 ? 'heute' : daysLeft === 1 ? 'morgen' : `in ${daysLeft} Tagen`;
+                title = `Test fällig ${when}: ${a.test_name}`;
+                message = `Der Test ${testLabel} ist am ${dueLabel} fällig. Bitte schließen Sie ihn rechtzeitig ab.`;
+            } else {
+                title = `Test überfällig: ${a.test_name}`;
+                message = `Der Test ${testLabel} war am ${dueLabel} fällig und ist noch nicht abgeschlossen.`;
+            }
+
+            reminders.push(this.createNotification({
+                userId: a.user_id,
+                type: msLeft > 0 ? 'due_reminder' : 'overdue_reminder',
+                title,
+                message,
+                linkView: 'kcAssigned',
+                assignmentId: a.id,
+                reminderKey
+            }));
+        });
+
+        // Runs are also checked without open assignments, their last assignment may just have been completed
+        all(`SELECT id FROM kc_test_runs WHERE (is_archived = 0 OR is_archived IS NULL) AND status != 'archived'`)
+            .forEach(r => touchedRuns.add(r.id));
+        let runsUpdated = 0;
+        touchedRuns.forEach(runId => {
+            const before = get('SELECT status FROM kc_test_runs WHERE id = ?', [runId])?.status;
+            const status = this.refreshRunStatus(runId);
+            if (status && status !== before) runsUpdated++;
+        });
+
+        saveDb();
+        return { activated, overdue, reopened, runsUpdated, reminders };
+    },
+
+    // ============================================
+    // NOTIFICATIONS
+    // ============================================
+
+    formatNotification(n) {
+        return {
+            id: n.id,
+            userId: n.user_id,
+            type: n.type,
+            title: n.title,
+            message: n.message,
+            linkView: n.link_view,
+            assignmentId: n.assignment_id,
+            isRead: !!n.is_read,
+            emailedAt: n.emailed_at,
+            createdAt: n.created_at
+        };
+    },
+
+    /**
+     * Stores an in-app notification (callers save the database)
+     * @param {Object} data - { userId, type, title, message, linkView, assignmentId, reminderKey }
+     */
+    createNotification(data) {
+        const id = uuidv4();
+        run(`INSERT INTO kc_notifications (id, user_id, type, title, message, link_view, assignment_id, reminder_key, is_read, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+            [id, data.userId, data.type, data.title, data.message || '', data.linkView || null,
+             data.assignmentId || null, data.reminderKey || null, new Date().toISOString()]);
+        return this.formatNotification(get('SELECT * FROM kc_notifications WHERE id = ?', [id]));
+    },
+
+    getNotifications(userId, filters = {}) {
+        let sql = 'SELECT * FROM kc_notifications WHERE user_id = ?';
+        const params = [userId];
+        if (filters.unreadOnly) {
+            sql += ' AND is_read = 0';
+        }
+        sql += ' ORDER BY created_at DESC LIMIT ?';
+        params.push(Math.min(parseInt(filters.limit, 10) || 50, 200));
+        return all(sql, params).map(n => this.formatNotification(n));
+    },
+
+    getUnreadNotificationCount(userId) {
+        return get('SELECT COUNT(*) as count FROM kc_notifications WHERE user_id = ? AND is_read = 0', [userId])?.count || 0;
+    },
+
+    /**
+     * Marks one notification (or all when id is omitted) of a user as read
+     * @returns {number} Number of changed notifications
+     */
+    markNotificationsRead(userId, id = null) {
+        const changed = id
+            ? get('SELECT COUNT(*) as count FROM kc_notifications WHERE id = ? AND user_id = ? AND is_read = 0', [id, userId])
+            : get('SELECT COUNT(*) as count FROM kc_notifications WHERE user_id = ? AND is_read = 0', [userId]);
+        if (id) {
+            run('UPDATE kc_notifications SET is_read = 1 WHERE id = ? AND user_id = ?', [id, userId]);
+        } else {
+            run('UPDATE kc_notifications SET is_read = 1 WHERE user_id = ?', [userId]);
+        }
+        saveDb();
+        return changed?.count || 0;
+    },
+
+    markNotificationEmailed(id) {
+        run('UPDATE kc_notifications SET emailed_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+        saveDb();
+    },
+
+    // ============================================
+    // STATISTICS
+    // ============================================
+
+    getStatistics(userId = null) {
+        const totalTests = get('SELECT COUNT(*) as count FROM kc_tests WHERE is_active = 1 AND is_archived = 0')?.count || 0;
+        const totalQuestions = get('SELECT COUNT(*) as count FROM kc_questions WHERE is_active = 1 AND is_archived = 0')?.count || 0;
+        const totalResults = get('SELECT COUNT(*) as count FROM kc_test_results')?.count || 0;
+        const totalRuns = get('SELECT COUNT(*) as count FROM kc_test_runs')?.count || 0;
+        const passedResults = get('SELECT COUNT(*) as count FROM kc_test_results WHERE passed = 1')?.count || 0;
+        const avgScore = get('SELECT AVG(percentage) as avg FROM kc_test_results')?.avg || 0;
+        
+        // Archived items count
+        const archivedQuestions = get('SELECT COUNT(*) as count FROM kc_questions WHERE is_archived = 1')?.count || 0;
+        const archivedTests = get('SELECT COUNT(*) as count FROM kc_tests WHERE is_archived = 1')?.count || 0;
+        const totalArchived = archivedQuestions + archivedTests;
+        
+        // User's assigned tests count (pending only)
+        let myAssignedCount = 0;
+        if (userId) {
+            myAssignedCount = get('SELECT COUNT(*) as count FROM kc_test_assignments WHERE user_id = ? AND status IN (?, ?, ?)', [userId, 'pending', 'in_progress', 'overdue'])?.count || 0;
+        }
+        
+        return {
+            totalTests,
+            totalQuestions,
+            totalResults,
+            totalRuns,
+            totalArchived,
+            myAssignedCount,
+            passedResults,
+            passingRate: totalResults > 0 ? Math.round((passedResults / totalResults) * 100) : 0,
+            averageScore: Math.round(avgScore)
+        };
+    },
+
+    /**
+     * Limits used to flag questions in the item analysis
+     */
+    itemAnalysisLimits: {
+        tooEasy: 90,            // difficulty (% of points) at or above
+        tooHard: 20,            // difficulty (% of points) at or below
+        lowDiscrimination: 0.2, // discrimination index below
+        weakDistractor: 5       // wrong option picked by less than this % of answers
+    },
+
+    /**
+     * Item analysis of the catalog questions, calculated from all stored answers.
+     * - difficulty: average share of the points reached (0-100, higher is easier)
+     * - discrimination: difficulty in the best 27% of results minus the worst 27% (-1 to 1)
+     * - options: how often each option was picked (choice questions)
+     * - averageTimeSeconds: only answers with tracked time count
+     * Flags are only set once a question has knowledgeCheck.itemAnalysisMinAnswers answers.
+     * @param {Object} filters - Optional { categoryId, includeArchived }
+     */
+    getQuestionAnalytics(filters = {}) {
+        const minAnswers = Config.get('knowledgeCheck.itemAnalysisMinAnswers', 10);
+        const limits = this.itemAnalysisLimits;
+        const questions = this.getAllQuestions({ categoryId: filters.categoryId, includeArchived: filters.includeArchived });
+
+        const answersByQuestion = new Map();
+        all(`SELECT a.question_id, a.score, a.max_score, a.is_correct, a.option_details, a.time_spent_seconds, r.percentage
+             FROM kc_test_answers a
+             JOIN kc_test_results r ON a.result_id = r.id`).forEach(a => {
+            if (!answersByQuestion.has(a.question_id)) answersByQuestion.set(a.question_id, []);
+            answersByQuestion.get(a.question_id).push(a);
+        });
+
+        const ratio = a => a.max_score > 0 ? a.score / a.max_score : 0;
+        const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+        const percent = (count, total) => total > 0 ? Math.round(count / total * 100) : 0;
+
+        return questions.map(q => {
+            const answers = answersByQuestion.get(q.id) || [];
+
+            // Upper and lower group by the total score of the result the answer belongs to
+            const byTotal = [...answers].sort((a, b) => b.percentage - a.percentage);
+            const groupSize = Math.floor(answers.length * 0.27);
+            const upper = groupSize > 0 ? byTotal.slice(0, groupSize) : [];
+            const lower = groupSize > 0 ? byTotal.slice(-groupSize) : [];
+
+            const difficulty = answers.length > 0 ? Math.round(average(answers.map(ratio)) * 100) : null;
+            const discrimination = groupSize > 0
+                ? Math.round((average(upper.map(ratio)) - average(lower.map(ratio))) * 100) / 100
+                : null;
+
+            const timed = answers.filter(a => a.time_spent_seconds !== null && a.time_spent_seconds !== undefined);
+            const averageTime = average(timed.map(a => a.time_spent_seconds));
+
+            // Option picks are matched by text - option IDs change when a question is saved
+            const options = ['multiple_choice', 'single_choice', 'true_false'].includes(q.questionType)
+                ? this.getOptionPicks(q, answers, upper, lower)
+                : [];
+
+            const flags = [];
+            if (answers.length >= minAnswers) {
+                if (difficulty >= limits.tooEasy) flags.push('too_easy');
+                if (difficulty <= limits.tooHard) flags.push('too_hard');
+                if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+                else if (discrimination !== null && discrimination < limits.lowDiscrimination) flags.push('low_discrimination');
+                if (options.some(o => !o.isCorrect && !o.isOutdated && o.pickRate < limits.weakDistractor)) flags.push('weak_distractors');
+            }
+
+            return {
+                questionId: q.id,
+                title: q.title,
+                questionText: q.questionText,
+                questionType: q.questionType,
+                categoryId: q.categoryId,
+                categoryName: q.categoryName,
+                isArchived: q.isArchived,
+                answerCount: answers.length,
+                correctRate: percent(answers.filter(a => a.is_correct).length, answers.length),
+                difficulty,
+                discrimination,
+                averageTimeSeconds: averageTime !== null ? Math.round(averageTime) : null,
+                timedAnswerCount: timed.length,
+                options,
+                flags
+            };
+        });
+    },
+
+    /**
+     * Counts how often each option of a choice question was picked, overall and in the
+     * upper and lower group. Options that no longer exist are listed as outdated.
+     */
+    getOptionPicks(question, answers, upper, lower) {
+        const options = question.options.map(o => ({
+            text: o.text,
+            isCorrect: o.isCorrect,
+            isOutdated: false,
+            picks: 0,
+            upperPicks: 0,
+            lowerPicks: 0
+        }));
+        const upperSet = new Set(upper);
+        const lowerSet = new Set(lower);
+
+        answers.forEach(a => {
+            let details;
+            try {
+                details = JSON.parse(a.option_details || '{}');
+            } catch (e) {
+                details = {};
+            }
+            (details.allOptions || []).filter(o => o.wasSelected).forEach(selected => {
+                let option = options.find(o => o.text === selected.text);
+                if (!option) {
+                    option = { text: selected.text, isCorrect: !!selected.isCorrect, isOutdated: true, picks: 0, upperPicks: 0, lowerPicks: 0 };
+                    options.push(option);
+                }
+                option.picks++;
+                if (upperSet.has(a)) option.upperPicks++;
+                if (lowerSet.has(a)) option.lowerPicks++;
+            });
+        });
+
+        const rate = (count, total) => total > 0 ? Math.round(count / total * 100) : 0;
+        return options.map(({ picks, upperPicks, lowerPicks, ...option }) => ({
+            ...option,
+            pickCount: picks,
+            pickRate: rate(picks, answers.length),
+            upperPickRate: upper.length > 0 ? rate(upperPicks, upper.length) : null,
+            lowerPickRate: lower.length > 0 ? rate(lowerPicks, lower.length) : null
+        }));
+    },
+
+    /**
+     * Builds the conditions shared by the competency matrix and its drill-down
+     * @param {Object} filters - { startDate, endDate, roleId, department, userId, categoryId }
+     */
+    competencyConditions(filters = {}) {
+        const conditions = ['r.completed_at IS NOT NULL', 'a.max_score > 0'];
+        const params = [];
+        if (filters.startDate) { conditions.push('date(r.completed_at) >= date(?)'); params.push(filters.startDate); }
+        if (filters.endDate) { conditions.push('date(r.completed_at) <= date(?)'); params.push(filters.endDate); }
+        if (filters.roleId) { conditions.push('u.role_id = ?'); params.push(filters.roleId); }
+        if (filters.department) { conditions.push('u.department = ?'); params.push(filters.department); }
+        if (filters.userId) { conditions.push('r.user_id = ?'); params.push(filters.userId); }
+        if (filters.categoryId !== undefined) {
+            // An empty category ID stands for questions without a category
+            conditions.push(filters.categoryId ? 'q.category_id = ?' : "(q.category_id IS NULL OR q.category_id = '')");
+            if (filters.categoryId) params.push(filters.categoryId);
+        }
+        return { where: conditions.join(' AND '), params };
+    },
+
+    /**
+     * Competency matrix - share of points reached per user and question category.
+     * Answers count for the category their question is in now.
+     * @param {Object} filters - { startDate, endDate, roleId, department }
+     * @returns {Object} { categories, users } - users[].cells is keyed by category ID ('' = no category)
+     */
+    getCompetencyMatrix(filters = {}) {
+        const { where, params } = this.competencyConditions({
+            startDate: filters.startDate, endDate: filters.endDate, roleId: filters.roleId, department: filters.department
+        });
+        const rows = all(`
+            SELECT r.user_id, u.first_name || ' ' || u.last_name as user_name, u.department, u.role_id, ro.name as role_name,
+                   COALESCE(q.category_id, '') as category_id, c.name as category_name, c.sort_order as category_sort,
+                   SUM(a.score) as score, SUM(a.max_score) as max_score, COUNT(*) as answer_count
+            FROM kc_test_answers a
+            JOIN kc_test_results r ON a.result_id = r.id
+            JOIN users u ON r.user_id = u.id
+            LEFT JOIN roles ro ON u.role_id = ro.id
+            JOIN kc_questions q ON a.question_id = q.id
+            LEFT JOIN kc_categories c ON q.category_id = c.id
+            WHERE ${where}
+            GROUP BY r.user_id, COALESCE(q.category_id, '')
+        `, params);
+
+        const percent = (score, max) => max > 0 ? Math.round(score / max * 100) : null;
+        const categories = new Map();
+        const users = new Map();
+        rows.forEach(row => {
+            if (!categories.has(row.category_id)) {
+                categories.set(row.category_id, {
+                    id: row.category_id,
+                    name: row.category_name || 'Ohne Kategorie',
+                    sortOrder: row.category_id ? row.category_sort || 0 : Infinity,
+                    score: 0, maxScore: 0, answerCount: 0
+                });
+            }
+            if (!users.has(row.user_id)) {
+                users.set(row.user_id, {
+                    userId: row.user_id,
+                    userName: row.user_name,
+                    department: row.department || '',
+                    roleId: row.role_id,
+                    roleName: row.role_name || row.role_id,
+                    score: 0, maxScore: 0, answerCount: 0,
+                    cells: {}
+                });
+            }
+            const user = users.get(row.user_id);
+            user.cells[row.category_id] = {
+                score: Math.round(row.score * 100) / 100,
+                maxScore: row.max_score,
+                answerCount: row.answer_count,
+                percentage: percent(row.score, row.max_score)
+            };
+            [user, categories.get(row.category_id)].forEach(total => {
+                total.score += row.score;
+                total.maxScore += row.max_score;
+                total.answerCount += row.answer_count;
+            });
+        });
+
+        const withPercentage = ({ score, maxScore, ...rest }) => ({
+            ...rest,
+            score: Math.round(score * 100) / 100,
+            maxScore,
+            percentage: percent(score, maxScore)
+        });
+
+        return {
+            categories: [...categories.values()]
+                .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name))
+                .map(({ sortOrder, ...category }) => withPercentage(category)),
+            users: [...users.values()]
+                .sort((a, b) => a.userName.localeCompare(b.userName))
+                .map(withPercentage)
+        };
+    },
+
+    /**
+     * Answers behind one cell of the competency matrix
+     * @param {Object} filters - { userId, categoryId, startDate, endDate }
+     */
+    getCompetencyAnswers(filters = {}) {
+        const { where, params } = this.competencyConditions({
+            startDate: filters.startDate, endDate: filters.endDate, userId: filters.userId, categoryId: filters.categoryId || ''
+        });
+        return all(`
+            SELECT a.id, a.result_id, a.question_id, a.score, a.max_score, a.is_correct, a.reviewed_by,
+                   q.title, q.question_text, q.question_type, r.result_number, r.completed_at, t.name as test_name
+            FROM kc_test_answers a
+            JOIN kc_test_results r ON a.result_id = r.id
+            JOIN kc_tests t ON r.test_id = t.id
+            JOIN users u ON r.user_id = u.id
+            JOIN kc_questions q ON a.question_id = q.id
+            WHERE ${where}
+            ORDER BY r.completed_at DESC, a.sort_order
+        `, params).map(a => ({
+            id: a.id,
+            resultId: a.result_id,
+            resultNumber: a.result_number,
+            testName: a.test_name,
+            completedAt: a.completed_at,
+            questionId: a.question_id,
+            questionTitle: a.title || '',
+            questionText: a.question_text,
+            questionType: a.question_type,
+            score: Math.round(a.score * 100) / 100,
+            maxScore: a.max_score,
+            isCorrect: !!a.is_correct,
+            isReviewed: !!a.reviewed_by
+        }));
+    },
+
+    // Answer checking helper for open questions.
+    // confidence (0-1) tells how sure the automatic check is - low values go to manual review.
+    /**
+     * Checks an open answer against the exact answer and the keyword rules.
+     * Without rules the trigger words act as one "any" group. Words are compared by their stem
+     * (German or English), keywords of 5+ letters also match with one typo or inside a compound word.
+     * A forbidden word makes the answer wrong regardless of the keywords found.
+     * @param {string} answer
+     * @param {string} exactAnswer
+     * @param {Array<string>} triggerWords
+     * @param {Object|null} answerRules - See normalizeAnswerRules
+     * @returns {Object} { isCorrect, confidence, matchedTriggers, matchedKeywords, missingKeywords,
+     *   forbiddenWords, groups, earnedPoints, possiblePoints }
+     */
+    checkOpenAnswer(answer, exactAnswer, triggerWords, answerRules = null) {
+        const rules = this.normalizeAnswerRules(answerRules)
+            || this.normalizeAnswerRules({ groups: [{ mode: 'any', keywords: triggerWords || [] }] });
+        const groups = rules ? rules.groups : [];
+        const empty = {
+            matchedKeywords: [],
+            missingKeywords: groups.flatMap(g => g.keywords.map(k => k.term)),
+            forbiddenWords: [],
+            groups: [],
+            earnedPoints: 0,
+            possiblePoints: 0
+        };
+
+        if (!answer || !answer.trim()) return { isCorrect: false, matchedTriggers: [], confidence: 1, ...empty };
+        
+        const normalizedAnswer = answer.toLowerCase().trim();
+        const normalizedExact = (exactAnswer || '').toLowerCase().trim();
+        
+        // Check exact match (with typo tolerance using Levenshtein)
+        if (normalizedExact) {
+            const distance = this.levenshteinDistance(normalizedAnswer, normalizedExact);
+            if (distance <= 2) {
+                return { isCorrect: true, matchedTriggers: ['exact_match'], confidence: distance === 0 ? 1 : 0.8, ...empty, missingKeywords: [] };
+            }
+        }
+
+        const language = rules ? rules.language : 'de';
+        const tokens = this.tokenizeAnswer(answer, language);
+        const forbiddenWords = (rules ? rules.forbidden : [])
+            .filter(word => this.findKeyword(tokens, word, language, false));
+
+        const matchedKeywords = [];
+        const missingKeywords = [];
+        let earnedPoints = 0;
+        let possiblePoints = 0;
+        const groupResults = groups.map(group => {
+            const found = group.keywords.map(keyword => {
+                const match = [keyword.term, ...keyword.synonyms]
+                    .map(term => this.findKeyword(tokens, term, language, true))
+                    .filter(Boolean)
+                    .sort((a, b) => a.fuzzy - b.fuzzy)[0];
+                if (match) {
+                    matchedKeywords.push({ term: keyword.term, matchedText: match.text, fuzzy: match.fuzzy, points: keyword.points });
+                }
+                return { ...keyword, matched: !!match };
+            });
+
+            // "all" counts every keyword, "any" and "min" only the best keywords up to the required number
+            const required = group.mode === 'all' ? group.keywords.length : group.mode === 'min' ? group.min : 1;
+            const best = (list) => list.map(k => k.points).sort((a, b) => b - a).slice(0, required).reduce((sum, p) => sum + p, 0);
+            const matchedCount = found.filter(k => k.matched).length;
+            possiblePoints += best(found);
+            earnedPoints += best(found.filter(k => k.matched));
+            // Keywords of a fulfilled group are not missing, even if some alternatives were not used
+            if (matchedCount < required) {
+                missingKeywords.push(...found.filter(k => !k.matched).map(k => k.term));
+            }
+
+            return { mode: group.mode, required, matchedCount, satisfied: matchedCount >= required };
+        });
+
+        const isCorrect = groupResults.length > 0 && forbiddenWords.length === 0 && groupResults.every(g => g.satisfied);
+        const fuzzyCount = matchedKeywords.filter(k => k.fuzzy).length;
+
+        let confidence;
+        if (forbiddenWords.length > 0) {
+            // The author ruled the answer out, but the word may be used in another sense
+            confidence = 0.8;
+        } else if (isCorrect) {
+            // Typo and compound word matches count half
+            confidence = 1 - fuzzyCount / matchedKeywords.length / 2;
+        } else {
+            // Nothing to compare against means the answer cannot be checked automatically
+            confidence = normalizedExact || groupResults.length > 0 ? 0.5 : 0;
+        }
+        
+        return {
+            isCorrect,
+            matchedTriggers: matchedKeywords.map(k => k.term),
+            matchedKeywords,
+            missingKeywords,
+            forbiddenWords,
+            groups: groupResults,
+            earnedPoints: forbiddenWords.length > 0 ? 0 : earnedPoints,
+            possiblePoints,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    },
+
+    /**
+     * Splits a text into words with their stems
+     * @returns {Array} [{ text, stem }]
+     */
+    tokenizeAnswer(text, language) {
+        return String(text || '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean)
+            .map(word => ({ text: word, stem: this.stemWord(word, language) }));
+    },
+
+    /**
+     * Words that negate the word right after them ("nicht kündigen", "don't cancel" - tokenized as "don", "t")
+     */
+    negationWords: {
+        de: ['nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'keines', 'nie', 'niemals', 'ohne'],
+        en: ['not', 'no', 'never', 'without', 'cannot', 't']
+    },
+
+    /**
+     * Compound word parts that negate the rest of the word ("Nichtkündigung", "unkündbar", "non-refundable")
+     */
+    negationPrefixes: {
+        de: ['nicht', 'un'],
+        en: ['non', 'un']
+    },
+
+    /**
+     * Looks for a keyword or phrase in the tokenized answer - a negated occurrence does not count
+     * @param {boolean} tolerant - Allow one typo per word and matches at the start or end of compound words
+     * @returns {Object|null} { text, fuzzy } - the matching answer words
+     */
+    findKeyword(tokens, phrase, language, tolerant) {
+        const stems = this.tokenizeAnswer(phrase, language).map(t => t.stem);
+        if (stems.length === 0) return null;
+
+        let fuzzyMatch = null;
+        for (let start = 0; start + stems.length <= tokens.length; start++) {
+            let fuzzy = false;
+            const matches = stems.every((stem, offset) => {
+                const token = tokens[start + offset].stem;
+                if (token === stem) return true;
+                if (!tolerant || stem.length < 5) return false;
+                // Compound words ("Kündigungsfrist", "Vertragskündigung") start or end with the keyword stem
+                if (stems.length === 1 && this.isCompoundOf(token, stem, language)) {
+                    fuzzy = true;
+                    return true;
+                }
+                if (this.levenshteinDistance(token, stem) <= 1) {
+                    fuzzy = true;
+                    return true;
+                }
+                return false;
+            });
+            if (!matches) continue;
+            if (start > 0 && this.negationWords[language].includes(tokens[start - 1].text.toLowerCase())) continue;
+
+            const text = tokens.slice(start, start + stems.length).map(t => t.text).join(' ');
+            if (!fuzzy) return { text, fuzzy: false };
+            fuzzyMatch = fuzzyMatch || { text, fuzzy: true };
+        }
+        return fuzzyMatch;
+    },
+
+    /**
+     * Whether a word stem is a compound that starts or ends with the keyword stem
+     * and does not negate it ("Nichtkündigung" is no "Kündigung")
+     */
+    isCompoundOf(token, stem, language) {
+        if (token.startsWith(stem)) return true;
+        if (!token.endsWith(stem)) return false;
+        const prefix = token.slice(0, -stem.length);
+        return !this.negationPrefixes[language].some(negation => prefix.endsWith(negation));
+    },
+
+    /**
+     * Reduces a word to a simple stem so that inflected forms match
+     * ("kündigen", "gekündigt", "Kündigung" -> "kundig"; "cancelled", "cancels" -> "cancel").
+     * Umlauts and accents are folded, so "ue" spellings differ by one letter and match as a typo.
+     */
+    stemWord(word, language = 'de') {
+        let stem = String(word).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss');
+        if (stem.length <= 3) return stem;
+
+        if (language === 'en') {
+            if (stem.endsWith('ies') && stem.length > 4) stem = stem.slice(0, -3) + 'y';
+            else if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+            else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+            if (/ations?$/.test(stem)) {
+                stem = stem.replace(/ions?$/, '');
+            } else {
+                for (const suffix of ['ments', 'ment', 'ness', 'ing', 'ed', 'ly']) {
+                    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                        stem = stem.slice(0, -suffix.length);
+                        break;
+                    }
+                }
+            }
+            if (/([^aeiouls])\1$/.test(stem) || /ll$/.test(stem)) stem = stem.slice(0, -1);
+            if (stem.endsWith('e') && stem.length > 4) stem = stem.slice(0, -1);
+            return stem;
+        }
+
+        // German: past participle prefix, derivational and inflectional endings
+        if (stem.startsWith('ge') && stem.length >= 6) stem = stem.slice(2);
+        for (const suffix of ['ungen', 'ung', 'heiten', 'heit', 'keiten', 'keit']) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 4) {
+                stem = stem.slice(0, -suffix.length);
+                break;
+            }
+        }
+        while (stem.length > 4) {
+            if (stem.length > 5 && /(em|er|nd)$/.test(stem)) stem = stem.slice(0, -2);
+            else if (/[esnt]$/.test(stem)) stem = stem.slice(0, -1);
+            else break;
+        }
+        return stem;
+    },
+
+    levenshteinDistance(a, b) {
+        const matrix = [];
         for (let i = 0; i <= b.length; i++) {
             matrix[i] = [i];
         }
@@ -2925,17 +7787,6 @@ const KnowledgeCheckSystem = {
         return matrix[b.length][a.length];
     },
 
-    fuzzyContains(text, search) {
-        // Simple fuzzy match - checks if search appears in text with up to 1 typo
-        const words = text.split(/\s+/);
-        for (const word of words) {
-            if (this.levenshteinDistance(word, search) <= 1) {
-                return true;
-            }
-        }
-        return false;
-    },
-
     // ============================================
     // ADMIN MIGRATIONS (Manual trigger only)
     // ============================================
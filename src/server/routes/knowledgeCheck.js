@@ -6,8 +6,73 @@
 const express = require('express');
 const router = express.Router();
 
-const { KnowledgeCheckSystem, UserSystem } = require('../database');
+const Config = require('../../../config/Config');
+const { KnowledgeCheckSystem, UserSystem, SettingsSystem } = require('../database');
 const { authenticate, requirePermission, hasPermission } = require('../middleware/auth');
+const questionExchangeService = require('../services/questionExchangeService');
+const certificateService = require('../services/certificateService');
+const resultExportService = require('../services/resultExportService');
+
+/**
+ * Reduces a result to what the requesting user may see: the change history and the frozen
+ * answer key are only meant for evaluators, test takers get what the test's result visibility allows
+ */
+function visibleResult(user, result) {
+    if (!result) return result;
+    if (!hasPermission(user, 'kc_results_evaluate')) {
+        delete result.history;
+        result.answers.forEach(a => delete a.questionSnapshot);
+    }
+    if (!hasPermission(user, 'kc_results_view')) {
+        KnowledgeCheckSystem.applyResultVisibility(result);
+    }
+    return result;
+}
+
+/**
+ * Previews are an authoring tool - they show the correct answers of every question the test can draw
+ */
+function canPreviewTests(user) {
+    return hasPermission(user, 'kc_tests_create') || hasPermission(user, 'kc_tests_edit');
+}
+
+// ============================================
+// PUBLIC CERTIFICATE VERIFICATION
+// ============================================
+
+/**
+ * GET /api/knowledge-check/certificates/verify/:code
+ * Public - confirms that a certificate with this verification code was issued
+ */
+router.get('/certificates/verify/:code', (req, res) => {
+    try {
+        const certificate = KnowledgeCheckSystem.getCertificateByCode(req.params.code);
+        if (!certificate) {
+            return res.status(404).json({ success: false, valid: false, error: 'Certificate not found' });
+        }
+
+        res.json({
+            success: true,
+            valid: certificate.isValid,
+            certificate: {
+                code: certificate.verificationCode,
+                userName: certificate.userName,
+                testName: certificate.testName,
+                testNumber: certificate.testNumber,
+                percentage: certificate.percentage,
+                completedAt: certificate.completedAt,
+                issuedAt: certificate.issuedAt,
+                revoked: !!certificate.revokedAt,
+                revokedAt: certificate.revokedAt,
+                validUntil: certificate.validUntil,
+                expired: certificate.isExpired
+            }
+        });
+    } catch (error) {
+        console.error('Verify KC certificate error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify certificate' });
+    }
+});
 
 router.use(authenticate);
 
@@ -213,6 +278,91 @@ router.get('/questions', requirePermission('kc_questions_view'), (req, res) => {
     }
 });
 
+/**
+ * GET /api/knowledge-check/questions/analytics
+ * Item analysis per question (difficulty, discrimination, option picks, time)
+ */
+router.get('/questions/analytics', requirePermission('kc_questions_view'), (req, res) => {
+    try {
+        const analytics = KnowledgeCheckSystem.getQuestionAnalytics({
+            categoryId: req.query.categoryId,
+            includeArchived: req.query.includeArchived === 'true'
+        });
+        res.json({ success: true, analytics, limits: KnowledgeCheckSystem.itemAnalysisLimits });
+    } catch (error) {
+        console.error('Get KC question analytics error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch question analytics' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/questions/export
+ * Exports the active questions (optionally of one category) as CSV, Moodle XML, GIFT or QTI
+ */
+router.get('/questions/export', requirePermission('kc_questions_view'), (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        const exchangeFormat = questionExchangeService.formats[format];
+        if (!exchangeFormat) {
+            return res.status(400).json({ success: false, error: 'Unsupported export format' });
+        }
+
+        const { questions, categories } = KnowledgeCheckSystem.getQuestionsForExport(req.query.categoryId);
+        const { content, skipped } = questionExchangeService.serialize(format, questions, categories);
+        const date = new Date().toISOString().split('T')[0];
+
+        res.json({
+            success: true,
+            data: content,
+            filename: `fragenkatalog_${date}.${exchangeFormat.extension}`,
+            mimeType: exchangeFormat.mimeType,
+            count: questions.length - skipped.length,
+            skipped
+        });
+    } catch (error) {
+        console.error('Export KC questions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export questions' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/questions/import
+ * Imports questions from CSV, Moodle XML, GIFT or QTI - with dryRun only a preview is returned
+ */
+router.post('/questions/import', requirePermission('kc_questions_create'), (req, res) => {
+    try {
+        const { format, content, dryRun, categoryMapping, defaultCategoryId } = req.body;
+
+        if (!questionExchangeService.formats[format]) {
+            return res.status(400).json({ success: false, error: 'Unsupported import format' });
+        }
+        if (!content || !String(content).trim()) {
+            return res.status(400).json({ success: false, error: 'File content is required' });
+        }
+
+        let items;
+        try {
+            items = questionExchangeService.parse(format, content);
+        } catch (parseError) {
+            return res.status(400).json({ success: false, error: `File could not be read: ${parseError.message}` });
+        }
+        if (items.length === 0) {
+            return res.status(400).json({ success: false, error: 'No questions found in file' });
+        }
+
+        const result = KnowledgeCheckSystem.importQuestions(items, {
+            dryRun: !!dryRun,
+            categoryMapping,
+            defaultCategoryId,
+            allowCreateCategories: hasPermission(req.user, 'kc_categories_create')
+        });
+        res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+        console.error('Import KC questions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to import questions' });
+    }
+});
+
 /**
  * GET /api/knowledge-check/questions/:id
  */
@@ -234,12 +384,17 @@ router.get('/questions/:id', requirePermission('kc_questions_view'), (req, res)
  */
 router.post('/questions', requirePermission('kc_questions_create'), (req, res) => {
     try {
-        const { questionText, questionType } = req.body;
+        const { questionText } = req.body;
         
         if (!questionText) {
             return res.status(400).json({ success: false, error: 'Question text is required' });
         }
         
+        const validationError = KnowledgeCheckSystem.validateQuestion(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
         const question = KnowledgeCheckSystem.createQuestion(req.body);
         res.status(201).json({ success: true, question });
     } catch (error) {
@@ -250,6 +405,7 @@ router.post('/questions', requirePermission('kc_questions_create'), (req, res) =
 
 /**
  * PUT /api/knowledge-check/questions/:id
+ * Changes to a published question are saved as its draft revision (revisionCreated on the first edit)
  */
 router.put('/questions/:id', requirePermission('kc_questions_edit'), (req, res) => {
     try {
@@ -258,8 +414,13 @@ router.put('/questions/:id', requirePermission('kc_questions_edit'), (req, res)
             return res.status(404).json({ success: false, error: 'Question not found' });
         }
         
-        const updated = KnowledgeCheckSystem.updateQuestion(req.params.id, req.body);
-        res.json({ success: true, question: updated });
+        const validationError = KnowledgeCheckSystem.validateQuestion({ ...question, ...req.body });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const { question: updated, revisionCreated } = KnowledgeCheckSystem.editQuestion(req.params.id, req.body, req.user.id);
+        res.json({ success: true, question: updated, revisionCreated });
     } catch (error) {
         console.error('Update KC question error:', error);
         res.status(500).json({ success: false, error: 'Failed to update question' });
@@ -286,14 +447,143 @@ router.put('/questions/:id/move', requirePermission('kc_questions_edit'), (req,
     try {
         const { categoryId } = req.body;
         
-        const question = KnowledgeCheckSystem.moveQuestion(req.params.id, categoryId);
-        res.json({ success: true, question });
+        if (!KnowledgeCheckSystem.getQuestionById(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+        
+        const { question, revisionCreated } = KnowledgeCheckSystem.moveQuestion(req.params.id, categoryId, req.user.id);
+        res.json({ success: true, question, revisionCreated });
     } catch (error) {
         console.error('Move KC question error:', error);
         res.status(500).json({ success: false, error: 'Failed to move question' });
     }
 });
 
+/**
+ * GET /api/knowledge-check/questions/:id/review-history
+ */
+router.get('/questions/:id/review-history', requirePermission('kc_questions_view'), (req, res) => {
+    try {
+        const history = KnowledgeCheckSystem.getReviewHistory('question', req.params.id);
+        res.json({ success: true, history });
+    } catch (error) {
+        console.error('Get question review history error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch review history' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/questions/:id/submit
+ * Submits a draft (or draft revision) for review - Body: { comment }
+ */
+router.post('/questions/:id/submit', requirePermission('kc_questions_edit'), (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.submitForReview('question', req.params.id, req.user.id, req.body.comment);
+        if (!result.success) {
+            return res.status(result.error === 'Question not found' ? 404 : 400).json(result);
+        }
+        res.json({ success: true, question: result.item });
+    } catch (error) {
+        console.error('Submit question for review error:', error);
+        res.status(500).json({ success: false, error: 'Failed to submit question for review' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/questions/:id/review
+ * Body: { decision: 'approve' | 'reject' | 'comment', comment }
+ */
+router.post('/questions/:id/review', requirePermission('kc_content_review'), (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.reviewItem('question', req.params.id, req.body.decision, req.user.id, req.body.comment);
+        if (!result.success) {
+            return res.status(result.error === 'Question not found' ? 404 : 400).json(result);
+        }
+        res.json({ success: true, question: result.item });
+    } catch (error) {
+        console.error('Review question error:', error);
+        res.status(500).json({ success: false, error: 'Failed to review question' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/questions/:id/regrade
+ * Re-grades stored answers against the current answer key
+ * Body: { dryRun (default true - preview only), notify, reason }
+ */
+router.post('/questions/:id/regrade', requirePermission('kc_results_evaluate'), (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.regradeResults('question', req.params.id, {
+            apply: req.body.dryRun === false,
+            notify: !!req.body.notify,
+            reason: req.body.reason
+        }, req.user.id);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Regrade question error:', error);
+        res.status(500).json({ success: false, error: 'Failed to re-grade results' });
+    }
+});
+
+// ============================================
+// MEDIA (Bilder und Anhänge)
+// ============================================
+
+/**
+ * POST /api/knowledge-check/media
+ * Uploads an image or attachment for a question - Body: { fileName, data (base64) }
+ */
+router.post('/media', (req, res) => {
+    try {
+        if (!hasPermission(req.user, 'kc_questions_create') && !hasPermission(req.user, 'kc_questions_edit')) {
+            return res.status(403).json({ success: false, error: 'Permission denied' });
+        }
+
+        const validationError = KnowledgeCheckSystem.validateMedia(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const media = KnowledgeCheckSystem.createMedia(req.body, req.user.id);
+        res.status(201).json({ success: true, media });
+    } catch (error) {
+        console.error('Upload KC media error:', error);
+        res.status(500).json({ success: false, error: 'Failed to upload media' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/media/:id
+ * Delivers the file itself (for test takers, authors and evaluators)
+ */
+router.get('/media/:id', (req, res) => {
+    try {
+        if (!['kc_assigned_view', 'kc_questions_view', 'kc_results_view'].some(p => hasPermission(req.user, p))) {
+            return res.status(403).json({ success: false, error: 'Permission denied' });
+        }
+
+        const media = KnowledgeCheckSystem.getMediaFile(req.params.id);
+        if (!media) {
+            return res.status(404).json({ success: false, error: 'Media not found' });
+        }
+
+        res.set({
+            'Content-Type': media.mimeType,
+            'Content-Length': media.content.length,
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(media.fileName)}`,
+            'Cache-Control': 'private, max-age=86400',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.send(media.content);
+    } catch (error) {
+        console.error('Get KC media error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch media' });
+    }
+});
+
 // ============================================
 // TEST RUNS (Testdurchläufe)
 // ============================================
@@ -332,15 +622,27 @@ router.get('/test-runs/:id', requirePermission('kc_results_view'), (req, res) =>
  */
 router.post('/test-runs', requirePermission('kc_assign_tests'), (req, res) => {
     try {
-        const { name, description, testIds, userIds, dueDate, notes } = req.body;
+        const { name, testIds } = req.body;
+        const targets = KnowledgeCheckSystem.normalizeRunTargets(req.body);
+        const hasTarget = targets.userIds.length > 0 || targets.roleIds.length > 0 || targets.departments.length > 0;
         
-        if (!name || !testIds || testIds.length === 0 || !userIds || userIds.length === 0) {
+        if (!name || !testIds || testIds.length === 0 || !hasTarget) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Name, at least one test, and at least one user are required' 
+                error: 'Name, at least one test, and at least one user, role or department are required' 
             });
         }
         
+        const publishedError = KnowledgeCheckSystem.validatePublishedTests(testIds);
+        if (publishedError) {
+            return res.status(400).json({ success: false, error: publishedError });
+        }
+        
+        const availability = KnowledgeCheckSystem.normalizeAvailability(req.body);
+        if (availability.error) {
+            return res.status(400).json({ success: false, error: availability.error });
+        }
+        
         const run = KnowledgeCheckSystem.createTestRun(req.body, req.user.id);
         res.status(201).json({ success: true, run });
     } catch (error) {
@@ -351,6 +653,8 @@ router.post('/test-runs', requirePermission('kc_assign_tests'), (req, res) => {
 
 /**
  * PUT /api/knowledge-check/test-runs/:id
+ * A changed availability window (availableFrom, availableUntil) applies to all open assignments of the run,
+ * changed targets (roleIds, departments, userIds) add and withdraw assignments
  */
 router.put('/test-runs/:id', requirePermission('kc_assign_tests'), (req, res) => {
     try {
@@ -359,6 +663,19 @@ router.put('/test-runs/:id', requirePermission('kc_assign_tests'), (req, res) =>
             return res.status(404).json({ success: false, error: 'Test run not found' });
         }
         
+        const availability = KnowledgeCheckSystem.normalizeAvailability({
+            availableFrom: req.body.availableFrom !== undefined ? req.body.availableFrom : run.availableFrom,
+            availableUntil: req.body.availableUntil !== undefined ? req.body.availableUntil : run.availableUntil
+        });
+        if (availability.error) {
+            return res.status(400).json({ success: false, error: availability.error });
+        }
+        
+        const targets = KnowledgeCheckSystem.getUpdatedRunTargets(run.id, req.body);
+        if (targets && targets.roleIds.length === 0 && targets.departments.length === 0 && targets.userIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'At least one user, role or department is required' });
+        }
+        
         const updated = KnowledgeCheckSystem.updateTestRun(req.params.id, req.body);
         res.json({ success: true, run: updated });
     } catch (error) {
@@ -380,6 +697,155 @@ router.delete('/test-runs/:id', requirePermission('kc_assign_tests'), (req, res)
     }
 });
 
+// ============================================
+// LEARNING PATHS (Lernpfade)
+// ============================================
+
+/**
+ * GET /api/knowledge-check/learning-paths/my
+ * Current user's learning paths with step progress
+ */
+router.get('/learning-paths/my', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const paths = KnowledgeCheckSystem.getMyLearningPaths(req.user.id);
+        res.json({ success: true, paths });
+    } catch (error) {
+        console.error('Get my learning paths error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch your learning paths' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/learning-paths
+ */
+router.get('/learning-paths', requirePermission('kc_learning_paths_manage'), (req, res) => {
+    try {
+        const paths = KnowledgeCheckSystem.getAllLearningPaths();
+        res.json({ success: true, paths });
+    } catch (error) {
+        console.error('Get learning paths error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch learning paths' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/learning-paths/:id
+ */
+router.get('/learning-paths/:id', requirePermission('kc_learning_paths_manage'), (req, res) => {
+    try {
+        const path = KnowledgeCheckSystem.getLearningPathById(req.params.id);
+        if (!path) {
+            return res.status(404).json({ success: false, error: 'Learning path not found' });
+        }
+        res.json({ success: true, path });
+    } catch (error) {
+        console.error('Get learning path error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch learning path' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/learning-paths
+ * Body: { name, description, testIds (in step order), stepDueDays }
+ */
+router.post('/learning-paths', requirePermission('kc_learning_paths_manage'), (req, res) => {
+    try {
+        const validationError = KnowledgeCheckSystem.validateLearningPath(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const path = KnowledgeCheckSystem.createLearningPath(req.body, req.user.id);
+        res.status(201).json({ success: true, path });
+    } catch (error) {
+        console.error('Create learning path error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create learning path' });
+    }
+});
+
+/**
+ * PUT /api/knowledge-check/learning-paths/:id
+ */
+router.put('/learning-paths/:id', requirePermission('kc_learning_paths_manage'), (req, res) => {
+    try {
+        if (!KnowledgeCheckSystem.getLearningPathById(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Learning path not found' });
+        }
+
+        const validationError = KnowledgeCheckSystem.validateLearningPath(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const path = KnowledgeCheckSystem.updateLearningPath(req.params.id, req.body);
+        res.json({ success: true, path });
+    } catch (error) {
+        console.error('Update learning path error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update learning path' });
+    }
+});
+
+/**
+ * DELETE /api/knowledge-check/learning-paths/:id
+ */
+router.delete('/learning-paths/:id', requirePermission('kc_learning_paths_manage'), (req, res) => {
+    try {
+        if (!KnowledgeCheckSystem.getLearningPathById(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Learning path not found' });
+        }
+
+        const result = KnowledgeCheckSystem.deleteLearningPath(req.params.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Delete learning path error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete learning path' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/learning-paths/:id/enroll
+ * Body: { userIds } - assigns the first step, later steps unlock as the previous one is passed
+ */
+router.post('/learning-paths/:id/enroll', requirePermission('kc_assign_tests'), (req, res) => {
+    try {
+        const path = KnowledgeCheckSystem.getLearningPathById(req.params.id);
+        if (!path) {
+            return res.status(404).json({ success: false, error: 'Learning path not found' });
+        }
+        if (!Array.isArray(req.body.userIds) || req.body.userIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'At least one user is required' });
+        }
+        if (path.steps.length === 0) {
+            return res.status(400).json({ success: false, error: 'Learning path has no tests' });
+        }
+
+        const result = KnowledgeCheckSystem.enrollInLearningPath(req.params.id, req.body.userIds, req.user.id);
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Enroll in learning path error:', error);
+        res.status(500).json({ success: false, error: 'Failed to enroll users' });
+    }
+});
+
+/**
+ * DELETE /api/knowledge-check/learning-paths/:id/enrollments/:enrollmentId
+ * Takes a user off the path; steps not started yet are withdrawn
+ */
+router.delete('/learning-paths/:id/enrollments/:enrollmentId', requirePermission('kc_assign_tests'), (req, res) => {
+    try {
+        const path = KnowledgeCheckSystem.getLearningPathById(req.params.id);
+        if (!path || !path.enrollments.some(e => e.id === req.params.enrollmentId)) {
+            return res.status(404).json({ success: false, error: 'Enrollment not found' });
+        }
+
+        KnowledgeCheckSystem.withdrawEnrollment(req.params.enrollmentId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Withdraw enrollment error:', error);
+        res.status(500).json({ success: false, error: 'Failed to withdraw enrollment' });
+    }
+});
+
 // ============================================
 // TESTS
 // ============================================
@@ -438,6 +904,17 @@ router.post('/tests', requirePermission('kc_tests_create'), (req, res) => {
             return res.status(400).json({ success: false, error: 'Test name is required' });
         }
         
+        const poolError = KnowledgeCheckSystem.validateQuestionPool(req.body);
+        if (poolError) {
+            return res.status(400).json({ success: false, error: poolError });
+        }
+        
+        const policyError = KnowledgeCheckSystem.validateRetakePolicy(req.body) || KnowledgeCheckSystem.validateValidity(req.body) ||
+            KnowledgeCheckSystem.validateResultVisibility(req.body) || KnowledgeCheckSystem.validatePublishedQuestions(req.body.questionIds);
+        if (policyError) {
+            return res.status(400).json({ success: false, error: policyError });
+        }
+        
         const test = KnowledgeCheckSystem.createTest(req.body);
         res.status(201).json({ success: true, test });
     } catch (error) {
@@ -456,8 +933,28 @@ router.put('/tests/:id', requirePermission('kc_tests_edit'), (req, res) => {
             return res.status(404).json({ success: false, error: 'Test not found' });
         }
         
-        const updated = KnowledgeCheckSystem.updateTest(req.params.id, req.body);
-        res.json({ success: true, test: updated });
+        // Validate pool settings as they will be after the update (only when they change)
+        const changesPool = ['questionMode', 'drawCount', 'poolRules'].some(key => req.body[key] !== undefined);
+        const poolError = changesPool && KnowledgeCheckSystem.validateQuestionPool({
+            questionMode: req.body.questionMode !== undefined ? req.body.questionMode : test.questionMode,
+            drawCount: req.body.drawCount !== undefined ? req.body.drawCount : test.drawCount,
+            poolRules: req.body.poolRules !== undefined ? req.body.poolRules : test.poolRules
+        });
+        if (poolError) {
+            return res.status(400).json({ success: false, error: poolError });
+        }
+        
+        const policyError = KnowledgeCheckSystem.validateRetakePolicy(req.body) || KnowledgeCheckSystem.validateValidity(req.body) ||
+            KnowledgeCheckSystem.validateResultVisibility(req.body) || KnowledgeCheckSystem.validatePublishedQuestions(req.body.questionIds);
+        if (policyError) {
+            return res.status(400).json({ success: false, error: policyError });
+        }
+        
+        const result = KnowledgeCheckSystem.editTest(req.params.id, req.body, req.user.id);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.json(result);
     } catch (error) {
         console.error('Update KC test error:', error);
         res.status(500).json({ success: false, error: 'Failed to update test' });
@@ -477,87 +974,254 @@ router.delete('/tests/:id', requirePermission('kc_tests_delete'), (req, res) =>
     }
 });
 
-// ============================================
-// RESULTS
-// ============================================
-
 /**
- * GET /api/knowledge-check/results
+ * GET /api/knowledge-check/tests/:id/review-history
  */
-router.get('/results', requirePermission('kc_results_view'), (req, res) => {
+router.get('/tests/:id/review-history', requirePermission('kc_tests_view'), (req, res) => {
     try {
-        const results = KnowledgeCheckSystem.getAllResults(req.query);
-        res.json({ success: true, results });
+        const history = KnowledgeCheckSystem.getReviewHistory('test', req.params.id);
+        res.json({ success: true, history });
     } catch (error) {
-        console.error('Get KC results error:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch results' });
+        console.error('Get test review history error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch review history' });
     }
 });
 
 /**
- * GET /api/knowledge-check/results/:id
- * Users can view their own results (with kc_assigned_view) or all results (with kc_results_view)
- * Users with kc_results_evaluate can see which answers are correct
+ * POST /api/knowledge-check/tests/:id/submit
+ * Submits a draft test for review - Body: { comment }
  */
-router.get('/results/:id', (req, res) => {
+router.post('/tests/:id/submit', requirePermission('kc_tests_edit'), (req, res) => {
     try {
-        const result = KnowledgeCheckSystem.getResultById(req.params.id);
-        if (!result) {
-            return res.status(404).json({ success: false, error: 'Result not found' });
-        }
-        
-        // Check permissions: user can view their own results or needs kc_results_view for others
-        const isOwnResult = result.userId === req.user.id;
-        const hasAssignedView = hasPermission(req.user, 'kc_assigned_view');
-        const hasResultsView = hasPermission(req.user, 'kc_results_view');
-        const canEvaluate = hasPermission(req.user, 'kc_results_evaluate');
-        
-        if (!isOwnResult && !hasResultsView) {
-            return res.status(403).json({ success: false, error: 'Permission denied - cannot view results for other users' });
-        }
-        
-        if (isOwnResult && !hasAssignedView && !hasResultsView) {
-            return res.status(403).json({ success: false, error: 'Permission denied' });
+        const result = KnowledgeCheckSystem.submitForReview('test', req.params.id, req.user.id, req.body.comment);
+        if (!result.success) {
+            return res.status(result.error === 'Test not found' ? 404 : 400).json(result);
         }
-        
-        res.json({ success: true, result, canEvaluate });
+        res.json({ success: true, test: result.item });
     } catch (error) {
-        console.error('Get KC result error:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch result' });
+        console.error('Submit test for review error:', error);
+        res.status(500).json({ success: false, error: 'Failed to submit test for review' });
     }
 });
 
 /**
- * POST /api/knowledge-check/results
- * Create a test result. Users can create results for themselves when taking assigned tests
- * (requires kc_assigned_view), or managers can create results for anyone (requires kc_results_view)
+ * POST /api/knowledge-check/tests/:id/review
+ * Body: { decision: 'approve' | 'reject' | 'comment', comment }
  */
-router.post('/results', (req, res) => {
+router.post('/tests/:id/review', requirePermission('kc_content_review'), (req, res) => {
     try {
-        const { testId, userId, answers } = req.body;
-        
-        if (!testId || !userId) {
-            return res.status(400).json({ success: false, error: 'Test ID and User ID are required' });
+        const result = KnowledgeCheckSystem.reviewItem('test', req.params.id, req.body.decision, req.user.id, req.body.comment);
+        if (!result.success) {
+            return res.status(result.error === 'Test not found' ? 404 : 400).json(result);
         }
-        
-        if (!UserSystem.getById(userId)) {
-            return res.status(400).json({ success: false, error: 'Invalid user' });
+        res.json({ success: true, test: result.item });
+    } catch (error) {
+        console.error('Review test error:', error);
+        res.status(500).json({ success: false, error: 'Failed to review test' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/tests/:id/regrade
+ * Re-grades stored answers against the current answer key of all questions of the test
+ * Body: { dryRun (default true - preview only), notify, reason }
+ */
+router.post('/tests/:id/regrade', requirePermission('kc_results_evaluate'), (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.regradeResults('test', req.params.id, {
+            apply: req.body.dryRun === false,
+            notify: !!req.body.notify,
+            reason: req.body.reason
+        }, req.user.id);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Regrade test error:', error);
+        res.status(500).json({ success: false, error: 'Failed to re-grade results' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/tests/:id/preview
+ * Draw the test like a new attempt for its author - nothing is stored
+ */
+router.get('/tests/:id/preview', (req, res) => {
+    try {
+        if (!canPreviewTests(req.user)) {
+            return res.status(403).json({ success: false, error: 'Permission denied' });
+        }
+
+        const preview = KnowledgeCheckSystem.previewTest(req.params.id);
+        if (!preview.success) {
+            const status = preview.error === 'Test not found' ? 404 : 400;
+            return res.status(status).json(preview);
+        }
+        res.json(preview);
+    } catch (error) {
+        console.error('Preview KC test error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load test preview' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/tests/:id/preview/submit
+ * Grade a preview - returns the outcome without creating a result
+ * Body: { questionSet, answers }
+ */
+router.post('/tests/:id/preview/submit', (req, res) => {
+    try {
+        if (!canPreviewTests(req.user)) {
+            return res.status(403).json({ success: false, error: 'Permission denied' });
+        }
+
+        const { questionSet, answers } = req.body;
+        if (answers !== undefined && !Array.isArray(answers)) {
+            return res.status(400).json({ success: false, error: 'Answers must be an array' });
+        }
+
+        const graded = KnowledgeCheckSystem.gradeTestPreview(req.params.id, { questionSet, answers });
+        if (!graded.success) {
+            const status = graded.error === 'Test not found' ? 404 : 400;
+            return res.status(status).json(graded);
+        }
+        res.json(graded);
+    } catch (error) {
+        console.error('Submit KC test preview error:', error);
+        res.status(500).json({ success: false, error: 'Failed to grade test preview' });
+    }
+});
+
+// ============================================
+// RESULTS
+// ============================================
+
+/**
+ * GET /api/knowledge-check/results
+ */
+router.get('/results', requirePermission('kc_results_view'), (req, res) => {
+    try {
+        const results = KnowledgeCheckSystem.getAllResults(req.query);
+        res.json({ success: true, results });
+    } catch (error) {
+        console.error('Get KC results error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch results' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/results/review-queue
+ * Open-question answers waiting for manual evaluation (lowest confidence first)
+ * Query: testId, lowConfidence=1 to show only answers the automatic check was unsure about
+ */
+router.get('/results/review-queue', requirePermission('kc_results_evaluate'), (req, res) => {
+    try {
+        const answers = KnowledgeCheckSystem.getReviewQueue({
+            testId: req.query.testId,
+            lowConfidence: req.query.lowConfidence === '1' || req.query.lowConfidence === 'true'
+        });
+        res.json({ success: true, answers });
+    } catch (error) {
+        console.error('Get KC review queue error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch review queue' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/results/:id
+ * Users can view their own results (with kc_assigned_view) or all results (with kc_results_view)
+ * Users with kc_results_evaluate can see which answers are correct,
+ * test takers see their own result as far as the test's result visibility allows
+ */
+router.get('/results/:id', (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.getResultById(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Result not found' });
         }
         
-        // Check permissions: either user is submitting for themselves (with kc_assigned_view)
-        // or has kc_results_view to create results for others
-        const isOwnResult = userId === req.user.id;
+        // Check permissions: user can view their own results or needs kc_results_view for others
+        const isOwnResult = result.userId === req.user.id;
         const hasAssignedView = hasPermission(req.user, 'kc_assigned_view');
         const hasResultsView = hasPermission(req.user, 'kc_results_view');
+        const canEvaluate = hasPermission(req.user, 'kc_results_evaluate');
         
         if (!isOwnResult && !hasResultsView) {
-            return res.status(403).json({ success: false, error: 'Permission denied - cannot create results for other users' });
+            return res.status(403).json({ success: false, error: 'Permission denied - cannot view results for other users' });
         }
         
         if (isOwnResult && !hasAssignedView && !hasResultsView) {
             return res.status(403).json({ success: false, error: 'Permission denied' });
         }
         
+        res.json({ success: true, result: visibleResult(req.user, result), canEvaluate });
+    } catch (error) {
+        console.error('Get KC result error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch result' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/results/:id/certificate
+ * Certificate PDF of a passed result (base64), same access rules as the result itself
+ */
+router.get('/results/:id/certificate', (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.getResultById(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Result not found' });
+        }
+
+        const isOwnResult = result.userId === req.user.id;
+        if (!hasPermission(req.user, 'kc_results_view') &&
+            !(isOwnResult && hasPermission(req.user, 'kc_assigned_view'))) {
+            return res.status(403).json({ success: false, error: 'Permission denied' });
+        }
+
+        if (!result.passed) {
+            return res.status(400).json({ success: false, error: 'Certificates are only issued for passed tests' });
+        }
+
+        // Results from before certificates existed get theirs on first download
+        const certificate = KnowledgeCheckSystem.issueCertificate(result.id);
+
+        const verifyUrl = `${req.protocol}://${req.get('host')}/api/knowledge-check/certificates/verify/${certificate.verificationCode}`;
+        const pdf = certificateService.render(certificate, KnowledgeCheckSystem.getCertificateTemplate(), {
+            companyName: SettingsSystem.get('general.companyName') || '',
+            verifyUrl
+        });
+
+        res.json({
+            success: true,
+            data: pdf.toString('base64'),
+            filename: `zertifikat_${result.resultNumber}.pdf`,
+            mimeType: 'application/pdf',
+            certificate
+        });
+    } catch (error) {
+        console.error('Get KC certificate error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create certificate' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/results
+ * Manually create a test result (requires kc_results_view).
+ * Test takers submit through POST /assignments/:id/submit, which grades on the server.
+ */
+router.post('/results', requirePermission('kc_results_view'), (req, res) => {
+    try {
+        const { testId, userId } = req.body;
+        
+        if (!testId || !userId) {
+            return res.status(400).json({ success: false, error: 'Test ID and User ID are required' });
+        }
+        
+        if (!UserSystem.getById(userId)) {
+            return res.status(400).json({ success: false, error: 'Invalid user' });
+        }
+        
         const result = KnowledgeCheckSystem.createResult(req.body, req.user.id);
         res.status(201).json({ success: true, result });
     } catch (error) {
@@ -584,6 +1248,24 @@ router.put('/results/:id', requirePermission('kc_results_view'), (req, res) => {
     }
 });
 
+/**
+ * PUT /api/knowledge-check/results/:id/review
+ * Manual evaluation - overrides answer scores and notes, then recalculates percentage and passed
+ * Body: { answers: [{ answerId, score, evaluatorNotes }] }
+ */
+router.put('/results/:id/review', requirePermission('kc_results_evaluate'), (req, res) => {
+    try {
+        const result = KnowledgeCheckSystem.reviewResult(req.params.id, req.body.answers, req.user.id);
+        if (!result.success) {
+            return res.status(result.error === 'Result not found' ? 404 : 400).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Review KC result error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save evaluation' });
+    }
+});
+
 /**
  * DELETE /api/knowledge-check/results/:id
  */
@@ -597,6 +1279,106 @@ router.delete('/results/:id', requirePermission('kc_results_delete'), (req, res)
     }
 });
 
+// ============================================
+// CERTIFICATE TEMPLATE
+// ============================================
+
+/**
+ * GET /api/knowledge-check/certificates/template
+ */
+router.get('/certificates/template', requirePermission('kc_certificates_manage'), (req, res) => {
+    try {
+        const template = KnowledgeCheckSystem.getCertificateTemplate();
+        res.json({ success: true, template, placeholders: certificateService.placeholders });
+    } catch (error) {
+        console.error('Get KC certificate template error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch certificate template' });
+    }
+});
+
+/**
+ * PUT /api/knowledge-check/certificates/template
+ * Body: { title, intro, body, footer, signatureName, signatureTitle }
+ */
+router.put('/certificates/template', requirePermission('kc_certificates_manage'), (req, res) => {
+    try {
+        const template = KnowledgeCheckSystem.updateCertificateTemplate(req.body || {});
+        res.json({ success: true, template });
+    } catch (error) {
+        console.error('Update KC certificate template error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save certificate template' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/certificates/template/preview
+ * Renders a template (saved or from the body) with sample data, nothing is stored
+ */
+router.post('/certificates/template/preview', requirePermission('kc_certificates_manage'), (req, res) => {
+    try {
+        const template = { ...KnowledgeCheckSystem.getCertificateTemplate(), ...(req.body || {}) };
+        const sample = {
+            userName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.username,
+            testName: 'Beispieltest',
+            testNumber: 'T-0001',
+            percentage: 92,
+            completedAt: new Date().toISOString(),
+            validUntil: KnowledgeCheckSystem.addMonths(new Date().toISOString(), 12),
+            verificationCode: 'ABCD-1234-EF56'
+        };
+        const pdf = certificateService.render(sample, template, {
+            companyName: SettingsSystem.get('general.companyName') || '',
+            verifyUrl: `${req.protocol}://${req.get('host')}/api/knowledge-check/certificates/verify/${sample.verificationCode}`
+        });
+
+        res.json({ success: true, data: pdf.toString('base64'), filename: 'zertifikat_vorschau.pdf', mimeType: 'application/pdf' });
+    } catch (error) {
+        console.error('Preview KC certificate error:', error);
+        res.status(500).json({ success: false, error: 'Failed to render certificate preview' });
+    }
+});
+
+// ============================================
+// CERTIFICATION VALIDITY
+// ============================================
+
+/**
+ * GET /api/knowledge-check/certifications
+ * Who is certified until when, for tests with a validity period
+ * Query: testId, userId, status (valid, expiring, expired)
+ */
+router.get('/certifications', requirePermission('kc_results_view'), (req, res) => {
+    try {
+        const certifications = KnowledgeCheckSystem.getCertifications({
+            testId: req.query.testId,
+            userId: req.query.userId,
+            status: req.query.status
+        });
+        res.json({
+            success: true,
+            certifications,
+            leadDays: Config.get('knowledgeCheck.recertificationLeadDays', 30)
+        });
+    } catch (error) {
+        console.error('Get KC certifications error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch certifications' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/certifications/recertify
+ * Creates the due recertification runs now instead of waiting for the scheduled check
+ */
+router.post('/certifications/recertify', requirePermission('kc_assign_tests'), (req, res) => {
+    try {
+        const runs = KnowledgeCheckSystem.createRecertificationRuns();
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('Create KC recertification runs error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create recertification runs' });
+    }
+});
+
 // ============================================
 // TEST ASSIGNMENTS
 // ============================================
@@ -628,7 +1410,10 @@ router.get('/assignments', requirePermission('kc_assigned_view'), (req, res) =>
  */
 router.get('/assignments/my', requirePermission('kc_assigned_view'), (req, res) => {
     try {
-        const assignments = KnowledgeCheckSystem.getMyAssignments(req.user.id);
+        let assignments = KnowledgeCheckSystem.getMyAssignments(req.user.id);
+        if (!hasPermission(req.user, 'kc_results_view')) {
+            assignments = assignments.map(a => KnowledgeCheckSystem.applyAssignmentVisibility(a));
+        }
         res.json({ success: true, assignments });
     } catch (error) {
         console.error('Get my assignments error:', error);
@@ -650,6 +1435,54 @@ router.get('/assignments/pending-count', requirePermission('kc_assigned_view'),
     }
 });
 
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+/**
+ * GET /api/knowledge-check/notifications
+ * Current user's notifications (?unreadOnly=true, ?limit=50)
+ */
+router.get('/notifications', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const notifications = KnowledgeCheckSystem.getNotifications(req.user.id, {
+            unreadOnly: req.query.unreadOnly === 'true',
+            limit: req.query.limit
+        });
+        const unreadCount = KnowledgeCheckSystem.getUnreadNotificationCount(req.user.id);
+        res.json({ success: true, notifications, unreadCount });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notifications' });
+    }
+});
+
+/**
+ * PUT /api/knowledge-check/notifications/read-all
+ */
+router.put('/notifications/read-all', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const updated = KnowledgeCheckSystem.markNotificationsRead(req.user.id);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notifications' });
+    }
+});
+
+/**
+ * PUT /api/knowledge-check/notifications/:id/read
+ */
+router.put('/notifications/:id/read', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const updated = KnowledgeCheckSystem.markNotificationsRead(req.user.id, req.params.id);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notification' });
+    }
+});
+
 /**
  * GET /api/knowledge-check/assignments/:id
  */
@@ -696,6 +1529,11 @@ router.post('/assignments', requirePermission('kc_assign_tests'), (req, res) =>
             return res.status(400).json({ success: false, error: 'User not found' });
         }
         
+        const availability = KnowledgeCheckSystem.normalizeAvailability(req.body);
+        if (availability.error) {
+            return res.status(400).json({ success: false, error: availability.error });
+        }
+        
         const assignment = KnowledgeCheckSystem.createAssignment(req.body, req.user.id);
         res.status(201).json({ success: true, assignment });
     } catch (error) {
@@ -706,17 +1544,21 @@ router.post('/assignments', requirePermission('kc_assign_tests'), (req, res) =>
 
 /**
  * PUT /api/knowledge-check/assignments/:id
+ * Test takers complete assignments through POST /assignments/:id/submit
  */
-router.put('/assignments/:id', requirePermission('kc_assigned_view'), (req, res) => {
+router.put('/assignments/:id', requirePermission('kc_assign_tests'), (req, res) => {
     try {
         const assignment = KnowledgeCheckSystem.getAssignmentById(req.params.id);
         if (!assignment) {
             return res.status(404).json({ success: false, error: 'Assignment not found' });
         }
         
-        // Regular users can only update status when completing
-        if (!hasPermission(req.user, 'kc_assign_tests') && assignment.userId !== req.user.id) {
-            return res.status(403).json({ success: false, error: 'Access denied' });
+        const availability = KnowledgeCheckSystem.normalizeAvailability({
+            availableFrom: req.body.availableFrom !== undefined ? req.body.availableFrom : assignment.availableFrom,
+            availableUntil: req.body.availableUntil !== undefined ? req.body.availableUntil : assignment.availableUntil
+        });
+        if (availability.error) {
+            return res.status(400).json({ success: false, error: availability.error });
         }
         
         const updated = KnowledgeCheckSystem.updateAssignment(req.params.id, req.body);
@@ -742,7 +1584,7 @@ router.delete('/assignments/:id', requirePermission('kc_assign_tests'), (req, re
 
 /**
  * GET /api/knowledge-check/assignments/:id/take-test
- * Get full test data for taking an assigned test
+ * Get full test data for taking an assigned test and start (or resume) the timed attempt
  * Only the assigned user can access this
  */
 router.get('/assignments/:id/take-test', requirePermission('kc_assigned_view'), (req, res) => {
@@ -757,30 +1599,24 @@ router.get('/assignments/:id/take-test', requirePermission('kc_assigned_view'),
             return res.status(403).json({ success: false, error: 'Access denied - not your assignment' });
         }
         
-        // Check assignment status
-        if (assignment.status === 'completed') {
-            return res.status(400).json({ success: false, error: 'Test already completed' });
-        }
-        
-        // Get the full test with questions
+        // Get the test with questions - answer key is stripped for the test taker
         const test = KnowledgeCheckSystem.getTestById(assignment.testId);
         if (!test) {
             return res.status(404).json({ success: false, error: 'Test not found' });
         }
         
-        // Get all questions with their options for this test
-        const questions = [];
-        for (const tq of test.questions || []) {
-            const question = KnowledgeCheckSystem.getQuestionById(tq.questionId);
-            if (question) {
-                questions.push({
-                    ...question,
-                    // Use weighting override from test-question link, or fall back to question's effective weighting
-                    effectiveWeighting: tq.weightingOverride || question.effectiveWeighting || 1
-                });
-            }
+        // Start a new attempt or resume the running one (deadline is based on the server clock).
+        // Completed assignments are only restarted within the test's retake policy.
+        const attemptStart = KnowledgeCheckSystem.startAttempt(assignment.id);
+        if (!attemptStart.success) {
+            attemptStart.result = visibleResult(req.user, attemptStart.result);
+            const status = attemptStart.code === 'ATTEMPT_EXPIRED' ? 409 : 400;
+            return res.status(status).json(attemptStart);
         }
         
+        // Questions as drawn for this attempt (pool draw and shuffled order)
+        const questions = KnowledgeCheckSystem.getQuestionsForTaking(attemptStart.attempt);
+        
         res.json({ 
             success: true, 
             test: {
@@ -796,6 +1632,13 @@ router.get('/assignments/:id/take-test', requirePermission('kc_assigned_view'),
                 id: assignment.id,
                 dueDate: assignment.dueDate,
                 notes: assignment.notes
+            },
+            attempt: {
+                id: attemptStart.attempt.id,
+                startedAt: attemptStart.attempt.startedAt,
+                deadlineAt: attemptStart.attempt.deadlineAt,
+                resumed: attemptStart.resumed,
+                serverTime: new Date().toISOString()
             }
         });
     } catch (error) {
@@ -804,6 +1647,181 @@ router.get('/assignments/:id/take-test', requirePermission('kc_assigned_view'),
     }
 });
 
+/**
+ * GET /api/knowledge-check/assignments/:id/draft
+ * Get the autosaved answers of the running attempt (to restore a reopened test)
+ */
+router.get('/assignments/:id/draft', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const assignment = KnowledgeCheckSystem.getAssignmentById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ success: false, error: 'Assignment not found' });
+        }
+        
+        if (assignment.userId !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'Access denied - not your assignment' });
+        }
+        
+        const draft = KnowledgeCheckSystem.getDraft(req.params.id);
+        res.json({ success: true, draft });
+    } catch (error) {
+        console.error('Get KC draft error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch draft' });
+    }
+});
+
+/**
+ * PUT /api/knowledge-check/assignments/:id/draft
+ * Autosave the current answers of the running attempt
+ */
+router.put('/assignments/:id/draft', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const assignment = KnowledgeCheckSystem.getAssignmentById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ success: false, error: 'Assignment not found' });
+        }
+        
+        if (assignment.userId !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'Access denied - not your assignment' });
+        }
+        
+        if (assignment.status === 'completed') {
+            return res.status(400).json({ success: false, error: 'Test already completed' });
+        }
+        
+        const { answers } = req.body;
+        if (!Array.isArray(answers)) {
+            return res.status(400).json({ success: false, error: 'Answers must be an array' });
+        }
+        
+        const saved = KnowledgeCheckSystem.saveDraft(req.params.id, answers);
+        if (!saved.success) {
+            const status = saved.code === 'ATTEMPT_EXPIRED' ? 409 : 400;
+            return res.status(status).json(saved);
+        }
+        
+        res.json(saved);
+    } catch (error) {
+        console.error('Save KC draft error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save draft' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/assignments/:id/submit
+ * Submit answers for an assigned test. Only the raw selections and texts are accepted,
+ * grading happens on the server. Only the assigned user can submit.
+ */
+router.post('/assignments/:id/submit', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const assignment = KnowledgeCheckSystem.getAssignmentById(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ success: false, error: 'Assignment not found' });
+        }
+        
+        if (assignment.userId !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'Access denied - not your assignment' });
+        }
+        
+        const { answers } = req.body;
+        if (answers !== undefined && !Array.isArray(answers)) {
+            return res.status(400).json({ success: false, error: 'Answers must be an array' });
+        }
+        
+        const submission = KnowledgeCheckSystem.submitAssignment(req.params.id, { answers });
+        submission.result = visibleResult(req.user, submission.result);
+        if (!submission.success) {
+            const status = submission.code === 'ATTEMPT_EXPIRED' ? 409 : 400;
+            return res.status(status).json(submission);
+        }
+        
+        res.status(201).json({ success: true, result: submission.result });
+    } catch (error) {
+        console.error('Submit KC test error:', error);
+        res.status(500).json({ success: false, error: 'Failed to submit test' });
+    }
+});
+
+// ============================================
+// PRACTICE MODE
+// ============================================
+
+/**
+ * GET /api/knowledge-check/practice/tests
+ * Tests the current user can practice, with their practice history
+ */
+router.get('/practice/tests', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const tests = KnowledgeCheckSystem.getPracticeTests(req.user.id);
+        res.json({ success: true, tests });
+    } catch (error) {
+        console.error('Get KC practice tests error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch practice tests' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/practice/tests/:id/start
+ * Start a practice attempt - not graded, never creates a result
+ */
+router.post('/practice/tests/:id/start', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const practice = KnowledgeCheckSystem.startPractice(req.params.id, req.user.id);
+        if (!practice.success) {
+            const status = practice.error === 'Test not found' ? 404 : 400;
+            return res.status(status).json(practice);
+        }
+
+        res.status(201).json(practice);
+    } catch (error) {
+        console.error('Start KC practice error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start practice' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/practice/attempts/:id/check
+ * Check a single answer and return the solution
+ * Body: { questionId, selectedOptions, answerText, matches, blanks }
+ */
+router.post('/practice/attempts/:id/check', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        if (!req.body.questionId) {
+            return res.status(400).json({ success: false, error: 'Question ID is required' });
+        }
+
+        const checked = KnowledgeCheckSystem.checkPracticeAnswer(req.params.id, req.user.id, req.body);
+        if (!checked.success) {
+            const status = checked.error === 'Practice attempt not found' ? 404 : 400;
+            return res.status(status).json(checked);
+        }
+
+        res.json(checked);
+    } catch (error) {
+        console.error('Check KC practice answer error:', error);
+        res.status(500).json({ success: false, error: 'Failed to check answer' });
+    }
+});
+
+/**
+ * POST /api/knowledge-check/practice/attempts/:id/finish
+ * Finish a practice attempt and return its summary
+ */
+router.post('/practice/attempts/:id/finish', requirePermission('kc_assigned_view'), (req, res) => {
+    try {
+        const finished = KnowledgeCheckSystem.finishPractice(req.params.id, req.user.id);
+        if (!finished.success) {
+            const status = finished.error === 'Practice attempt not found' ? 404 : 400;
+            return res.status(status).json(finished);
+        }
+
+        res.json(finished);
+    } catch (error) {
+        console.error('Finish KC practice error:', error);
+        res.status(500).json({ success: false, error: 'Failed to finish practice' });
+    }
+});
+
 // ============================================
 // STATISTICS & EXPORT
 // ============================================
@@ -823,33 +1841,126 @@ router.get('/stats', requirePermission('kc_view'), (req, res) => {
 });
 
 /**
- * GET /api/knowledge-check/export/results
+ * GET /api/knowledge-check/reports/competency-matrix
+ * Share of points reached per user and question category
+ * Query: startDate, endDate, roleId, department
  */
-router.get('/export/results', requirePermission('kc_results_view'), (req, res) => {
+router.get('/reports/competency-matrix', requirePermission('kc_results_view'), (req, res) => {
     try {
-        const results = KnowledgeCheckSystem.getAllResults(req.query);
-        
-        // Generate CSV
-        const headers = ['Result #', 'Test', 'User', 'Evaluator', 'Score', 'Percentage', 'Passed', 'Date'];
-        const rows = results.map(r => [
-            r.resultNumber,
-            r.testName,
-            r.userName,
-            r.evaluatorName || '',
-            `${r.totalScore}/${r.maxScore}`,
-            `${r.percentage}%`,
-            r.passed ? 'Yes' : 'No',
-            r.completedAt ? new Date(r.completedAt).toLocaleDateString() : ''
+        const matrix = KnowledgeCheckSystem.getCompetencyMatrix(req.query);
+        res.json({ success: true, ...matrix });
+    } catch (error) {
+        console.error('Get competency matrix error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch competency matrix' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/reports/competency-matrix/answers
+ * Answers behind one matrix cell - Query: userId, categoryId (empty = no category), startDate, endDate
+ */
+router.get('/reports/competency-matrix/answers', requirePermission('kc_results_view'), (req, res) => {
+    try {
+        if (!req.query.userId) {
+            return res.status(400).json({ success: false, error: 'userId is required' });
+        }
+        const answers = KnowledgeCheckSystem.getCompetencyAnswers(req.query);
+        res.json({ success: true, answers });
+    } catch (error) {
+        console.error('Get competency answers error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch answers' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/reports/competency-matrix/export
+ * Competency matrix as CSV (one row per user, one column per category)
+ */
+router.get('/reports/competency-matrix/export', requirePermission('kc_results_view'), (req, res) => {
+    try {
+        const { categories, users } = KnowledgeCheckSystem.getCompetencyMatrix(req.query);
+        const percent = (value) => value === null || value === undefined ? '' : `${value}%`;
+
+        const headers = ['User', 'Department', 'Role', ...categories.map(c => c.name), 'Overall', 'Answers'];
+        const rows = users.map(u => [
+            u.userName,
+            u.department,
+            u.roleName,
+            ...categories.map(c => percent(u.cells[c.id]?.percentage)),
+            percent(u.percentage),
+            u.answerCount
         ]);
-        
+        const total = categories.reduce((sum, c) => ({ score: sum.score + c.score, max: sum.max + c.maxScore, answers: sum.answers + c.answerCount }),
+            { score: 0, max: 0, answers: 0 });
+        rows.push(['Average', '', '', ...categories.map(c => percent(c.percentage)),
+            percent(total.max > 0 ? Math.round(total.score / total.max * 100) : null), total.answers]);
+
         const csv = [
-            headers.join(','),
-            ...rows.map(row => row.map(cell => `"${(cell || '').toString().replace(/"/g, '""')}"`).join(','))
+            headers.map(cell => `"${cell.replace(/"/g, '""')}"`).join(','),
+            ...rows.map(row => row.map(cell => `"${(cell ?? '').toString().replace(/"/g, '""')}"`).join(','))
         ].join('\n');
-        
-        res.json({ success: true, data: csv });
+
+        res.json({
+            success: true,
+            data: csv,
+            filename: `kompetenzmatrix_${new Date().toISOString().split('T')[0]}.csv`,
+            mimeType: 'text/csv'
+        });
+    } catch (error) {
+        console.error('Export competency matrix error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export competency matrix' });
+    }
+});
+
+/**
+ * GET /api/knowledge-check/export/results
+ * Results as file download - Query: mode (summary, detailed, pivot), format (csv, xlsx),
+ * runId, testId, userId, startDate, endDate
+ */
+router.get('/export/results', requirePermission('kc_results_view'), async (req, res) => {
+    try {
+        const mode = req.query.mode || 'summary';
+        const format = req.query.format || 'csv';
+        const exportMode = resultExportService.modes[mode];
+        const exportFormat = resultExportService.formats[format];
+        if (!exportMode) {
+            return res.status(400).json({ success: false, error: 'Unsupported export mode' });
+        }
+        if (!exportFormat) {
+            return res.status(400).json({ success: false, error: 'Unsupported export format' });
+        }
+
+        const filters = {
+            runId: req.query.runId,
+            testId: req.query.testId,
+            userId: req.query.userId,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate
+        };
+        let table;
+        if (mode === 'detailed') {
+            table = resultExportService.detailedTable(KnowledgeCheckSystem.eachResultAnswerForExport(filters));
+        } else if (mode === 'pivot') {
+            table = resultExportService.pivotTable(KnowledgeCheckSystem.getResultAnswerPivot(filters));
+        } else {
+            table = resultExportService.summaryTable(KnowledgeCheckSystem.getAllResults(filters));
+        }
+
+        const filename = `${exportMode.fileName}_${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`;
+        res.set({
+            'Content-Type': exportFormat.mimeType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        if (format === 'xlsx') {
+            return res.send(resultExportService.renderXlsx(table, exportMode.label));
+        }
+        await resultExportService.writeCsv(res, table);
     } catch (error) {
         console.error('Export KC results error:', error);
+        // Once the download has started, breaking it off is the only way to report the error
+        if (res.headersSent) return res.destroy();
         res.status(500).json({ success: false, error: 'Failed to export results' });
     }
 });
@@ -861,9 +1972,9 @@ router.get('/export/results', requirePermission('kc_results_view'), (req, res) =
  */
 router.post('/check-answer', requirePermission('kc_assigned_view'), (req, res) => {
     try {
-        const { answer, exactAnswer, triggerWords } = req.body;
+        const { answer, exactAnswer, triggerWords, answerRules } = req.body;
         
-        const result = KnowledgeCheckSystem.checkOpenAnswer(answer, exactAnswer, triggerWords || []);
+        const result = KnowledgeCheckSystem.checkOpenAnswer(answer, exactAnswer, triggerWords || [], answerRules);
         res.json({ success: true, ...result });
     } catch (error) {
         console.error('Check answer error:', error);
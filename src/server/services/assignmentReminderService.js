@@ -0,0 +1,91 @@
+/**
+ * Assignment Reminder Service
+ * Periodically opens scheduled test assignments, marks overdue ones, rolls up the test run status
+ * and sends due date reminders
+ * Configuration controlled via config/default.json or config/local.json
+ */
+
+const Config = require('../../../config/Config');
+const { KnowledgeCheckSystem, UserSystem } = require('../database');
+const emailService = require('./emailService');
+
+class AssignmentReminderService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Starts the scheduled check (knowledgeCheck.reminderCheckMinutes = 0 disables it)
+     */
+    start() {
+        const minutes = Config.get('knowledgeCheck.reminderCheckMinutes', 15);
+        if (!minutes || this.timer) {
+            console.log('Due date check: DISABLED');
+            return;
+        }
+
+        this.check();
+        this.timer = setInterval(() => this.check(), minutes * 60 * 1000);
+        console.log(`Due date check: every ${minutes} minutes`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Processes due dates and delivers the new reminders
+     * @returns {Object|null} Summary, or null if a check is still running
+     */
+    async check() {
+        if (this.running) return null;
+        this.running = true;
+        try {
+            const summary = KnowledgeCheckSystem.processDueDates();
+            if (summary.activated || summary.overdue || summary.reopened || summary.runsUpdated || summary.reminders.length) {
+                console.log(`Due date check: ${summary.activated} activated, ${summary.overdue} overdue, ${summary.reopened} reopened, ` +
+                    `${summary.runsUpdated} runs updated, ${summary.reminders.length} reminders`);
+            }
+            summary.emailed = await this.sendEmails(summary.reminders);
+            return summary;
+        } catch (error) {
+            console.error('Due date check error:', error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Sends the reminders by email as well (knowledgeCheck.reminderEmail and a configured email section)
+     * @returns {number} Number of sent emails
+     */
+    async sendEmails(reminders) {
+        if (!Config.get('knowledgeCheck.reminderEmail', false) || !emailService.isEnabled()) return 0;
+
+        let sent = 0;
+        for (const reminder of reminders) {
+            const user = UserSystem.getById(reminder.userId);
+            if (!user?.email) continue;
+            try {
+                await emailService.send({
+                    to: user.email,
+                    subject: reminder.title,
+                    text: `Hallo ${user.first_name},\n\n${reminder.message}\n\nSie finden den Test unter Knowledge Check > Zugewiesene Tests.`
+                });
+                KnowledgeCheckSystem.markNotificationEmailed(reminder.id);
+                sent++;
+            } catch (error) {
+                console.error(`Reminder email to ${user.email} failed:`, error.message);
+            }
+        }
+        return sent;
+    }
+}
+
+// Export singleton instance
+module.exports = new AssignmentReminderService();
@@ -0,0 +1,217 @@
+/**
+ * Certificate Service
+ * Renders knowledge check completion certificates as PDF
+ *
+ * The PDF is written directly (one A4 landscape page, standard Helvetica fonts),
+ * so no PDF library is needed. Text is encoded as WinAnsi, which covers German umlauts.
+ */
+
+// Character widths of the standard fonts for ASCII 32-126 (1/1000 of the font size)
+const FONT_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Typographic characters that WinAnsi places at 0x80-0x9F
+const WIN_ANSI_EXTRA = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const BRAND_COLOR = '0.145 0.388 0.922';
+const TEXT_COLOR = '0.122 0.161 0.216';
+const MUTED_COLOR = '0.420 0.447 0.502';
+
+class CertificateService {
+    /**
+     * Placeholders that can be used in the template texts
+     */
+    get placeholders() {
+        return ['userName', 'testName', 'testNumber', 'percentage', 'date', 'validUntil', 'code', 'companyName'];
+    }
+
+    /**
+     * Replaces {{placeholder}} in a template text
+     */
+    fillTemplate(text, values) {
+        return String(text || '').replace(/\{\{(\w+)\}\}/g, (match, key) =>
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : match);
+    }
+
+    /**
+     * Renders a certificate
+     * @param {Object} certificate - { userName, testName, testNumber, percentage, completedAt, validUntil, verificationCode }
+     * @param {Object} template - { title, intro, body, footer, signatureName, signatureTitle }
+     * @param {Object} options - { companyName, verifyUrl }
+     * @returns {Buffer} PDF file
+     */
+    render(certificate, template, options = {}) {
+        const values = {
+            userName: certificate.userName,
+            testName: certificate.testName,
+            testNumber: certificate.testNumber,
+            percentage: certificate.percentage,
+            date: this.formatDate(certificate.completedAt),
+            validUntil: certificate.validUntil ? this.formatDate(certificate.validUntil) : '',
+            code: certificate.verificationCode,
+            companyName: options.companyName || ''
+        };
+        const content = [];
+        const center = PAGE_WIDTH / 2;
+
+        // Frame
+        content.push(`${BRAND_COLOR} RG 3 w 28 28 ${PAGE_WIDTH - 56} ${PAGE_HEIGHT - 56} re S`);
+        content.push(`${BRAND_COLOR} RG 0.75 w 38 38 ${PAGE_WIDTH - 76} ${PAGE_HEIGHT - 76} re S`);
+
+        this.text(content, values.companyName.toUpperCase(), center, 510, 12, 'regular', MUTED_COLOR, 'center');
+        this.text(content, this.fillTemplate(template.title, values), center, 445, 34, 'bold', BRAND_COLOR, 'center');
+        this.text(content, this.fillTemplate(template.intro, values), center, 395, 14, 'regular', TEXT_COLOR, 'center');
+        this.text(content, values.userName, center, 350, 26, 'bold', TEXT_COLOR, 'center');
+        content.push(`${BRAND_COLOR} RG 1 w ${center - 160} 338 m ${center + 160} 338 l S`);
+
+        const bodyLines = this.wrap(this.fillTemplate(template.body, values), 13, 'regular', PAGE_WIDTH - 220);
+        bodyLines.slice(0, 6).forEach((line, index) => {
+            this.text(content, line, center, 300 - index * 19, 13, 'regular', TEXT_COLOR, 'center');
+        });
+
+        // Signature (left) and verification (right)
+        if (template.signatureName || template.signatureTitle) {
+            content.push(`${MUTED_COLOR} RG 0.75 w 90 118 m 290 118 l S`);
+            this.text(content, this.fillTemplate(template.signatureName, values), 190, 100, 12, 'bold', TEXT_COLOR, 'center');
+            this.text(content, this.fillTemplate(template.signatureTitle, values), 190, 85, 10, 'regular', MUTED_COLOR, 'center');
+        }
+        this.text(content, `Verifizierungscode: ${values.code}`, PAGE_WIDTH - 90, 104, 11, 'bold', TEXT_COLOR, 'right');
+        if (options.verifyUrl) {
+            this.text(content, options.verifyUrl, PAGE_WIDTH - 90, 89, 8, 'regular', MUTED_COLOR, 'right');
+        }
+
+        this.wrap(this.fillTemplate(template.footer, values), 9, 'regular', PAGE_WIDTH - 220).slice(0, 2).forEach((line, index) => {
+            this.text(content, line, center, 58 - index * 12, 9, 'regular', MUTED_COLOR, 'center');
+        });
+
+        return this.buildPdf(content.join('\n'), {
+            title: `${this.fillTemplate(template.title, values)} - ${values.userName}`,
+            author: values.companyName
+        });
+    }
+
+    /**
+     * Adds a text line to the page content
+     * @param {string} align - left, center or right (x is the anchor)
+     */
+    text(content, value, x, y, size, font, color, align = 'left') {
+        if (!value) return;
+        const width = this.measure(value, size, font);
+        const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+        content.push(`BT ${color} rg /${font === 'bold' ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y} Td (${this.encode(value)}) Tj ET`);
+    }
+
+    /**
+     * Width of a text in points
+     */
+    measure(text, size, font) {
+        const widths = FONT_WIDTHS[font];
+        let total = 0;
+        for (const char of String(text)) {
+            // Accented letters are about as wide as their base letter
+            const base = char.normalize('NFD')[0];
+            const code = char === 'ß' ? 'B'.charCodeAt(0) : base.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Splits text into lines that fit the given width (explicit line breaks are kept)
+     */
+    wrap(text, size, font, maxWidth) {
+        const lines = [];
+        String(text || '').split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.measure(candidate, size, font) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * Encodes text as a PDF string literal body (WinAnsi, non-ASCII as octal escapes)
+     */
+    encode(text) {
+        let result = '';
+        for (const char of String(text)) {
+            let code = WIN_ANSI_EXTRA[char] || char.charCodeAt(0);
+            if (code > 255 || (code < 32)) code = 63; // "?"
+            if (char === '(' || char === ')' || char === '\\') {
+                result += '\\' + char;
+            } else if (code > 126) {
+                result += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                result += String.fromCharCode(code);
+            }
+        }
+        return result;
+    }
+
+    formatDate(value) {
+        const date = value ? new Date(value) : new Date();
+        return date.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+
+    /**
+     * Assembles the PDF objects with their cross-reference table
+     */
+    buildPdf(content, info) {
+        const font = (name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+            font('Helvetica'),
+            font('Helvetica-Bold'),
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            `<< /Title (${this.encode(info.title)}) /Author (${this.encode(info.author || '')}) /Producer (Customer Support Tool) >>`
+        ];
+
+        // Content is plain ASCII, so string length equals byte offset
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(pdf, 'latin1');
+    }
+}
+
+// Export singleton instance
+module.exports = new CertificateService();
@@ -0,0 +1,192 @@
+/**
+ * Email Service
+ * Sends plain text emails through an SMTP server
+ * Configuration controlled via the "email" section of config/default.json or config/local.json
+ *
+ * Speaks SMTP directly (implicit TLS or STARTTLS, AUTH PLAIN), so no mail library is needed.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const Config = require('../../../config/Config');
+
+class EmailService {
+    /**
+     * Whether sending is configured (email.enabled and email.host)
+     */
+    isEnabled() {
+        return Config.get('email.enabled', false) === true && !!Config.get('email.host', '');
+    }
+
+    /**
+     * Sends an email
+     * @param {Object} message - { to, subject, text }
+     */
+    async send(message) {
+        if (!this.isEnabled()) {
+            throw new Error('Email is not configured');
+        }
+        if (!message.to) {
+            throw new Error('Missing recipient');
+        }
+
+        const settings = {
+            host: Config.get('email.host'),
+            port: Config.get('email.port', 587),
+            secure: Config.get('email.secure', false),
+            user: Config.get('email.user', ''),
+            password: Config.get('email.password', ''),
+            from: Config.get('email.from', '') || Config.get('email.user', ''),
+            timeout: Config.get('email.timeout', 30000)
+        };
+
+        let socket = await this.connect(settings);
+        let reader = this.attach(socket);
+        try {
+            await this.expect(reader, 220);
+            const hello = `EHLO ${os.hostname() || 'localhost'}`;
+            let features = await this.command(socket, reader, hello, 250);
+
+            if (!settings.secure && /STARTTLS/i.test(features.text)) {
+                await this.command(socket, reader, 'STARTTLS', 220);
+                reader.detach();
+                socket = await this.upgrade(socket, settings);
+                reader = this.attach(socket);
+                features = await this.command(socket, reader, hello, 250);
+            }
+
+            if (settings.user) {
+                const credentials = Buffer.from(`\0${settings.user}\0${settings.password}`).toString('base64');
+                await this.command(socket, reader, `AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await this.command(socket, reader, `MAIL FROM:<${settings.from}>`, 250);
+            await this.command(socket, reader, `RCPT TO:<${message.to}>`, [250, 251]);
+            await this.command(socket, reader, 'DATA', 354);
+            await this.command(socket, reader, `${this.buildMessage(message, settings.from)}\r\n.`, 250);
+            await this.command(socket, reader, 'QUIT', 221).catch(() => {});
+            return { success: true };
+        } finally {
+            reader.detach();
+            socket.destroy();
+        }
+    }
+
+    connect(settings) {
+        return new Promise((resolve, reject) => {
+            const options = { host: settings.host, port: settings.port, servername: settings.host };
+            const socket = settings.secure
+                ? tls.connect(options, () => resolve(socket))
+                : net.connect(options, () => resolve(socket));
+            socket.setTimeout(settings.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(socket, settings) {
+        return new Promise((resolve, reject) => {
+            const secureSocket = tls.connect({ socket, servername: settings.host }, () => resolve(secureSocket));
+            secureSocket.setTimeout(settings.timeout, () => secureSocket.destroy(new Error('SMTP connection timed out')));
+            secureSocket.once('error', reject);
+        });
+    }
+
+    /**
+     * Collects complete (possibly multi-line) SMTP replies from a socket
+     */
+    attach(socket) {
+        const state = { buffer: '', replies: [], waiting: null, error: null };
+        const deliver = (reply) => {
+            if (state.waiting) {
+                const waiting = state.waiting;
+                state.waiting = null;
+                reply instanceof Error ? waiting.reject(reply) : waiting.resolve(reply);
+            } else {
+                state.replies.push(reply);
+            }
+        };
+        const onData = (chunk) => {
+            state.buffer += chunk.toString('utf8');
+            let match;
+            // The last line of a reply has a space (or nothing) after the code, continuation lines a dash
+            while ((match = /^\d{3}(?: [^\n]*)?\n/m.exec(state.buffer))) {
+                const end = match.index + match[0].length;
+                const lines = state.buffer.slice(0, end).split(/\r?\n/).filter(Boolean);
+                state.buffer = state.buffer.slice(end);
+                deliver({
+                    code: parseInt(lines[lines.length - 1].slice(0, 3), 10),
+                    text: lines.map(line => line.slice(4)).join('\n')
+                });
+            }
+        };
+        const onError = (error) => deliver(error);
+        const onClose = () => deliver(new Error('SMTP connection closed'));
+
+        socket.on('data', onData);
+        socket.on('error', onError);
+        socket.on('close', onClose);
+
+        return {
+            next: () => new Promise((resolve, reject) => {
+                const reply = state.replies.shift();
+                if (reply) {
+                    reply instanceof Error ? reject(reply) : resolve(reply);
+                } else {
+                    state.waiting = { resolve, reject };
+                }
+            }),
+            detach: () => {
+                socket.removeListener('data', onData);
+                socket.removeListener('error', onError);
+                socket.removeListener('close', onClose);
+            }
+        };
+    }
+
+    async expect(reader, codes) {
+        const reply = await reader.next();
+        const expected = Array.isArray(codes) ? codes : [codes];
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP error ${reply.code}: ${reply.text}`);
+        }
+        return reply;
+    }
+
+    command(socket, reader, line, codes) {
+        socket.write(`${line}\r\n`);
+        return this.expect(reader, codes);
+    }
+
+    /**
+     * Builds the message with headers; the UTF-8 body is base64 encoded, so no line needs dot-stuffing
+     */
+    buildMessage(message, from) {
+        const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+            ? value
+            : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+        const senderName = Config.get('app.companyName', '');
+        const body = Buffer.from(String(message.text || '').replace(/\r?\n/g, '\r\n'), 'utf8')
+            .toString('base64')
+            .replace(/.{1,76}/g, '$&\r\n')
+            .trimEnd();
+        const domain = String(from).split('@')[1] || 'localhost';
+
+        return [
+            `From: ${senderName ? `${encodeHeader(senderName)} <${from}>` : from}`,
+            `To: ${message.to}`,
+            `Subject: ${encodeHeader(message.subject || '')}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            body
+        ].join('\r\n');
+    }
+}
+
+// Export singleton instance
+module.exports = new EmailService();
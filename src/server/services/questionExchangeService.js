@@ -0,0 +1,1222 @@
+/**
+ * Question Exchange Service
+ * Reads and writes the knowledge check question catalog in CSV, Moodle XML, GIFT and QTI 1.2
+ *
+ * All formats are converted from and to one plain question shape:
+ * { categoryName, title, questionText, questionType, weighting, allowPartialAnswer,
+ *   exactAnswer, numericTolerance, triggerWords, answerRules, media, explanation,
+ *   options: [{ text, matchText, isCorrect, media, explanation }] }
+ * Options hold the choices, the items to order (in correct order), the matching pairs
+ * or the accepted answers of each cloze blank ("a|b").
+ * Media are carried as files ({ fileName, mimeType, data } with base64 data) by CSV and Moodle XML only,
+ * explanations (Moodle: general and answer feedback) as well.
+ */
+
+const CSV_COLUMNS = ['category', 'type', 'title', 'question', 'weighting', 'allow_partial_answer',
+    'exact_answer', 'numeric_tolerance', 'trigger_words', 'answer_rules', 'media', 'option_media',
+    'explanation', 'option_explanations'];
+
+// Moodle and QTI have no true/false option texts, the catalog uses these
+const TRUE_FALSE_OPTIONS = ['Wahr', 'Falsch'];
+
+const QTI_TYPES = {
+    multiple_choice: 'multiple_answers_question',
+    single_choice: 'multiple_choice_question',
+    true_false: 'true_false_question',
+    ordering: 'ordering_question',
+    matching: 'matching_question',
+    numeric: 'numerical_question',
+    cloze: 'fill_in_multiple_blanks_question',
+    open_question: 'essay_question'
+};
+
+class QuestionExchangeService {
+    constructor() {
+        this.formats = {
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+            moodle: { label: 'Moodle XML', extension: 'xml', mimeType: 'application/xml' },
+            gift: { label: 'GIFT', extension: 'gift.txt', mimeType: 'text/plain' },
+            qti: { label: 'QTI 1.2', extension: 'qti.xml', mimeType: 'application/xml' }
+        };
+    }
+
+    /**
+     * Parses an import file
+     * @param {string} format - csv, moodle, gift or qti
+     * @param {string} content - File content
+     * @returns {Array} [{ position, question, error }] - position is the line (CSV, GIFT)
+     *   or the question number (XML formats)
+     * @throws {Error} If the file cannot be read at all (e.g. broken XML)
+     */
+    parse(format, content) {
+        const text = String(content || '').replace(/^\uFEFF/, '');
+        switch (format) {
+            case 'csv': return this.parseCsv(text);
+            case 'moodle': return this.parseMoodle(text);
+            case 'gift': return this.parseGift(text);
+            case 'qti': return this.parseQti(text);
+            default: throw new Error('Unsupported import format');
+        }
+    }
+
+    /**
+     * Writes questions in an export format
+     * @param {string} format - csv, moodle, gift or qti
+     * @param {Array} questions - Questions as returned by getQuestionById
+     * @param {Array} categories - Categories of the exported questions
+     * @returns {Object} { content, skipped: [{ title, reason }] }
+     */
+    serialize(format, questions, categories) {
+        switch (format) {
+            case 'csv': return this.writeCsv(questions);
+            case 'moodle': return this.writeMoodle(questions, categories);
+            case 'gift': return this.writeGift(questions);
+            case 'qti': return this.writeQti(questions);
+            default: throw new Error('Unsupported export format');
+        }
+    }
+
+    /**
+     * Creates an empty question in the exchange shape
+     */
+    createQuestion(data = {}) {
+        return {
+            categoryName: '',
+            title: '',
+            questionText: '',
+            questionType: 'multiple_choice',
+            weighting: null,
+            allowPartialAnswer: false,
+            exactAnswer: '',
+            numericTolerance: null,
+            triggerWords: [],
+            answerRules: null,
+            media: [],
+            explanation: '',
+            options: [],
+            ...data
+        };
+    }
+
+    /**
+     * Options of a question in stored order
+     */
+    sortedOptions(question) {
+        return [...(question.options || [])].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+    }
+
+    /**
+     * Formats a number without trailing zeros (fractions like 33.33333)
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100000) / 100000);
+    }
+
+    // ============================================
+    // CSV
+    // ============================================
+
+    /**
+     * Splits CSV text into rows of cells (quoted cells may contain separators and line breaks)
+     * @returns {Array} [{ line, cells }]
+     */
+    readCsvRows(text, separator) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                cells.push(cell);
+                rows.push({ line: rowLine, cells });
+                cells = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || cells.length > 0) {
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+        }
+
+        return rows.filter(row => row.cells.some(c => c.trim() !== ''));
+    }
+
+    parseCsv(text) {
+        // Spreadsheets with a German locale save with ";"
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const rows = this.readCsvRows(text, separator);
+        if (rows.length === 0) throw new Error('The file is empty');
+
+        const header = rows[0].cells.map(h => h.trim().toLowerCase());
+        if (!header.includes('question') || !header.includes('type')) {
+            throw new Error('CSV header must contain at least the columns "type" and "question"');
+        }
+        const column = (cells, name) => {
+            const index = header.indexOf(name);
+            return index >= 0 ? String(cells[index] || '').trim() : '';
+        };
+        // option_1, option_2, ... in column order
+        const optionColumns = header
+            .map((name, index) => ({ name, index }))
+            .filter(c => /^option_?\d+$/.test(c.name));
+
+        return rows.slice(1).map(row => {
+            const type = column(row.cells, 'type').toLowerCase();
+            const options = optionColumns
+                .map(c => String(row.cells[c.index] || '').trim())
+                .filter(Boolean)
+                .map(value => this.parseCsvOption(type, value));
+
+            // Keyword rules of open questions are kept as JSON (only the CSV format carries them)
+            let answerRules = null;
+            let error = null;
+            if (column(row.cells, 'answer_rules')) {
+                try {
+                    answerRules = JSON.parse(column(row.cells, 'answer_rules'));
+                } catch (e) {
+                    error = 'Invalid answer rules (JSON expected)';
+                }
+            }
+
+            // Media are JSON lists of files - option_media is aligned with the filled option columns
+            let media = [];
+            try {
+                media = JSON.parse(column(row.cells, 'media') || '[]');
+                JSON.parse(column(row.cells, 'option_media') || '[]').forEach((file, index) => {
+                    if (file && options[index]) options[index].media = file;
+                });
+            } catch (e) {
+                error = error || 'Invalid media (JSON expected)';
+            }
+
+            // option_explanations is aligned with the filled option columns as well
+            try {
+                JSON.parse(column(row.cells, 'option_explanations') || '[]').forEach((explanation, index) => {
+                    if (explanation && options[index]) options[index].explanation = String(explanation);
+                });
+            } catch (e) {
+                error = error || 'Invalid option explanations (JSON expected)';
+            }
+
+            const question = this.createQuestion({
+                categoryName: column(row.cells, 'category'),
+                title: column(row.cells, 'title'),
+                questionText: column(row.cells, 'question'),
+                questionType: type,
+                weighting: parseInt(column(row.cells, 'weighting'), 10) || null,
+                allowPartialAnswer: ['1', 'true', 'ja', 'yes', 'x'].includes(column(row.cells, 'allow_partial_answer').toLowerCase()),
+                exactAnswer: column(row.cells, 'exact_answer'),
+                numericTolerance: column(row.cells, 'numeric_tolerance') || null,
+                triggerWords: column(row.cells, 'trigger_words').split('|').map(w => w.trim()).filter(Boolean),
+                answerRules,
+                media: Array.isArray(media) ? media : [],
+                explanation: column(row.cells, 'explanation'),
+                options
+            });
+            return { position: row.line, question, error };
+        });
+    }
+
+    /**
+     * Reads one option cell: "*" marks a correct choice, "left => right" a matching pair
+     */
+    parseCsvOption(type, value) {
+        if (type === 'matching') {
+            const [text, ...rest] = value.split('=>');
+            return { text: text.trim(), matchText: rest.join('=>').trim(), isCorrect: false };
+        }
+        if (value.startsWith('*')) {
+            return { text: value.slice(1).trim(), matchText: '', isCorrect: true };
+        }
+        return { text: value, matchText: '', isCorrect: false };
+    }
+
+    writeCsv(questions) {
+        const optionCount = Math.max(0, ...questions.map(q => (q.options || []).length));
+        const header = [...CSV_COLUMNS, ...Array.from({ length: optionCount }, (_, i) => `option_${i + 1}`)];
+
+        const rows = questions.map(q => {
+            const options = this.sortedOptions(q).map(o => {
+                if (q.questionType === 'matching') return `${o.text} => ${o.matchText}`;
+                if (q.questionType === 'ordering' || q.questionType === 'cloze') return o.text;
+                return o.isCorrect ? `*${o.text}` : o.text;
+            });
+            return [
+                q.categoryName || '',
+                q.questionType,
+                q.title || '',
+                q.questionText,
+                q.weighting || '',
+                q.allowPartialAnswer ? '1' : '',
+                q.exactAnswer || '',
+                q.numericTolerance ?? '',
+                (q.triggerWords || []).join('|'),
+                q.answerRules ? JSON.stringify(q.answerRules) : '',
+                (q.media || []).length ? JSON.stringify(q.media) : '',
+                this.sortedOptions(q).some(o => o.media) ? JSON.stringify(this.sortedOptions(q).map(o => o.media || null)) : '',
+                q.explanation || '',
+                this.sortedOptions(q).some(o => o.explanation) ? JSON.stringify(this.sortedOptions(q).map(o => o.explanation || '')) : '',
+                ...options
+            ];
+        });
+
+        const content = [header, ...rows]
+            .map(row => row.map(cell => `"${(cell ?? '').toString().replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+        return { content, skipped: [] };
+    }
+
+    // ============================================
+    // GIFT
+    // ============================================
+
+    /**
+     * Removes GIFT escapes (\~ \= \# \{ \} \: \n)
+     */
+    unescapeGift(text) {
+        return String(text || '').replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+    }
+
+    escapeGift(text) {
+        return String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Finds the first unescaped occurrence of a character
+     */
+    indexOfUnescaped(text, char, from = 0) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\\') { i++; continue; }
+            if (text[i] === char) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Splits a GIFT answer block into its answers ("=" correct, "~" wrong), feedback (#) is dropped
+     */
+    splitGiftAnswers(block) {
+        const answers = [];
+        let current = null;
+        for (let i = 0; i < block.length; i++) {
+            const char = block[i];
+            if (char === '\\') {
+                if (current) current.text += char + (block[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (char === '=' || char === '~') {
+                current = { correct: char === '=', text: '' };
+                answers.push(current);
+                continue;
+            }
+            if (current) current.text += char;
+        }
+        return answers.map(a => {
+            const feedback = this.indexOfUnescaped(a.text, '#');
+            let text = feedback >= 0 ? a.text.slice(0, feedback) : a.text;
+            let weight = null;
+            const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+            if (weightMatch) {
+                weight = parseFloat(weightMatch[1]);
+                text = text.slice(weightMatch[0].length);
+            }
+            return { correct: a.correct, weight, text: text.trim() };
+        });
+    }
+
+    parseGift(text) {
+        const items = [];
+        let category = '';
+        let block = [];
+        let blockLine = 0;
+        let triggerWords = [];
+
+        const flush = () => {
+            if (block.length === 0) return;
+            const source = block.join('\n');
+            try {
+                const question = this.parseGiftQuestion(source);
+                if (question) {
+                    question.categoryName = category;
+                    if (triggerWords.length > 0) question.triggerWords = triggerWords;
+                    items.push({ position: blockLine, question, error: null });
+                }
+            } catch (error) {
+                items.push({ position: blockLine, question: null, error: error.message });
+            }
+            block = [];
+            triggerWords = [];
+        };
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('//')) {
+                // Trigger words of open questions are kept in a comment (GIFT has no field for them)
+                const trigger = trimmed.match(/^\/\/\s*trigger words:\s*(.*)$/i);
+                if (trigger) triggerWords = trigger[1].split('|').map(w => w.trim()).filter(Boolean);
+                return;
+            }
+            if (trimmed.startsWith('$CATEGORY:')) {
+                flush();
+                category = this.categoryFromPath(trimmed.slice('$CATEGORY:'.length));
+                return;
+            }
+            if (trimmed === '') {
+                flush();
+                return;
+            }
+            if (block.length === 0) blockLine = index + 1;
+            block.push(line);
+        });
+        flush();
+
+        return items;
+    }
+
+    /**
+     * Parses one GIFT question ("::title:: text {answers}")
+     */
+    parseGiftQuestion(source) {
+        let rest = source.trim();
+        let title = '';
+
+        if (rest.startsWith('::')) {
+            const end = rest.indexOf('::', 2);
+            if (end < 0) throw new Error('Title is not closed with "::"');
+            title = rest.slice(2, end).trim();
+            rest = rest.slice(end + 2).trim();
+        }
+        rest = rest.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+        const open = this.indexOfUnescaped(rest, '{');
+        if (open < 0) throw new Error('Answer block "{...}" is missing');
+        const close = this.indexOfUnescaped(rest, '}', open);
+        if (close < 0) throw new Error('Answer block is not closed with "}"');
+
+        const before = this.unescapeGift(rest.slice(0, open));
+        const after = this.unescapeGift(rest.slice(close + 1));
+        const body = rest.slice(open + 1, close).trim();
+        // Missing word format: the answer block stands in the middle of the text
+        const questionText = after ? `${before} _____ ${after}` : before;
+        const question = this.createQuestion({ title: this.unescapeGift(title), questionText });
+
+        if (body === '') {
+            question.questionType = 'open_question';
+            return question;
+        }
+
+        if (/^(T|TRUE|F|FALSE)\s*(#|$)/i.test(body)) {
+            const isTrue = /^T/i.test(body);
+            question.questionType = 'true_false';
+            question.options = TRUE_FALSE_OPTIONS.map((text, i) => ({ text, matchText: '', isCorrect: (i === 0) === isTrue }));
+            return question;
+        }
+
+        if (body.startsWith('#')) {
+            const answers = body.slice(1).trim();
+            const first = answers.startsWith('=') ? this.splitGiftAnswers(answers).find(a => a.correct) : { text: answers };
+            const value = (first?.text || '').trim();
+            const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+            const tolerance = value.match(/^(-?[\d.]+):([\d.]+)$/);
+            question.questionType = 'numeric';
+            if (range) {
+                const low = parseFloat(range[1]);
+                const high = parseFloat(range[2]);
+                question.exactAnswer = this.formatNumber((low + high) / 2);
+                question.numericTolerance = this.formatNumber((high - low) / 2);
+            } else if (tolerance) {
+                question.exactAnswer = tolerance[1];
+                question.numericTolerance = tolerance[2];
+            } else {
+                question.exactAnswer = value;
+            }
+            return question;
+        }
+
+        const answers = this.splitGiftAnswers(body);
+        if (answers.length === 0) throw new Error('No answers found in the answer block');
+
+        if (answers.some(a => a.text.includes('->'))) {
+            question.questionType = 'matching';
+            question.options = answers.map(a => {
+                const [left, ...right] = a.text.split('->');
+                return { text: this.unescapeGift(left), matchText: this.unescapeGift(right.join('->')), isCorrect: false };
+            });
+            return question;
+        }
+
+        if (answers.every(a => a.correct) && answers.every(a => a.weight === null)) {
+            // Short answer - the first accepted answer is the expected one
+            question.questionType = 'open_question';
+            question.exactAnswer = this.unescapeGift(answers[0].text);
+            return question;
+        }
+
+        const weighted = answers.some(a => a.weight !== null);
+        question.options = answers.map(a => ({
+            text: this.unescapeGift(a.text),
+            matchText: '',
+            isCorrect: weighted ? (a.weight || 0) > 0 : a.correct
+        }));
+        const correctCount = question.options.filter(o => o.isCorrect).length;
+        question.questionType = weighted || correctCount > 1 ? 'multiple_choice' : 'single_choice';
+        question.allowPartialAnswer = weighted;
+        return question;
+    }
+
+    writeGift(questions) {
+        const skipped = [];
+        const lines = [];
+        let category = null;
+
+        questions.forEach(q => {
+            const answer = this.giftAnswerBlock(q);
+            if (answer === null) {
+                skipped.push({ title: q.title || q.questionText, reason: `Question type "${q.questionType}" is not supported by GIFT` });
+                return;
+            }
+            if (q.categoryName !== category) {
+                category = q.categoryName;
+                lines.push(`$CATEGORY: ${category || 'Unkategorisiert'}`, '');
+            }
+            if (q.questionType === 'open_question' && q.triggerWords?.length > 0) {
+                lines.push(`// trigger words: ${q.triggerWords.join(' | ')}`);
+            }
+            const title = q.title ? `::${this.escapeGift(q.title)}::` : '';
+            lines.push(`${title}${this.escapeGift(q.questionText)} ${answer}`, '');
+        });
+
+        return { content: lines.join('\n'), skipped };
+    }
+
+    /**
+     * GIFT answer block of a question, null if GIFT cannot express the type
+     */
+    giftAnswerBlock(q) {
+        const options = this.sortedOptions(q);
+        switch (q.questionType) {
+            case 'single_choice':
+                return `{\n${options.map(o => `${o.isCorrect ? '=' : '~'}${this.escapeGift(o.text)}`).join('\n')}\n}`;
+            case 'multiple_choice': {
+                const correctCount = options.filter(o => o.isCorrect).length || 1;
+                const weight = this.formatNumber(100 / correctCount);
+                return `{\n${options.map(o => `~%${o.isCorrect ? weight : '-100'}%${this.escapeGift(o.text)}`).join('\n')}\n}`;
+            }
+            case 'true_false':
+                return options[0]?.isCorrect ? '{TRUE}' : '{FALSE}';
+            case 'matching':
+                return `{\n${options.map(o => `=${this.escapeGift(o.text)} -> ${this.escapeGift(o.matchText)}`).join('\n')}\n}`;
+            case 'numeric':
+                return `{#${q.exactAnswer}${q.numericTolerance ? `:${q.numericTolerance}` : ''}}`;
+            case 'open_question':
+                return q.exactAnswer ? `{=${this.escapeGift(q.exactAnswer)}}` : '{}';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Last part of a category path ("$course$/top/Produkte" -> "Produkte")
+     */
+    categoryFromPath(path) {
+        const parts = String(path || '').split('/').map(p => p.trim()).filter(p => p && !/^\$\w+\$$/.test(p));
+        const name = parts.filter(p => p.toLowerCase() !== 'top').pop() || '';
+        return name;
+    }
+
+    // ============================================
+    // XML
+    // ============================================
+
+    /**
+     * Reads XML into a simple element tree { name, attrs, children, text }
+     * (enough for Moodle XML and QTI - no namespaces, DTDs or processing instructions)
+     */
+    parseXml(text) {
+        const root = { name: '#root', attrs: {}, children: [], text: '' };
+        const stack = [root];
+        const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            if (match[1] !== undefined) {
+                current.text += match[1];
+            } else if (match[2]) {
+                const name = match[2].replace(/^\w+:/, '');
+                if (current.name !== name) throw new Error(`Invalid XML: unexpected closing tag </${match[2]}>`);
+                stack.pop();
+            } else if (match[3]) {
+                const attrs = {};
+                (match[4] || '').replace(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (all, key, quoted, double, single) => {
+                    attrs[key.replace(/^\w+:/, '')] = this.decodeXml(double !== undefined ? double : single);
+                    return '';
+                });
+                const element = { name: match[3].replace(/^\w+:/, ''), attrs, children: [], text: '' };
+                current.children.push(element);
+                if (!match[5]) stack.push(element);
+            } else if (match[6] !== undefined) {
+                current.text += this.decodeXml(match[6]);
+            } else if (match[0].startsWith('<') && !/^<(!--|\?|!DOCTYPE)/.test(match[0])) {
+                throw new Error('Invalid XML');
+            }
+        }
+        if (stack.length !== 1) throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+        return root;
+    }
+
+    decodeXml(text) {
+        return String(text)
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /** First child element with the given name */
+    child(element, name) {
+        return element?.children.find(c => c.name === name) || null;
+    }
+
+    /** All child elements with the given name */
+    childrenOf(element, name) {
+        return element ? element.children.filter(c => c.name === name) : [];
+    }
+
+    /** All descendant elements with the given name */
+    descendants(element, name, found = []) {
+        (element?.children || []).forEach(c => {
+            if (c.name === name) found.push(c);
+            this.descendants(c, name, found);
+        });
+        return found;
+    }
+
+    /** Text of an element and its children */
+    textOf(element) {
+        if (!element) return '';
+        return element.text + element.children.map(c => this.textOf(c)).join('');
+    }
+
+    /**
+     * Converts HTML question text to plain text
+     */
+    htmlToText(html) {
+        return this.decodeXml(String(html || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' '))
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Plain text as HTML for formats that expect HTML
+     */
+    textToHtml(text) {
+        return this.escapeXml(text).replace(/\r?\n/g, '<br>');
+    }
+
+    // ============================================
+    // MOODLE XML
+    // ============================================
+
+    /** Text of a Moodle <x><text>..</text></x> element, HTML converted to plain text */
+    moodleText(element) {
+        if (!element) return '';
+        // Links to embedded files are read as media, not as text
+        const text = this.textOf(this.child(element, 'text')).replace(/<a\s[^>]*@@PLUGINFILE@@[^>]*>[\s\S]*?<\/a>/gi, '');
+        // Moodle treats text without a format as HTML
+        return ['plain_text', 'markdown'].includes(element.attrs.format) ? text.trim() : this.htmlToText(text);
+    }
+
+    /** Plain text as HTML inside CDATA for a Moodle <text> element */
+    moodleHtml(text) {
+        return `<![CDATA[${this.textToHtml(text).replace(/\]\]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+
+    /**
+     * <text> with embedded files for a Moodle text element - images are shown after the text,
+     * other files are linked
+     */
+    moodleTextWithFiles(text, media = []) {
+        const files = media.filter(m => m && m.data);
+        const references = files.map(m => {
+            const src = `@@PLUGINFILE@@/${encodeURIComponent(m.fileName)}`;
+            return (m.mimeType || '').startsWith('image/')
+                ? `<p><img src="${src}" alt="${this.escapeXml(m.fileName)}"></p>`
+                : `<p><a href="${src}">${this.escapeXml(m.fileName)}</a></p>`;
+        }).join('');
+        const html = (this.textToHtml(text) + references).replace(/\]\]>/g, ']]]]><![CDATA[>');
+        return `<text><![CDATA[${html}]]></text>` + files.map(m =>
+            `<file name="${this.escapeXml(m.fileName)}" path="/" encoding="base64">${m.data}</file>`
+        ).join('');
+    }
+
+    /** Files embedded in a Moodle text element */
+    moodleFiles(element) {
+        return this.childrenOf(element, 'file')
+            .map(f => ({ fileName: f.attrs.name || 'datei', data: this.textOf(f).replace(/\s/g, '') }))
+            .filter(f => f.data);
+    }
+
+    parseMoodle(text) {
+        const root = this.parseXml(text);
+        const quiz = this.child(root, 'quiz');
+        if (!quiz) throw new Error('Not a Moodle XML file (<quiz> is missing)');
+
+        let category = '';
+        const items = [];
+        this.childrenOf(quiz, 'question').forEach((element, index) => {
+            const type = element.attrs.type;
+            if (type === 'category') {
+                category = this.categoryFromPath(this.textOf(this.child(this.child(element, 'category'), 'text')));
+                return;
+            }
+            try {
+                const question = this.parseMoodleQuestion(element);
+                question.categoryName = category;
+                items.push({ position: index + 1, question, error: null });
+            } catch (error) {
+                items.push({ position: index + 1, question: null, error: error.message });
+            }
+        });
+        return items;
+    }
+
+    parseMoodleQuestion(element) {
+        const type = element.attrs.type;
+        const question = this.createQuestion({
+            title: this.textOf(this.child(this.child(element, 'name'), 'text')).trim(),
+            questionText: this.moodleText(this.child(element, 'questiontext')),
+            weighting: Math.round(parseFloat(this.textOf(this.child(element, 'defaultgrade')))) || null,
+            allowPartialAnswer: !!this.child(element, 'allowpartialanswer'),
+            media: this.moodleFiles(this.child(element, 'questiontext')),
+            explanation: this.moodleText(this.child(element, 'generalfeedback'))
+        });
+        const answers = this.childrenOf(element, 'answer').map(a => ({
+            text: this.moodleText(a),
+            fraction: parseFloat(a.attrs.fraction) || 0,
+            media: this.moodleFiles(a)[0] || null,
+            explanation: this.moodleText(this.child(a, 'feedback')),
+            element: a
+        }));
+
+        switch (type) {
+            case 'multichoice': {
+                const single = /^(true|1)$/i.test(this.textOf(this.child(element, 'single')).trim());
+                question.questionType = single ? 'single_choice' : 'multiple_choice';
+                question.options = answers.map(a => ({
+                    text: a.text, matchText: '', isCorrect: a.fraction > 0, media: a.media, explanation: a.explanation
+                }));
+                if (!single) question.allowPartialAnswer = true;
+                break;
+            }
+            case 'truefalse': {
+                const trueAnswer = answers.find(a => a.text.toLowerCase() === 'true');
+                const falseAnswer = answers.find(a => a.text.toLowerCase() === 'false');
+                const isTrue = trueAnswer ? trueAnswer.fraction > 0 : false;
+                question.questionType = 'true_false';
+                question.options = TRUE_FALSE_OPTIONS.map((text, i) => ({
+                    text, matchText: '', isCorrect: (i === 0) === isTrue, explanation: (i === 0 ? trueAnswer : falseAnswer)?.explanation || ''
+                }));
+                break;
+            }
+            case 'shortanswer':
+            case 'essay': {
+                question.questionType = 'open_question';
+                const best = answers.filter(a => a.fraction > 0).sort((a, b) => b.fraction - a.fraction)[0];
+                question.exactAnswer = best ? best.text : '';
+                question.triggerWords = this.childrenOf(this.child(element, 'triggerwords'), 'text')
+                    .map(t => this.textOf(t).trim()).filter(Boolean);
+                break;
+            }
+            case 'numerical': {
+                const best = answers.filter(a => a.fraction > 0).sort((a, b) => b.fraction - a.fraction)[0];
+                if (!best) throw new Error('Numerical question has no correct answer');
+                question.questionType = 'numeric';
+                question.exactAnswer = best.text;
+                question.numericTolerance = this.textOf(this.child(best.element, 'tolerance')).trim() || null;
+                break;
+            }
+            case 'matching':
+                question.questionType = 'matching';
+                // Subquestions without text are extra wrong answers, which the catalog does not support
+                question.options = this.childrenOf(element, 'subquestion')
+                    .map(s => ({
+                        text: this.moodleText(s),
+                        matchText: this.textOf(this.child(this.child(s, 'answer'), 'text')).trim(),
+                        isCorrect: false,
+                        media: this.moodleFiles(s)[0] || null
+                    }))
+                    .filter(o => o.text);
+                break;
+            case 'ordering':
+                question.questionType = 'ordering';
+                question.options = answers
+                    .sort((a, b) => a.fraction - b.fraction)
+                    .map(a => ({ text: a.text, matchText: '', isCorrect: false, media: a.media, explanation: a.explanation }));
+                break;
+            case 'multianswer':
+                this.parseMoodleCloze(question);
+                break;
+            default:
+                throw new Error(`Moodle question type "${type}" is not supported`);
+        }
+
+        return question;
+    }
+
+    /**
+     * Converts embedded Moodle answers ({1:SHORTANSWER:=Sonne~=Sonn}) to catalog blanks ({{1}})
+     */
+    parseMoodleCloze(question) {
+        const blanks = [];
+        question.questionType = 'cloze';
+        question.questionText = question.questionText.replace(/\{(\d*):(\w+):((?:\\.|[^}])*)\}/g, (match, weight, type, body) => {
+            const answers = body.split(/(?<!\\)~/).map(a => a.trim()).filter(Boolean);
+            const accepted = answers
+                .filter(a => a.startsWith('=') || /^%100%/.test(a))
+                .map(a => a.replace(/^=|^%100%/, '').replace(/(?<!\\)#.*$/, '').replace(/\\(.)/g, '$1').trim())
+                .filter(Boolean);
+            blanks.push(accepted.join('|'));
+            return `{{${blanks.length}}}`;
+        });
+        if (blanks.length === 0) throw new Error('Cloze question has no embedded answers');
+        question.options = blanks.map(text => ({ text, matchText: '', isCorrect: false }));
+    }
+
+    writeMoodle(questions, categories) {
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+        let category = null;
+
+        questions.forEach((q, index) => {
+            if (q.categoryName !== category) {
+                category = q.categoryName;
+                const description = categories.find(c => c.name === category)?.description || '';
+                lines.push(
+                    '  <question type="category">',
+                    `    <category><text>$course$/top/${this.escapeXml(category || 'Unkategorisiert')}</text></category>`,
+                    `    <info format="html"><text>${this.moodleHtml(description)}</text></info>`,
+                    '  </question>'
+                );
+            }
+            lines.push(...this.moodleQuestion(q, index));
+        });
+
+        lines.push('</quiz>', '');
+        return { content: lines.join('\n'), skipped: [] };
+    }
+
+    moodleQuestion(q, index) {
+        const options = this.sortedOptions(q);
+        const type = {
+            multiple_choice: 'multichoice',
+            single_choice: 'multichoice',
+            true_false: 'truefalse',
+            ordering: 'ordering',
+            matching: 'matching',
+            numeric: 'numerical',
+            cloze: 'multianswer',
+            open_question: q.exactAnswer ? 'shortanswer' : 'essay'
+        }[q.questionType];
+        const answer = (fraction, text, extra = '', media = null) =>
+            `    <answer fraction="${fraction}" format="html">${this.moodleTextWithFiles(text, [media])}${extra}</answer>`;
+        const feedback = (explanation) => explanation
+            ? `<feedback format="html"><text>${this.moodleHtml(explanation)}</text></feedback>`
+            : '';
+
+        let questionText = q.questionText;
+        if (q.questionType === 'cloze') {
+            // Blanks become embedded short answers, every accepted answer counts 100%
+            questionText = questionText.replace(/\{\{(\d+)\}\}/g, (match, number) => {
+                const accepted = (options[parseInt(number, 10) - 1]?.text || '').split('|').map(a => a.trim()).filter(Boolean);
+                return `{1:SHORTANSWER:${accepted.map(a => '=' + a.replace(/([~#}=\\])/g, '\\$1')).join('~')}}`;
+            });
+        }
+
+        const lines = [
+            `  <question type="${type}">`,
+            `    <name><text>${this.escapeXml(q.title || `Frage ${index + 1}`)}</text></name>`,
+            `    <questiontext format="html">${this.moodleTextWithFiles(questionText, q.media)}</questiontext>`,
+            `    <defaultgrade>${q.weighting || q.effectiveWeighting || 1}</defaultgrade>`
+        ];
+        if (q.explanation) lines.push(`    <generalfeedback format="html"><text>${this.moodleHtml(q.explanation)}</text></generalfeedback>`);
+        if (q.allowPartialAnswer) lines.push('    <allowpartialanswer>1</allowpartialanswer>');
+
+        switch (q.questionType) {
+            case 'multiple_choice':
+            case 'single_choice': {
+                const single = q.questionType === 'single_choice';
+                const correctCount = options.filter(o => o.isCorrect).length || 1;
+                lines.push(`    <single>${single}</single>`, '    <shuffleanswers>true</shuffleanswers>');
+                options.forEach(o => lines.push(answer(o.isCorrect ? this.formatNumber(single ? 100 : 100 / correctCount) : 0, o.text, feedback(o.explanation), o.media)));
+                break;
+            }
+            case 'true_false': {
+                const isTrue = !!options[0]?.isCorrect;
+                lines.push(answer(isTrue ? 100 : 0, 'true', feedback(options[0]?.explanation)), answer(isTrue ? 0 : 100, 'false', feedback(options[1]?.explanation)));
+                break;
+            }
+            case 'ordering':
+                options.forEach((o, i) => lines.push(answer(i + 1, o.text, feedback(o.explanation), o.media)));
+                break;
+            case 'matching':
+                lines.push('    <shuffleanswers>true</shuffleanswers>');
+                options.forEach(o => lines.push(
+                    `    <subquestion format="html">${this.moodleTextWithFiles(o.text, [o.media])}<answer><text>${this.escapeXml(o.matchText)}</text></answer></subquestion>`
+                ));
+                break;
+            case 'numeric':
+                lines.push(answer(100, q.exactAnswer, `<tolerance>${q.numericTolerance || 0}</tolerance>`));
+                break;
+            case 'open_question':
+                if (q.exactAnswer) lines.push(answer(100, q.exactAnswer));
+                if (q.triggerWords?.length > 0) {
+                    // Not part of Moodle XML - Moodle ignores it, the catalog reads it back
+                    lines.push(`    <triggerwords>${q.triggerWords.map(w => `<text>${this.escapeXml(w)}</text>`).join('')}</triggerwords>`);
+                }
+                break;
+        }
+
+        lines.push('  </question>');
+        return lines;
+    }
+
+    // ============================================
+    // QTI 1.2
+    // ============================================
+
+    /** Value of a <qtimetadatafield> of an item */
+    qtiMetadata(item, label) {
+        const field = this.descendants(item, 'qtimetadatafield')
+            .find(f => this.textOf(this.child(f, 'fieldlabel')).trim() === label);
+        return field ? this.textOf(this.child(field, 'fieldentry')).trim() : '';
+    }
+
+    /** Text of the first <mattext> below an element */
+    qtiText(element) {
+        const mattext = this.descendants(element, 'mattext')[0];
+        if (!mattext) return '';
+        const text = this.textOf(mattext);
+        return mattext.attrs.texttype === 'text/html' ? this.htmlToText(text) : text.trim();
+    }
+
+    /**
+     * Response labels of a response_lid that score points (not inside <not>)
+     */
+    qtiCorrectLabels(item, responseId) {
+        const correct = [];
+        const collect = (element, negated) => {
+            element.children.forEach(c => {
+                if (c.name === 'not') return collect(c, true);
+                if (c.name === 'varequal' && !negated && (!responseId || c.attrs.respident === responseId)) {
+                    correct.push(this.textOf(c).trim());
+                }
+                collect(c, negated);
+            });
+        };
+        this.descendants(item, 'respcondition').forEach(condition => {
+            const score = parseFloat(this.textOf(this.child(condition, 'setvar')));
+            if (score > 0 || Number.isNaN(score)) collect(this.child(condition, 'conditionvar') || { children: [] }, false);
+        });
+        return correct;
+    }
+
+    parseQti(text) {
+        const root = this.parseXml(text);
+        if (!this.descendants(root, 'questestinterop').length && root.children[0]?.name !== 'questestinterop') {
+            throw new Error('Not a QTI 1.2 file (<questestinterop> is missing)');
+        }
+
+        const items = [];
+        const walk = (element, category) => {
+            element.children.forEach(c => {
+                if (c.name === 'item') {
+                    const position = items.length + 1;
+                    try {
+                        const question = this.parseQtiItem(c);
+                        question.categoryName = question.categoryName || category;
+                        items.push({ position, question, error: null });
+                    } catch (error) {
+                        items.push({ position, question: null, error: error.message });
+                    }
+                } else {
+                    // Sections and question banks carry the category name
+                    const name = ['section', 'objectbank'].includes(c.name) ? c.attrs.title : null;
+                    walk(c, name || category);
+                }
+            });
+        };
+        walk(root, '');
+        return items;
+    }
+
+    parseQtiItem(item) {
+        const presentation = this.child(item, 'presentation');
+        if (!presentation) throw new Error('Item has no <presentation>');
+
+        const question = this.createQuestion({
+            title: item.attrs.title || '',
+            categoryName: this.qtiMetadata(item, 'category'),
+            questionText: this.qtiText(this.child(presentation, 'material') || presentation),
+            weighting: Math.round(parseFloat(this.qtiMetadata(item, 'points_possible'))) || null,
+            allowPartialAnswer: this.qtiMetadata(item, 'allow_partial_answer') === 'true',
+            triggerWords: this.qtiMetadata(item, 'trigger_words').split('|').map(w => w.trim()).filter(Boolean)
+        });
+        const responses = this.descendants(presentation, 'response_lid');
+        const labelsOf = response => this.descendants(response, 'response_label')
+            .map(l => ({ ident: l.attrs.ident, text: this.qtiText(l) }));
+
+        let type = this.qtiMetadata(item, 'question_type');
+        if (!type) {
+            // Plain QTI without Canvas metadata - derive the type from the response
+            const cardinality = responses[0]?.attrs.rcardinality;
+            type = responses.length > 1 ? 'matching_question'
+                : cardinality === 'Multiple' ? 'multiple_answers_question'
+                : cardinality === 'Ordered' ? 'ordering_question'
+                : responses.length === 1 ? 'multiple_choice_question'
+                : this.descendants(presentation, 'render_fib')[0]?.attrs.fibtype === 'Decimal' ? 'numerical_question'
+                : 'essay_question';
+        }
+
+        switch (type) {
+            case 'multiple_answers_question':
+            case 'multiple_choice_question':
+            case 'true_false_question': {
+                const correct = this.qtiCorrectLabels(item, responses[0]?.attrs.ident);
+                question.questionType = type === 'multiple_answers_question' ? 'multiple_choice'
+                    : type === 'true_false_question' ? 'true_false' : 'single_choice';
+                question.options = labelsOf(responses[0]).map(l => ({ text: l.text, matchText: '', isCorrect: correct.includes(l.ident) }));
+                break;
+            }
+            case 'ordering_question': {
+                const labels = labelsOf(responses[0]);
+                const order = this.qtiCorrectLabels(item, responses[0]?.attrs.ident);
+                question.questionType = 'ordering';
+                question.options = (order.length ? order.map(id => labels.find(l => l.ident === id)).filter(Boolean) : labels)
+                    .map(l => ({ text: l.text, matchText: '', isCorrect: false }));
+                break;
+            }
+            case 'matching_question':
+                question.questionType = 'matching';
+                question.options = responses.map(response => {
+                    const correct = this.qtiCorrectLabels(item, response.attrs.ident)[0];
+                    const match = labelsOf(response).find(l => l.ident === correct);
+                    return { text: this.qtiText(this.child(response, 'material')), matchText: match ? match.text : '', isCorrect: false };
+                });
+                break;
+            case 'numerical_question': {
+                const condition = this.descendants(item, 'conditionvar')[0];
+                const exact = this.descendants(condition, 'varequal')[0];
+                const low = parseFloat(this.textOf(this.descendants(condition, 'vargte')[0]));
+                const high = parseFloat(this.textOf(this.descendants(condition, 'varlte')[0]));
+                question.questionType = 'numeric';
+                if (Number.isFinite(low) && Number.isFinite(high)) {
+                    question.exactAnswer = exact ? this.textOf(exact).trim() : this.formatNumber((low + high) / 2);
+                    question.numericTolerance = this.formatNumber((high - low) / 2);
+                } else {
+                    question.exactAnswer = exact ? this.textOf(exact).trim() : '';
+                }
+                break;
+            }
+            case 'fill_in_multiple_blanks_question': {
+                // Blanks are written as [name] in the text, each with a response of accepted answers
+                const blanks = [];
+                question.questionType = 'cloze';
+                question.questionText = question.questionText.replace(/\[([\w-]+)\]/g, (match, name) => {
+                    const response = responses.find(r => r.attrs.ident === `response_${name}`);
+                    if (!response) return match;
+                    blanks.push(labelsOf(response).map(l => l.text).filter(Boolean).join('|'));
+                    return `{{${blanks.length}}}`;
+                });
+                question.options = blanks.map(text => ({ text, matchText: '', isCorrect: false }));
+                break;
+            }
+            case 'short_answer_question':
+            case 'essay_question': {
+                question.questionType = 'open_question';
+                const expected = this.qtiCorrectLabels(item, null)[0];
+                question.exactAnswer = expected || '';
+                break;
+            }
+            default:
+                throw new Error(`QTI question type "${type}" is not supported`);
+        }
+
+        return question;
+    }
+
+    writeQti(questions) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">'
+        ];
+
+        // One section per category
+        const groups = [];
+        questions.forEach(q => {
+            let group = groups.find(g => g.name === (q.categoryName || ''));
+            if (!group) {
+                group = { name: q.categoryName || '', questions: [] };
+                groups.push(group);
+            }
+            group.questions.push(q);
+        });
+
+        let itemNumber = 0;
+        groups.forEach((group, groupIndex) => {
+            lines.push(`  <section ident="category_${groupIndex + 1}" title="${this.escapeXml(group.name || 'Unkategorisiert')}">`);
+            group.questions.forEach(q => {
+                itemNumber++;
+                lines.push(...this.qtiItem(q, `item_${itemNumber}`).map(l => '    ' + l));
+            });
+            lines.push('  </section>');
+        });
+
+        lines.push('</questestinterop>', '');
+        return { content: lines.join('\n'), skipped: [] };
+    }
+
+    qtiItem(q, ident) {
+        const options = this.sortedOptions(q);
+        const type = q.questionType === 'open_question' && q.exactAnswer ? 'short_answer_question' : QTI_TYPES[q.questionType];
+        const field = (label, value) =>
+            `      <qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${this.escapeXml(value)}</fieldentry></qtimetadatafield>`;
+        const material = (text) => `<material><mattext texttype="text/plain">${this.escapeXml(text)}</mattext></material>`;
+        const choices = (responseId, cardinality, labels) => [
+            `    <response_lid ident="${responseId}" rcardinality="${cardinality}">`,
+            '      <render_choice>',
+            ...labels.map(l => `        <response_label ident="${l.ident}">${material(l.text)}</response_label>`),
+            '      </render_choice>',
+            '    </response_lid>'
+        ];
+        const condition = (conditionvar) => [
+            '    <respcondition continue="No">',
+            `      <conditionvar>${conditionvar}</conditionvar>`,
+            '      <setvar action="Set" varname="SCORE">100</setvar>',
+            '    </respcondition>'
+        ];
+
+        let questionText = q.questionText;
+        const presentation = [];
+        const processing = [];
+        const labels = options.map((o, i) => ({ ident: `${ident}_${i + 1}`, text: o.text }));
+
+        switch (q.questionType) {
+            case 'multiple_choice':
+            case 'single_choice':
+            case 'true_false': {
+                const multiple = q.questionType === 'multiple_choice';
+                presentation.push(...choices('response1', multiple ? 'Multiple' : 'Single', labels));
+                const correct = labels.filter((l, i) => options[i].isCorrect);
+                const wrong = labels.filter((l, i) => !options[i].isCorrect);
+                processing.push(...condition(multiple
+                    ? `<and>${correct.map(l => `<varequal respident="response1">${l.ident}</varequal>`).join('')}${wrong.map(l => `<not><varequal respident="response1">${l.ident}</varequal></not>`).join('')}</and>`
+                    : correct.map(l => `<varequal respident="response1">${l.ident}</varequal>`).join('')));
+                break;
+            }
+            case 'ordering':
+                presentation.push(...choices('response1', 'Ordered', labels));
+                processing.push(...condition(labels.map(l => `<varequal respident="response1">${l.ident}</varequal>`).join('')));
+                break;
+            case 'matching': {
+                const matches = options.map((o, i) => ({ ident: `${ident}_m${i + 1}`, text: o.matchText }));
+                options.forEach((o, i) => {
+                    presentation.push(
+                        `    <response_lid ident="response_${i + 1}">`,
+                        `      ${material(o.text)}`,
+                        '      <render_choice>',
+                        ...matches.map(m => `        <response_label ident="${m.ident}">${material(m.text)}</response_label>`),
+                        '      </render_choice>',
+                        '    </response_lid>'
+                    );
+                });
+                processing.push(...condition(`<and>${options.map((o, i) => `<varequal respident="response_${i + 1}">${matches[i].ident}</varequal>`).join('')}</and>`));
+                break;
+            }
+            case 'numeric': {
+                const value = parseFloat(String(q.exactAnswer).replace(',', '.'));
+                const tolerance = parseFloat(String(q.numericTolerance || 0).replace(',', '.')) || 0;
+                presentation.push('    <response_str ident="response1" rcardinality="Single"><render_fib fibtype="Decimal"/></response_str>');
+                processing.push(...condition(tolerance
+                    ? `<vargte respident="response1">${this.formatNumber(value - tolerance)}</vargte><varlte respident="response1">${this.formatNumber(value + tolerance)}</varlte>`
+                    : `<varequal respident="response1">${this.formatNumber(value)}</varequal>`));
+                break;
+            }
+            case 'cloze':
+                // {{1}} becomes [blank1] with the accepted answers as labels of response_blank1
+                questionText = questionText.replace(/\{\{(\d+)\}\}/g, '[blank$1]');
+                options.forEach((o, i) => {
+                    const accepted = o.text.split('|').map(a => a.trim()).filter(Boolean)
+                        .map((a, j) => ({ ident: `${ident}_b${i + 1}_${j + 1}`, text: a }));
+                    presentation.push(...choices(`response_blank${i + 1}`, 'Single', accepted));
+                    processing.push(...condition(accepted.map(a => `<varequal respident="response_blank${i + 1}">${a.ident}</varequal>`).join('')));
+                });
+                break;
+            case 'open_question':
+                presentation.push('    <response_str ident="response1" rcardinality="Single"><render_fib><response_label ident="answer1" rshuffle="No"/></render_fib></response_str>');
+                if (q.exactAnswer) {
+                    processing.push(...condition(`<varequal respident="response1">${this.escapeXml(q.exactAnswer)}</varequal>`));
+                }
+                break;
+        }
+
+        return [
+            `<item ident="${ident}" title="${this.escapeXml(q.title || '')}">`,
+            '  <itemmetadata>',
+            '    <qtimetadata>',
+            field('question_type', type),
+            field('points_possible', q.weighting || q.effectiveWeighting || 1),
+            field('category', q.categoryName || ''),
+            ...(q.allowPartialAnswer ? [field('allow_partial_answer', 'true')] : []),
+            ...(q.triggerWords?.length > 0 ? [field('trigger_words', q.triggerWords.join('|'))] : []),
+            '    </qtimetadata>',
+            '  </itemmetadata>',
+            '  <presentation>',
+            `    ${material(questionText)}`,
+            ...presentation,
+            '  </presentation>',
+            '  <resprocessing>',
+            '    <outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>',
+            ...processing,
+            '  </resprocessing>',
+            '</item>'
+        ];
+    }
+}
+
+// Export singleton instance
+module.exports = new QuestionExchangeService();
@@ -0,0 +1,54 @@
+/**
+ * Recertification Service
+ * Periodically creates recertification test runs for certifications that are about to expire
+ * Configuration controlled via config/default.json or config/local.json
+ */
+
+const Config = require('../../../config/Config');
+const { KnowledgeCheckSystem } = require('../database');
+
+class RecertificationService {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Starts the scheduled check (knowledgeCheck.recertificationCheckMinutes = 0 disables it)
+     */
+    start() {
+        const minutes = Config.get('knowledgeCheck.recertificationCheckMinutes', 60);
+        if (!minutes || this.timer) {
+            console.log('Recertification check: DISABLED');
+            return;
+        }
+
+        this.check();
+        this.timer = setInterval(() => this.check(), minutes * 60 * 1000);
+        console.log(`Recertification check: every ${minutes} minutes`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Creates the due recertification runs
+     * @returns {Array} Created runs
+     */
+    check() {
+        try {
+            const runs = KnowledgeCheckSystem.createRecertificationRuns();
+            runs.forEach(r => console.log(`Recertification run ${r.runNumber} created for ${r.testName} (${r.userCount} users)`));
+            return runs;
+        } catch (error) {
+            console.error('Recertification check error:', error);
+            return [];
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new RecertificationService();
@@ -0,0 +1,345 @@
+/**
+ * Result Export Service
+ * Writes knowledge check results as CSV or XLSX file
+ *
+ * Three layouts are supported: one row per result (summary), one row per answer (detailed)
+ * and users as rows with one column per question (pivot).
+ * The XLSX workbook is zipped directly (one sheet, inline strings), so no spreadsheet library is needed.
+ */
+
+const zlib = require('zlib');
+
+// Characters that are not allowed in XML 1.0
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+// Excel rejects longer cell texts
+const MAX_CELL_LENGTH = 32767;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const TYPE_LABELS = {
+    multiple_choice: 'Multiple Choice',
+    single_choice: 'Single Choice',
+    true_false: 'Wahr/Falsch',
+    ordering: 'Reihenfolge',
+    matching: 'Zuordnung',
+    numeric: 'Numerisch',
+    cloze: 'Lückentext',
+    open_question: 'Offene Frage'
+};
+
+class ResultExportService {
+    constructor() {
+        this.formats = {
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+            xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+        };
+        this.modes = {
+            summary: { label: 'Ergebnisse', fileName: 'testergebnisse' },
+            detailed: { label: 'Antworten', fileName: 'testergebnisse_antworten' },
+            pivot: { label: 'Matrix', fileName: 'testergebnisse_matrix' }
+        };
+    }
+
+    /**
+     * One row per result
+     * @param {Array} results - As returned by getAllResults
+     * @returns {Object} { headers, rows }
+     */
+    summaryTable(results) {
+        return {
+            headers: ['Result #', 'Test', 'User', 'Attempt', 'Evaluator', 'Score', 'Max Score', 'Percentage', 'Passed', 'Date'],
+            rows: results.map(r => [
+                r.resultNumber,
+                r.testName,
+                r.userName,
+                r.attemptNumber,
+                r.evaluatorName || '',
+                r.totalScore,
+                r.maxScore,
+                r.percentage,
+                r.passed ? 'Yes' : 'No',
+                this.formatDateTime(r.completedAt || r.createdAt)
+            ])
+        };
+    }
+
+    /**
+     * One row per answer - the rows are built while they are written
+     * @param {Iterable} answers - As returned by getResultAnswersForExport or eachResultAnswerForExport
+     * @returns {Object} { headers, rows }
+     */
+    detailedTable(answers) {
+        return {
+            headers: ['Result #', 'Test', 'User', 'Attempt', 'Date', 'Position', 'Question', 'Question Text', 'Category',
+                'Type', 'Selected Options', 'Free Text', 'Score', 'Max Score', 'Correct', 'Evaluator Notes', 'Reviewed By'],
+            rows: this.mapRows(answers, a => [
+                a.resultNumber,
+                a.testName,
+                a.userName,
+                a.attemptNumber,
+                this.formatDateTime(a.completedAt),
+                a.position,
+                a.questionTitle,
+                a.questionText,
+                a.categoryName,
+                TYPE_LABELS[a.questionType] || a.questionType,
+                a.selectedOptions,
+                a.answerText,
+                a.score,
+                a.maxScore,
+                a.isCorrect ? 'Yes' : 'No',
+                a.evaluatorNotes,
+                a.reviewedByName
+            ])
+        };
+    }
+
+    *mapRows(items, toRow) {
+        for (const item of items) {
+            yield toRow(item);
+        }
+    }
+
+    /**
+     * Users as rows, questions as columns (score of the user's latest answer)
+     * @param {Object} pivot - As returned by getResultAnswerPivot
+     * @returns {Object} { headers, rows }
+     */
+    pivotTable(pivot) {
+        return {
+            headers: ['User', ...pivot.questions.map(q => q.label), 'Score', 'Max Score', 'Percentage'],
+            rows: pivot.users.map(u => [
+                u.userName,
+                ...pivot.questions.map(q => u.cells[q.id] ? u.cells[q.id].score : ''),
+                u.score,
+                u.maxScore,
+                u.percentage ?? ''
+            ])
+        };
+    }
+
+    formatDateTime(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleString('de-DE', {
+            day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    // ============================================
+    // CSV
+    // ============================================
+
+    /**
+     * Streams the CSV file - the header first, then the rows in chunks. Waits whenever the
+     * stream's buffer is full, so the file is never held in memory as a whole.
+     * @param {Writable} stream - e.g. the HTTP response, ended when all rows are written
+     * @param {Object} table - { headers, rows } - rows can be any iterable
+     * @param {number} chunkRows - Rows per write
+     */
+    async writeCsv(stream, table, chunkRows = 500) {
+        // BOM so Excel reads the file as UTF-8 (umlauts)
+        await this.writeChunk(stream, '\uFEFF' + this.csvRow(table.headers));
+
+        let chunk = '';
+        let count = 0;
+        for (const row of table.rows) {
+            chunk += this.csvRow(row);
+            if (++count % chunkRows === 0) {
+                await this.writeChunk(stream, chunk);
+                chunk = '';
+                // The client has gone away
+                if (stream.destroyed) return;
+            }
+        }
+        if (chunk) await this.writeChunk(stream, chunk);
+        stream.end();
+    }
+
+    writeChunk(stream, chunk) {
+        if (stream.write(chunk)) return Promise.resolve();
+        return new Promise(resolve => {
+            const done = () => {
+                stream.off('drain', done);
+                stream.off('close', done);
+                resolve();
+            };
+            stream.on('drain', done);
+            stream.on('close', done);
+        });
+    }
+
+    csvRow(cells) {
+        return cells.map(cell => {
+            let text = (cell ?? '').toString();
+            // Free texts of test takers must not run as formulas when the file is opened in a spreadsheet
+            if (typeof cell === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+            return `"${text.replace(/"/g, '""')}"`;
+        }).join(',') + '\n';
+    }
+
+    // ============================================
+    // XLSX
+    // ============================================
+
+    /**
+     * Renders a workbook with one sheet (bold, frozen header row)
+     * @param {Object} table - { headers, rows }
+     * @param {string} sheetName
+     * @returns {Buffer} XLSX file
+     */
+    renderXlsx(table, sheetName) {
+        const ns = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const pkgRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+        const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const name = String(sheetName || 'Export').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+
+        const sheetRows = [table.headers, ...table.rows].map((cells, rowIndex) => {
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            const row = cells.map((cell, colIndex) => {
+                const ref = `${this.columnName(colIndex)}${rowIndex + 1}`;
+                if (cell === null || cell === undefined || cell === '') return '';
+                if (typeof cell === 'number' && Number.isFinite(cell)) {
+                    return `<c r="${ref}"${style}><v>${cell}</v></c>`;
+                }
+                const text = this.escapeXml(String(cell).slice(0, MAX_CELL_LENGTH));
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${text}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${row}</row>`;
+        });
+
+        const files = {
+            '[Content_Types].xml': `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels': `${xml}<Relationships xmlns="${pkgRelNs}">` +
+                `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>',
+            'xl/workbook.xml': `${xml}<workbook xmlns="${ns}" xmlns:r="${relNs}">` +
+                `<sheets><sheet name="${this.escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': `${xml}<Relationships xmlns="${pkgRelNs}">` +
+                `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>` +
+                '</Relationships>',
+            'xl/styles.xml': `${xml}<styleSheet xmlns="${ns}">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>',
+            'xl/worksheets/sheet1.xml': `${xml}<worksheet xmlns="${ns}">` +
+                '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                `<sheetData>${sheetRows.join('')}</sheetData>` +
+                '</worksheet>'
+        };
+
+        return this.zip(Object.entries(files).map(([fileName, content]) => ({ fileName, data: Buffer.from(content, 'utf8') })));
+    }
+
+    /**
+     * Column letters of a zero-based column index (0 = A, 26 = AA)
+     */
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(INVALID_XML_CHARS, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Packs files into a ZIP archive (deflate, UTF-8 file names)
+     * @param {Array} files - [{ fileName, data: Buffer }]
+     * @returns {Buffer}
+     */
+    zip(files) {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = Buffer.from(file.fileName, 'utf8');
+            const compressed = zlib.deflateRawSync(file.data);
+            const crc = this.crc32(file.data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);
+            local.writeUInt16LE(0x0800, 6);
+            local.writeUInt16LE(8, 8);
+            local.writeUInt16LE(dosTime, 10);
+            local.writeUInt16LE(dosDate, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(file.data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(dosTime, 12);
+            central.writeUInt16LE(dosDate, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(file.data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+
+            localParts.push(local, name, compressed);
+            centralParts.push(central, name);
+            offset += local.length + name.length + compressed.length;
+        });
+
+        const centralDirectory = Buffer.concat(centralParts);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...localParts, centralDirectory, end]);
+    }
+
+    crc32(buffer) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < buffer.length; i++) {
+            crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export singleton instance
+module.exports = new ResultExportService();